@@ -8,13 +8,53 @@
 // Requirements
 // ------------------------------------------------------------------------------
 var APIRequest = require('./api-request'),
+	RateLimiter = require('./util/rate-limiter'),
 	errors = require('./util/errors'),
+	PassThrough = require('stream').PassThrough,
 	Promise = require('bluebird');
 
+// ------------------------------------------------------------------------------
+// Typedefs and Callbacks
+// ------------------------------------------------------------------------------
+
+/**
+ * The request being made, as seen by middleware. Middleware may modify the options,
+ * or replace them with a new object, before passing the request on.
+ *
+ * @typedef {Object} APIRequestManager~RequestContext
+ * @property {Object} options The request options
+ * @property {boolean} streaming Whether the response will be returned as a stream
+ */
+
+/**
+ * Middleware run on every request made through the APIRequestManager, in the order it
+ * was added. Each middleware is called with the request context and a next() function
+ * that passes the request on to the next middleware (and finally to the API), returning
+ * a promise for the response. Middleware can change the request before calling next(),
+ * inspect or transform the response it resolves to, or skip calling next() entirely
+ * and return its own response to short-circuit the call.
+ *
+ * @callback Middleware
+ * @param {APIRequestManager~RequestContext} context The request being made
+ * @param {Function} next Passes the request on, returning a promise for the response
+ * @returns {Promise<APIRequest~ResponseObject|Readable>|APIRequest~ResponseObject|Readable} The response
+ */
+
 // ------------------------------------------------------------------------------
 // Private
 // ------------------------------------------------------------------------------
 
+/**
+ * Determine whether a value can be used as a response stream
+ *
+ * @param {*} value The value to check
+ * @returns {boolean} Whether the value is a readable stream
+ * @private
+ */
+function isReadableStream(value) {
+	return Boolean(value) && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
+
 // ------------------------------------------------------------------------------
 // Public
 // ------------------------------------------------------------------------------
@@ -30,42 +70,164 @@ function APIRequestManager(config, eventBus) {
 
 	this.config = config;
 	this.eventBus = eventBus;
+	this.middleware = (config.middleware || []).slice();
+	this.rateLimiter = config.rateLimit ? new RateLimiter(config.rateLimit) : null;
 }
 
 /**
- * Make a request to the API, and get the response via callback.
+ * Add a middleware to the end of the chain run on every request.
+ *
+ * @param {Middleware} middleware The middleware to add
+ * @returns {void}
+ */
+APIRequestManager.prototype.use = function(middleware) {
+	this.middleware.push(middleware);
+};
+
+/**
+ * Pass a request through the middleware chain, finally calling the given
+ * function to actually send it.
+ *
+ * @param {APIRequestManager~RequestContext} context The request being made
+ * @param {Function} send Sends the request in the context and returns the response
+ * @returns {Promise<APIRequest~ResponseObject|Readable>} A promise resolving to the response
+ * @private
+ */
+APIRequestManager.prototype._runMiddleware = function(context, send) {
+	var middleware = this.middleware;
+
+	var dispatch = index => {
+		if (index === middleware.length) {
+			return Promise.try(() => send(context));
+		}
+
+		return Promise.try(() => middleware[index](context, () => dispatch(index + 1)));
+	};
+
+	return dispatch(0);
+};
+
+/**
+ * Send a request once the rate limiter allows it, if rate limiting is enabled. Requests
+ * aborted before they can be sent are rejected with an abort error instead, leaving the
+ * rate limiter's queue as soon as they are aborted.
+ *
+ * @param {Object} options The options of the request to be sent
+ * @param {Function} send Sends the request and returns the response
+ * @returns {Promise<APIRequest~ResponseObject|Readable>} A promise resolving to the response
+ * @private
+ */
+APIRequestManager.prototype._sendWhenAllowed = function(options, send) {
+	var sendUnlessAborted = () => {
+		if (options.signal && options.signal.aborted) {
+			throw errors.buildAbortError();
+		}
+		return send();
+	};
+
+	if (!this.rateLimiter) {
+		return Promise.try(sendUnlessAborted);
+	}
+
+	return this.rateLimiter.acquire(options.headers, options.signal)
+		.then(sendUnlessAborted);
+};
+
+/**
+ * Create the APIRequest for a set of request options, adding the default
+ * APIRequestManager options.
  *
  * @param {Object} options The request options
- * @returns {Promise<Response>} A promise resolving to the response object
+ * @returns {APIRequest} The API request
+ * @private
  */
-APIRequestManager.prototype.makeRequest = function(options) {
+APIRequestManager.prototype._createAPIRequest = function(options) {
+	// The abort signal is passed to the request separately, rather than copied into its config
+	var requestOptions = Object.assign({}, options);
+	delete requestOptions.signal;
+
 	// Add default APIRequestManager options to each request
 	var requestConfig = this.config.extend({
-		request: options
+		request: requestOptions
 	});
 
-	// Make the request
-	var apiRequest = new APIRequest(requestConfig, this.eventBus);
-	return Promise.fromCallback(callback => apiRequest.execute(callback))
-		.catch(err => errors.unwrapAndThrow(err));
+	return new APIRequest(requestConfig, this.eventBus, this.rateLimiter, options.signal);
 };
 
 /**
- * Make a request to the API, and return a read stream for the response.
+ * Make a request to the API, and get the response via callback.
  *
  * @param {Object} options The request options
+ * @param {AbortSignal} [options.signal] Signal that cancels the request when it fires 'abort'
+ * @returns {Promise<Response>} A promise resolving to the response object
+ */
+APIRequestManager.prototype.makeRequest = function(options) {
+	var context = {
+		options,
+		streaming: false
+	};
+
+	return this._runMiddleware(context, ctx => this._sendWhenAllowed(ctx.options, () => {
+		var apiRequest = this._createAPIRequest(ctx.options);
+		return Promise.fromCallback(callback => apiRequest.execute(callback))
+			.catch(err => errors.unwrapAndThrow(err));
+	}));
+};
+
+/**
+ * Make a request to the API, and get a read stream for the response once the request
+ * has been through middleware and the rate limiter. Errors raised before the request
+ * is sent, e.g. when it is aborted or middleware returns something other than a stream,
+ * reject the promise.
+ *
+ * @param {Object} options The request options
+ * @param {AbortSignal} [options.signal] Signal that cancels the request when it fires 'abort'
+ * @returns {Promise<Stream.Readable>} A promise resolving to the response stream
+ */
+APIRequestManager.prototype.makeStreamingRequestAsync = function(options) {
+	var context = {
+		options,
+		streaming: true
+	};
+
+	return this._runMiddleware(context, ctx => this._sendWhenAllowed(ctx.options, () => {
+		var apiRequest = this._createAPIRequest(ctx.options);
+		apiRequest.execute();
+		return apiRequest.getResponseStream();
+	}))
+		.then(stream => {
+			if (!isReadableStream(stream)) {
+				throw new TypeError('Middleware must return a readable stream for streaming requests');
+			}
+			return stream;
+		});
+};
+
+/**
+ * Make a request to the API, and return a read stream for the response. The stream is
+ * returned right away, and emits 'response' and the response data once the request has
+ * been through middleware and the rate limiter, or 'error' if it fails.
+ *
+ * @param {Object} options The request options
+ * @param {AbortSignal} [options.signal] Signal that cancels the request when it fires 'abort'
  * @returns {Stream.Readable} The response stream
  */
 APIRequestManager.prototype.makeStreamingRequest = function(options) {
-	// Add default APIRequestManager options to each request
-	var requestConfig = this.config.extend({
-		request: options
-	});
+	var responseStream = new PassThrough();
+
+	this.makeStreamingRequestAsync(options)
+		.asCallback((err, stream) => {
+			if (err) {
+				responseStream.emit('error', err);
+				return;
+			}
+
+			stream.on('response', response => responseStream.emit('response', response));
+			stream.on('error', streamErr => responseStream.emit('error', streamErr));
+			stream.pipe(responseStream);
+		});
 
-	// Make the request
-	var apiRequest = new APIRequest(requestConfig, this.eventBus);
-	apiRequest.execute();
-	return apiRequest.getResponseStream();
+	return responseStream;
 };
 
 /**
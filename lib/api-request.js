@@ -12,10 +12,12 @@
 // Requirements
 // ------------------------------------------------------------------------------
 var assert = require('assert'),
-	request = require('request'),
+	fs = require('fs'),
 	EventEmitter = require('events').EventEmitter,
 	Config = require('./util/config'),
 	httpStatusCodes = require('http-status'),
+	HTTPTransport = require('./transports/http-transport'),
+	errors = require('./util/errors'),
 	getRetryTimeout = require('./util/exponential-backoff');
 
 // ------------------------------------------------------------------------------
@@ -60,6 +62,69 @@ var assert = require('assert'),
  * @property {APIRequest~ResponseObject} [response] Information about the response related to this error, if available
  * @property {int} [statusCode] The response HTTP status code
  * @property {boolean} [maxRetriesExceeded] True iff the max number of retries were exceeded. Otherwise, undefined.
+ * @property {boolean} [retryDeadlineExceeded] True iff the request was not retried because the retry deadline passed. Otherwise, undefined.
+ */
+
+/**
+ * A record of one attempt at sending a request.
+ *
+ * @typedef {Object} APIRequest~Attempt
+ * @property {?int} statusCode The response HTTP status code, or null if no response was received
+ * @property {?Error} error The error from the attempt, or null if it succeeded
+ * @property {number} elapsedTimeMS Time elapsed since the first attempt was sent, when this attempt finished
+ * @property {number} [delayMS] Time waited before the next attempt, if the request was retried
+ */
+
+/**
+ * The information passed to a custom retry strategy.
+ *
+ * @typedef {Object} APIRequest~RetryOptions
+ * @property {APIRequest~Error} error The error from the latest attempt
+ * @property {int} numRetryAttempts The number of the retry about to be made
+ * @property {int} numMaxRetries The maximum number of retries
+ * @property {int} retryIntervalMS The configured base retry interval
+ * @property {number} totalElapsedTimeMS Time elapsed since the first attempt of the request was sent
+ * @property {APIRequest~Attempt[]} attempts The attempts made so far, oldest first
+ */
+
+/**
+ * A custom retry strategy, which decides how long to wait before retrying a failed request.
+ *
+ * @callback APIRequest~RetryStrategy
+ * @param {APIRequest~RetryOptions} options Information about the request and previous attempts
+ * @returns {number|Error|*} The time to wait in milliseconds; an Error to fail the request with instead,
+ *  or any other value to fail with the latest error
+ */
+
+/**
+ * The interface used by APIRequest to send HTTP requests, which can be replaced via
+ * the `transport` config option to run the SDK on a different HTTP library.
+ * {@see HTTPTransport} for the built-in implementation.
+ *
+ * @typedef {Object} Transport
+ * @property {TransportRequestFunction} request Send a request and buffer the whole response body
+ * @property {TransportStreamFunction} stream Send a request and stream the response body
+ */
+
+/**
+ * Sends a request, calling back once the full response body has been received. The
+ * response passed to the callback must have statusCode, headers, body and request
+ * properties, as described by {@link APIRequest~ResponseObject}.
+ *
+ * @typedef {Function} TransportRequestFunction
+ * @param {TransportRequestOptions} options The request options
+ * @param {APIRequest~Callback} callback Called with a connection error, or the response
+ * @returns {?APIRequest~RequestObject} Information about the request being made, if the transport provides it
+ */
+
+/**
+ * Sends a request and returns a stream of the response body. The stream must emit
+ * 'response' with the response statusCode and headers once they are received, and
+ * 'error' if the request fails.
+ *
+ * @typedef {Function} TransportStreamFunction
+ * @param {TransportRequestOptions} options The request options
+ * @returns {Readable} The response body stream
  */
 
 /**
@@ -87,8 +152,8 @@ var HTTP_STATUS_CODE_SERVER_ERROR_BLOCK_RANGE = [
 	599
 ];
 
-// Timer used to track elapsed time beginning from executing an async request to emitting the response.
-var asyncRequestTimer;
+// Transport used when none is given in the config, shared so that connections are pooled across the process
+var defaultTransport = new HTTPTransport();
 
 // A map of HTTP status codes and whether or not they can be retried
 var retryableStatusCodes = {};
@@ -124,6 +189,41 @@ function isTemporaryError(response) {
 	return false;
 }
 
+/**
+ * Apply a function to the value of each multipart form field, keeping any field options
+ * @param {Object} formData The multipart form fields
+ * @param {Function} fn The function to apply to each field value
+ * @returns {Object} The new form fields
+ * @private
+ */
+function mapFormData(formData, fn) {
+	var mapField = field => {
+		if (field && typeof field === 'object' && field.hasOwnProperty('value') && field.hasOwnProperty('options')) {
+			return Object.assign({}, field, { value: fn(field.value) });
+		}
+		return fn(field);
+	};
+
+	return Object.keys(formData).reduce((newFormData, name) => {
+		var field = formData[name];
+		newFormData[name] = Array.isArray(field) ? field.map(mapField) : mapField(field);
+		return newFormData;
+	}, {});
+}
+
+/**
+ * Determine whether a multipart form field value can be sent again for a retry: streams can
+ * only be read once, unless they are file streams that can be re-opened from their path.
+ * Functions are called to create a new value for each attempt, so can always be resent.
+ * @param {*} value The form field value
+ * @returns {boolean} Whether the value can be sent again
+ * @private
+ */
+function isFormValueReplayable(value) {
+	var isStream = Boolean(value) && typeof value.pipe === 'function';
+	return !isStream || (value instanceof fs.ReadStream && typeof value.path === 'string');
+}
+
 /**
  * Determine whether a given request can be retried, based on its options
  * @param {Object} options The request options
@@ -131,7 +231,15 @@ function isTemporaryError(response) {
  * @private
  */
 function isRequestRetryable(options) {
-	return !options.formData;
+	if (!options.formData) {
+		return true;
+	}
+
+	var isReplayable = true;
+	mapFormData(options.formData, value => {
+		isReplayable = isReplayable && isFormValueReplayable(value);
+	});
+	return isReplayable;
 }
 
 /**
@@ -140,12 +248,12 @@ function isRequestRetryable(options) {
  * response objects. Note that this function modifies the given object and returns
  * nothing.
  *
- * @param {APIRequest~RequestObject} requestObj Any request object
+ * @param {?APIRequest~RequestObject} [requestObj] Any request object, if the transport returned one
  * @returns {void}
  * @private
  */
 function cleanSensitiveHeaders(requestObj) {
-	if (requestObj.headers) {
+	if (requestObj && requestObj.headers) {
 		if (requestObj.headers.BoxApi) {
 			requestObj.headers.BoxApi = REMOVED_HEADER_MESSAGE;
 		}
@@ -166,14 +274,22 @@ function cleanSensitiveHeaders(requestObj) {
 
  * @param {Config} config Request-specific Config object
  * @param {EventEmitter} eventBus Event bus for the SDK instance
+ * @param {RateLimiter} [rateLimiter] Rate limiter for the SDK instance, which retries must wait on
+ * @param {AbortSignal} [signal] Signal that cancels the request, including any pending retry, when it fires 'abort'
  * @constructor
  */
-function APIRequest(config, eventBus) {
+function APIRequest(config, eventBus, rateLimiter, signal) {
 	assert(config instanceof Config, 'Config must be passed to APIRequest constructor');
 	assert(eventBus instanceof EventEmitter, 'Valid event bus must be passed to APIRequest constructor');
 	this.config = config;
 	this.eventBus = eventBus;
+	this.transport = config.transport || defaultTransport;
 	this.isRetryable = isRequestRetryable(config.request);
+	this.rateLimiter = rateLimiter || null;
+	this.signal = signal || null;
+	this.aborted = false;
+	this.attempts = [];
+	this._onAbort = this._abort.bind(this);
 }
 
 /**
@@ -190,20 +306,82 @@ APIRequest.prototype.execute = function(callback) {
 
 	// Initiate an async- or stream-based request, based on the presence of the callback.
 	if (this._callback) {
-		// Start the request timer immediately before executing the async request
-		if (!asyncRequestTimer) {
-			asyncRequestTimer = process.hrtime();
+		// Start the request timer immediately before the first attempt, so elapsed time includes all retries
+		if (!this.startTime) {
+			this.startTime = process.hrtime();
+
+			if (this.signal) {
+				this.signal.addEventListener('abort', this._onAbort);
+			}
+		}
+
+		// Don't send an attempt that would start after the request was aborted
+		if (this.aborted || (this.signal && this.signal.aborted)) {
+			this._abort();
+			return;
 		}
-		this.request = request(this.config.request, this._handleResponse.bind(this));
+
+		this.request = this.transport.request(this._getRequestOptions(), this._handleResponse.bind(this));
 	} else {
-		this.request = request(this.config.request);
-		this.stream = this.request;
+		this.stream = this.transport.stream(this._getRequestOptions());
 		this.stream.on('error', err => this.eventBus.emit('response', err));
-		this.stream.on('response', response => this.eventBus.emit('response', null, response));
+		this.stream.on('response', response => {
+			if (this.rateLimiter) {
+				this._updateRateLimit(response);
+			}
+			this.eventBus.emit('response', null, response);
+		});
 	}
 
 };
 
+/**
+ * Get the options to send the next attempt of the request with. Multipart form values
+ * given as functions are called to create the value for each attempt, and file streams
+ * are re-opened when the request is retried, since the previous attempt read them.
+ *
+ * @returns {Object} The request options
+ * @private
+ */
+APIRequest.prototype._getRequestOptions = function() {
+	var options = this.config.request;
+	if (this.config.proxy || this.config.proxy === false) {
+		options = Object.assign({}, options, { proxy: this.config.proxy });
+	}
+	if (this.signal) {
+		options = Object.assign({}, options, { signal: this.signal });
+	}
+	if (!options.formData) {
+		return options;
+	}
+
+	var isReplay = this.attempts.length > 0;
+
+	// Close any streams left open by a failed previous attempt
+	if (this._formDataStreams) {
+		this._formDataStreams.forEach(stream => stream.destroy());
+	}
+	this._formDataStreams = [];
+
+	var formData = mapFormData(options.formData, value => {
+		if (typeof value === 'function') {
+			value = value();
+		} else if (isReplay && value instanceof fs.ReadStream) {
+			value = fs.createReadStream(value.path, {
+				start: value.start,
+				end: value.end
+			});
+		}
+
+		if (value && typeof value.pipe === 'function' && typeof value.destroy === 'function') {
+			this._formDataStreams.push(value);
+		}
+		return value;
+	});
+
+	return Object.assign({}, options, { formData });
+};
+
 /**
  * Return the response read stream for a request. This will be undefined until
  * a stream-based request has been started.
@@ -218,15 +396,24 @@ APIRequest.prototype.getResponseStream = function() {
  * Handle the request response in the callback case.
  *
  * @param {?Error} err An error, if one occurred
- * @param {Object} [response] The full response object, returned by the request module.
+ * @param {Object} [response] The full response object, returned by the transport.
  *  Contains information about the request & response, including the response body itself.
  * @returns {void}
  * @private
  */
 APIRequest.prototype._handleResponse = function(err, response) {
+	// The abort error has already been propagated, so ignore anything the transport reports afterwards
+	if (this.aborted) {
+		return;
+	}
+
 	// Clean sensitive headers here to prevent the user from accidentily using/logging them in prod
 	cleanSensitiveHeaders(this.request);
 
+	if (this.rateLimiter && response) {
+		this._updateRateLimit(response);
+	}
+
 	// If the API connected successfully but responded with a temporary error (like a 5xx code,
 	// a rate limited response, etc.) then this is considered an error as well.
 	if (!err && isTemporaryError(response)) {
@@ -234,6 +421,12 @@ APIRequest.prototype._handleResponse = function(err, response) {
 		err = new Error(errorMessage);
 	}
 
+	this.attempts.push({
+		statusCode: response ? response.statusCode : null,
+		error: err || null,
+		elapsedTimeMS: this._getElapsedTimeMS()
+	});
+
 	if (err) {
 
 		// Attach request & response information to the error object
@@ -254,6 +447,10 @@ APIRequest.prototype._handleResponse = function(err, response) {
 		if (this.isRetryable && !isJWT) {
 			this._retry(err);
 		} else {
+			if (!this.isRetryable) {
+				err.message += ' (the request could not be retried, since its form data contains a stream that can only be read once;'
+					+ ' pass a Buffer, a string, a file read stream or a function returning a new stream to allow retries)';
+			}
 			this._finish(err);
 		}
 
@@ -265,6 +462,36 @@ APIRequest.prototype._handleResponse = function(err, response) {
 	this._finish(null, response);
 };
 
+/**
+ * Get the time elapsed since the first attempt of the request was sent.
+ *
+ * @returns {number} The elapsed time, in milliseconds
+ * @private
+ */
+APIRequest.prototype._getElapsedTimeMS = function() {
+	var elapsedTime = process.hrtime(this.startTime);
+	return (elapsedTime[0] * 1000) + (elapsedTime[1] / 1000000);
+};
+
+/**
+ * Let the rate limiter adapt to the response: slow down when the API asks the SDK
+ * to back off via a Retry-After header, and speed back up on success.
+ *
+ * @param {APIRequest~ResponseObject} response The response to the request
+ * @returns {void}
+ * @private
+ */
+APIRequest.prototype._updateRateLimit = function(response) {
+	var requestHeaders = this.config.request.headers,
+		retryAfter = errors.parseRetryAfter(response.headers);
+
+	if (retryAfter !== null) {
+		this.rateLimiter.throttle(requestHeaders, retryAfter * 1000);
+	} else if (response.statusCode < 400) {
+		this.rateLimiter.recover(requestHeaders);
+	}
+};
+
 /**
  * Attempt a retry. If the request hasn't exceeded it's maximum number of retries,
  * re-execute the request (after the retry interval). Otherwise, propagate a new error.
@@ -278,19 +505,18 @@ APIRequest.prototype._retry = function(err) {
 
 	if (this.numRetries < this.config.numMaxRetries) {
 		var retryTimeout;
+		var totalElapsedTimeMS = this._getElapsedTimeMS();
 		this.numRetries += 1;
 		// If the retry strategy is defined, then use it to determine the time (in ms) until the next retry or to
 		// propagate an error to the user.
 		if (this.config.retryStrategy) {
-			// Get the total elapsed time so far since the request was executed
-			var totalElapsedTime = process.hrtime(asyncRequestTimer);
-			var totalElapsedTimeMS = (totalElapsedTime[0] * 1000) + (totalElapsedTime[1] / 1000000);
 			var retryOptions = {
 				error: err,
 				numRetryAttempts: this.numRetries,
 				numMaxRetries: this.config.numMaxRetries,
 				retryIntervalMS: this.config.retryIntervalMS,
-				totalElapsedTimeMS
+				totalElapsedTimeMS,
+				attempts: this.attempts.map(attempt => Object.assign({}, attempt))
 			};
 
 			retryTimeout = this.config.retryStrategy(retryOptions);
@@ -304,18 +530,66 @@ APIRequest.prototype._retry = function(err) {
 				this._finish(err);
 				return;
 			}
-		} else if (err.hasOwnProperty('response') && err.response.hasOwnProperty('headers') && err.response.headers.hasOwnProperty('retry-after')) {
-			retryTimeout = err.response.headers['retry-after'] * 1000;
+		} else if (err.response && errors.parseRetryAfter(err.response.headers) !== null) {
+			retryTimeout = errors.parseRetryAfter(err.response.headers) * 1000;
 		} else {
 			retryTimeout = getRetryTimeout(this.numRetries, this.config.retryIntervalMS);
 		}
-		setTimeout(this.execute.bind(this), retryTimeout);
+
+		// Don't wait for a retry that could only start after the deadline has passed
+		if (this.config.retryDeadlineMS && totalElapsedTimeMS + retryTimeout >= this.config.retryDeadlineMS) {
+			err.retryDeadlineExceeded = true;
+			this._finish(err);
+			return;
+		}
+
+		this.attempts[this.attempts.length - 1].delayMS = retryTimeout;
+		this._retryTimer = setTimeout(this._executeRetry.bind(this), retryTimeout);
 	} else {
 		err.maxRetriesExceeded = true;
 		this._finish(err);
 	}
 };
 
+/**
+ * Re-execute the request for a retry, once the rate limiter allows it to be sent.
+ *
+ * @returns {void}
+ * @private
+ */
+APIRequest.prototype._executeRetry = function() {
+	if (!this.rateLimiter) {
+		this.execute();
+		return;
+	}
+
+	this.rateLimiter.acquire(this.config.request.headers, this.signal)
+		.then(() => this.execute())
+		.catch(err => {
+			// An abort while waiting has already been propagated by _abort()
+			if (!this.aborted) {
+				this._finish(err);
+			}
+		});
+};
+
+/**
+ * Abort the request: cancel any pending retry and propagate an abort error. The
+ * transport is passed the same signal, so it stops any attempt in progress.
+ *
+ * @returns {void}
+ * @private
+ */
+APIRequest.prototype._abort = function() {
+	if (this.aborted) {
+		return;
+	}
+
+	this.aborted = true;
+	clearTimeout(this._retryTimer);
+	this._finish(errors.buildAbortError());
+};
+
 /**
  * Propagate the response to the provided callback.
  *
@@ -326,6 +600,11 @@ APIRequest.prototype._retry = function(err) {
  */
 APIRequest.prototype._finish = function(err, response) {
 	var callback = this._callback;
+
+	if (this.signal) {
+		this.signal.removeEventListener('abort', this._onAbort);
+	}
+
 	process.nextTick(() => {
 		if (err) {
 			callback(err);
@@ -34,6 +34,9 @@ var util = require('util'),
 	isIP = require('net').isIP,
 	merge = require('merge-options'),
 	PagingIterator = require('./util/paging-iterator'),
+	ETagCache = require('./util/etag-cache'),
+	TokenManager = require('./token-manager'),
+	DownscopedSession = require('./sessions/downscoped-session'),
 	Promise = require('bluebird'),
 	pkg = require('../package.json');
 
@@ -76,6 +79,10 @@ var HEADER_AUTHORIZATION = 'Authorization',
 	HEADER_XFF = 'X-Forwarded-For',
 	// As-User header
 	HEADER_AS_USER = 'As-User',
+	// Header asking the API to only send a representation that doesn't match the given ETag
+	HEADER_IF_NONE_MATCH = 'If-None-Match',
+	// Matches the URLs of files and folders and their sub-resources, e.g. /files/123 or /folders/123/copy
+	ETAG_CACHE_ITEM_URL_PATTERN = /\/(files|folders)\/(\d+)(\/[^?]*)?(?:\?.*)?$/,
 	// Range of SUCCESS http status codes
 	HTTP_STATUS_CODE_SUCCESS_BLOCK_RANGE = [
 		200,
@@ -115,6 +122,29 @@ function isUnauthorizedDueToExpiredAccessToken(response) {
 	return isResponseStatusCodeUnauthorized && isResponseBodyEmpty;
 }
 
+/**
+ * Move an abort signal passed in a manager method's options to the top level of the request params.
+ * Manager methods send their options as the query string or body of the request, so this lets any
+ * of them accept a signal without it being sent to the API.
+ *
+ * @param {Object} params - The request params, which are modified in place
+ * @returns {void}
+ * @private
+ */
+function extractAbortSignal(params) {
+	[
+		'qs',
+		'body'
+	].forEach(key => {
+		var options = params[key];
+		if (options && options.signal && typeof options.signal.addEventListener === 'function') {
+			params.signal = params.signal || options.signal;
+			params[key] = Object.assign({}, options);
+			delete params[key].signal;
+		}
+	});
+}
+
 /**
  * Returns a full URL. If the url argument begins with http:// or https://, then url is simply returned.
  * Otherwise, the defaultBasePath is prepended to url and returned.
@@ -131,6 +161,42 @@ function getFullURL(defaultBasePath, url) {
 	return defaultBasePath + url;
 }
 
+/**
+ * Create the ETag cache for a client, as set up by the etagCache config option
+ *
+ * @param {boolean|ETagCacheOptions|Function} [etagCache] The etagCache config option
+ * @returns {?ETagCache} The cache, or null if caching is disabled
+ * @private
+ */
+function createETagCache(etagCache) {
+	if (!etagCache) {
+		return null;
+	}
+	if (typeof etagCache === 'function') {
+		return etagCache();
+	}
+	return new ETagCache(etagCache === true ? {} : etagCache);
+}
+
+/**
+ * Identify the representation a GET request asks for among those cached for an item,
+ * since the fields returned and the user they are returned to depend on the request
+ *
+ * @param {Object} params The request params
+ * @param {Object} customHeaders The client's custom headers
+ * @returns {string} The key of the representation in the item's cache entry
+ * @private
+ */
+function getETagCacheVariant(params, customHeaders) {
+	var headers = Object.assign({}, customHeaders, params.headers);
+
+	return JSON.stringify([
+		params.qs ? qs.stringify(params.qs) : '',
+		headers[HEADER_AS_USER] || null,
+		headers[HEADER_BOXAPI] || null
+	]);
+}
+
 /**
  * Create a valid request object for the Batch API from a standard request
  * params object
@@ -204,6 +270,9 @@ function BoxClient(apiSession, config, requestManager) {
 	// Attach a request manager instance for making requests
 	this._requestManager = requestManager;
 
+	// Keep the configuration, so that clients derived from this one are configured the same way
+	this._config = config;
+
 	// An object of custom headers to apply to every request. Modified via BoxClient.setCustomHeader().
 	this._customHeaders = {};
 	// Attach the configured properties
@@ -211,8 +280,12 @@ function BoxClient(apiSession, config, requestManager) {
 	this._uploadBaseURL = util.format('%s/%s', config.uploadAPIRootURL, config.apiVersion);
 	this._uploadRequestTimeoutMS = config.uploadRequestTimeoutMS;
 	this._useIterators = config.iterators;
+	this._iteratorOptions = { prefetch: config.iteratorPrefetch };
 	this._analyticsClient = config.analyticsClient;
 
+	// The files and folders this client has read, to revalidate rather than download them again
+	this._etagCache = createETagCache(config.etagCache);
+
 	// Attach API Resource Managers
 	this.users = new Users(this);
 	this.files = new Files(this);
@@ -268,6 +341,66 @@ BoxClient.prototype._createHeadersForRequest = function(callerHeaders, accessTok
 	return headers;
 };
 
+/**
+ * Set up a request to use the client's ETag cache. A GET for a file or folder the client
+ * has already read asks the API to only send it again if its ETag has changed, and any
+ * other request for a file or folder removes it from the cache, whether or not it succeeds.
+ *
+ * @param {Object} params - Request lib params, whose headers are modified to make the request conditional
+ * @returns {?Function} A function that takes the response and returns it with the cached body filled in
+ *  when the API reports the item hasn't changed, or null if the request doesn't use the cache
+ * @private
+ */
+BoxClient.prototype._prepareETagCacheRequest = function(params) {
+	var cache = this._etagCache,
+		match = ETAG_CACHE_ITEM_URL_PATTERN.exec(params.url);
+
+	if (!match) {
+		return null;
+	}
+
+	var key = `${match[1]}/${match[2]}`;
+
+	// The item is forgotten before the change is sent, since a request that fails may still have
+	// changed it, and again after the response, in case a read made meanwhile cached it
+	if (params.method !== 'GET') {
+		cache.delete(key);
+		return response => {
+			cache.delete(key);
+			return response;
+		};
+	}
+
+	// Requests for sub-resources, and requests that are already conditional, are sent as they are
+	if (match[3] || (params.headers && params.headers[HEADER_IF_NONE_MATCH])) {
+		return null;
+	}
+
+	var variant = getETagCacheVariant(params, this._customHeaders),
+		entry = cache.get(key),
+		cached = entry ? entry[variant] : null;
+
+	if (cached) {
+		params.headers = Object.assign({}, params.headers, { [HEADER_IF_NONE_MATCH]: cached.etag });
+	}
+
+	return response => {
+		if (cached && response.statusCode === httpStatusCodes.NOT_MODIFIED) {
+			response.statusCode = httpStatusCodes.OK;
+			response.body = merge({}, cached.body);
+		} else if (response.statusCode === httpStatusCodes.OK && response.body && typeof response.body.etag === 'string') {
+			// Other representations of the item are kept, since they are only returned if their ETag still matches
+			cache.set(key, Object.assign({}, cache.get(key), {
+				[variant]: {
+					etag: response.body.etag,
+					body: merge({}, response.body)
+				}
+			}));
+		}
+		return response;
+	};
+};
+
 /**
  * Makes an API request to the Box API on behalf of the client. Before executing
  * the request, it first ensures the user has usable tokens. Will be called again
@@ -283,14 +416,29 @@ BoxClient.prototype._makeRequest = function(params, callback) {
 
 	var promise;
 
+	extractAbortSignal(params);
+
 	if (this._batch) {
 
+		// Calls in a batch can't be cancelled, and the signal must not be sent with the batch
+		delete params.signal;
+
 		// eslint-disable-next-line promise/avoid-new
 		promise = new Promise((resolve, reject) => {
 			this._batch.push({ params, resolve, reject });
 		});
 	} else {
 
+		// Give the session a chance to reject requests it can't authorize, e.g. a downscoped
+		// session without a scope the request needs
+		var sessionError = this._session.checkRequest ? this._session.checkRequest(params) : null;
+		if (sessionError) {
+			return Promise.reject(sessionError)
+				.asCallback(callback);
+		}
+
+		var handleETagCacheResponse = this._etagCache && !params.streaming ? this._prepareETagCacheRequest(params) : null;
+
 		// Check that tokens are fresh, update if tokens are expired or soon-to-be expired
 		promise = this._session.getAccessToken(this._tokenOptions)
 			.then(accessToken => {
@@ -300,27 +448,33 @@ BoxClient.prototype._makeRequest = function(params, callback) {
 				if (params.streaming) {
 					// streaming is specific to the SDK, so delete it from params before continuing
 					delete params.streaming;
-					var responseStream = this._requestManager.makeStreamingRequest(params);
-					// Listen to 'response' event, so we can cleanup the token store in case when the request is unauthorized
-					// due to expired access token
-					responseStream.on('response', response => {
-						if (isUnauthorizedDueToExpiredAccessToken(response)) {
-
-							var expiredTokensError = errors.buildAuthError(response);
-
-							// Give the session a chance to handle the error (ex: a persistent session will clear the token store)
-							if (this._session.handleExpiredTokensError) {
-								this._session.handleExpiredTokensError(expiredTokensError);
-							}
-						}
-					});
-
-					return responseStream;
+					return this._requestManager.makeStreamingRequestAsync(params)
+						.then(responseStream => {
+							// Listen to 'response' event, so we can cleanup the token store in case when the request is unauthorized
+							// due to expired access token
+							responseStream.on('response', response => {
+								if (isUnauthorizedDueToExpiredAccessToken(response)) {
+
+									var expiredTokensError = errors.buildAuthError(response);
+
+									// Give the session a chance to handle the error (ex: a persistent session will clear the token store)
+									if (this._session.handleExpiredTokensError) {
+										this._session.handleExpiredTokensError(expiredTokensError);
+									}
+								}
+							});
+
+							return responseStream;
+						});
 				}
 
 				// Make the request to Box, and perform standard response handling
 				return this._requestManager.makeRequest(params);
 			});
+
+		if (handleETagCacheResponse) {
+			promise = promise.then(handleETagCacheResponse);
+		}
 	}
 
 	return promise
@@ -473,6 +627,65 @@ BoxClient.prototype.asSelf = function() {
 	this.setCustomHeader(HEADER_AS_USER, null);
 };
 
+/**
+ * Create a client that shares this client's session and request manager, with the
+ * given custom headers changed. This client is not modified.
+ *
+ * @param {Object} headers The custom headers to set on the new client; headers set to null are removed
+ * @param {TokenRequestOptions} [tokenOptions] The token request options for the new client, if they differ
+ * @returns {BoxClient} The new client
+ * @private
+ */
+BoxClient.prototype._createDerivedClient = function(headers, tokenOptions) {
+	var client = new BoxClient(this._session, this._config, this._requestManager);
+
+	client._customHeaders = Object.assign({}, this._customHeaders);
+	Object.keys(headers).forEach(header => client.setCustomHeader(header, headers[header]));
+
+	if (tokenOptions || this._tokenOptions) {
+		client._tokenOptions = tokenOptions || this._tokenOptions;
+	}
+
+	return client;
+};
+
+/**
+ * Create a client that makes calls as the given user, like asUser(), without changing
+ * this client. The new client shares this client's session and request manager, so it
+ * is cheap to create one per request.
+ *
+ * @param {string} userID - The ID of the user to impersonate
+ * @returns {BoxClient} A new client making calls as the user
+ */
+BoxClient.prototype.forUser = function(userID) {
+	return this._createDerivedClient({ [HEADER_AS_USER]: userID });
+};
+
+/**
+ * Create a client that makes calls in the context of the given shared link, like
+ * setSharedContext(), without changing this client.
+ *
+ * @param {string} url The shared link url
+ * @param {?string} [password] The shared link password, null if no password exists.
+ * @returns {BoxClient} A new client making calls with the shared link
+ */
+BoxClient.prototype.withSharedLink = function(url, password) {
+	return this._createDerivedClient({ [HEADER_BOXAPI]: this.buildSharedItemAuthHeader(url, password) });
+};
+
+/**
+ * Create a client that sends the given requesting IP addresses, like setIPs(), without
+ * changing this client.
+ *
+ * @param {string[]} ips - Array of IP Addresses
+ * @returns {BoxClient} A new client sending the IP addresses
+ */
+BoxClient.prototype.withIPs = function(ips) {
+	var validIPs = ips.filter(ipString => isIP(ipString)).join(', ');
+
+	return this._createDerivedClient({ [HEADER_XFF]: validIPs }, { ip: validIPs });
+};
+
 /**
  * Revokes the client's access tokens. The client will no longer be tied to a user
  * and will be unable to make calls to the API, rendering it effectively useless.
@@ -510,6 +723,34 @@ BoxClient.prototype.exchangeToken = function(scopes, resource, options, callback
 		.asCallback(callback);
 };
 
+/**
+ * Create a client whose token is exchanged from this client's token, limited to the given
+ * scopes and optionally to a single resource. The downscoped token is exchanged again
+ * whenever it is about to expire, so the new client can be used like any other client,
+ * e.g. to keep supplying tokens to Box UI Elements. Calls that are known to need a scope
+ * the token doesn't have fail with an InsufficientScopeError, without being sent.
+ *
+ * @param {string|string[]} scopes The scope(s) to limit the new client to
+ * @param {string} [resource] The absolute URL of an API resource to limit the new client to
+ * @param {Object} [options] - Optional parameters
+ * @param {SharedLinkParams} [options.sharedLink] - Optional shared link parameters for creating tokens using shared links
+ * @returns {BoxClient} A new client using a downscoped token
+ */
+BoxClient.prototype.getDownscopedClient = function(scopes, resource, options) {
+	var tokenManager = new TokenManager(this._config, this._requestManager),
+		session = new DownscopedSession(this._session, scopes, resource, options, this._config, tokenManager),
+		client = new BoxClient(session, this._config, this._requestManager);
+
+	// Keep making calls as the same user and with the same shared link as this client
+	client._customHeaders = Object.assign({}, this._customHeaders);
+
+	if (this._tokenOptions) {
+		client._tokenOptions = this._tokenOptions;
+	}
+
+	return client;
+};
+
 /**
  * Makes GET request to Box API V2 endpoint
  *
@@ -684,6 +925,19 @@ BoxClient.prototype.buildSharedItemAuthHeader = function(url, password) {
 	return util.format('shared_link=%s', encodedURL);
 };
 
+/**
+ * Create an iterator that continues reading a collection where a previous iterator
+ * stopped, from the state returned by its serialize() method. The state can be
+ * stored as JSON, so that a long listing can be resumed in a new process.
+ *
+ * @param {PagingIteratorState} state The serialized state of the previous iterator
+ * @returns {PagingIterator} An iterator over the remaining items of the collection
+ * @throws {Error} Will throw when the state is invalid
+ */
+BoxClient.prototype.resumeIterator = function(state) {
+	return new PagingIterator(state, this, this._iteratorOptions);
+};
+
 /**
  * Return a callback that properly handles a successful response code by passing the response
  * body to the original callback. Any request error or unsuccessful response codes are propagated
@@ -714,7 +968,7 @@ BoxClient.prototype.defaultResponseHandler = function(callback) {
 			&& response.statusCode <= HTTP_STATUS_CODE_SUCCESS_BLOCK_RANGE[1]) {
 
 			if (self._useIterators && PagingIterator.isIterable(response)) {
-				callback(null, new PagingIterator(response, self));
+				callback(null, new PagingIterator(response, self, self._iteratorOptions));
 				return;
 			}
 
@@ -754,7 +1008,7 @@ BoxClient.prototype.wrapWithDefaultHandler = function(method) {
 						&& response.statusCode <= HTTP_STATUS_CODE_SUCCESS_BLOCK_RANGE[1]) {
 
 					if (self._useIterators && PagingIterator.isIterable(response)) {
-						return new PagingIterator(response, self);
+						return new PagingIterator(response, self, self._iteratorOptions);
 					}
 
 					return response.body;
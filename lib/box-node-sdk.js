@@ -14,6 +14,8 @@
  * @property {ReadTokenInfoFromStore} read - read TokenInfo from app central store.
  * @property {WriteTokenInfoToStore} write - write TokenInfo to the app's central store.
  * @property {ClearTokenInfoFromStore} clear - delete TokenInfo from the app's central store.
+ * @property {LockTokenStore} [lock] - take a lock that lets only one process at a time refresh the tokens.
+ * @property {UnlockTokenStore} [unlock] - release the lock taken by lock().
  */
 
 /**
@@ -37,6 +39,29 @@
  *  and null result to indicate success
  */
 
+/**
+ * Takes the token store's lock, waiting until any other process holding it has released it.
+ * Persistent sessions hold the lock while refreshing tokens, and use the tokens written to the
+ * store by the previous holder instead of refreshing again.
+ * @typedef {Function} LockTokenStore
+ * @param {Function} callback - err if the lock could not be taken, otherwise propagates null err
+ *  once the lock is held
+ */
+
+/**
+ * Releases the token store's lock
+ * @typedef {Function} UnlockTokenStore
+ * @param {Function} callback - err if the lock could not be released, otherwise propagates null err
+ */
+
+/**
+ * A PKCE-protected OAuth2 authorization request, created by createAuthorizationRequest()
+ * @typedef {Object} AuthorizationRequest
+ * @property {string} url The authorize page URL to send the user to
+ * @property {string} state The CSRF state value the redirect must return
+ * @property {string} codeVerifier The PKCE code verifier to exchange the authorization code with
+ */
+
 // ------------------------------------------------------------------------------
 // Requirements
 // ------------------------------------------------------------------------------
@@ -51,8 +76,22 @@ var EventEmitter = require('events').EventEmitter,
 	PersistentAPISession = require('./sessions/persistent-session'),
 	AnonymousAPISession = require('./sessions/anonymous-session'),
 	AppAuthSession = require('./sessions/app-auth-session'),
+	CCGSession = require('./sessions/ccg-session'),
+	MemoryTokenStore = require('./token-stores/memory-token-store'),
+	FileTokenStore = require('./token-stores/file-token-store'),
+	LoopbackRedirectListener = require('./util/loopback-redirect-listener'),
+	ClientPool = require('./client-pool'),
+	Cassette = require('./util/cassette'),
+	FakeBox = require('./transports/fake-box'),
+	TokenCache = require('./util/token-cache'),
+	ETagCache = require('./util/etag-cache'),
 	BoxClient = require('./box-client'),
-	Webhooks = require('./managers/webhooks');
+	Webhooks = require('./managers/webhooks'),
+	authorization = require('./util/authorization'),
+	errors = require('./util/errors'),
+	sessionEvents = require('./util/session-events'),
+	appConfigLoader = require('./util/app-config'),
+	Promise = require('bluebird');
 
 // ------------------------------------------------------------------------------
 // Private
@@ -71,6 +110,7 @@ var EventEmitter = require('events').EventEmitter,
  *    However, it is recommended to use clients to do this for you.
  * 3. Emits notification events about relevant request/response events. Useful for logging Box API interactions.
  *    Notification events: request retries, exceeding max retries, permanent failures.
+ * 4. Emits session lifecycle events when clients acquire, refresh or revoke tokens. See sessionEvents.
  *
  * @param {UserConfigurationOptions} params User settings used to initialize and customize the SDK
  * @constructor
@@ -87,6 +127,11 @@ function BoxSDKNode(params) {
 		self.emit.apply(self, args);
 	});
 
+	Object.keys(sessionEvents.events).forEach(key => {
+		var eventName = sessionEvents.events[key];
+		eventBus.on(eventName, event => self.emit(eventName, event));
+	});
+
 
 	// Setup the configuration with the given params
 	this.config = new Config(params);
@@ -112,6 +157,14 @@ BoxSDKNode.prototype._setup = function() {
 	// Initialize the rest of the SDK with the given configuration
 	this.tokenManager = new TokenManager(this.config, this.requestManager);
 	this.anonymousSession = new AnonymousAPISession(this.config, this.tokenManager);
+
+	// App auth sessions share tokens for the same entity through the cache, when it is enabled
+	this.tokenCache = null;
+	if (this.config.tokenCache) {
+		this.tokenCache = new TokenCache(Object.assign({
+			expiryBufferMS: Math.max(this.config.expiredBufferMS, this.config.staleBufferMS)
+		}, this.config.tokenCache));
+	}
 };
 
 /**
@@ -126,16 +179,21 @@ BoxSDKNode.collaborationRoles = BoxSDKNode.prototype.collaborationRoles;
 BoxSDKNode.prototype.CURRENT_USER_ID = BoxClient.prototype.CURRENT_USER_ID;
 BoxSDKNode.CURRENT_USER_ID = BoxSDKNode.prototype.CURRENT_USER_ID;
 
+/**
+ * Names of the session lifecycle events emitted by the SDK instance
+ * @see {@Link SessionEvent}
+ */
+BoxSDKNode.sessionEvents = sessionEvents.events;
+
 /**
  * Gets the BoxSDKNode instance by passing boxAppSettings json downloaded from the developer console.
  *
  * @param {Object} appConfig boxAppSettings object retrieved from Dev Console.
  * @returns {BoxSDKNode} an instance that has been preconfigured with the values from the Dev Console
+ * @throws {ConfigurationError} If a field of the configuration is missing or invalid
  */
 BoxSDKNode.getPreconfiguredInstance = function(appConfig) {
-	if (typeof appConfig.boxAppSettings !== 'object') {
-		throw new TypeError('Configuration does not include boxAppSettings object.');
-	}
+	appConfigLoader.validate(appConfig);
 
 	var boxAppSettings = appConfig.boxAppSettings;
 	var webhooks = appConfig.webhooks;
@@ -173,9 +231,29 @@ BoxSDKNode.getPreconfiguredInstance = function(appConfig) {
 		params.enterpriseID = appConfig.enterpriseID;
 	}
 
+	// Client Credentials Grant configurations may authenticate as a user instead of the enterprise
+	if (typeof appConfig.userID === 'string') {
+		params.userID = appConfig.userID;
+	}
+
 	return new BoxSDKNode(params);
 };
 
+/**
+ * Gets the BoxSDKNode instance configured from the JSON downloaded from the developer console,
+ * read from a file or from environment variables.  Fields can be overridden with environment
+ * variables, and a named profile can be selected from a configuration that holds several.
+ * {@see AppConfig.load}
+ *
+ * @param {string|Object} [source] The path of the configuration file, or the parsed configuration [Default: BOX_CONFIG_PATH or BOX_CONFIG]
+ * @param {AppConfigLoadOptions} [options] Optional loading settings, e.g. the profile to use
+ * @returns {BoxSDKNode} an instance that has been preconfigured with the loaded values
+ * @throws {ConfigurationError} If a field of the configuration is missing or invalid
+ */
+BoxSDKNode.loadPreconfiguredInstance = function(source, options) {
+	return BoxSDKNode.getPreconfiguredInstance(appConfigLoader.load(source, options));
+};
+
 /**
  * Updates the SDK configuration with new parameters.
  *
@@ -187,6 +265,21 @@ BoxSDKNode.prototype.configure = function(params) {
 	this._setup();
 };
 
+/**
+ * Adds a middleware to run on every API request made by clients from this SDK instance,
+ * including clients that have already been created. Middleware run in the order they
+ * were added.
+ *
+ * @param {Middleware} middleware The middleware to add
+ * @returns {void}
+ */
+BoxSDKNode.prototype.use = function(middleware) {
+	this.config = this.config.extend({
+		middleware: this.config.middleware.concat([middleware])
+	});
+	this.requestManager.use(middleware);
+};
+
 /**
  * Returns a Box Client with a Basic API Session. The client is able to make requests on behalf of a user.
  * A basic session has no access to a user's refresh token. Because of this, once the session's tokens
@@ -249,7 +342,8 @@ BoxSDKNode.prototype.getAnonymousClient = function() {
 /**
  * Create a new client using App Auth for the given entity.  This allows either
  * managing App Users (as the enterprise) or performing operations as the App
- * Users themselves (as a user).
+ * Users themselves (as a user).  When the token cache is enabled, clients for
+ * the same entity reuse each other's tokens instead of each requesting new ones.
  *
  * @param {string} type The type of entity to operate as, "enterprise" or "user"
  * @param {string} id The Box ID of the entity to operate as
@@ -265,10 +359,60 @@ BoxSDKNode.prototype.getAppAuthClient = function(type, id, tokenStore) {
 		}
 	}
 
-	var appAuthSession = new AppAuthSession(type, id, this.config, this.tokenManager, tokenStore);
+	var appAuthSession = new AppAuthSession(type, id, this.config, this.tokenManager, tokenStore, this.tokenCache);
 	return new BoxClient(appAuthSession, this.config, this.requestManager);
 };
 
+/**
+ * Create a new client using Client Credentials Grant (CCG) auth for the given
+ * enterprise or user.  Tokens are requested with the application's client ID
+ * and secret, cached, and requested again as they expire.  When neither ID is
+ * passed, the user ID or enterprise ID from the SDK config is used.
+ *
+ * @param {Object} [subject] The entity to operate as
+ * @param {string} [subject.enterpriseID] The Box ID of the enterprise to operate as
+ * @param {string} [subject.userID] The Box ID of the user to operate as
+ * @param {TokenStore} [tokenStore] (Optional) the token store to use for caching tokens
+ * @returns {BoxClient} A new client authorized as the enterprise or user
+ */
+BoxSDKNode.prototype.getCCGClient = function(subject, tokenStore) {
+	subject = subject || {};
+
+	var type, id;
+	if (subject.enterpriseID && subject.userID) {
+		throw new Error('Only one of enterpriseID or userID may be passed');
+	} else if (subject.userID) {
+		type = 'user';
+		id = subject.userID;
+	} else if (subject.enterpriseID) {
+		type = 'enterprise';
+		id = subject.enterpriseID;
+	} else if (this.config.userID) {
+		type = 'user';
+		id = this.config.userID;
+	} else if (this.config.enterpriseID) {
+		type = 'enterprise';
+		id = this.config.enterpriseID;
+	} else {
+		throw new Error('Enterprise ID or user ID must be passed');
+	}
+
+	var ccgSession = new CCGSession(type, id, this.config, this.tokenManager, tokenStore);
+	return new BoxClient(ccgSession, this.config, this.requestManager);
+};
+
+/**
+ * Create a pool that hands out cached clients for enterprises, users and shared
+ * links, for services that make calls on behalf of many of them.  The pooled
+ * clients share this instance's request manager and rate limiter.
+ *
+ * @param {ClientPoolOptions} [options] Optional pool settings
+ * @returns {ClientPool} A new client pool
+ */
+BoxSDKNode.prototype.createClientPool = function(options) {
+	return new ClientPool(this, options);
+};
+
 /**
  * Generate the URL for the authorize page to send users to for the first leg of
  * the OAuth2 flow.
@@ -283,6 +427,65 @@ BoxSDKNode.prototype.getAuthorizeURL = function(params) {
 	return `${this.config.authorizeRootURL}/oauth2/authorize?${qs.stringify(params)}`;
 };
 
+/**
+ * Start a PKCE-protected OAuth2 authorization code flow, for apps that can't keep
+ * their client secret private, such as CLI and desktop apps. Generates a random
+ * state value and PKCE code verifier, and the authorize page URL to send the user
+ * to. Keep the returned object until the user is redirected back, then pass it to
+ * completeAuthorization().
+ *
+ * @param {Object} params The OAuth2 parameters, e.g. redirect_uri and scope
+ * @returns {AuthorizationRequest} The authorize page URL, and the secrets needed to complete the flow
+ */
+BoxSDKNode.prototype.createAuthorizationRequest = function(params) {
+	var pkce = authorization.createPKCEPair(),
+		state = authorization.createState();
+
+	var url = this.getAuthorizeURL(Object.assign({ response_type: 'code' }, params, {
+		state,
+		code_challenge: pkce.codeChallenge,
+		code_challenge_method: pkce.codeChallengeMethod
+	}));
+
+	return {
+		url,
+		state,
+		codeVerifier: pkce.codeVerifier
+	};
+};
+
+/**
+ * Complete an OAuth2 authorization code flow started with createAuthorizationRequest(),
+ * once the user has been redirected back: verifies the state value to protect against
+ * CSRF, then exchanges the authorization code for tokens using the PKCE code verifier.
+ *
+ * @param {AuthorizationRequest} authorizationRequest The object returned by createAuthorizationRequest()
+ * @param {Object} redirectParams The query parameters of the redirect, including code and state
+ * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant, null for default behavior
+ * @param {Function} [callback] - passed a TokenInfo object if tokens were granted successfully
+ * @returns {Promise<TokenInfo>} Promise resolving to the token info
+ */
+BoxSDKNode.prototype.completeAuthorization = function(authorizationRequest, redirectParams, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = null;
+	}
+
+	if (redirectParams.error) {
+		var description = redirectParams.error_description ? ` - ${redirectParams.error_description}` : '';
+		return Promise.reject(new Error(`Authorization failed: ${redirectParams.error}${description}`))
+			.asCallback(callback);
+	}
+
+	if (!authorization.verifyState(authorizationRequest.state, redirectParams.state)) {
+		return Promise.reject(new Error('Authorization state does not match the authorization request'))
+			.asCallback(callback);
+	}
+
+	options = Object.assign({}, options, { codeVerifier: authorizationRequest.codeVerifier });
+	return this.getTokensAuthorizationCodeGrant(redirectParams.code, options, callback);
+};
+
 /**
  * Acquires token info using an authorization code
  *
@@ -381,5 +584,64 @@ BoxSDKNode.prototype.revokeTokens = function(token, options, callback) {
  */
 BoxSDKNode.validateWebhookMessage = Webhooks.validateMessage;
 
+/**
+ * Expose the built-in token stores, which can be passed to any method that accepts a TokenStore.
+ */
+BoxSDKNode.MemoryTokenStore = MemoryTokenStore;
+BoxSDKNode.FileTokenStore = FileTokenStore;
+
+/**
+ * Expose the helpers for PKCE-protected authorization, for apps that build the
+ * authorization flow themselves, and the listener that captures the redirect on localhost.
+ */
+BoxSDKNode.createPKCEPair = authorization.createPKCEPair.bind(authorization);
+BoxSDKNode.createAuthorizationState = authorization.createState;
+BoxSDKNode.verifyAuthorizationState = authorization.verifyState;
+BoxSDKNode.LoopbackRedirectListener = LoopbackRedirectListener;
+
+/**
+ * Expose the client pool, which can also be created with sdk.createClientPool().
+ */
+BoxSDKNode.ClientPool = ClientPool;
+
+/**
+ * Expose the in-memory ETag cache, for etagCache config functions that create
+ * differently configured caches or wrap them.
+ */
+BoxSDKNode.ETagCache = ETagCache;
+
+/**
+ * Expose the cassette that records and replays API interactions, which is added to
+ * an SDK instance as middleware with sdk.use(cassette.middleware()).
+ */
+BoxSDKNode.Cassette = Cassette;
+
+/**
+ * Expose the in-memory fake of the Box API, which is passed to an SDK instance as
+ * its transport to test apps without network access.
+ */
+BoxSDKNode.FakeBox = FakeBox;
+
+/**
+ * Expose the error classes to the SDK as a whole, so that the consumer can check
+ * which kind of error a call failed with, e.g. `err instanceof BoxSDK.NotFoundError`.
+ */
+[
+	'ResponseError',
+	'UnauthorizedError',
+	'ForbiddenError',
+	'NotFoundError',
+	'ConflictError',
+	'PreconditionFailedError',
+	'RateLimitedError',
+	'ServerError',
+	'NetworkError',
+	'InsufficientScopeError',
+	'ConfigurationError',
+	'UnmatchedRequestError'
+].forEach(errorClassName => {
+	BoxSDKNode[errorClassName] = errors[errorClassName];
+});
+
 /** @module box-node-sdk/lib/box-node-sdk */
 module.exports = BoxSDKNode;
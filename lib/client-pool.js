@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Pool of cached clients for services that work with many enterprises and users
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Typedefs
+// ------------------------------------------------------------------------------
+
+/**
+ * Client pool options
+ * @typedef {Object} ClientPoolOptions
+ * @property {string} [authType] How clients for enterprises and users authenticate, "appAuth" or "ccg"
+ *  [Default: "appAuth" when the SDK has App Auth configuration, otherwise "ccg"]
+ * @property {int} [idleTimeoutMS] Time after which a client that hasn't been requested from the pool is
+ *  removed from it [Default: 5 min.]
+ * @property {Function} [tokenStore] Function that creates the token store for an enterprise or user client,
+ *  passed the type ("enterprise" or "user") and ID [Default: tokens aren't stored]
+ */
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+var Promise = require('bluebird');
+
+// ------------------------------------------------------------------------------
+// Private
+// ------------------------------------------------------------------------------
+
+var defaults = {
+	authType: null,
+	idleTimeoutMS: 300000,
+	tokenStore: null
+};
+
+var authTypes = {
+	APP_AUTH: 'appAuth',
+	CCG: 'ccg'
+};
+
+/**
+ * Revoke a client's token, if it ever got one, and remove its stored tokens. Failures
+ * are ignored, leaving the tokens to expire.
+ *
+ * @param {BoxClient} client The client to dispose of
+ * @returns {Promise} A promise resolving once the client is disposed of
+ * @private
+ */
+function disposeClient(client) {
+	var session = client._session,
+		revoke = session.hasAccessToken() ? client.revokeTokens() : Promise.resolve();
+
+	return revoke
+		.catch(() => null)
+		.then(() => session.clearTokenStore())
+		.catch(() => null);
+}
+
+// ------------------------------------------------------------------------------
+// Public
+// ------------------------------------------------------------------------------
+
+/**
+ * Hands out clients for enterprises, users and shared links, creating each client
+ * the first time it is requested and returning the same client afterwards. All
+ * clients are created by the same SDK instance, so they share its request manager
+ * and rate limiter. Clients that haven't been requested for the idle timeout are
+ * removed from the pool; a client that is still referenced keeps working.
+ *
+ * @param {BoxSDKNode} sdk The SDK instance that creates the clients
+ * @param {ClientPoolOptions} [options] Optional pool settings
+ * @constructor
+ */
+function ClientPool(sdk, options) {
+	this._sdk = sdk;
+	this._options = Object.assign({}, defaults, options);
+
+	if (!this._options.authType) {
+		this._options.authType = sdk.config.appAuth ? authTypes.APP_AUTH : authTypes.CCG;
+	}
+	if (this._options.authType !== authTypes.APP_AUTH && this._options.authType !== authTypes.CCG) {
+		throw new Error(`Client pool authType must be one of: ${authTypes.APP_AUTH}, ${authTypes.CCG}`);
+	}
+
+	// Map of pool keys to {client, lastUsedMS} entries
+	this._clients = new Map();
+	this._evictionTimer = null;
+	this._disposed = false;
+}
+
+/**
+ * Get the client for a key, creating it if it isn't in the pool
+ *
+ * @param {string} key The pool key of the client
+ * @param {Function} createClient Function that creates the client
+ * @param {boolean} [sharedSession] Whether the client uses a session shared with clients outside the pool
+ * @returns {BoxClient} The client
+ * @private
+ */
+ClientPool.prototype._getClient = function(key, createClient, sharedSession) {
+	if (this._disposed) {
+		throw new Error('Client pool has been disposed');
+	}
+
+	var entry = this._clients.get(key);
+	if (!entry) {
+		entry = {
+			client: createClient(),
+			sharedSession: Boolean(sharedSession)
+		};
+		this._clients.set(key, entry);
+		this._startEvictionTimer();
+	}
+
+	entry.lastUsedMS = Date.now();
+	return entry.client;
+};
+
+/**
+ * Start checking for idle clients, if the pool isn't already
+ *
+ * @returns {void}
+ * @private
+ */
+ClientPool.prototype._startEvictionTimer = function() {
+	if (this._evictionTimer) {
+		return;
+	}
+
+	this._evictionTimer = setInterval(() => this._evictIdleClients(), this._options.idleTimeoutMS);
+	// Don't keep the process running just to clean up the pool
+	if (this._evictionTimer.unref) {
+		this._evictionTimer.unref();
+	}
+};
+
+/**
+ * Stop checking for idle clients
+ *
+ * @returns {void}
+ * @private
+ */
+ClientPool.prototype._stopEvictionTimer = function() {
+	clearInterval(this._evictionTimer);
+	this._evictionTimer = null;
+};
+
+/**
+ * Remove the clients that haven't been requested for the idle timeout
+ *
+ * @returns {void}
+ * @private
+ */
+ClientPool.prototype._evictIdleClients = function() {
+	var idleSinceMS = Date.now() - this._options.idleTimeoutMS;
+
+	this._clients.forEach((entry, key) => {
+		if (entry.lastUsedMS <= idleSinceMS) {
+			this._clients.delete(key);
+		}
+	});
+
+	if (this._clients.size === 0) {
+		this._stopEvictionTimer();
+	}
+};
+
+/**
+ * Create the token store for an enterprise or user client, if the pool has a token store option
+ *
+ * @param {string} type The type of the entity, "enterprise" or "user"
+ * @param {string} id The Box ID of the entity
+ * @returns {TokenStore|undefined} The token store, or undefined if tokens aren't stored
+ * @private
+ */
+ClientPool.prototype._createTokenStore = function(type, id) {
+	return this._options.tokenStore ? this._options.tokenStore(type, id) : undefined;
+};
+
+/**
+ * Get the client that makes calls as an enterprise, i.e. its Service Account
+ *
+ * @param {string} [enterpriseID] The Box ID of the enterprise [Default: the enterprise ID from the SDK config]
+ * @returns {BoxClient} The client for the enterprise
+ */
+ClientPool.prototype.getEnterpriseClient = function(enterpriseID) {
+	enterpriseID = enterpriseID || this._sdk.config.enterpriseID;
+	if (!enterpriseID) {
+		throw new Error('Enterprise ID must be passed');
+	}
+
+	return this._getClient(`enterprise:${enterpriseID}`, () => {
+		var tokenStore = this._createTokenStore('enterprise', enterpriseID);
+
+		if (this._options.authType === authTypes.APP_AUTH) {
+			return this._sdk.getAppAuthClient('enterprise', enterpriseID, tokenStore);
+		}
+		return this._sdk.getCCGClient({ enterpriseID }, tokenStore);
+	});
+};
+
+/**
+ * Get the client that makes calls as a user
+ *
+ * @param {string} userID The Box ID of the user
+ * @returns {BoxClient} The client for the user
+ */
+ClientPool.prototype.getUserClient = function(userID) {
+	if (!userID) {
+		throw new Error('User ID must be passed');
+	}
+
+	return this._getClient(`user:${userID}`, () => {
+		var tokenStore = this._createTokenStore('user', userID);
+
+		if (this._options.authType === authTypes.APP_AUTH) {
+			return this._sdk.getAppAuthClient('user', userID, tokenStore);
+		}
+		return this._sdk.getCCGClient({ userID }, tokenStore);
+	});
+};
+
+/**
+ * Get the client that makes calls in the context of a shared link, with an anonymous token
+ *
+ * @param {string} url The shared link url
+ * @param {?string} [password] The shared link password, null if no password exists.
+ * @returns {BoxClient} The client for the shared link
+ */
+ClientPool.prototype.getSharedLinkClient = function(url, password) {
+	if (!url) {
+		throw new Error('Shared link URL must be passed');
+	}
+
+	var key = `sharedLink:${JSON.stringify([
+		url,
+		password || null
+	])}`;
+
+	// Anonymous clients all use the SDK instance's anonymous session, so its token isn't the pool's to revoke
+	return this._getClient(key, () => this._sdk.getAnonymousClient().withSharedLink(url, password), true);
+};
+
+/**
+ * Revoke the tokens of every enterprise and user client in the pool, clear their token
+ * stores and empty the pool. The pool can't be used afterwards. Clients that never got
+ * a token are skipped, and tokens that can't be revoked are left to expire. Shared link
+ * clients use the SDK instance's anonymous session, so their token is left alone.
+ *
+ * @param {Function} [callback] Called once all tokens have been revoked
+ * @returns {Promise} A promise resolving once all tokens have been revoked
+ */
+ClientPool.prototype.dispose = function(callback) {
+	var clients = [];
+	this._clients.forEach(entry => {
+		if (!entry.sharedSession) {
+			clients.push(entry.client);
+		}
+	});
+
+	this._disposed = true;
+	this._clients.clear();
+	this._stopEvictionTimer();
+
+	return Promise.all(clients.map(disposeClient))
+		.then(() => undefined)
+		.asCallback(callback);
+};
+
+/**
+ * Enum of the ways clients for enterprises and users can authenticate
+ *
+ * @readonly
+ * @enum {string}
+ */
+ClientPool.prototype.authTypes = authTypes;
+
+/**
+ * @module box-node-sdk/lib/client-pool
+ * @see {@Link ClientPool}
+ */
+module.exports = ClientPool;
@@ -122,6 +122,7 @@ Collaborations.prototype.respondToPending = function(collaborationID, newStatus,
  * @param {ItemType} [options.type=folder] - Type of object to be collaborated
  * @param {boolean} [options.notify] - Determines if the user or group will receive email notifications
  * @param {boolean} [options.can_view_path] - Whether view path collaboration feature is enabled or not
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Called with the new collaboration if successful
  * @returns {Promise<Object>} A promise resolving to the created collaboration object
  */
@@ -159,6 +160,10 @@ Collaborations.prototype.create = function(accessibleBy, itemID, role, options,
 		};
 	}
 
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	return this.client.wrapWithDefaultHandler(this.client.post)(BASE_PATH, params, callback);
 };
 
@@ -71,13 +71,15 @@ function createFileMetadataFormData(parentFolderID, filename, options) {
 	};
 
 	Object.assign(metadata, options);
+	// The abort signal is a request option, not an attribute of the file
+	delete metadata.signal;
 
 	return JSON.stringify(metadata);
 }
 
 /**
  * Returns the multipart form value for file upload content.
- * @param {string|Buffer|Stream} content - the content of the file being uploaded
+ * @param {string|Buffer|Stream|Function} content - the content of the file being uploaded
  * @returns {Object} - the form value expected by the API for the 'content' key
  * @private
  */
@@ -218,6 +220,7 @@ Files.prototype.getDownloadURL = function(fileID, options, callback) {
  * @param {Object} [options] - Additional options for the request. Can be left null in most cases.
  * @param {string} [options.version] - ID of the version of this file to download
  * @param {int[]} [options.byteRange] - starting and ending bytes of the file to read, e.g. [0, 99] to read the first 100 bytes
+ * @param {AbortSignal} [options.signal] - signal that cancels the download when it fires 'abort'
  * @param {Function} [callback] - passed the readable stream if request was successful
  * @returns {Promise<Readable>} A promise resolving for the file stream
  */
@@ -230,6 +233,11 @@ Files.prototype.getReadStream = function(fileID, options, callback) {
 		headers: {}
 	};
 
+	// Cancel the download itself, as well as the request for the download URL
+	if (options.signal) {
+		downloadStreamOptions.signal = options.signal;
+	}
+
 	if (options.byteRange) {
 		var range = options.byteRange;
 		delete options.byteRange;
@@ -340,7 +348,8 @@ Files.prototype.update = function(fileID, updates, callback) {
 		params.headers = {
 			'If-Match': updates.etag
 		};
-		delete updates.etag;
+		params.body = Object.assign({}, updates);
+		delete params.body.etag;
 	}
 
 	var apiPath = urlPath(BASE_PATH, fileID);
@@ -411,10 +420,20 @@ Files.prototype.removeFromCollection = function(fileID, collectionID, callback)
  *
  * @param {string} fileID - The Box ID of the file being requested
  * @param {string} newParentID - The Box ID for the new parent folder. '0' to move to All Files.
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only move the file if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed the updated file information if it was acquired successfully
  * @returns {Promise<Object>} A promise resolving to the updated file object
  */
-Files.prototype.move = function(fileID, newParentID, callback) {
+Files.prototype.move = function(fileID, newParentID, options, callback) {
+
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
 	var params = {
 		body: {
 			parent: {
@@ -422,6 +441,17 @@ Files.prototype.move = function(fileID, newParentID, callback) {
 			}
 		}
 	};
+
+	if (options && options.etag) {
+		params.headers = {
+			'If-Match': options.etag
+		};
+	}
+
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(BASE_PATH, fileID);
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
@@ -470,6 +500,7 @@ Files.prototype.copy = function(fileID, newParentID, options, callback) {
  * @param {string} fileID - Box ID of the file being requested
  * @param {Object} [options] Optional parameters
  * @param {string} [options.etag] Only delete the file if the etag value matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Empty response body passed if successful.
  * @returns {Promise<void>} A promise resolving to nothing
  */
@@ -489,6 +520,10 @@ Files.prototype.delete = function(fileID, options, callback) {
 		};
 	}
 
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(BASE_PATH, fileID);
 	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, params, callback);
 };
@@ -588,7 +623,9 @@ Files.prototype.promoteVersion = function(fileID, versionID, callback) {
 };
 
 /**
- * Uploads a new file. Unlike non-upload methods, this method will not perform any retries.
+ * Uploads a new file. Failed uploads are retried like other calls when the content can be sent
+ * again: a string, a Buffer, a file read stream, or a function returning a new read stream for
+ * each attempt. Uploads from other streams, which can only be read once, are not retried.
  * This method currently does not support any optional parameters such as contentModifiedAt.
  *
  * API Endpoint: '/files/content'
@@ -596,11 +633,12 @@ Files.prototype.promoteVersion = function(fileID, versionID, callback) {
  *
  * @param {string} parentFolderID - the id of the parent folder to upload to
  * @param {string} filename - the file name that the uploaded file should have
- * @param {string|Buffer|ReadStream} content - the content of the file. It can be a string, a Buffer, or a read stream
- * (like that returned by fs.createReadStream()).
+ * @param {string|Buffer|ReadStream|Function} content - the content of the file. It can be a string, a Buffer, a read stream
+ * (like that returned by fs.createReadStream()), or a function returning a new read stream each time it is called.
  * @param {Object} [options] - Optional parameters
  * @param {string} [options.content_created_at] - RFC 3339 timestamp when the file was created
  * @param {string} [options.content_modified_at] - RFC 3339 timestamp when the file was last modified
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - called with data about the upload if successful, or an error if the
  * upload failed
  * @returns {Promise<Object>} A promise resolving to the uploaded file
@@ -614,27 +652,38 @@ Files.prototype.uploadFile = function(parentFolderID, filename, content, options
 	}
 
 	var apiPath = urlPath(BASE_PATH, '/content'),
+		params = null,
 		multipartFormData = {
 			attributes: createFileMetadataFormData(parentFolderID, filename, options),
 			content: createFileContentFormData(content)
 		};
 
-	return this.client.wrapWithDefaultHandler(this.client.upload)(apiPath, null, multipartFormData, callback);
+	if (options && options.signal) {
+		params = {
+			signal: options.signal
+		};
+	}
+
+	return this.client.wrapWithDefaultHandler(this.client.upload)(apiPath, params, multipartFormData, callback);
 };
 
 /**
- * Uploads a new version of a file. Unlike non-upload methods, this method will not perform any retries.
+ * Uploads a new version of a file. Failed uploads are retried like other calls when the content can be
+ * sent again: a string, a Buffer, a file read stream, or a function returning a new read stream for
+ * each attempt. Uploads from other streams, which can only be read once, are not retried.
  * This method currently does not support any optional parameters such as contentModifiedAt.
  *
  * API Endpoint: '/files/:fileID/content'
  * Method: POST
  *
  * @param {string} fileID - the id of the file to upload a new version of
- * @param {string|Buffer|Stream} content - the content of the file. It can be a string, a Buffer, or a read stream
- * (like that returned by fs.createReadStream()).
+ * @param {string|Buffer|Stream|Function} content - the content of the file. It can be a string, a Buffer, a read stream
+ * (like that returned by fs.createReadStream()), or a function returning a new read stream each time it is called.
  * @param {Object} [options] - Optional parameters
  * @param {string} [options.content_modified_at] - RFC 3339 timestamp when the file was last modified
  * @param {string} [options.name] - A new name for the file
+ * @param {string} [options.etag] - Only upload the new version if the file etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - called with data about the upload if successful, or an error if the
  * upload failed
  * @returns {Promise<Object>} A promise resolving to the uploaded file
@@ -648,15 +697,33 @@ Files.prototype.uploadNewFileVersion = function(fileID, content, options, callba
 	}
 
 	var apiPath = urlPath(BASE_PATH, fileID, '/content'),
+		params = null,
 		multipartFormData = {};
 
+	if (options && options.etag) {
+		params = {
+			headers: {
+				'If-Match': options.etag
+			}
+		};
+		options = Object.assign({}, options);
+		delete options.etag;
+	}
+
+	if (options && options.signal) {
+		params = params || {};
+		params.signal = options.signal;
+		options = Object.assign({}, options);
+		delete options.signal;
+	}
+
 	if (options) {
 		multipartFormData.attributes = JSON.stringify(options);
 	}
 
 	multipartFormData.content = createFileContentFormData(content);
 
-	return this.client.wrapWithDefaultHandler(this.client.upload)(apiPath, null, multipartFormData, callback);
+	return this.client.wrapWithDefaultHandler(this.client.upload)(apiPath, params, multipartFormData, callback);
 };
 
 /**
@@ -727,10 +794,19 @@ Files.prototype.addMetadata = function(fileID, scope, template, data, callback)
  * @param {string} scope - The scope of the template to update
  * @param {string} template - The template to update
  * @param {Object} patch - The patch data
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only update the metadata if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Called with updated metadata if successful
  * @returns {Promise<Object>} A promise resolving to the updated metadata
  */
-Files.prototype.updateMetadata = function(fileID, scope, template, patch, callback) {
+Files.prototype.updateMetadata = function(fileID, scope, template, patch, options, callback) {
+
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
 
 	var apiPath = urlPath(BASE_PATH, fileID, 'metadata', scope, template),
 		params = {
@@ -740,6 +816,14 @@ Files.prototype.updateMetadata = function(fileID, scope, template, patch, callba
 			}
 		};
 
+	if (options && options.etag) {
+		params.headers['If-Match'] = options.etag;
+	}
+
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
 
@@ -750,10 +834,18 @@ Files.prototype.updateMetadata = function(fileID, scope, template, patch, callba
  * @param {string} scope - The scope of the metadata template
  * @param {string} template - The key of the metadata template
  * @param {Object} metadata - The metadata to set
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only overwrite existing metadata if its etag matches
  * @param {Function} [callback] - Called with updated metadata if successful
  * @returns {Promise<Object>} A promise resolving to the updated metadata
  */
-Files.prototype.setMetadata = function(fileID, scope, template, metadata, callback) {
+Files.prototype.setMetadata = function(fileID, scope, template, metadata, options, callback) {
+
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
 
 	return this.addMetadata(fileID, scope, template, metadata)
 		.catch(err => {
@@ -769,7 +861,7 @@ Files.prototype.setMetadata = function(fileID, scope, template, metadata, callba
 				value: metadata[key],
 			}));
 
-			return this.updateMetadata(fileID, scope, template, updates);
+			return this.updateMetadata(fileID, scope, template, updates, options);
 		})
 		.asCallback(callback);
 };
@@ -783,13 +875,37 @@ Files.prototype.setMetadata = function(fileID, scope, template, metadata, callba
  * @param {string} fileID - The ID of the file to remove metadata from
  * @param {string} scope - The scope of the metadata template
  * @param {string} template - The template to remove from the file
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only remove the metadata if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Called with nothing if successful, error otherwise
  * @returns {Promise<void>} A promise resolving to nothing
  */
-Files.prototype.deleteMetadata = function(fileID, scope, template, callback) {
+Files.prototype.deleteMetadata = function(fileID, scope, template, options, callback) {
 
-	var apiPath = urlPath(BASE_PATH, fileID, 'metadata', scope, template);
-	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, null, callback);
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	var apiPath = urlPath(BASE_PATH, fileID, 'metadata', scope, template),
+		params = null;
+
+	if (options && options.etag) {
+		params = {
+			headers: {
+				'If-Match': options.etag
+			}
+		};
+	}
+
+	if (options && options.signal) {
+		params = params || {};
+		params.signal = options.signal;
+	}
+
+	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, params, callback);
 };
 
 /**
@@ -801,6 +917,7 @@ Files.prototype.deleteMetadata = function(fileID, scope, template, callback) {
  * @param {string} fileID - The ID of the file to remove metadata from
  * @param {Object} [options] Optional parameters
  * @param {string} [options.etag] Only delete the file if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Called with nothing if successful, error otherwise
  * @returns {Promise<void>} A promise resolving to nothing
  */
@@ -819,6 +936,10 @@ Files.prototype.deletePermanently = function(fileID, options, callback) {
 		};
 	}
 
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(BASE_PATH, fileID, '/trash');
 	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, params, callback);
 };
@@ -907,6 +1028,8 @@ Files.prototype.getEmbedLink = function(fileID, callback) {
  * @param {Object} [options] - Optional parameters, can be left null in most cases
  * @param {?string} [options.expires_at] - The time the lock expires
  * @param {boolean} [options.is_download_prevented] - Whether or not the file can be downloaded while locked
+ * @param {string} [options.etag] - Only lock the file if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed with the locked file information if successful, error otherwise
  * @returns {Promise<Object>} A promise resolving to the locked file object
  */
@@ -923,6 +1046,18 @@ Files.prototype.lock = function(fileID, options, callback) {
 
 	Object.assign(params.body.lock, options);
 
+	if (options && options.etag) {
+		params.headers = {
+			'If-Match': options.etag
+		};
+		delete params.body.lock.etag;
+	}
+
+	if (options && options.signal) {
+		params.signal = options.signal;
+		delete params.body.lock.signal;
+	}
+
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
 
@@ -933,10 +1068,19 @@ Files.prototype.lock = function(fileID, options, callback) {
  *  Method: PUT
  *
  * @param {string} fileID - The ID of the file to unlock
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only unlock the file if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed with the unlocked file information if successful, error otherwise
  * @returns {Promise<Object>} A promise resolving to the unlocked file object
  */
-Files.prototype.unlock = function(fileID, callback) {
+Files.prototype.unlock = function(fileID, options, callback) {
+
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
 
 	var apiPath = urlPath(BASE_PATH, fileID),
 		params = {
@@ -945,6 +1089,16 @@ Files.prototype.unlock = function(fileID, callback) {
 			}
 		};
 
+	if (options && options.etag) {
+		params.headers = {
+			'If-Match': options.etag
+		};
+	}
+
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
 
@@ -1045,6 +1199,7 @@ Files.prototype.getWatermark = function(fileID, options, callback) {
  *
  * @param {string} fileID - The Box ID of the file to update watermark for
  * @param {Object} [options] - Optional parameters, can be left null
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed the watermark information if successful, error otherwise
  * @returns {Promise<Object>} A promise resolving to the watermark info
  */
@@ -1060,6 +1215,11 @@ Files.prototype.applyWatermark = function(fileID, options, callback) {
 
 	Object.assign(params.body.watermark, options);
 
+	if (options && options.signal) {
+		params.signal = options.signal;
+		delete params.body.watermark.signal;
+	}
+
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
 
@@ -1091,6 +1251,7 @@ Files.prototype.removeWatermark = function(fileID, callback) {
  * @param {string} versionID - The ID of the version to move to the trash or delete permanently
  * @param {Object} [options] Optional parameters
  * @param {string} [options.etag] Only delete the version of the file etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Empty response body, error otherwise
  * @returns {Promise<void>} A promise resolving to nothing
  */
@@ -1110,6 +1271,10 @@ Files.prototype.deleteVersion = function(fileID, versionID, options, callback) {
 		};
 	}
 
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(BASE_PATH, fileID, VERSIONS_SUBRESOURCE, versionID);
 
 	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, params, callback);
@@ -1456,6 +1621,7 @@ Files.prototype.representation = {
  *    representation for. This value can either come from FileRepresentationType enum or manually created
  * @param {Object} [options] - Additional options. Can be left empty
  * @param {boolean} [options.generateRepresentations = false] - Set to true to return representation info where all states resolve to success.
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed an array of representaton objects if successful
  * @returns {Promise<Object>} A promise resolving to the representation response objects
 */
@@ -1475,6 +1641,10 @@ Files.prototype.getRepresentationInfo = function(fileID, representationType, opt
 			'x-rep-hints': representationType
 		}
 	};
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(BASE_PATH, fileID);
 
 	return this.client.get(apiPath, params)
@@ -169,7 +169,8 @@ Folders.prototype.update = function(folderID, updates, callback) {
 		params.headers = {
 			'If-Match': updates.etag
 		};
-		delete updates.etag;
+		params.body = Object.assign({}, updates);
+		delete params.body.etag;
 	}
 
 	var apiPath = urlPath(BASE_PATH, folderID);
@@ -240,10 +241,20 @@ Folders.prototype.removeFromCollection = function(folderID, collectionID, callba
  *
  * @param {string} folderID - The Box ID of the folder being requested
  * @param {string} newParentID - The Box ID for the new parent folder. '0' to move to All Files.
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only move the folder if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed the updated folder information if it was acquired successfully
  * @returns {Promise<Object>} A promise resolving to the updated folder object
  */
-Folders.prototype.move = function(folderID, newParentID, callback) {
+Folders.prototype.move = function(folderID, newParentID, options, callback) {
+
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
 	var params = {
 		body: {
 			parent: {
@@ -251,6 +262,17 @@ Folders.prototype.move = function(folderID, newParentID, callback) {
 			}
 		}
 	};
+
+	if (options && options.etag) {
+		params.headers = {
+			'If-Match': options.etag
+		};
+	}
+
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(BASE_PATH, folderID);
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
@@ -277,7 +299,8 @@ Folders.prototype.delete = function(folderID, options, callback) {
 		params.headers = {
 			'If-Match': options.etag
 		};
-		delete options.etag;
+		params.qs = Object.assign({}, options);
+		delete params.qs.etag;
 	}
 
 	var apiPath = urlPath(BASE_PATH, folderID);
@@ -352,10 +375,19 @@ Folders.prototype.addMetadata = function(folderID, scope, template, data, callba
  * @param {string} scope - The scope of the template to update
  * @param {string} template - The template to update
  * @param {Object} patch - The patch data
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only update the metadata if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Called with updated metadata if successful
  * @returns {Promise<Object>} A promise resolving to the updated metadata
  */
-Folders.prototype.updateMetadata = function(folderID, scope, template, patch, callback) {
+Folders.prototype.updateMetadata = function(folderID, scope, template, patch, options, callback) {
+
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
 
 	var apiPath = urlPath(BASE_PATH, folderID, 'metadata', scope, template),
 		params = {
@@ -365,6 +397,14 @@ Folders.prototype.updateMetadata = function(folderID, scope, template, patch, ca
 			}
 		};
 
+	if (options && options.etag) {
+		params.headers['If-Match'] = options.etag;
+	}
+
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
 
@@ -375,10 +415,18 @@ Folders.prototype.updateMetadata = function(folderID, scope, template, patch, ca
  * @param {string} scope - The scope of the metadata template
  * @param {string} template - The key of the metadata template
  * @param {Object} metadata - The metadata to set
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only overwrite existing metadata if its etag matches
  * @param {Function} [callback] - Called with updated metadata if successful
  * @returns {Promise<Object>} A promise resolving to the updated metadata
  */
-Folders.prototype.setMetadata = function(folderID, scope, template, metadata, callback) {
+Folders.prototype.setMetadata = function(folderID, scope, template, metadata, options, callback) {
+
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
 
 	return this.addMetadata(folderID, scope, template, metadata)
 		.catch(err => {
@@ -394,7 +442,7 @@ Folders.prototype.setMetadata = function(folderID, scope, template, metadata, ca
 				value: metadata[key],
 			}));
 
-			return this.updateMetadata(folderID, scope, template, updates);
+			return this.updateMetadata(folderID, scope, template, updates, options);
 		})
 		.asCallback(callback);
 };
@@ -408,13 +456,37 @@ Folders.prototype.setMetadata = function(folderID, scope, template, metadata, ca
  * @param {string} folderID - The ID of the folder to remove metadata from
  * @param {string} scope - The scope of the metadata template
  * @param {string} template - The template to remove from the folder
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only remove the metadata if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Called with nothing if successful, error otherwise
  * @returns {Promise<void>} A promise resolving to nothing
  */
-Folders.prototype.deleteMetadata = function(folderID, scope, template, callback) {
+Folders.prototype.deleteMetadata = function(folderID, scope, template, options, callback) {
 
-	var apiPath = urlPath(BASE_PATH, folderID, 'metadata', scope, template);
-	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, null, callback);
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	var apiPath = urlPath(BASE_PATH, folderID, 'metadata', scope, template),
+		params = null;
+
+	if (options && options.etag) {
+		params = {
+			headers: {
+				'If-Match': options.etag
+			}
+		};
+	}
+
+	if (options && options.signal) {
+		params = params || {};
+		params.signal = options.signal;
+	}
+
+	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, params, callback);
 };
 
 /**
@@ -482,6 +554,7 @@ Folders.prototype.restoreFromTrash = function(folderID, options, callback) {
  * @param  {string} folderID Box ID of the folder being requested
  * @param {Object} [options] Optional parameters
  * @param {string} [options.etag] Only delete the folder if the ETag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param  {Function} [callback] Called with nothing if successful, error otherwise
  * @returns {Promise<void>} A promise resolving to nothing
  */
@@ -501,6 +574,10 @@ Folders.prototype.deletePermanently = function(folderID, options, callback) {
 		};
 	}
 
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(BASE_PATH, folderID, '/trash');
 	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, params, callback);
 };
@@ -543,6 +620,7 @@ Folders.prototype.getWatermark = function(folderID, options, callback) {
  *
  * @param {string} folderID - The Box ID of the folder to update watermark for
  * @param {Object} [options] - Optional parameters, can be left null
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed the watermark information if successful, error otherwise
  * @returns {Promise<Object>} A promise resolving to the watermark info
  */
@@ -558,6 +636,11 @@ Folders.prototype.applyWatermark = function(folderID, options, callback) {
 
 	Object.assign(params.body.watermark, options);
 
+	if (options && options.signal) {
+		params.signal = options.signal;
+		delete params.body.watermark.signal;
+	}
+
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
 
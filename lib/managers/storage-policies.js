@@ -121,6 +121,7 @@ StoragePolicies.prototype = {
      * @param {string} targetID The ID of the target
      * @param {Object} [options] Optional parameters
      * @param {string} [options.targetType=user] The type of the assignment target to resolve for
+     * @param {AbortSignal} [options.signal] Signal that cancels the request when it fires 'abort'
      * @param {Function} [callback] Passed the assignment object if successful
      * @returns {Promise<Object>} Promise resolving to the assignment object
      */
@@ -136,6 +137,10 @@ StoragePolicies.prototype = {
 				}
 			};
 
+		if (options.signal) {
+			params.signal = options.signal;
+		}
+
 		return this.client.get(apiPath, params)
 			.then(response => {
 
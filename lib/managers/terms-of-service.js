@@ -168,6 +168,7 @@ TermsOfService.prototype.getAll = function(options, callback) {
  * @param {boolean} isAccepted - Determines wehether the terms of services has been accepted or rejected
  * @param {Object} [options] - Additional options. Can be left null in most cases.
  * @param {string} [options.user_id] - Optional, user id to retrieve terms of service status on, default is current user
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed the terms of service user status information if successful, error otherwise
  * @returns {Promise<Object>} A promise resolving to the terms of service user status
  */
@@ -186,6 +187,10 @@ TermsOfService.prototype.createUserStatus = function(termsOfServicesID, isAccept
 		params.body.user = {id: options.user_id, type: 'user'};
 	}
 
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(USER_STATUSES_PATH);
 	return this.client.wrapWithDefaultHandler(this.client.post)(apiPath, params, callback);
 };
@@ -256,6 +261,7 @@ TermsOfService.prototype.updateUserStatus = function(termsOfServiceUserStatusID,
  * @param {boolean} isAccepted - Determines wehether the terms of services has been accepted or rejected
  * @param {Object} [options] - Additional options. Can be left null in most cases.
  * @param {string} [options.user_id] - Optional, user id to retrieve terms of service status on, default is current user
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed the terms of service user status information if successful, error otherwise
  * @returns {Promise<Object>} A promise resolving to the terms of service user status
  */
@@ -274,6 +280,10 @@ TermsOfService.prototype.setUserStatus = function(termsOfServicesID, isAccepted,
 		params.body.user = {id: options.user_id, type: 'user'};
 	}
 
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(USER_STATUSES_PATH);
 
 	return this.client.post(apiPath, params)
@@ -89,6 +89,7 @@ WebLinks.prototype.get = function(weblinkID, options, callback) {
  * @param {Object} updates - Fields of the weblink to update
  * @param {string} [updates.name] - Name for the web link. Will default to the URL if empty.
  * @param {string} [updates.description] - Description of the web link. Will provide more context to users about the web link.
+ * @param {string} [updates.etag] - Only apply the updates if the web link etag matches
  * @param {Function} [callback] - Passed the updated web link information if it was acquired successfully, error otherwise
  * @returns {Promise<Object>} A promise resolving to the updated web link object
  */
@@ -98,6 +99,14 @@ WebLinks.prototype.update = function(weblinkID, updates, callback) {
 			body: updates
 		};
 
+	if (updates && updates.etag) {
+		params.headers = {
+			'If-Match': updates.etag
+		};
+		params.body = Object.assign({}, updates);
+		delete params.body.etag;
+	}
+
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
 
@@ -108,13 +117,37 @@ WebLinks.prototype.update = function(weblinkID, updates, callback) {
  * Method: DELETE
  *
  * @param {string} weblinkID - The Box ID of the web link being moved to the trash
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only delete the web link if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Empty body passed if successful, error otherwise
  * @returns {Promise<Object>} A promise resolving to nothing
  */
-WebLinks.prototype.delete = function(weblinkID, callback) {
-	var apiPath = urlPath(BASE_PATH, weblinkID);
+WebLinks.prototype.delete = function(weblinkID, options, callback) {
+
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	var apiPath = urlPath(BASE_PATH, weblinkID),
+		params = null;
+
+	if (options && options.etag) {
+		params = {
+			headers: {
+				'If-Match': options.etag
+			}
+		};
+	}
+
+	if (options && options.signal) {
+		params = params || {};
+		params.signal = options.signal;
+	}
 
-	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, null, callback);
+	return this.client.wrapWithDefaultHandler(this.client.del)(apiPath, params, callback);
 };
 
 /**
@@ -125,10 +158,20 @@ WebLinks.prototype.delete = function(weblinkID, callback) {
  *
  * @param {string} webLinkID - The Box ID of the web link being requested
  * @param {string} newParentID - The Box ID for the new parent folder. '0' to move to All Files.
+ * @param {Object} [options] - Optional parameters
+ * @param {string} [options.etag] - Only move the web link if the etag matches
+ * @param {AbortSignal} [options.signal] - signal that cancels the request when it fires 'abort'
  * @param {Function} [callback] - Passed the updated web link information if it was acquired successfully
  * @returns {Promise<Object>} A promise resolving to the updated web link object
  */
-WebLinks.prototype.move = function(webLinkID, newParentID, callback) {
+WebLinks.prototype.move = function(webLinkID, newParentID, options, callback) {
+
+	// Switch around arguments if necessary for backwards compatibility
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
 	var params = {
 		body: {
 			parent: {
@@ -136,6 +179,17 @@ WebLinks.prototype.move = function(webLinkID, newParentID, callback) {
 			}
 		}
 	};
+
+	if (options && options.etag) {
+		params.headers = {
+			'If-Match': options.etag
+		};
+	}
+
+	if (options && options.signal) {
+		params.signal = options.signal;
+	}
+
 	var apiPath = urlPath(BASE_PATH, webLinkID);
 	return this.client.wrapWithDefaultHandler(this.client.put)(apiPath, params, callback);
 };
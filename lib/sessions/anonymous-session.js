@@ -9,6 +9,7 @@
 // ------------------------------------------------------------------------------
 
 const Promise = require('bluebird');
+const sessionEvents = require('../util/session-events');
 
 // ------------------------------------------------------------------------------
 // Private
@@ -36,6 +37,7 @@ const Promise = require('bluebird');
 function AnonymousSession(config, tokenManager) {
 	this._config = config;
 	this._tokenManager = tokenManager;
+	this._eventSource = { sessionType: 'anonymous' };
 
 	// The TokenInfo object for this anonymous session
 	this._tokenInfo = null;
@@ -55,11 +57,18 @@ AnonymousSession.prototype._refreshAnonymousAccessToken = function(options) {
 
 	// If tokens aren't already being refreshed, start the refresh
 	if (!this._refreshPromise) {
+		var eventName = this._tokenInfo ? sessionEvents.events.TOKEN_REFRESHED : sessionEvents.events.TOKEN_ACQUIRED;
+
 		// Initiate a refresh
 		this._refreshPromise = this._tokenManager.getTokensClientCredentialsGrant(options)
+			.catch(err => {
+				sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKEN_REFRESH_FAILED, this._eventSource, { error: err });
+				throw err;
+			})
 			.then(tokenInfo => {
 				// Set new token info and propagate the new access token
 				this._tokenInfo = tokenInfo;
+				sessionEvents.emit(this._tokenManager, eventName, this._eventSource, { tokenInfo });
 				return tokenInfo.accessToken;
 			})
 			.finally(() => {
@@ -103,7 +112,11 @@ AnonymousSession.prototype.revokeTokens = function(options) {
 	var tokenInfo = this._tokenInfo || {},
 		accessToken = tokenInfo.accessToken;
 	this._tokenInfo = null;
-	return this._tokenManager.revokeTokens(accessToken, options);
+	return this._tokenManager.revokeTokens(accessToken, options)
+		.then(result => {
+			sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKENS_REVOKED, this._eventSource, { tokenInfo });
+			return result;
+		});
 };
 
 /**
@@ -11,6 +11,7 @@
 const Promise = require('bluebird');
 const assert = require('assert');
 const errors = require('../util/errors');
+const sessionEvents = require('../util/session-events');
 
 // ------------------------------------------------------------------------------
 // Private
@@ -49,13 +50,19 @@ function isObjectValidTokenStore(obj) {
  * @param {Config} config The SDK configuration options
  * @param {TokenManager} tokenManager The TokenManager
  * @param {TokenStore} [tokenStore] The token store instance to use for caching token info
+ * @param {TokenCache} [tokenCache] The SDK-level cache of tokens shared with other app auth sessions
  * @constructor
  */
-function AppAuthSession(type, id, config, tokenManager, tokenStore) {
+function AppAuthSession(type, id, config, tokenManager, tokenStore, tokenCache) {
 	this._type = type;
 	this._id = id;
 	this._config = config;
 	this._tokenManager = tokenManager;
+	this._eventSource = {
+		sessionType: 'appAuth',
+		subjectType: type,
+		subjectID: id
+	};
 
 	// If tokenStore was provided, set the persistent data & current store operations
 	if (tokenStore) {
@@ -63,6 +70,14 @@ function AppAuthSession(type, id, config, tokenManager, tokenStore) {
 		this._tokenStore = Promise.promisifyAll(tokenStore);
 	}
 
+	// Tokens for the same entity are shared through the cache by all sessions of the SDK instance
+	this._tokenCache = tokenCache || null;
+	this._tokenCacheKey = [
+		config.enterpriseID || '',
+		type,
+		id
+	].join(':');
+
 	// The TokenInfo object for this app auth session
 	this._tokenInfo = null;
 
@@ -83,10 +98,31 @@ AppAuthSession.prototype._refreshAppAuthAccessToken = function(options) {
 	// If tokens aren't already being refreshed, start the refresh
 	if (!this._refreshPromise) {
 
-		this._refreshPromise = this._tokenManager.getTokensJWTGrant(this._type, this._id, options)
+		var eventName = this._tokenInfo ? sessionEvents.events.TOKEN_REFRESHED : sessionEvents.events.TOKEN_ACQUIRED,
+			grant = this._tokenCache ? this._tokenCache.getPendingGrant(this._tokenCacheKey) : null;
+
+		// Wait for another session for the same entity that is already getting a token, rather than getting another one
+		if (!grant) {
+			grant = this._tokenManager.getTokensJWTGrant(this._type, this._id, options);
+
+			if (this._tokenCache) {
+				this._tokenCache.setPendingGrant(this._tokenCacheKey, grant);
+			}
+		}
+
+		this._refreshPromise = grant
+			.catch(err => {
+				sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKEN_REFRESH_FAILED, this._eventSource, { error: err });
+				throw err;
+			})
 			.then(tokenInfo => {
 				// Set new token info and propagate the new access token
 				this._tokenInfo = tokenInfo;
+				sessionEvents.emit(this._tokenManager, eventName, this._eventSource, { tokenInfo });
+
+				if (this._tokenCache) {
+					this._tokenCache.set(this._tokenCacheKey, tokenInfo);
+				}
 
 				if (this._tokenStore) {
 					return this._tokenStore.writeAsync(tokenInfo)
@@ -117,6 +153,16 @@ AppAuthSession.prototype.getAccessToken = function(options) {
 
 	var expirationBuffer = Math.max(this._config.expiredBufferMS, this._config.staleBufferMS);
 
+	// If our token is not fresh, another session for the same entity may have cached a newer one
+	if (this._tokenCache && !this._tokenManager.isAccessTokenValid(this._tokenInfo, expirationBuffer)) {
+
+		var cachedTokenInfo = this._tokenCache.get(this._tokenCacheKey);
+		if (cachedTokenInfo) {
+			this._tokenInfo = cachedTokenInfo;
+			return Promise.resolve(cachedTokenInfo.accessToken);
+		}
+	}
+
 	// If we're initializing the client and have a token store, try reading from it
 	if (!this._tokenInfo && this._tokenStore) {
 
@@ -128,6 +174,9 @@ AppAuthSession.prototype.getAccessToken = function(options) {
 				}
 
 				this._tokenInfo = tokenInfo;
+				if (this._tokenCache) {
+					this._tokenCache.set(this._tokenCacheKey, tokenInfo);
+				}
 				return tokenInfo.accessToken;
 			});
 	}
@@ -153,7 +202,37 @@ AppAuthSession.prototype.revokeTokens = function(options) {
 	var tokenInfo = this._tokenInfo || {},
 		accessToken = tokenInfo.accessToken;
 	this._tokenInfo = null;
-	return this._tokenManager.revokeTokens(accessToken, options);
+	if (this._tokenCache) {
+		this._tokenCache.delete(this._tokenCacheKey);
+	}
+	return this._tokenManager.revokeTokens(accessToken, options)
+		.then(result => {
+			sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKENS_REVOKED, this._eventSource, { tokenInfo });
+			return result;
+		});
+};
+
+/**
+ * Check whether the session has a app auth access token, which can be revoked
+ *
+ * @returns {boolean} True if the session has a token
+ */
+AppAuthSession.prototype.hasAccessToken = function() {
+	return Boolean(this._tokenInfo);
+};
+
+/**
+ * Remove the tokens saved in the session's token store, if it has one
+ *
+ * @returns {Promise} Promise resolving once the token store is cleared
+ */
+AppAuthSession.prototype.clearTokenStore = function() {
+	if (!this._tokenStore) {
+		return Promise.resolve();
+	}
+
+	return this._tokenStore.clearAsync()
+		.catch(e => errors.unwrapAndThrow(e));
 };
 
 /**
@@ -182,6 +261,10 @@ AppAuthSession.prototype.exchangeToken = function(scopes, resource, options) {
  */
 AppAuthSession.prototype.handleExpiredTokensError = function(err) {
 
+	if (this._tokenCache) {
+		this._tokenCache.delete(this._tokenCacheKey);
+	}
+
 	if (!this._tokenStore) {
 		return Promise.resolve(err);
 	}
@@ -191,6 +274,7 @@ AppAuthSession.prototype.handleExpiredTokensError = function(err) {
 	return this._tokenStore.clearAsync()
 		.catch(e => errors.unwrapAndThrow(e))
 		.then(() => {
+			sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKEN_STORE_CLEARED, this._eventSource, { error: err });
 			throw err;
 		});
 };
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Client Credentials Grant Box API Session.
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const Promise = require('bluebird');
+const assert = require('assert');
+const errors = require('../util/errors');
+const sessionEvents = require('../util/session-events');
+
+// ------------------------------------------------------------------------------
+// Private
+// ------------------------------------------------------------------------------
+
+/**
+ * Validate that an object is a valid TokenStore object
+ *
+ * @param {Object} obj the object to validate
+ * @returns {boolean} returns true if the passed in object is a valid TokenStore object that
+ * has all the expected properties. false otherwise.
+ * @private
+ */
+function isObjectValidTokenStore(obj) {
+	return Boolean(obj && obj.read && obj.write && obj.clear);
+}
+
+// ------------------------------------------------------------------------------
+// Public
+// ------------------------------------------------------------------------------
+
+/**
+ * Client Credentials Grant (CCG) Box API Session.
+ *
+ * The CCG API Session holds an accessToken for an enterprise or user, obtained
+ * with the application's client ID and secret, which it returns to the client so
+ * that it may make calls on behalf of that entity.
+ *
+ * Client credentials grants don't return a refresh token, so a new access token is
+ * requested once the current one is within the expiration buffer (defaults to 3 minutes
+ * before the token is set to expire). All incoming requests are held until the fresh
+ * token is retrieved, and concurrent requests share a single token request.
+ *
+ * @param {string} type The type of the entity to authenticate the session as, "user" or "enterprise"
+ * @param {string} id The Box ID of the entity to authenticate as
+ * @param {Config} config The SDK configuration options
+ * @param {TokenManager} tokenManager The TokenManager
+ * @param {TokenStore} [tokenStore] The token store instance to use for caching token info
+ * @constructor
+ */
+function CCGSession(type, id, config, tokenManager, tokenStore) {
+	this._type = type;
+	this._id = id;
+	this._config = config;
+	this._tokenManager = tokenManager;
+	this._eventSource = {
+		sessionType: 'ccg',
+		subjectType: type,
+		subjectID: id
+	};
+
+	// If tokenStore was provided, set the persistent data & current store operations
+	if (tokenStore) {
+		assert(isObjectValidTokenStore(tokenStore), 'Token store provided is improperly formatted. Methods required: read(), write(), clear().');
+		this._tokenStore = Promise.promisifyAll(tokenStore);
+	}
+
+	// The TokenInfo object for this CCG session
+	this._tokenInfo = null;
+
+	// Indicates if tokens are currently being refreshed
+	this._refreshPromise = null;
+}
+
+/**
+ * Initiate a refresh of the CCG access tokens. New tokens should be passed
+ * to the caller, and then cached for later use.
+ *
+ * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+ * @returns {Promise<string>} Promise resolving to the access token
+ * @private
+ */
+CCGSession.prototype._refreshCCGAccessToken = function(options) {
+
+	// If tokens aren't already being refreshed, start the refresh
+	if (!this._refreshPromise) {
+
+		var eventName = this._tokenInfo ? sessionEvents.events.TOKEN_REFRESHED : sessionEvents.events.TOKEN_ACQUIRED;
+
+		this._refreshPromise = this._tokenManager.getTokensClientCredentialsGrant(options, this._type, this._id)
+			.catch(err => {
+				sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKEN_REFRESH_FAILED, this._eventSource, { error: err });
+				throw err;
+			})
+			.then(tokenInfo => {
+				// Set new token info and propagate the new access token
+				this._tokenInfo = tokenInfo;
+				sessionEvents.emit(this._tokenManager, eventName, this._eventSource, { tokenInfo });
+
+				if (this._tokenStore) {
+					return this._tokenStore.writeAsync(tokenInfo)
+						.then(() => tokenInfo.accessToken);
+				}
+
+				return tokenInfo.accessToken;
+			})
+			.finally(() => {
+				// Refresh complete, clear promise
+				this._refreshPromise = null;
+			});
+	}
+
+	return this._refreshPromise;
+};
+
+/**
+ * Produces a valid CCG access token.
+ * Requests a new token before returning if there is no current token, or the current
+ * token is within the expiration buffer.
+ *
+ * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+ * @returns {Promise<string>} Promise resolving to the access token
+ */
+CCGSession.prototype.getAccessToken = function(options) {
+
+	var expirationBuffer = Math.max(this._config.expiredBufferMS, this._config.staleBufferMS);
+
+	// If we're initializing the client and have a token store, try reading from it
+	if (!this._tokenInfo && this._tokenStore) {
+
+		return this._tokenStore.readAsync()
+			.then(tokenInfo => {
+				if (!tokenInfo || !this._tokenManager.isAccessTokenValid(tokenInfo, expirationBuffer)) {
+					// Token store is empty or contains expired tokens, refresh
+					return this._refreshCCGAccessToken(options);
+				}
+
+				this._tokenInfo = tokenInfo;
+				return tokenInfo.accessToken;
+			});
+	}
+
+	// If the current token is not fresh, get a new token. All incoming
+	// requests will be held until a fresh token is retrieved.
+	if (!this._tokenInfo || !this._tokenManager.isAccessTokenValid(this._tokenInfo, expirationBuffer)) {
+		return this._refreshCCGAccessToken(options);
+	}
+
+	// Your token is not currently stale! Return the current access token.
+	return Promise.resolve(this._tokenInfo.accessToken);
+};
+
+/**
+ * Revokes the CCG token used by this session, and clears the saved tokenInfo and the
+ * token store, so that the revoked token isn't read back from the store.
+ *
+ * @param {TokenRequestOptions} [options]- Sets optional behavior for the token grant
+ * @returns {Promise} Promise resolving if the revoke succeeds
+ */
+CCGSession.prototype.revokeTokens = function(options) {
+	// The current CCG token is revoked (but a new one will be created automatically as needed).
+	var tokenInfo = this._tokenInfo || {},
+		accessToken = tokenInfo.accessToken,
+		clearStore = this.clearTokenStore();
+	this._tokenInfo = null;
+	return clearStore
+		.then(() => this._tokenManager.revokeTokens(accessToken, options))
+		.then(result => {
+			sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKENS_REVOKED, this._eventSource, { tokenInfo });
+			return result;
+		});
+};
+
+/**
+ * Check whether the session has a CCG access token, which can be revoked
+ *
+ * @returns {boolean} True if the session has a token
+ */
+CCGSession.prototype.hasAccessToken = function() {
+	return Boolean(this._tokenInfo);
+};
+
+/**
+ * Remove the tokens saved in the session's token store, if it has one
+ *
+ * @returns {Promise} Promise resolving once the token store is cleared
+ */
+CCGSession.prototype.clearTokenStore = function() {
+	if (!this._tokenStore) {
+		return Promise.resolve();
+	}
+
+	return this._tokenStore.clearAsync()
+		.catch(e => errors.unwrapAndThrow(e));
+};
+
+/**
+ * Exchange the client access token for one with lower scope
+ * @param {string|string[]} scopes The scope(s) requested for the new token
+ * @param {string} [resource] The absolute URL of an API resource to scope the new token to
+ * @param {Object} [options] - Optional parameters
+ * @param {TokenRequestOptions} [options.tokenRequestOptions] - Sets optional behavior for the token grant
+ * @param {ActorParams} [options.actor] - Optional actor parameters for creating annotator tokens
+ * @returns {Promise<TokenInfo>} Promise resolving to the new token info
+ */
+CCGSession.prototype.exchangeToken = function(scopes, resource, options) {
+	return this.getAccessToken(options)
+		.then(accessToken => this._tokenManager.exchangeToken(accessToken, scopes, resource, options));
+};
+
+/**
+ * Handle an "Expired Tokens" Error. If our tokens are expired, we need to clear the token
+ * store (if present) before continuing.
+ *
+ * @param {Errors~ExpiredTokensError} err An "expired tokens" error including information
+ *  about the request/response.
+ * @returns {Promise<Error>} Promise resolving to an error.  This will
+ *  usually be the original response error, but could an error from trying to access the
+ *  token store as well.
+ */
+CCGSession.prototype.handleExpiredTokensError = function(err) {
+
+	if (!this._tokenStore) {
+		return Promise.resolve(err);
+	}
+
+	// If a token store is available, clear the store and throw either error
+	// eslint-disable-next-line promise/no-promise-in-callback
+	return this._tokenStore.clearAsync()
+		.catch(e => errors.unwrapAndThrow(e))
+		.then(() => {
+			sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKEN_STORE_CLEARED, this._eventSource, { error: err });
+			throw err;
+		});
+};
+
+/**
+ * @module box-node-sdk/lib/sessions/ccg-session
+ * @see {@Link CCGSession}
+ */
+module.exports = CCGSession;
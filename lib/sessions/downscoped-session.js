@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Downscoped Box API Session.
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const Promise = require('bluebird');
+const errors = require('../util/errors');
+
+// ------------------------------------------------------------------------------
+// Private
+// ------------------------------------------------------------------------------
+
+// Scopes that grant full read and write access, and so satisfy any required scope
+const FULL_ACCESS_SCOPES = [
+	'root_readwrite',
+	'item_readwrite'
+];
+
+// Matches the API path of a request URL, after the version segment
+const API_PATH_REGEX = /\/\d+\.\d+(\/[^?#]*)/;
+
+/**
+ * Determine the scopes a request needs, for the calls where it can be known
+ * before sending them. Other calls are left for the API to check.
+ *
+ * @param {Object} params The request params
+ * @param {string} uploadAPIRootURL The root URL for uploads
+ * @returns {string[]} The scopes the request needs
+ * @private
+ */
+function getRequiredScopes(params, uploadAPIRootURL) {
+	var method = (params.method || 'GET').toUpperCase(),
+		url = params.url || '',
+		match = API_PATH_REGEX.exec(url),
+		path = match ? match[1] : '',
+		body = params.body || {};
+
+	if (url.indexOf(uploadAPIRootURL) === 0) {
+		return ['item_upload'];
+	}
+
+	if (method === 'GET' && (/^\/files\/[^/]+\/content$/).test(path)) {
+		return ['item_download'];
+	}
+
+	if (method === 'POST' && path === '/zip_downloads') {
+		return ['item_download'];
+	}
+
+	if (method === 'DELETE' && (/^\/(files|folders|web_links)\/[^/]+(\/trash)?$/).test(path)) {
+		return ['item_delete'];
+	}
+
+	var scopes = [];
+	if (method === 'PUT' && (/^\/(files|folders|web_links)\/[^/]+$/).test(path)) {
+		if (typeof body.name !== 'undefined') {
+			scopes.push('item_rename');
+		}
+		if (typeof body.shared_link !== 'undefined') {
+			scopes.push('item_share');
+		}
+	}
+
+	return scopes;
+}
+
+// ------------------------------------------------------------------------------
+// Public
+// ------------------------------------------------------------------------------
+
+/**
+ * Downscoped Box API Session.
+ *
+ * The Downscoped API Session holds an access token exchanged from a parent session's
+ * token, limited to a set of scopes and optionally to a single resource. When the
+ * token is within the expiration buffer, a new one is exchanged from the parent
+ * session, so a client using this session keeps working for as long as the parent
+ * session does.
+ *
+ * Calls that are known to need a scope the token wasn't granted are rejected
+ * with an InsufficientScopeError before they are sent.
+ *
+ * @param {APISession} parentSession The session whose token is exchanged for downscoped tokens
+ * @param {string|string[]} scopes The scope(s) to limit the token to
+ * @param {string} [resource] The absolute URL of an API resource to limit the token to
+ * @param {Object} [options] Optional parameters for the token exchange, as for exchangeToken()
+ * @param {Config} config The SDK configuration options
+ * @param {TokenManager} tokenManager The TokenManager
+ * @constructor
+ */
+function DownscopedSession(parentSession, scopes, resource, options, config, tokenManager) {
+	this._parentSession = parentSession;
+	this._scopes = typeof scopes === 'string' ? scopes.split(' ') : scopes.slice();
+	this._resource = resource || null;
+	this._exchangeOptions = options || {};
+	this._config = config;
+	this._tokenManager = tokenManager;
+
+	// The TokenInfo object for the current downscoped token
+	this._tokenInfo = null;
+
+	// Indicates if a token is currently being exchanged
+	this._refreshPromise = null;
+}
+
+/**
+ * Exchange the parent session's token for a new downscoped token, and cache it for later use.
+ *
+ * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+ * @returns {Promise<string>} Promise resolving to the access token
+ * @private
+ */
+DownscopedSession.prototype._refreshDownscopedToken = function(options) {
+
+	// If a token isn't already being exchanged, start the exchange
+	if (!this._refreshPromise) {
+
+		var exchangeOptions = Object.assign({ tokenRequestOptions: options || null }, this._exchangeOptions);
+
+		this._refreshPromise = this._parentSession.exchangeToken(this._scopes, this._resource, exchangeOptions)
+			.then(tokenInfo => {
+				this._tokenInfo = tokenInfo;
+				return tokenInfo.accessToken;
+			})
+			.finally(() => {
+				// Exchange complete, clear promise
+				this._refreshPromise = null;
+			});
+	}
+
+	return this._refreshPromise;
+};
+
+/**
+ * Produces a valid downscoped access token.
+ * Exchanges a new token before returning if there is no current token, or the
+ * current token is within the expiration buffer.
+ *
+ * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+ * @returns {Promise<string>} Promise resolving to the access token
+ */
+DownscopedSession.prototype.getAccessToken = function(options) {
+
+	var expirationBuffer = Math.max(this._config.expiredBufferMS, this._config.staleBufferMS);
+
+	if (!this._tokenManager.isAccessTokenValid(this._tokenInfo, expirationBuffer)) {
+		return this._refreshDownscopedToken(options);
+	}
+
+	return Promise.resolve(this._tokenInfo.accessToken);
+};
+
+/**
+ * Check whether a request can be made with the downscoped token, before it is sent.
+ *
+ * @param {Object} params The request params
+ * @returns {?InsufficientScopeError} An error if the request needs a scope the token wasn't granted, otherwise null
+ */
+DownscopedSession.prototype.checkRequest = function(params) {
+
+	if (this._scopes.some(scope => FULL_ACCESS_SCOPES.indexOf(scope) !== -1)) {
+		return null;
+	}
+
+	var missingScope = getRequiredScopes(params, this._config.uploadAPIRootURL)
+		.find(scope => this._scopes.indexOf(scope) === -1);
+
+	return missingScope ? errors.buildInsufficientScopeError(missingScope, this._scopes, params) : null;
+};
+
+/**
+ * Revokes the current downscoped token, and clears the saved tokenInfo. The parent
+ * session's tokens are not affected, and a new downscoped token is exchanged as needed.
+ *
+ * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+ * @returns {Promise} Promise resolving if the revoke succeeds
+ */
+DownscopedSession.prototype.revokeTokens = function(options) {
+	var tokenInfo = this._tokenInfo || {},
+		accessToken = tokenInfo.accessToken;
+	this._tokenInfo = null;
+	return this._tokenManager.revokeTokens(accessToken, options);
+};
+
+/**
+ * Exchange the downscoped access token for one with even lower scope
+ * @param {string|string[]} scopes The scope(s) requested for the new token
+ * @param {string} [resource] The absolute URL of an API resource to scope the new token to
+ * @param {Object} [options] - Optional parameters
+ * @param {TokenRequestOptions} [options.tokenRequestOptions] - Sets optional behavior for the token grant
+ * @returns {Promise<TokenInfo>} Promise resolving to the new token info
+ */
+DownscopedSession.prototype.exchangeToken = function(scopes, resource, options) {
+	var tokenRequestOptions = options ? options.tokenRequestOptions : null;
+
+	return this.getAccessToken(tokenRequestOptions)
+		.then(accessToken => this._tokenManager.exchangeToken(accessToken, scopes, resource, options));
+};
+
+/**
+ * Handle an "Expired Tokens" Error. The current downscoped token is dropped, so that
+ * the next request exchanges a new one.
+ *
+ * @param {Errors~ExpiredTokensError} err An "expired tokens" error including information
+ *  about the request/response.
+ * @returns {Promise<Error>} Promise resolving to the original error
+ */
+DownscopedSession.prototype.handleExpiredTokensError = function(err) {
+	this._tokenInfo = null;
+	return Promise.resolve(err);
+};
+
+/**
+ * @module box-node-sdk/lib/sessions/downscoped-session
+ * @see {@Link DownscopedSession}
+ */
+module.exports = DownscopedSession;
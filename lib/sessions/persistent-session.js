@@ -11,6 +11,7 @@
 const assert = require('assert'),
 	Promise = require('bluebird'),
 	errors = require('../util/errors'),
+	sessionEvents = require('../util/session-events'),
 	httpStatusCodes = require('http-status');
 
 
@@ -46,6 +47,17 @@ function isObjectValidTokenStore(obj) {
 	return Boolean(obj && obj.read && obj.write && obj.clear);
 }
 
+/**
+ * Determine whether a TokenStore supports the optional lock() and unlock() methods
+ *
+ * @param {Object} tokenStore The token store to check
+ * @returns {boolean} True if the store can be locked while tokens are refreshed
+ * @private
+ */
+function isTokenStoreLockable(tokenStore) {
+	return Boolean(tokenStore.lock && tokenStore.unlock);
+}
+
 
 // ------------------------------------------------------------------------------
 // Public
@@ -69,6 +81,7 @@ function isObjectValidTokenStore(obj) {
 function PersistentSession(tokenInfo, tokenStore, config, tokenManager) {
 	this._config = config;
 	this._tokenManager = tokenManager;
+	this._eventSource = { sessionType: 'persistent' };
 
 	// Keeps track of if tokens are currently being refreshed
 	this._refreshPromise = null;
@@ -100,11 +113,114 @@ PersistentSession.prototype._setTokenInfo = function(tokenInfo) {
 	};
 };
 
+/**
+ * Requests new tokens with the Box refresh token grant. On refresh failure, we'll
+ * check the token store for more recently updated tokens and use them if found.
+ * Otherwise an error will be propagated.
+ *
+ * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+ * @returns {Promise<TokenInfo>} Promise resolving to the new token info
+ * @private
+ */
+PersistentSession.prototype._requestNewTokens = function(options) {
+	return this._tokenManager.getTokensRefreshGrant(this._tokenInfo.refreshToken, options)
+		.catch(err => {
+			// If we got an error response from Box API, but it was 400 invalid_grant, it indicates we may have just
+			// made the request with an invalidated refresh token. Since only a max of 2 refresh tokens can be valid
+			// at any point in time, and a horizontally scaled app could have multiple Node instances running in parallel,
+			// it is possible to hit cases where too many servers all refresh a user's tokens at once
+			// and cause this server's token to become invalidated. However, the user should still be alive, but
+			// we'll need to check the central data store for the latest valid tokens that some other server in the app
+			// cluster would have received. So, instead pull tokens from the central store and attempt to use them.
+			if (err.statusCode === httpStatusCodes.BAD_REQUEST && this._tokenStore) {
+				var invalidGrantError = err;
+
+				// Check the tokenStore to see if tokens have been updated recently. If they have, then another
+				// instance of the session may have already refreshed the user tokens, which would explain why
+				// we couldn't refresh.
+				return this._tokenStore.readAsync()
+					.catch(e => errors.unwrapAndThrow(e))
+					.then(storeTokenInfo => {
+						// if the tokens we got from the central store are the same as the tokens we made the failed request with
+						// already, then we can be sure that no other servers have valid tokens for this server either.
+						// Thus, this user truly has an expired refresh token. So, propagate an "Expired Tokens" error.
+						if (!storeTokenInfo || storeTokenInfo.refreshToken === this._tokenInfo.refreshToken) {
+							throw errors.buildAuthError(invalidGrantError.response);
+						}
+
+						// Propagate the fresh tokens that we found in the session
+						return storeTokenInfo;
+					});
+			}
+
+			// Box API returned a permanent error that is not retryable and we can't recover.
+			// We have no usable tokens for the user and no way to refresh them - propagate a permanent error.
+			throw err;
+		})
+		.then(tokenInfo => {
+			// Success! We got back a TokenInfo object from the API.
+			// If we have a token store, we'll write it there now before finishing up the request.
+			if (this._tokenStore) {
+				return this._tokenStore.writeAsync(tokenInfo)
+					.catch(e => errors.unwrapAndThrow(e))
+					.then(() => tokenInfo);
+			}
+
+			// If no token store, propagate the token info immediately
+			return tokenInfo;
+		});
+};
+
+/**
+ * Refreshes tokens, clearing the token store if the tokens can't be refreshed.
+ *
+ * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+ * @returns {Promise<TokenInfo>} Promise resolving to the new token info
+ * @private
+ */
+PersistentSession.prototype._requestNewTokensOrClearStore = function(options) {
+	return this._requestNewTokens(options)
+		.catch(err => this.handleExpiredTokensError(err)
+			.then(e => {
+				throw e;
+			}));
+};
+
+/**
+ * Refreshes tokens while holding the token store's lock, so that only one process
+ * uses the refresh token at a time. Processes that were waiting for the lock find
+ * the tokens refreshed by the previous holder in the store, and use them instead
+ * of refreshing again. Failing to take the lock or read the store says nothing
+ * about the stored tokens, which the process holding the lock may have just
+ * written, so the store is only cleared if the refresh itself fails.
+ *
+ * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+ * @returns {Promise<TokenInfo>} Promise resolving to the new token info
+ * @private
+ */
+PersistentSession.prototype._requestNewTokensWithLock = function(options) {
+	var expirationBuffer = Math.max(this._config.expiredBufferMS, this._config.staleBufferMS);
+
+	return this._tokenStore.lockAsync()
+		.catch(e => errors.unwrapAndThrow(e))
+		.then(() => this._tokenStore.readAsync()
+			.catch(e => errors.unwrapAndThrow(e))
+			.then(storeTokenInfo => {
+				if (storeTokenInfo && storeTokenInfo.refreshToken !== this._tokenInfo.refreshToken &&
+					this._tokenManager.isAccessTokenValid(storeTokenInfo, expirationBuffer)) {
+					return storeTokenInfo;
+				}
+
+				return this._requestNewTokensOrClearStore(options);
+			})
+			// Failing to release the lock shouldn't fail the refresh; a file lock is taken over once it goes stale
+			.finally(() => this._tokenStore.unlockAsync().catch(() => null)));
+};
+
 /**
  * Attempts to refresh tokens for the client.
- * Will use the Box refresh token grant to complete the refresh. On refresh failure, we'll
- * check the token store for more recently updated tokens and load them if found. Otherwise
- * an error will be propagated.
+ * Will use the Box refresh token grant to complete the refresh. If the token store
+ * supports locking, the refresh is done while holding the lock.
  *
  * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
  * @returns {Promise<string>} Promise resolving to the access token
@@ -115,58 +231,24 @@ PersistentSession.prototype._refreshTokens = function(options) {
 	// client requests don't try as well
 	if (!this._refreshPromise) {
 
-		this._refreshPromise = this._tokenManager.getTokensRefreshGrant(this._tokenInfo.refreshToken, options)
-			.catch(err => {
-				// If we got an error response from Box API, but it was 400 invalid_grant, it indicates we may have just
-				// made the request with an invalidated refresh token. Since only a max of 2 refresh tokens can be valid
-				// at any point in time, and a horizontally scaled app could have multiple Node instances running in parallel,
-				// it is possible to hit cases where too many servers all refresh a user's tokens at once
-				// and cause this server's token to become invalidated. However, the user should still be alive, but
-				// we'll need to check the central data store for the latest valid tokens that some other server in the app
-				// cluster would have received. So, instead pull tokens from the central store and attempt to use them.
-				if (err.statusCode === httpStatusCodes.BAD_REQUEST && this._tokenStore) {
-					var invalidGrantError = err;
-
-					// Check the tokenStore to see if tokens have been updated recently. If they have, then another
-					// instance of the session may have already refreshed the user tokens, which would explain why
-					// we couldn't refresh.
-					return this._tokenStore.readAsync()
-						.catch(e => errors.unwrapAndThrow(e))
-						.then(storeTokenInfo => {
-							// if the tokens we got from the central store are the same as the tokens we made the failed request with
-							// already, then we can be sure that no other servers have valid tokens for this server either.
-							// Thus, this user truly has an expired refresh token. So, propagate an "Expired Tokens" error.
-							if (!storeTokenInfo || storeTokenInfo.refreshToken === this._tokenInfo.refreshToken) {
-								throw errors.buildAuthError(invalidGrantError.response);
-							}
-
-							// Propagate the fresh tokens that we found in the session
-							return storeTokenInfo;
-						});
-				}
+		var refreshPromise;
+		if (this._tokenStore && isTokenStoreLockable(this._tokenStore)) {
+			refreshPromise = this._requestNewTokensWithLock(options);
+		} else {
+			refreshPromise = this._requestNewTokensOrClearStore(options);
+		}
 
-				// Box API returned a permanent error that is not retryable and we can't recover.
-				// We have no usable tokens for the user and no way to refresh them - propagate a permanent error.
-				throw err;
-			})
-			.then(tokenInfo => {
-				// Success! We got back a TokenInfo object from the API.
-				// If we have a token store, we'll write it there now before finishing up the request.
-				if (this._tokenStore) {
-					return this._tokenStore.writeAsync(tokenInfo)
-						.catch(e => errors.unwrapAndThrow(e))
-						.then(() => tokenInfo);
-				}
-
-				// If no token store, Set and propagate the access token immediately
-				return tokenInfo;
-			})
+		this._refreshPromise = refreshPromise
 			.then(tokenInfo => {
 				// Set and propagate the new access token
 				this._setTokenInfo(tokenInfo);
+				sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKEN_REFRESHED, this._eventSource, { tokenInfo });
 				return tokenInfo.accessToken;
 			})
-			.catch(err => this.handleExpiredTokensError(err))
+			.catch(err => {
+				sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKEN_REFRESH_FAILED, this._eventSource, { error: err });
+				throw err;
+			})
 			.finally(() => {
 				// Refresh complete, clear promise
 				this._refreshPromise = null;
@@ -210,7 +292,11 @@ PersistentSession.prototype.getAccessToken = function(options) {
  * @returns {Promise} Promise that resolves when the revoke succeeds
  */
 PersistentSession.prototype.revokeTokens = function(options) {
-	return this._tokenManager.revokeTokens(this._tokenInfo.refreshToken, options);
+	return this._tokenManager.revokeTokens(this._tokenInfo.refreshToken, options)
+		.then(result => {
+			sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKENS_REVOKED, this._eventSource, { tokenInfo: this._tokenInfo });
+			return result;
+		});
 };
 
 /**
@@ -248,6 +334,7 @@ PersistentSession.prototype.handleExpiredTokensError = function(err) {
 	return this._tokenStore.clearAsync()
 		.catch(e => errors.unwrapAndThrow(e))
 		.then(() => {
+			sessionEvents.emit(this._tokenManager, sessionEvents.events.TOKEN_STORE_CLEARED, this._eventSource, { error: err });
 			throw err;
 		});
 };
@@ -16,6 +16,8 @@
  * @property {string} [ip] The IP Address of the requesting user. This IP will be reflected in authentication
  *                         notification emails sent to your users on login. Defaults to the IP address of the
  *                         server requesting the tokens.
+ * @property {string} [codeVerifier] The PKCE code verifier for the authorization request the code was issued for.
+ *                                   Only used when exchanging an authorization code.
  */
 
 /**
@@ -69,7 +71,8 @@ var errors = require('./util/errors'),
 	uuid = require('uuid'),
 	httpStatusCodes = require('http-status'),
 	Promise = require('bluebird'),
-	getRetryTimeout = require('./util/exponential-backoff');
+	getRetryTimeout = require('./util/exponential-backoff'),
+	getValueForKeyID = require('./util/config').getValueForKeyID;
 
 // ------------------------------------------------------------------------------
 // Constants
@@ -133,6 +136,58 @@ function getTokensFromGrantResponse(grantResponseBody) {
 	};
 }
 
+/**
+ * Sign a JWT assertion, either with the app auth sign() function or with the
+ * private key for the key ID in the JWT options.
+ *
+ * @param {AppAuthConfig} appAuth The app auth configuration
+ * @param {Object} claims The custom claims of the JWT, including the expiration time
+ * @param {Object} jwtOptions The standard claims and header values, as jsonwebtoken options
+ * @returns {Promise<string>} Promise resolving to the signed JWT
+ * @private
+ */
+function signJWT(appAuth, claims, jwtOptions) {
+
+	if (appAuth.sign) {
+		var payload = Object.assign({
+			iss: jwtOptions.issuer,
+			sub: jwtOptions.subject,
+			aud: jwtOptions.audience,
+			jti: jwtOptions.jwtid
+		}, claims);
+		if (!jwtOptions.noTimestamp) {
+			payload.iat = Math.floor(Date.now() / 1000);
+		}
+		var header = {
+			alg: jwtOptions.algorithm,
+			typ: 'JWT',
+			kid: jwtOptions.keyid
+		};
+
+		return Promise.try(() => appAuth.sign(payload, header));
+	}
+
+	var keyParams = {
+		key: getValueForKeyID(appAuth.privateKey, jwtOptions.keyid),
+		passphrase: getValueForKeyID(appAuth.passphrase, jwtOptions.keyid)
+	};
+
+	return Promise.try(() => jwt.sign(claims, keyParams, jwtOptions));
+}
+
+/**
+ * Determines whether a JWT grant error means Box did not accept the key the JWT was
+ * signed with, e.g. because the public key was removed from the application
+ *
+ * @param {Error} err The JWT grant error
+ * @returns {boolean} True if the grant could succeed with a different key
+ * @private
+ */
+function isJWTKeyRejected(err) {
+	return Boolean(err.authExpired && err.response && err.response.body && err.response.body.error === 'invalid_grant' &&
+		!err.maxRetriesExceeded && !isJWTAuthErrorRetryable(err));
+}
+
 /**
  * Determines if a given string could represent an authorization code or token.
  *
@@ -184,6 +239,9 @@ function TokenManager(config, requestManager) {
 	this.config = config;
 	this.oauthBaseURL = config.apiRootURL + tokenPaths.ROOT;
 	this.requestManager = requestManager;
+
+	// Index of the app auth key ID that was last accepted, which JWT grants are tried with first
+	this._jwtKeyIndex = 0;
 }
 
 TokenManager.prototype = {
@@ -199,7 +257,7 @@ TokenManager.prototype = {
 	 * @returns {boolean} True if token is valid outside of buffer, otherwise false
 	 */
 	isAccessTokenValid(tokenInfo, bufferMS) {
-		if (typeof tokenInfo.acquiredAtMS === 'undefined' || typeof tokenInfo.accessTokenTTLMS === 'undefined') {
+		if (!tokenInfo || typeof tokenInfo.acquiredAtMS === 'undefined' || typeof tokenInfo.accessTokenTTLMS === 'undefined') {
 			return false;
 		}
 		bufferMS = bufferMS || 0;
@@ -278,20 +336,34 @@ TokenManager.prototype = {
 			code: authorizationCode
 		};
 
+		if (options && options.codeVerifier) {
+			params.code_verifier = options.codeVerifier;
+		}
+
 		return this.getTokens(params, options);
 	},
 
 	/**
-	 * Acquires token info using the client credentials grant.
+	 * Acquires token info using the client credentials grant. When a subject is given,
+	 * the token is issued for that enterprise or user (Client Credentials Grant auth);
+	 * otherwise an anonymous token is issued.
 	 *
 	 * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+	 * @param {string} [subjectType] - The type of entity to get a token for, "user" or "enterprise"
+	 * @param {string} [subjectID] - The Box ID of the entity to get a token for
 	 * @returns {Promise<TokenInfo>} Promise resolving to the token info
 	 */
-	getTokensClientCredentialsGrant(options) {
+	getTokensClientCredentialsGrant(options, subjectType, subjectID) {
 
 		var params = {
 			grant_type: grantTypes.CLIENT_CREDENTIALS
 		};
+
+		if (subjectType) {
+			params.box_subject_type = subjectType;
+			params.box_subject_id = subjectID;
+		}
+
 		return this.getTokens(params, options);
 	},
 
@@ -323,10 +395,33 @@ TokenManager.prototype = {
 	 * @returns {Promise<TokenInfo>} Promise resolving to the token info
 	 */
 	getTokensJWTGrant(type, id, options) {
-		if (!this.config.appAuth.keyID) {
+		if (!this.config.appAuth || !this.config.appAuth.keyID) {
 			return Promise.reject(new Error('Must provide app auth configuration to use JWT Grant'));
 		}
 
+		var keyIDs = [].concat(this.config.appAuth.keyID),
+			keyIndex = this._jwtKeyIndex < keyIDs.length ? this._jwtKeyIndex : 0;
+
+		return this.getTokensJWTGrantWithKey(type, id, options, keyIDs, keyIndex, 1);
+	},
+
+	/**
+	 * Gets tokens with a JWT signed for one of the app auth key IDs. If Box does not
+	 * accept the key, the grant is tried with the next key ID, so that keys can be
+	 * rotated by adding the new key ID before removing the old one.
+	 *
+	 * @param {string} type The type of token to create, "user" or "enterprise"
+	 * @param {string} id The ID of the enterprise to generate a token for
+	 * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
+	 * @param {string[]} keyIDs - The app auth key IDs
+	 * @param {int} keyIndex - The index of the key ID to sign the JWT for
+	 * @param {int} numKeysTried - The number of key IDs tried so far, including this one
+	 * @returns {Promise<TokenInfo>} Promise resolving to the token info
+	 * @private
+	 */
+	// eslint-disable-next-line max-params
+	getTokensJWTGrantWithKey(type, id, options, keyIDs, keyIndex, numKeysTried) {
+
 		var claims = {
 			exp: Math.floor(Date.now() / 1000) + this.config.appAuth.expirationTime,
 			box_sub_type: type
@@ -338,28 +433,30 @@ TokenManager.prototype = {
 			issuer: this.config.clientID,
 			jwtid: uuid.v4(),
 			noTimestamp: !this.config.appAuth.verifyTimestamp,
-			keyid: this.config.appAuth.keyID
-		};
-		var keyParams = {
-			key: this.config.appAuth.privateKey,
-			passphrase: this.config.appAuth.passphrase
+			keyid: keyIDs[keyIndex]
 		};
 
-		var assertion;
-		try {
-			assertion = jwt.sign(claims, keyParams, jwtOptions);
-		} catch (jwtErr) {
-			return Promise.reject(jwtErr);
-		}
-
-		var params = {
-			grant_type: grantTypes.JWT,
-			assertion
-		};
-		// Start the request timer immediately before executing the async request
-		asyncRequestTimer = process.hrtime();
-		return this.getTokens(params, options)
-			.catch(err => this.retryJWTGrant(claims, jwtOptions, keyParams, params, options, err, 0));
+		return signJWT(this.config.appAuth, claims, jwtOptions)
+			.then(assertion => {
+				var params = {
+					grant_type: grantTypes.JWT,
+					assertion
+				};
+				// Start the request timer immediately before executing the async request
+				asyncRequestTimer = process.hrtime();
+				return this.getTokens(params, options)
+					.catch(err => this.retryJWTGrant(claims, jwtOptions, params, options, err, 0));
+			})
+			.then(tokenInfo => {
+				this._jwtKeyIndex = keyIndex;
+				return tokenInfo;
+			})
+			.catch(err => {
+				if (numKeysTried < keyIDs.length && isJWTKeyRejected(err)) {
+					return this.getTokensJWTGrantWithKey(type, id, options, keyIDs, (keyIndex + 1) % keyIDs.length, numKeysTried + 1);
+				}
+				throw err;
+			});
 	},
 
 	/**
@@ -368,7 +465,6 @@ TokenManager.prototype = {
 	 *
 	 * @param {Object} claims - JTI claims object
 	 * @param {Object} [jwtOptions] - JWT options for the signature
-	 * @param {Object} keyParams - Key JWT parameters object that contains the private key and the passphrase
 	 * @param {Object} params - Should contain all params expected by Box OAuth2 token endpoint
 	 * @param {TokenRequestOptions} [options] - Sets optional behavior for the token grant
 	 * @param {Error} error - Error from the previous JWT request
@@ -376,7 +472,7 @@ TokenManager.prototype = {
 	 * @returns {Promise<TokenInfo>} Promise resolving to the token info
 	 */
 	// eslint-disable-next-line max-params
-	retryJWTGrant(claims, jwtOptions, keyParams, params, options, error, numRetries) {
+	retryJWTGrant(claims, jwtOptions, params, options, error, numRetries) {
 		if (numRetries < this.config.numMaxRetries && isJWTAuthErrorRetryable(error)) {
 			var retryTimeout;
 			numRetries += 1;
@@ -418,18 +514,17 @@ TokenManager.prototype = {
 			claims.exp = time + this.config.appAuth.expirationTime + (retryTimeout / 1000);
 			jwtOptions.jwtid = uuid.v4();
 
-			try {
-				params.assertion = jwt.sign(claims, keyParams, jwtOptions);
-			} catch (jwtErr) {
-				throw jwtErr;
-			}
-
-			return Promise.delay(retryTimeout).then(() => {
-				// Start the request timer immediately before executing the async request
-				asyncRequestTimer = process.hrtime();
-				return this.getTokens(params, options)
-					.catch(err => this.retryJWTGrant(claims, jwtOptions, keyParams, params, options, err, numRetries));
-			});
+			return signJWT(this.config.appAuth, claims, jwtOptions)
+				.then(assertion => {
+					params.assertion = assertion;
+					return Promise.delay(retryTimeout);
+				})
+				.then(() => {
+					// Start the request timer immediately before executing the async request
+					asyncRequestTimer = process.hrtime();
+					return this.getTokens(params, options)
+						.catch(err => this.retryJWTGrant(claims, jwtOptions, params, options, err, numRetries));
+				});
 		} else if (numRetries >= this.config.numMaxRetries) {
 			error.maxRetriesExceeded = true;
 		}
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview File-backed token store, optionally encrypted at rest
+ */
+
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Typedefs
+// -----------------------------------------------------------------------------
+
+/**
+ * File token store options
+ * @typedef {Object} FileTokenStoreOptions
+ * @property {string|Buffer} [encryptionKey] - Secret used to encrypt the stored tokens with AES-256-GCM;
+ *  tokens are stored as plain JSON when no key is given
+ * @property {int} [lockTimeoutMS] - How long lock() waits for another process to release the lock
+ *  before failing [Default: 30000]
+ * @property {int} [lockStaleMS] - Age after which a lock left behind by a crashed process is taken over
+ *  [Default: 60000]
+ * @property {int} [lockRetryIntervalMS] - Time between attempts to take a held lock [Default: 100]
+ */
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+var fs = require('fs'),
+	crypto = require('crypto'),
+	uuid = require('uuid');
+
+// -----------------------------------------------------------------------------
+// Private
+// -----------------------------------------------------------------------------
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH_BYTES = 12;
+const ENCRYPTED_FORMAT_VERSION = 1;
+
+var defaults = {
+	encryptionKey: null,
+	lockTimeoutMS: 30000,
+	lockStaleMS: 60000,
+	lockRetryIntervalMS: 100
+};
+
+/**
+ * Derive the 256-bit cipher key from the configured secret
+ * @param {string|Buffer} secret - The encryption key option
+ * @returns {Buffer} The cipher key
+ * @private
+ */
+function deriveKey(secret) {
+	return crypto.createHash('sha256').update(secret)
+		.digest();
+}
+
+/**
+ * Encrypt serialized token info
+ * @param {Buffer} key - The cipher key
+ * @param {string} plaintext - The serialized token info
+ * @returns {string} The encrypted file contents
+ * @private
+ */
+function encrypt(key, plaintext) {
+	var iv = crypto.randomBytes(IV_LENGTH_BYTES),
+		cipher = crypto.createCipheriv(CIPHER_ALGORITHM, key, iv),
+		data = Buffer.concat([
+			cipher.update(plaintext, 'utf8'),
+			cipher.final()
+		]);
+
+	return JSON.stringify({
+		version: ENCRYPTED_FORMAT_VERSION,
+		iv: iv.toString('base64'),
+		tag: cipher.getAuthTag().toString('base64'),
+		data: data.toString('base64')
+	});
+}
+
+/**
+ * Decrypt the contents of an encrypted token file
+ * @param {Buffer} key - The cipher key
+ * @param {string} contents - The encrypted file contents
+ * @returns {string} The serialized token info
+ * @throws {Error} If the file was not encrypted with the key, or has been tampered with
+ * @private
+ */
+function decrypt(key, contents) {
+	var encrypted = JSON.parse(contents);
+	if (!encrypted || encrypted.version !== ENCRYPTED_FORMAT_VERSION) {
+		throw new Error('Token store file is not encrypted, or uses an unsupported format');
+	}
+
+	var decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key, Buffer.from(encrypted.iv, 'base64'));
+	decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+	return Buffer.concat([
+		decipher.update(Buffer.from(encrypted.data, 'base64')),
+		decipher.final()
+	]).toString('utf8');
+}
+
+/**
+ * Remove a file, treating a file that doesn't exist as already removed
+ * @param {string} path - The file to remove
+ * @param {Function} callback - Called once the file is gone
+ * @returns {void}
+ * @private
+ */
+function removeFile(path, callback) {
+	fs.unlink(path, err => callback(err && err.code !== 'ENOENT' ? err : null));
+}
+
+// -----------------------------------------------------------------------------
+// Public
+// -----------------------------------------------------------------------------
+
+/**
+ * Token store that keeps tokens in a file, so they survive restarts and can be
+ * shared by processes on the same machine or a shared volume. Writes replace the
+ * file atomically, so readers never see partially written tokens, and a lock file
+ * next to the token file lets only one process at a time refresh the tokens.
+ */
+class FileTokenStore {
+
+	/**
+	 * @constructor
+	 * @param {string} path - The file to keep the tokens in
+	 * @param {FileTokenStoreOptions} [options] - Optional store settings
+	 * @returns {void}
+	 */
+	constructor(path, options) {
+		if (typeof path !== 'string' || !path) {
+			throw new TypeError('Token store file path must be a non-empty string');
+		}
+
+		options = Object.assign({}, defaults, options);
+
+		this.path = path;
+		this.lockPath = `${path}.lock`;
+		this._key = options.encryptionKey ? deriveKey(options.encryptionKey) : null;
+		this._lockTimeoutMS = options.lockTimeoutMS;
+		this._lockStaleMS = options.lockStaleMS;
+		this._lockRetryIntervalMS = options.lockRetryIntervalMS;
+
+		// Identifies the lock file written by this store, so it never releases a lock held by someone else
+		this._lockID = null;
+	}
+
+	/**
+	 * Read the stored token info
+	 * @param {Function} callback - Passed the stored token info, or null if no tokens are stored
+	 * @returns {void}
+	 */
+	read(callback) {
+		fs.readFile(this.path, 'utf8', (err, contents) => {
+			if (err) {
+				callback(err.code === 'ENOENT' ? null : err, null);
+				return;
+			}
+
+			var tokenInfo;
+			try {
+				tokenInfo = JSON.parse(this._key ? decrypt(this._key, contents) : contents);
+			} catch (parseErr) {
+				callback(new Error(`Could not read tokens from ${this.path}: ${parseErr.message}`));
+				return;
+			}
+
+			callback(null, tokenInfo);
+		});
+	}
+
+	/**
+	 * Store new token info, replacing the file atomically
+	 * @param {TokenInfo} tokenInfo - The token info to store
+	 * @param {Function} callback - Called once the token info is stored
+	 * @returns {void}
+	 */
+	write(tokenInfo, callback) {
+		var contents = JSON.stringify(tokenInfo),
+			tempPath = `${this.path}.${uuid.v4()}.tmp`;
+
+		if (this._key) {
+			contents = encrypt(this._key, contents);
+		}
+
+		// Only the owner can read the tokens
+		fs.writeFile(tempPath, contents, { mode: 0o600 }, writeErr => {
+			if (writeErr) {
+				callback(writeErr);
+				return;
+			}
+
+			fs.rename(tempPath, this.path, renameErr => {
+				if (renameErr) {
+					removeFile(tempPath, () => callback(renameErr));
+					return;
+				}
+
+				callback(null);
+			});
+		});
+	}
+
+	/**
+	 * Remove the stored token info
+	 * @param {Function} callback - Called once the token info is removed
+	 * @returns {void}
+	 */
+	clear(callback) {
+		removeFile(this.path, callback);
+	}
+
+	/**
+	 * Take the store's lock by creating the lock file, waiting while another
+	 * process holds it. A lock file older than the stale timeout is assumed to
+	 * have been left behind by a process that crashed, and is taken over.
+	 * @param {Function} callback - Called once the lock is held, or with an error
+	 *  if it could not be taken before the lock timeout
+	 * @returns {void}
+	 */
+	lock(callback) {
+		var lockID = uuid.v4(),
+			deadline = Date.now() + this._lockTimeoutMS;
+
+		var tryLock = () => {
+			fs.writeFile(this.lockPath, lockID, { flag: 'wx', mode: 0o600 }, err => {
+				if (!err) {
+					this._lockID = lockID;
+					callback(null);
+					return;
+				}
+
+				if (err.code !== 'EEXIST') {
+					callback(err);
+					return;
+				}
+
+				fs.stat(this.lockPath, (statErr, stats) => {
+					if (!statErr && Date.now() - stats.mtime.getTime() > this._lockStaleMS) {
+						this._removeStaleLock(stats, () => tryLock());
+						return;
+					}
+
+					if (Date.now() >= deadline) {
+						callback(new Error(`Timed out waiting for token store lock ${this.lockPath}`));
+						return;
+					}
+
+					setTimeout(tryLock, this._lockRetryIntervalMS);
+				});
+			});
+		};
+
+		tryLock();
+	}
+
+	/**
+	 * Remove a stale lock file. Several stores can find the same stale lock, so it is
+	 * first renamed to a name only this store uses, which only one of them can do. If
+	 * the renamed file is not the stale lock that was found, another store replaced it
+	 * with its own lock in the meantime, and it is put back.
+	 * @param {fs.Stats} staleStats - The stats of the stale lock file
+	 * @param {Function} callback - Called once the stale lock is gone, or was left to another store
+	 * @returns {void}
+	 * @private
+	 */
+	_removeStaleLock(staleStats, callback) {
+		var stalePath = `${this.lockPath}.${uuid.v4()}.stale`;
+
+		fs.rename(this.lockPath, stalePath, renameErr => {
+			if (renameErr) {
+				callback();
+				return;
+			}
+
+			fs.stat(stalePath, (statErr, stats) => {
+				if (!statErr && (stats.ino !== staleStats.ino || stats.mtime.getTime() !== staleStats.mtime.getTime())) {
+					// Linking fails if yet another lock has been taken since, which is left in place
+					fs.link(stalePath, this.lockPath, () => removeFile(stalePath, () => callback()));
+					return;
+				}
+
+				removeFile(stalePath, () => callback());
+			});
+		});
+	}
+
+	/**
+	 * Release the store's lock, if it is still held by this store
+	 * @param {Function} callback - Called once the lock is released
+	 * @returns {void}
+	 */
+	unlock(callback) {
+		var lockID = this._lockID;
+		this._lockID = null;
+
+		if (!lockID) {
+			process.nextTick(() => callback(null));
+			return;
+		}
+
+		fs.readFile(this.lockPath, 'utf8', (err, contents) => {
+			// The lock was taken over as stale, and now belongs to someone else
+			if (err || contents !== lockID) {
+				callback(err && err.code !== 'ENOENT' ? err : null);
+				return;
+			}
+
+			removeFile(this.lockPath, callback);
+		});
+	}
+}
+
+module.exports = FileTokenStore;
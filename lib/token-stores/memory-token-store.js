@@ -0,0 +1,106 @@
+/**
+ * @fileoverview In-memory token store
+ */
+
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Private
+// -----------------------------------------------------------------------------
+
+/**
+ * Copy token info, so that the stored tokens can't be changed by the caller
+ * @param {?TokenInfo} tokenInfo - The token info to copy
+ * @returns {?TokenInfo} The copied token info
+ * @private
+ */
+function copyTokenInfo(tokenInfo) {
+	return tokenInfo ? Object.assign({}, tokenInfo) : null;
+}
+
+// -----------------------------------------------------------------------------
+// Public
+// -----------------------------------------------------------------------------
+
+/**
+ * Token store that keeps tokens in memory. Tokens are lost when the process
+ * exits, but a single store can be shared by every session for the same user
+ * within a process, so that only one of them refreshes the tokens at a time.
+ */
+class MemoryTokenStore {
+
+	/**
+	 * @constructor
+	 * @param {TokenInfo} [tokenInfo] - The token info to initially store
+	 * @returns {void}
+	 */
+	constructor(tokenInfo) {
+		this._tokenInfo = copyTokenInfo(tokenInfo);
+		this._locked = false;
+		this._lockQueue = [];
+	}
+
+	/**
+	 * Read the stored token info
+	 * @param {Function} callback - Passed the stored token info, or null if no tokens are stored
+	 * @returns {void}
+	 */
+	read(callback) {
+		var tokenInfo = copyTokenInfo(this._tokenInfo);
+		process.nextTick(() => callback(null, tokenInfo));
+	}
+
+	/**
+	 * Store new token info
+	 * @param {TokenInfo} tokenInfo - The token info to store
+	 * @param {Function} callback - Called once the token info is stored
+	 * @returns {void}
+	 */
+	write(tokenInfo, callback) {
+		this._tokenInfo = copyTokenInfo(tokenInfo);
+		process.nextTick(() => callback(null));
+	}
+
+	/**
+	 * Remove the stored token info
+	 * @param {Function} callback - Called once the token info is removed
+	 * @returns {void}
+	 */
+	clear(callback) {
+		this._tokenInfo = null;
+		process.nextTick(() => callback(null));
+	}
+
+	/**
+	 * Take the store's lock, waiting until any other holder has released it
+	 * @param {Function} callback - Called once the lock is held
+	 * @returns {void}
+	 */
+	lock(callback) {
+		if (this._locked) {
+			this._lockQueue.push(callback);
+			return;
+		}
+
+		this._locked = true;
+		process.nextTick(() => callback(null));
+	}
+
+	/**
+	 * Release the store's lock, handing it to the next waiting caller if there is one
+	 * @param {Function} callback - Called once the lock is released
+	 * @returns {void}
+	 */
+	unlock(callback) {
+		var next = this._lockQueue.shift();
+		if (next) {
+			process.nextTick(() => next(null));
+		} else {
+			this._locked = false;
+		}
+
+		process.nextTick(() => callback(null));
+	}
+}
+
+module.exports = MemoryTokenStore;
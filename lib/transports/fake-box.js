@@ -0,0 +1,2393 @@
+/**
+ * @fileoverview In-memory fake of the Box API, used as the transport of an SDK instance in unit tests
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Typedefs
+// ------------------------------------------------------------------------------
+
+/**
+ * Options for the fake Box backend
+ * @typedef {Object} FakeBoxOptions
+ * @property {Object} [user] - The name and login of the user that requests are made as, unless
+ *  they are made with As-User or a token issued for another user
+ *  [Default: {name: 'Fake User', login: 'user@example.com'}]
+ */
+
+/**
+ * A request, as passed to the handlers of the fake backend
+ * @typedef {Object} FakeBox~Request
+ * @property {string} method - The HTTP method
+ * @property {string} path - The path of the endpoint, without the API version
+ * @property {string[]} params - The values captured from the path by the route
+ * @property {Object} query - The query parameters, as strings
+ * @property {Object} headers - The request headers, with lower case names
+ * @property {*} body - The JSON body, the form fields, or for multipart requests the
+ *  attributes and content of the upload
+ * @property {?string} userID - The ID of the user the request is made as
+ */
+
+/**
+ * A response from a handler of the fake backend
+ * @typedef {Object} FakeBox~Response
+ * @property {int} statusCode - The status code
+ * @property {Object} [headers] - Headers to add to the response
+ * @property {Object|Buffer} [body] - The JSON body, or the bytes of a download
+ */
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const crypto = require('crypto'),
+	qs = require('querystring'),
+	url = require('url'),
+	httpStatusCodes = require('http-status'),
+	PassThrough = require('stream').PassThrough,
+	Promise = require('bluebird');
+
+// ------------------------------------------------------------------------------
+// Private
+// ------------------------------------------------------------------------------
+
+const ROOT_FOLDER_ID = '0',
+	UPLOAD_URL = 'https://upload.box.com/api/2.0/files/content',
+	DOWNLOAD_URL = 'https://dl.boxcloud.com/d/1';
+
+const ITEM_STATUSES = Object.freeze({
+	ACTIVE: 'active',
+	TRASHED: 'trashed'
+});
+
+// Fields returned whatever fields are requested
+const ALWAYS_RETURNED_FIELDS = [
+	'type',
+	'id',
+	'etag'
+];
+
+// Fields searched when the search doesn't name any
+const DEFAULT_SEARCH_CONTENT_TYPES = [
+	'name',
+	'description'
+];
+
+const COLLABORATION_ROLES = [
+	'editor',
+	'viewer',
+	'previewer',
+	'uploader',
+	'previewer uploader',
+	'viewer uploader',
+	'co-owner',
+	'owner'
+];
+
+// The handler of each supported endpoint, by method and path without the API version.
+// Path parameters ending in ID match numeric IDs, and :collection matches files or folders.
+const ROUTES = {
+	'POST /oauth2/token': '_createToken',
+	'POST /oauth2/revoke': '_revokeToken',
+	'GET /d/1/:fileID/:versionID/download': '_downloadFileVersion',
+	'GET /users/me': '_getCurrentUser',
+	'GET /users/:userID': '_getUser',
+	'GET /users': '_getUsers',
+	'POST /users': '_createUser',
+	'GET /folders/trash/items': '_getTrashedItems',
+	'POST /folders': '_createFolder',
+	'GET /folders/:folderID/items': '_getFolderItems',
+	'OPTIONS /files/content': '_preflightUpload',
+	'POST /files/content': '_uploadFile',
+	'OPTIONS /files/:fileID/content': '_preflightUploadVersion',
+	'POST /files/:fileID/content': '_uploadFileVersion',
+	'GET /files/:fileID/content': '_getDownloadURL',
+	'GET /files/:fileID/versions': '_getFileVersions',
+	'POST /files/:fileID/versions/current': '_promoteFileVersion',
+	'DELETE /files/:fileID/versions/:versionID': '_deleteFileVersion',
+	'GET /:collection/:itemID': '_getItem',
+	'PUT /:collection/:itemID': '_updateItem',
+	'DELETE /:collection/:itemID': '_deleteItem',
+	'POST /:collection/:itemID': '_restoreItem',
+	'POST /:collection/:itemID/copy': '_copyItem',
+	'GET /:collection/:itemID/trash': '_getTrashedItem',
+	'DELETE /:collection/:itemID/trash': '_deleteItemPermanently',
+	'GET /:collection/:itemID/collaborations': '_getItemCollaborations',
+	'GET /:collection/:itemID/metadata': '_getAllMetadata',
+	'GET /:collection/:itemID/metadata/:scope/:template': '_getMetadata',
+	'POST /:collection/:itemID/metadata/:scope/:template': '_createMetadata',
+	'PUT /:collection/:itemID/metadata/:scope/:template': '_updateMetadata',
+	'DELETE /:collection/:itemID/metadata/:scope/:template': '_deleteMetadata',
+	'POST /collaborations': '_createCollaboration',
+	'GET /collaborations': '_getPendingCollaborations',
+	'GET /collaborations/:collaborationID': '_getCollaboration',
+	'PUT /collaborations/:collaborationID': '_updateCollaboration',
+	'DELETE /collaborations/:collaborationID': '_deleteCollaboration',
+	'GET /search': '_search'
+};
+
+// The routes as patterns that capture the path parameters
+const ROUTE_PATTERNS = Object.keys(ROUTES).map(route => {
+	var method = route.split(' ')[0],
+		path = route.split(' ')[1]
+			.replace(':collection', '(files|folders)')
+			.replace(/:\w+ID/g, '(\\d+)')
+			.replace(/:\w+/g, '([^/]+)');
+
+	return {
+		method,
+		pattern: new RegExp(`^${path}$`),
+		handler: ROUTES[route]
+	};
+});
+
+// Routes that don't need an access token
+const UNAUTHENTICATED_HANDLERS = [
+	'_createToken',
+	'_revokeToken',
+	'_downloadFileVersion'
+];
+
+/**
+ * An error response from a handler, thrown to stop handling the request
+ * @private
+ */
+class APIErrorResponse extends Error {
+
+	/**
+	 * @constructor
+	 * @param {int} statusCode - The status code of the response
+	 * @param {string} code - The Box error code
+	 * @param {string} message - The error message
+	 * @param {Object} [contextInfo] - More information about the error, e.g. conflicting items
+	 * @returns {void}
+	 */
+	constructor(statusCode, code, message, contextInfo) {
+		super(message);
+		this.statusCode = statusCode;
+		this.code = code;
+		this.contextInfo = contextInfo || null;
+	}
+}
+
+/**
+ * Create the error for a missing item or other resource
+ * @param {string} [code] - The Box error code [Default: 'not_found']
+ * @returns {APIErrorResponse} The error
+ * @private
+ */
+function notFound(code) {
+	return new APIErrorResponse(httpStatusCodes.NOT_FOUND, code || 'not_found', 'Not Found');
+}
+
+/**
+ * Create the error for an invalid request
+ * @param {string} message - What is wrong with the request
+ * @param {string} [code] - The Box error code [Default: 'bad_request']
+ * @returns {APIErrorResponse} The error
+ * @private
+ */
+function badRequest(message, code) {
+	return new APIErrorResponse(httpStatusCodes.BAD_REQUEST, code || 'bad_request', message);
+}
+
+/**
+ * Remove undefined values from a set of headers or query parameters
+ * @param {Object} params - The parameters
+ * @returns {Object} A copy of the parameters without undefined values
+ * @private
+ */
+function removeUndefinedValues(params) {
+	return Object.keys(params)
+		.filter(key => typeof params[key] !== 'undefined')
+		.reduce((cleaned, key) => {
+			cleaned[key] = params[key];
+			return cleaned;
+		}, {});
+}
+
+/**
+ * Check whether a value is a readable stream
+ * @param {*} value - The value
+ * @returns {boolean} Whether the value is a readable stream
+ * @private
+ */
+function isReadableStream(value) {
+	return Boolean(value) && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
+
+/**
+ * Get the values of a map as an array
+ * @param {Map} map - The map
+ * @returns {Array} The values, in insertion order
+ * @private
+ */
+function getValues(map) {
+	var values = [];
+	map.forEach(value => values.push(value));
+	return values;
+}
+
+/**
+ * Read a multipart form field into a buffer
+ * @param {Readable|Buffer|string} value - The field value
+ * @returns {Promise<Buffer>} A promise resolving to the field contents
+ * @private
+ */
+function readValue(value) {
+	if (isReadableStream(value)) {
+		var chunks = [];
+		return Promise.fromCallback(callback => {
+			value.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+			value.on('end', () => callback(null, Buffer.concat(chunks)));
+			value.on('error', callback);
+		});
+	}
+	return Promise.resolve(Buffer.isBuffer(value) ? value : Buffer.from(String(value)));
+}
+
+/**
+ * Read the attributes and file content of a multipart upload request
+ * @param {Object} formData - The multipart form fields
+ * @returns {Promise<Object>} A promise resolving to the parsed attributes and the content of the file field
+ * @private
+ */
+function readUpload(formData) {
+	var names = Object.keys(formData);
+
+	var fields = names.map(name => {
+		var field = formData[name];
+		if (field && typeof field === 'object' && field.hasOwnProperty('value') && field.hasOwnProperty('options')) {
+			return {
+				value: field.value,
+				isFile: Boolean(field.options && field.options.filename)
+			};
+		}
+		return {
+			value: field,
+			isFile: false
+		};
+	});
+
+	return Promise.map(fields, field => readValue(field.value))
+		.then(contents => names.reduce((upload, name, index) => {
+			if (fields[index].isFile) {
+				upload.content = contents[index];
+			} else if (name === 'attributes') {
+				try {
+					upload.attributes = JSON.parse(contents[index].toString('utf8'));
+				} catch (err) {
+					throw badRequest('The attributes field must be valid JSON');
+				}
+			}
+			return upload;
+		}, {
+			attributes: null,
+			content: null
+		}));
+}
+
+/**
+ * Parse a response body the way the HTTP transport does for the request options
+ * @param {Buffer} body - The response body
+ * @param {TransportRequestOptions} options - The request options
+ * @returns {Object|Buffer|string|undefined} The parsed body
+ * @private
+ */
+function parseBody(body, options) {
+	if (body.length === 0) {
+		if (options.json) {
+			return undefined;
+		}
+		return options.encoding === null ? body : '';
+	}
+
+	if (options.json) {
+		try {
+			return JSON.parse(body.toString('utf8'));
+		} catch (e) {
+			// Not JSON, so return the body as-is
+		}
+	}
+
+	return options.encoding === null ? body : body.toString(options.encoding);
+}
+
+/**
+ * Format a date the way Box does
+ * @param {?Date} date - The date
+ * @returns {?string} The date as an ISO 8601 string with a time zone offset, or null if there is no date
+ * @private
+ */
+function formatDate(date) {
+	return date ? date.toISOString().replace(/\.\d{3}Z$/, '+00:00') : null;
+}
+
+/**
+ * Get the value of an ETag header without quotes or the weak prefix
+ * @param {?string} header - The header value
+ * @returns {?string} The ETag
+ * @private
+ */
+function parseETag(header) {
+	return header ? String(header).replace(/^W\//, '')
+		.replace(/^"|"$/g, '') : null;
+}
+
+/**
+ * Keep only the requested fields of an object, as the API does when the fields query parameter is set
+ * @param {Object} object - The object
+ * @param {?string} fields - The comma-separated fields to keep
+ * @returns {Object} The object with the requested fields
+ * @private
+ */
+function selectFields(object, fields) {
+	if (!fields) {
+		return object;
+	}
+
+	var names = ALWAYS_RETURNED_FIELDS.concat(fields.split(',').map(field => field.trim()));
+	return Object.keys(object)
+		.filter(key => names.indexOf(key) !== -1)
+		.reduce((selected, key) => {
+			selected[key] = object[key];
+			return selected;
+		}, {});
+}
+
+/**
+ * Read the limit of a page from the query
+ * @param {Object} query - The query parameters
+ * @param {int} defaultLimit - The limit when none is passed
+ * @param {int} maxLimit - The largest limit allowed
+ * @returns {int} The limit
+ * @private
+ */
+function getLimit(query, defaultLimit, maxLimit) {
+	var limit = query.limit ? parseInt(query.limit, 10) : defaultLimit;
+	if (!Number.isInteger(limit) || limit < 1) {
+		throw badRequest('Invalid value for limit', 'invalid_parameter');
+	}
+	return Math.min(limit, maxLimit);
+}
+
+/**
+ * Get a page of a collection by offset
+ * @param {Object[]} entries - All entries of the collection
+ * @param {Object} query - The query parameters
+ * @param {int} defaultLimit - The limit when none is passed
+ * @param {int} maxLimit - The largest limit allowed
+ * @returns {Object} The page, with the total count, offset and limit
+ * @private
+ */
+function getOffsetPage(entries, query, defaultLimit, maxLimit) {
+	var limit = getLimit(query, defaultLimit, maxLimit),
+		offset = query.offset ? parseInt(query.offset, 10) : 0;
+
+	if (!Number.isInteger(offset) || offset < 0) {
+		throw badRequest('Invalid value for offset', 'invalid_parameter');
+	}
+
+	return {
+		total_count: entries.length,
+		entries: entries.slice(offset, offset + limit).map(entry => selectFields(entry, query.fields)),
+		offset,
+		limit
+	};
+}
+
+/**
+ * Get a page of a collection by marker.  Markers are opaque to clients, and encode the
+ * position of the next page here.
+ * @param {Object[]} entries - All entries of the collection
+ * @param {Object} query - The query parameters
+ * @param {int} defaultLimit - The limit when none is passed
+ * @param {int} maxLimit - The largest limit allowed
+ * @returns {Object} The page, with the marker of the next page if there is one
+ * @private
+ */
+function getMarkerPage(entries, query, defaultLimit, maxLimit) {
+	var limit = getLimit(query, defaultLimit, maxLimit),
+		start = 0;
+
+	if (query.marker) {
+		start = parseInt(Buffer.from(query.marker, 'base64').toString('utf8'), 10);
+		if (!Number.isInteger(start) || start < 0) {
+			throw badRequest('Invalid value for marker', 'invalid_parameter');
+		}
+	}
+
+	var end = start + limit,
+		page = {
+			entries: entries.slice(start, end).map(entry => selectFields(entry, query.fields)),
+			limit
+		};
+
+	if (end < entries.length) {
+		page.next_marker = Buffer.from(String(end)).toString('base64');
+	}
+	return page;
+}
+
+/**
+ * Compare two values for sorting
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {int} A negative number if a comes first, a positive number if b comes first, or 0
+ * @private
+ */
+function compare(a, b) {
+	if (typeof a === 'string' && typeof b === 'string') {
+		return a.localeCompare(b, 'en', { sensitivity: 'base' });
+	}
+	if (a < b) {
+		return -1;
+	}
+	return a > b ? 1 : 0;
+}
+
+/**
+ * Get the extension of a file name
+ * @param {string} name - The file name
+ * @returns {string} The extension in lower case, or an empty string if there is none
+ * @private
+ */
+function getExtension(name) {
+	var index = name.lastIndexOf('.');
+	return index > 0 ? name.slice(index + 1).toLowerCase() : '';
+}
+
+/**
+ * Check that a name is allowed for a file or folder
+ * @param {*} name - The name
+ * @returns {void}
+ * @throws {APIErrorResponse} If the name isn't allowed
+ * @private
+ */
+function validateName(name) {
+	if (typeof name !== 'string' || name.length === 0 || name.length > 255 || name === '.' || name === '..'
+			|| /[/\\]/.test(name) || name.trim() !== name) {
+		throw badRequest('Item name invalid', 'item_name_invalid');
+	}
+}
+
+/**
+ * Create the information about a request that is attached to its response
+ * @param {TransportRequestOptions} options - The request options
+ * @returns {APIRequest~RequestObject} The request information
+ * @private
+ */
+function createRequestInfo(options) {
+	var href = options.url || options.uri;
+	if (options.qs) {
+		var query = qs.stringify(removeUndefinedValues(options.qs));
+		if (query) {
+			href += (href.indexOf('?') === -1 ? '?' : '&') + query;
+		}
+	}
+
+	var parsedURL = url.parse(href);
+	return {
+		uri: parsedURL,
+		href: parsedURL.href,
+		method: (options.method || 'GET').toUpperCase(),
+		headers: removeUndefinedValues(options.headers || {}),
+		body: options.body
+	};
+}
+
+/**
+ * Get the mini representation of an item, used in other objects
+ * @param {Object} item - The file or folder
+ * @returns {Object} The item
+ * @private
+ */
+function serializeMiniItem(item) {
+	var serialized = {
+		type: item.type,
+		id: item.id
+	};
+
+	if (item.type === 'file') {
+		var version = item.versions[item.versions.length - 1];
+		serialized.file_version = {
+			type: 'file_version',
+			id: version.id,
+			sha1: version.sha1
+		};
+	}
+
+	Object.assign(serialized, {
+		sequence_id: item.etag === null ? null : String(item.etag),
+		etag: item.etag === null ? null : String(item.etag),
+		name: item.name
+	});
+
+	if (item.type === 'file') {
+		serialized.sha1 = serialized.file_version.sha1;
+	}
+	return serialized;
+}
+
+/**
+ * Check that an item isn't the root folder, which can't be changed
+ * @param {Object} item - The item
+ * @returns {void}
+ * @throws {APIErrorResponse} If the item is the root folder
+ * @private
+ */
+function checkNotRoot(item) {
+	if (item.id === ROOT_FOLDER_ID) {
+		throw new APIErrorResponse(httpStatusCodes.FORBIDDEN, 'access_denied_insufficient_permissions', 'Access denied - insufficient permission');
+	}
+}
+
+/**
+ * Check the If-Match header of a request against the ETag of an item
+ * @param {Object} item - The item
+ * @param {FakeBox~Request} request - The request
+ * @returns {void}
+ * @throws {APIErrorResponse} If the item has changed since the ETag passed
+ * @private
+ */
+function checkPrecondition(item, request) {
+	var etag = parseETag(request.headers['if-match']);
+	if (etag !== null && etag !== String(item.etag)) {
+		throw new APIErrorResponse(httpStatusCodes.PRECONDITION_FAILED, 'precondition_failed',
+			'The resource has been modified. Please retrieve the resource again and retry');
+	}
+}
+
+/**
+ * Record a change to an item, giving it a new ETag
+ * @param {Object} item - The item
+ * @param {string} userID - The ID of the user who changed it
+ * @returns {void}
+ * @private
+ */
+function touch(item, userID) {
+	item.etag += 1;
+	item.modifiedAt = new Date();
+	item.modifiedByID = userID;
+}
+
+/**
+ * Get the item type for the collection named in a path
+ * @param {string} collection - 'files' or 'folders'
+ * @returns {string} 'file' or 'folder'
+ * @private
+ */
+function getItemType(collection) {
+	return collection === 'files' ? 'file' : 'folder';
+}
+
+/**
+ * Decode the claims of a JWT assertion, without checking its signature
+ * @param {string} assertion - The JWT
+ * @returns {Object} The claims
+ * @private
+ */
+function decodeJWTClaims(assertion) {
+	try {
+		return JSON.parse(Buffer.from(String(assertion).split('.')[1], 'base64').toString('utf8'));
+	} catch (err) {
+		return {};
+	}
+}
+
+/**
+ * Apply a JSON Patch operation to a metadata instance
+ * @param {Object} instance - The instance to change
+ * @param {Object} operation - The operation
+ * @returns {void}
+ * @throws {APIErrorResponse} If the operation is invalid or a test fails
+ * @private
+ */
+function applyMetadataOperation(instance, operation) {
+	var key = typeof operation.path === 'string' ? operation.path.replace(/^\//, '') : '';
+
+	if (!key || key.indexOf('/') !== -1 || key.charAt(0) === '$') {
+		throw badRequest(`Invalid path: ${operation.path}`);
+	}
+
+	switch (operation.op) {
+	case 'add':
+		instance[key] = operation.value;
+		break;
+	case 'replace':
+	case 'remove':
+		if (!instance.hasOwnProperty(key)) {
+			throw badRequest(`Field ${key} does not exist`);
+		}
+		if (operation.op === 'replace') {
+			instance[key] = operation.value;
+		} else {
+			delete instance[key];
+		}
+		break;
+	case 'test':
+		if (JSON.stringify(instance[key]) !== JSON.stringify(operation.value)) {
+			throw new APIErrorResponse(httpStatusCodes.CONFLICT, 'metadata_test_failed', `Test failed for field ${key}`);
+		}
+		break;
+	default:
+		throw badRequest(`Unsupported operation: ${operation.op}`);
+	}
+}
+
+// ------------------------------------------------------------------------------
+// Public
+// ------------------------------------------------------------------------------
+
+/**
+ * An in-memory fake of the Box API, for unit testing apps built on the SDK without
+ * network access.  Passed as the `transport` of an SDK instance, it answers every
+ * request of its clients from a model of users, folders, files and their versions,
+ * collaborations, metadata and trash, with the status codes and errors of the API,
+ * including name conflicts, missing items and ETag preconditions.
+ *
+ * Access tokens aren't checked, so any token works, and all users can access all
+ * items.  Requests to endpoints the fake doesn't support get a 404 response, and are
+ * listed in `unsupportedRequests`.
+ */
+class FakeBox {
+
+	/**
+	 * @constructor
+	 * @param {FakeBoxOptions} [options] - Optional settings for the fake backend
+	 * @returns {void}
+	 */
+	constructor(options) {
+		options = options || {};
+
+		var user = Object.assign({ name: 'Fake User', login: 'user@example.com' }, options.user);
+
+		/** @type {Object[]} The method and URL of requests to endpoints the fake doesn't support */
+		this.unsupportedRequests = [];
+
+		this._lastID = 1000;
+		this._users = new Map();
+		this._items = new Map();
+		this._collaborations = new Map();
+		this._metadata = new Map();
+		this._tokens = new Map();
+
+		/** @type {string} The ID of the user that requests are made as by default */
+		this.userID = this.createUser(user.name, user.login).id;
+
+		var now = new Date();
+		this._items.set(ROOT_FOLDER_ID, {
+			type: 'folder',
+			id: ROOT_FOLDER_ID,
+			name: 'All Files',
+			description: '',
+			parentID: null,
+			etag: null,
+			ownerID: this.userID,
+			createdByID: this.userID,
+			modifiedByID: this.userID,
+			createdAt: now,
+			modifiedAt: now,
+			itemStatus: ITEM_STATUSES.ACTIVE,
+			trashedAt: null,
+			trashedWith: null,
+			tags: []
+		});
+	}
+
+	/**
+	 * Add a user to the fake enterprise, for requests to be made as with As-User or
+	 * to collaborate with
+	 * @param {string} name - The name of the user
+	 * @param {string} login - The email address the user logs in with
+	 * @returns {Object} The user, as returned by the API
+	 */
+	createUser(name, login) {
+		var now = new Date(),
+			user = {
+				id: this._nextID(),
+				name,
+				login,
+				createdAt: now,
+				modifiedAt: now
+			};
+
+		this._users.set(user.id, user);
+		return this._serializeUser(user);
+	}
+
+	/**
+	 * Answer a request and buffer the response, as the HTTP transport does
+	 * @param {TransportRequestOptions} options - The request options
+	 * @param {Function} callback - Called with an error or the response, with its body attached
+	 * @returns {APIRequest~RequestObject} Information about the request being made
+	 */
+	request(options, callback) {
+		var requestInfo = createRequestInfo(options);
+
+		this._respond(options, requestInfo).asCallback((err, response) => {
+			if (response) {
+				response.body = parseBody(response.body, options);
+			}
+			callback(err, response);
+		});
+
+		return requestInfo;
+	}
+
+	/**
+	 * Answer a request and stream the response body, as the HTTP transport does
+	 * @param {TransportRequestOptions} options - The request options
+	 * @returns {Readable} The response body stream, which emits 'response' before any data
+	 */
+	stream(options) {
+		var responseStream = new PassThrough();
+
+		this._respond(options, createRequestInfo(options)).asCallback((err, response) => {
+			if (err) {
+				responseStream.emit('error', err);
+				return;
+			}
+
+			var body = response.body;
+			delete response.body;
+			responseStream.emit('response', response);
+			responseStream.end(body);
+		});
+
+		return responseStream;
+	}
+
+	/**
+	 * Handle a request, always asynchronously, as a network request would be
+	 * @param {TransportRequestOptions} options - The request options
+	 * @param {APIRequest~RequestObject} requestInfo - The request information
+	 * @returns {Promise<Object>} A promise resolving to the response, with its body as a buffer
+	 * @private
+	 */
+	_respond(options, requestInfo) {
+		var requestID = crypto.randomBytes(8).toString('hex');
+
+		return Promise.delay(0)
+			.then(() => this._handle(options, requestInfo))
+			.catch(err => {
+				if (!(err instanceof APIErrorResponse)) {
+					throw err;
+				}
+
+				var body = {
+					type: 'error',
+					status: err.statusCode,
+					code: err.code,
+					help_url: 'http://developers.box.com/docs/#errors',
+					message: err.message,
+					request_id: requestID
+				};
+				if (err.contextInfo) {
+					body.context_info = err.contextInfo;
+				}
+				return {
+					statusCode: err.statusCode,
+					body
+				};
+			})
+			.then(result => {
+				var headers = Object.assign({ 'box-request-id': requestID }, result.headers),
+					body = result.body;
+
+				if (body && !Buffer.isBuffer(body)) {
+					headers['content-type'] = 'application/json';
+					body = Buffer.from(JSON.stringify(body));
+				}
+
+				var response = {
+					statusCode: result.statusCode,
+					headers,
+					body: body || Buffer.alloc(0)
+				};
+				// Keep a reference back to the request, without making the response circular when serialized
+				Object.defineProperty(requestInfo, 'response', { value: response });
+				response.request = requestInfo;
+				return response;
+			});
+	}
+
+	/**
+	 * Route a request to its handler
+	 * @param {TransportRequestOptions} options - The request options
+	 * @param {APIRequest~RequestObject} requestInfo - The request information
+	 * @returns {Promise<FakeBox~Response>} A promise resolving to the response of the handler
+	 * @private
+	 */
+	_handle(options, requestInfo) {
+		var headers = Object.keys(requestInfo.headers).reduce((lowerCased, name) => {
+			lowerCased[name.toLowerCase()] = String(requestInfo.headers[name]);
+			return lowerCased;
+		}, {});
+
+		var request = {
+			method: requestInfo.method,
+			path: requestInfo.uri.pathname.replace(/^(\/api)?\/2\.0(?=\/)/, ''),
+			params: [],
+			query: qs.parse(requestInfo.uri.query || ''),
+			headers,
+			body: options.form || options.body,
+			userID: null
+		};
+
+		var route = ROUTE_PATTERNS.find(routePattern => routePattern.method === request.method && routePattern.pattern.test(request.path));
+		if (!route) {
+			this.unsupportedRequests.push({
+				method: request.method,
+				url: requestInfo.href
+			});
+			throw new APIErrorResponse(httpStatusCodes.NOT_FOUND, 'not_found', `Unsupported request: ${request.method} ${request.path}`);
+		}
+
+		var handlerName = route.handler;
+		request.params = route.pattern.exec(request.path).slice(1);
+
+		if (UNAUTHENTICATED_HANDLERS.indexOf(handlerName) === -1) {
+			request.userID = this._authenticate(request);
+		}
+
+		if (typeof request.body === 'string' && /json/.test(headers['content-type'])) {
+			request.body = JSON.parse(request.body);
+		}
+
+		if (options.formData) {
+			return readUpload(options.formData).then(upload => {
+				request.body = upload;
+				return this[handlerName](request);
+			});
+		}
+		return this[handlerName](request);
+	}
+
+	/**
+	 * Get the user a request is made as
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {string} The ID of the user
+	 * @throws {APIErrorResponse} If the request has no access token, or is made as an unknown user
+	 * @private
+	 */
+	_authenticate(request) {
+		var match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+		if (!match) {
+			throw new APIErrorResponse(httpStatusCodes.UNAUTHORIZED, 'unauthorized', 'Unauthorized');
+		}
+
+		var userID = request.headers['as-user'] || this._tokens.get(match[1]) || this.userID;
+		if (!this._users.has(userID)) {
+			throw new APIErrorResponse(httpStatusCodes.FORBIDDEN, 'access_denied_insufficient_permissions', 'Access denied - insufficient permission');
+		}
+		return userID;
+	}
+
+	/**
+	 * Get the next ID for a new object
+	 * @returns {string} The ID
+	 * @private
+	 */
+	_nextID() {
+		this._lastID += 1;
+		return String(this._lastID);
+	}
+
+	// ------------------------------------------------------------------------------
+	// Serialization
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Get the representation of a user
+	 * @param {Object} user - The user
+	 * @param {boolean} [mini] - Whether to return the mini representation used in other objects
+	 * @returns {Object} The user
+	 * @private
+	 */
+	_serializeUser(user, mini) {
+		var serialized = {
+			type: 'user',
+			id: user.id,
+			name: user.name,
+			login: user.login
+		};
+
+		if (!mini) {
+			Object.assign(serialized, {
+				created_at: formatDate(user.createdAt),
+				modified_at: formatDate(user.modifiedAt),
+				status: 'active',
+				space_used: this._getSpaceUsed(user.id)
+			});
+		}
+		return serialized;
+	}
+
+	/**
+	 * Get the mini representation of a user by ID
+	 * @param {string} userID - The ID of the user
+	 * @returns {Object} The user
+	 * @private
+	 */
+	_serializeUserByID(userID) {
+		return this._serializeUser(this._users.get(userID), true);
+	}
+
+	/**
+	 * Get the full representation of an item
+	 * @param {Object} item - The file or folder
+	 * @returns {Object} The item
+	 * @private
+	 */
+	_serializeItem(item) {
+		var serialized = serializeMiniItem(item),
+			parent = item.parentID === null ? null : this._items.get(item.parentID);
+
+		Object.assign(serialized, {
+			description: item.description,
+			size: item.type === 'file' ? item.versions[item.versions.length - 1].size : this._getFolderSize(item),
+			path_collection: {
+				total_count: this._getAncestors(item).length,
+				entries: this._getAncestors(item).map(ancestor => serializeMiniItem(ancestor))
+			},
+			created_at: formatDate(item.createdAt),
+			modified_at: formatDate(item.modifiedAt),
+			trashed_at: formatDate(item.trashedAt),
+			purged_at: null,
+			content_created_at: formatDate(item.createdAt),
+			content_modified_at: formatDate(item.modifiedAt),
+			created_by: this._serializeUserByID(item.createdByID),
+			modified_by: this._serializeUserByID(item.modifiedByID),
+			owned_by: this._serializeUserByID(item.ownerID),
+			shared_link: null,
+			parent: parent ? serializeMiniItem(parent) : null,
+			item_status: item.itemStatus,
+			tags: item.tags
+		});
+
+		if (item.type === 'file') {
+			serialized.extension = getExtension(item.name);
+		}
+		return serialized;
+	}
+
+	/**
+	 * Get the representation of a file version
+	 * @param {Object} version - The version
+	 * @returns {Object} The version
+	 * @private
+	 */
+	_serializeVersion(version) {
+		return {
+			type: 'file_version',
+			id: version.id,
+			sha1: version.sha1,
+			name: version.name,
+			size: version.size,
+			created_at: formatDate(version.createdAt),
+			modified_at: formatDate(version.createdAt),
+			modified_by: this._serializeUserByID(version.modifiedByID),
+			trashed_at: null,
+			purged_at: null
+		};
+	}
+
+	/**
+	 * Get the representation of a collaboration
+	 * @param {Object} collaboration - The collaboration
+	 * @returns {Object} The collaboration
+	 * @private
+	 */
+	_serializeCollaboration(collaboration) {
+		var accessibleBy = collaboration.accessibleBy;
+		if (accessibleBy.type === 'user' && accessibleBy.id) {
+			accessibleBy = this._serializeUserByID(accessibleBy.id);
+		}
+
+		return {
+			type: 'collaboration',
+			id: collaboration.id,
+			created_by: this._serializeUserByID(collaboration.createdByID),
+			created_at: formatDate(collaboration.createdAt),
+			modified_at: formatDate(collaboration.modifiedAt),
+			expires_at: null,
+			status: collaboration.status,
+			accessible_by: accessibleBy.id ? accessibleBy : null,
+			invite_email: accessibleBy.id ? null : accessibleBy.login,
+			role: collaboration.role,
+			acknowledged_at: collaboration.status === 'pending' ? null : formatDate(collaboration.modifiedAt),
+			item: serializeMiniItem(this._items.get(collaboration.itemID))
+		};
+	}
+
+	// ------------------------------------------------------------------------------
+	// Item model
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Get the folders an item is in, from the root folder down
+	 * @param {Object} item - The item
+	 * @returns {Object[]} The folders
+	 * @private
+	 */
+	_getAncestors(item) {
+		var ancestors = [];
+		for (var parentID = item.parentID; parentID !== null; parentID = this._items.get(parentID).parentID) {
+			ancestors.unshift(this._items.get(parentID));
+		}
+		return ancestors;
+	}
+
+	/**
+	 * Check whether an item is in a folder, at any depth
+	 * @param {Object} item - The item
+	 * @param {string} folderID - The ID of the folder
+	 * @returns {boolean} Whether the item is in the folder
+	 * @private
+	 */
+	_isInFolder(item, folderID) {
+		return this._getAncestors(item).some(ancestor => ancestor.id === folderID);
+	}
+
+	/**
+	 * Get the items in a folder that aren't in the trash
+	 * @param {string} folderID - The ID of the folder
+	 * @returns {Object[]} The items
+	 * @private
+	 */
+	_getChildren(folderID) {
+		return getValues(this._items)
+			.filter(item => item.parentID === folderID && item.itemStatus === ITEM_STATUSES.ACTIVE);
+	}
+
+	/**
+	 * Get the total size of the files in a folder, at any depth
+	 * @param {Object} folder - The folder
+	 * @returns {int} The size in bytes
+	 * @private
+	 */
+	_getFolderSize(folder) {
+		return this._getChildren(folder.id).reduce((size, child) => {
+			if (child.type === 'file') {
+				return size + child.versions[child.versions.length - 1].size;
+			}
+			return size + this._getFolderSize(child);
+		}, 0);
+	}
+
+	/**
+	 * Get the total size of the files a user owns
+	 * @param {string} userID - The ID of the user
+	 * @returns {int} The size in bytes
+	 * @private
+	 */
+	_getSpaceUsed(userID) {
+		return getValues(this._items)
+			.filter(item => item.type === 'file' && item.ownerID === userID)
+			.reduce((size, file) => size + file.versions.reduce((fileSize, version) => fileSize + version.size, 0), 0);
+	}
+
+	/**
+	 * Find an item that isn't in the trash
+	 * @param {string} type - 'file' or 'folder'
+	 * @param {string} id - The ID of the item
+	 * @returns {Object} The item
+	 * @throws {APIErrorResponse} If the item doesn't exist or is in the trash
+	 * @private
+	 */
+	_findItem(type, id) {
+		var item = this._items.get(id);
+		if (!item || item.type !== type) {
+			throw notFound();
+		}
+		if (item.itemStatus !== ITEM_STATUSES.ACTIVE) {
+			throw notFound('trashed');
+		}
+		return item;
+	}
+
+	/**
+	 * Find an item that was moved to the trash, not as part of a folder
+	 * @param {string} type - 'file' or 'folder'
+	 * @param {string} id - The ID of the item
+	 * @returns {Object} The item
+	 * @throws {APIErrorResponse} If the item isn't in the trash
+	 * @private
+	 */
+	_findTrashedItem(type, id) {
+		var item = this._items.get(id);
+		if (!item || item.type !== type || item.trashedWith !== item.id) {
+			throw notFound();
+		}
+		return item;
+	}
+
+	/**
+	 * Find the folder to put an item in
+	 * @param {?Object} parent - The parent from the request body
+	 * @returns {Object} The folder
+	 * @throws {APIErrorResponse} If no parent is passed, or the folder doesn't exist
+	 * @private
+	 */
+	_findParentFolder(parent) {
+		if (!parent || typeof parent.id === 'undefined') {
+			throw badRequest('parent.id is required');
+		}
+		return this._findItem('folder', String(parent.id));
+	}
+
+	/**
+	 * Check that no other item in a folder has a name
+	 * @param {string} folderID - The ID of the folder
+	 * @param {string} name - The name
+	 * @param {string} [exceptID] - The ID of the item being renamed or moved, which doesn't conflict with itself
+	 * @returns {void}
+	 * @throws {APIErrorResponse} If an item in the folder has the same name, ignoring case
+	 * @private
+	 */
+	_checkNameAvailable(folderID, name, exceptID) {
+		var conflict = this._getChildren(folderID)
+			.find(child => child.id !== exceptID && compare(child.name, name) === 0);
+
+		if (conflict) {
+			throw new APIErrorResponse(httpStatusCodes.CONFLICT, 'item_name_in_use', 'Item with the same name already exists', {
+				conflicts: [serializeMiniItem(conflict)]
+			});
+		}
+	}
+
+	/**
+	 * Create a new file or folder
+	 * @param {string} type - 'file' or 'folder'
+	 * @param {string} name - The name of the item
+	 * @param {string} parentID - The ID of the folder to create it in
+	 * @param {string} userID - The ID of the user creating it
+	 * @returns {Object} The item
+	 * @private
+	 */
+	_createItem(type, name, parentID, userID) {
+		var now = new Date(),
+			item = {
+				type,
+				id: this._nextID(),
+				name,
+				description: '',
+				parentID,
+				etag: 0,
+				ownerID: userID,
+				createdByID: userID,
+				modifiedByID: userID,
+				createdAt: now,
+				modifiedAt: now,
+				itemStatus: ITEM_STATUSES.ACTIVE,
+				trashedAt: null,
+				trashedWith: null,
+				tags: []
+			};
+
+		if (type === 'file') {
+			item.versions = [];
+		}
+		this._items.set(item.id, item);
+		return item;
+	}
+
+	/**
+	 * Add a new version to a file
+	 * @param {Object} file - The file
+	 * @param {Buffer} content - The content of the version
+	 * @param {string} userID - The ID of the user uploading it
+	 * @returns {Object} The version
+	 * @private
+	 */
+	_addVersion(file, content, userID) {
+		var version = {
+			id: this._nextID(),
+			name: file.name,
+			content,
+			sha1: crypto.createHash('sha1').update(content)
+				.digest('hex'),
+			size: content.length,
+			createdAt: new Date(),
+			modifiedByID: userID
+		};
+
+		file.versions.push(version);
+		return version;
+	}
+
+	/**
+	 * Get the items in a folder, including those in the trash, at any depth
+	 * @param {Object} folder - The folder
+	 * @returns {Object[]} The items
+	 * @private
+	 */
+	_getDescendants(folder) {
+		return getValues(this._items).filter(item => this._isInFolder(item, folder.id));
+	}
+
+	/**
+	 * Copy an item and, for a folder, everything in it
+	 * @param {Object} item - The item to copy
+	 * @param {string} name - The name of the copy
+	 * @param {string} parentID - The ID of the folder to put the copy in
+	 * @param {string} userID - The ID of the user copying it
+	 * @returns {Object} The copy
+	 * @private
+	 */
+	_copyItemTree(item, name, parentID, userID) {
+		var copy = this._createItem(item.type, name, parentID, userID);
+		copy.description = item.description;
+		copy.tags = item.tags.slice();
+
+		if (item.type === 'file') {
+			this._addVersion(copy, item.versions[item.versions.length - 1].content, userID);
+		} else {
+			this._getChildren(item.id).forEach(child => this._copyItemTree(child, child.name, copy.id, userID));
+		}
+
+		var metadata = this._metadata.get(item.id),
+			copiedMetadata = this._getItemMetadata(copy);
+
+		if (metadata) {
+			metadata.forEach((instance, key) => copiedMetadata.set(key, Object.assign({}, instance, {
+				$id: crypto.randomBytes(16).toString('hex'),
+				$parent: `${copy.type}_${copy.id}`
+			})));
+		}
+		return copy;
+	}
+
+	/**
+	 * Get the response for an item
+	 * @param {Object} item - The item
+	 * @param {FakeBox~Request} request - The request, with the fields to return
+	 * @param {int} [statusCode] - The status code [Default: 200]
+	 * @returns {FakeBox~Response} The response
+	 * @private
+	 */
+	_itemResponse(item, request, statusCode) {
+		var body = this._serializeItem(item);
+
+		if (item.type === 'folder' && (!request.query.fields || request.query.fields.split(',').indexOf('item_collection') !== -1)) {
+			body.item_collection = getOffsetPage(this._sortItems(this._getChildren(item.id), {}).map(child => serializeMiniItem(child)), {}, 100, 100);
+			body.item_collection.order = [
+				{
+					by: 'type',
+					direction: 'ASC'
+				},
+				{
+					by: 'name',
+					direction: 'ASC'
+				}
+			];
+		}
+
+		return {
+			statusCode: statusCode || httpStatusCodes.OK,
+			headers: item.etag === null ? {} : { etag: `"${item.etag}"` },
+			body: selectFields(body, request.query.fields)
+		};
+	}
+
+	/**
+	 * Sort the items of a folder
+	 * @param {Object[]} items - The items
+	 * @param {Object} query - The query parameters, with the sort field and direction
+	 * @returns {Object[]} The sorted items
+	 * @private
+	 */
+	_sortItems(items, query) {
+		var direction = String(query.direction || 'ASC').toUpperCase() === 'DESC' ? -1 : 1;
+
+		var getSortValue = item => {
+			switch (query.sort) {
+			case 'id':
+				return parseInt(item.id, 10);
+			case 'date':
+				return item.modifiedAt.getTime();
+			case 'size':
+				return item.type === 'file' ? item.versions[item.versions.length - 1].size : this._getFolderSize(item);
+			default:
+				return item.name;
+			}
+		};
+
+		return items.slice().sort((a, b) => {
+			// Folders come before files, unless the items are sorted by another field
+			if (!query.sort && a.type !== b.type) {
+				return a.type === 'folder' ? -1 : 1;
+			}
+			return direction * compare(getSortValue(a), getSortValue(b));
+		});
+	}
+
+	// ------------------------------------------------------------------------------
+	// Authentication
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Issue an access token for any grant, for the user the grant is for
+	 * @param {FakeBox~Request} request - The token request
+	 * @returns {FakeBox~Response} The tokens
+	 * @private
+	 */
+	_createToken(request) {
+		var form = request.body || {},
+			userID = this.userID;
+
+		if (form.grant_type === 'client_credentials' && form.box_subject_type === 'user') {
+			userID = form.box_subject_id;
+		} else if (form.grant_type === 'urn:ietf:params:oauth:grant-type:jwt-bearer') {
+			var claims = decodeJWTClaims(form.assertion);
+			if (claims.box_sub_type === 'user') {
+				userID = claims.sub;
+			}
+		} else if (form.subject_token) {
+			userID = this._tokens.get(form.subject_token) || this.userID;
+		}
+
+		if (!this._users.has(userID)) {
+			return {
+				statusCode: httpStatusCodes.BAD_REQUEST,
+				body: {
+					error: 'invalid_grant',
+					error_description: 'Please check the \'sub\' claim. The \'sub\' specified is invalid.'
+				}
+			};
+		}
+
+		var body = {
+			access_token: crypto.randomBytes(16).toString('hex'),
+			expires_in: 3600,
+			token_type: 'bearer',
+			restricted_to: []
+		};
+		if (form.grant_type === 'authorization_code' || form.grant_type === 'refresh_token') {
+			body.refresh_token = crypto.randomBytes(16).toString('hex');
+		}
+
+		this._tokens.set(body.access_token, userID);
+		return {
+			statusCode: httpStatusCodes.OK,
+			body
+		};
+	}
+
+	/**
+	 * Revoke an access token
+	 * @param {FakeBox~Request} request - The revoke request
+	 * @returns {FakeBox~Response} An empty response
+	 * @private
+	 */
+	_revokeToken(request) {
+		this._tokens.delete((request.body || {}).token);
+		return { statusCode: httpStatusCodes.OK };
+	}
+
+	// ------------------------------------------------------------------------------
+	// Users
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Get the user making the request
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The user
+	 * @private
+	 */
+	_getCurrentUser(request) {
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: selectFields(this._serializeUser(this._users.get(request.userID)), request.query.fields)
+		};
+	}
+
+	/**
+	 * Get a user
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The user
+	 * @private
+	 */
+	_getUser(request) {
+		var user = this._users.get(request.params[0]);
+		if (!user) {
+			throw notFound();
+		}
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: selectFields(this._serializeUser(user), request.query.fields)
+		};
+	}
+
+	/**
+	 * Get the users of the enterprise
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} A page of users
+	 * @private
+	 */
+	_getUsers(request) {
+		var term = (request.query.filter_term || '').toLowerCase(),
+			users = getValues(this._users)
+				.filter(user => user.name.toLowerCase().indexOf(term) !== -1 || user.login.toLowerCase().indexOf(term) !== -1)
+				.map(user => this._serializeUser(user));
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: getOffsetPage(users, request.query, 100, 1000)
+		};
+	}
+
+	/**
+	 * Create a user in the enterprise
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The new user
+	 * @private
+	 */
+	_createUser(request) {
+		var body = request.body || {};
+
+		if (!body.name || !body.login) {
+			throw badRequest('name and login are required');
+		}
+		if (getValues(this._users).some(user => user.login.toLowerCase() === body.login.toLowerCase())) {
+			throw new APIErrorResponse(httpStatusCodes.CONFLICT, 'user_login_already_used', 'User with the specified login already exists');
+		}
+
+		return {
+			statusCode: httpStatusCodes.CREATED,
+			body: this.createUser(body.name, body.login)
+		};
+	}
+
+	// ------------------------------------------------------------------------------
+	// Files and folders
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Get a file or folder.  Returns 304 Not Modified when the If-None-Match header
+	 * has the current ETag of the item.
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The item
+	 * @private
+	 */
+	_getItem(request) {
+		var item = this._findItem(getItemType(request.params[0]), request.params[1]);
+
+		if (item.etag !== null && parseETag(request.headers['if-none-match']) === String(item.etag)) {
+			return {
+				statusCode: httpStatusCodes.NOT_MODIFIED,
+				headers: { etag: `"${item.etag}"` }
+			};
+		}
+		return this._itemResponse(item, request);
+	}
+
+	/**
+	 * Get the items in a folder, by offset or, with usemarker=true, by marker
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} A page of items
+	 * @private
+	 */
+	_getFolderItems(request) {
+		var folder = this._findItem('folder', request.params[0]);
+
+		// Only the mini representation of items is returned, unless other fields are requested
+		var items = this._sortItems(this._getChildren(folder.id), request.query).map(item => {
+			if (request.query.fields) {
+				return this._serializeItem(item);
+			}
+			return serializeMiniItem(item);
+		});
+
+		if (request.query.usemarker === 'true') {
+			return {
+				statusCode: httpStatusCodes.OK,
+				body: getMarkerPage(items, request.query, 100, 1000)
+			};
+		}
+
+		var page = getOffsetPage(items, request.query, 100, 1000),
+			direction = String(request.query.direction || 'ASC').toUpperCase();
+
+		if (request.query.sort) {
+			page.order = [
+				{
+					by: request.query.sort,
+					direction
+				}
+			];
+		} else {
+			page.order = [
+				{
+					by: 'type',
+					direction: 'ASC'
+				},
+				{
+					by: 'name',
+					direction
+				}
+			];
+		}
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: page
+		};
+	}
+
+	/**
+	 * Create a folder
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The new folder
+	 * @private
+	 */
+	_createFolder(request) {
+		var body = request.body || {},
+			parent = this._findParentFolder(body.parent);
+
+		validateName(body.name);
+		this._checkNameAvailable(parent.id, body.name);
+
+		var folder = this._createItem('folder', body.name, parent.id, request.userID);
+		if (typeof body.description === 'string') {
+			folder.description = body.description;
+		}
+		return this._itemResponse(folder, request, httpStatusCodes.CREATED);
+	}
+
+	/**
+	 * Update a file or folder: rename it, move it, or change its description or tags
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The updated item
+	 * @private
+	 */
+	_updateItem(request) {
+		var item = this._findItem(getItemType(request.params[0]), request.params[1]),
+			body = request.body || {};
+
+		checkNotRoot(item);
+		checkPrecondition(item, request);
+
+		var name = body.hasOwnProperty('name') ? body.name : item.name,
+			parentID = item.parentID;
+
+		if (body.parent) {
+			parentID = this._findParentFolder(body.parent).id;
+			if (item.type === 'folder' && (parentID === item.id || this._isInFolder(this._items.get(parentID), item.id))) {
+				throw badRequest('Cannot move a folder into itself or one of its subfolders');
+			}
+		}
+
+		validateName(name);
+		this._checkNameAvailable(parentID, name, item.id);
+
+		item.name = name;
+		item.parentID = parentID;
+		if (typeof body.description === 'string') {
+			item.description = body.description;
+		}
+		if (Array.isArray(body.tags)) {
+			item.tags = body.tags.slice();
+		}
+		touch(item, request.userID);
+
+		return this._itemResponse(item, request);
+	}
+
+	/**
+	 * Move a file or folder to the trash, with everything in it
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} An empty response
+	 * @private
+	 */
+	_deleteItem(request) {
+		var item = this._findItem(getItemType(request.params[0]), request.params[1]);
+
+		checkNotRoot(item);
+		checkPrecondition(item, request);
+
+		var descendants = [];
+		if (item.type === 'folder') {
+			if (request.query.recursive !== 'true' && this._getChildren(item.id).length > 0) {
+				throw badRequest('Folder is not empty', 'folder_not_empty');
+			}
+			descendants = this._getDescendants(item).filter(descendant => descendant.itemStatus === ITEM_STATUSES.ACTIVE);
+		}
+
+		var now = new Date();
+		[item].concat(descendants).forEach(trashed => {
+			trashed.itemStatus = ITEM_STATUSES.TRASHED;
+			trashed.trashedAt = now;
+			trashed.trashedWith = item.id;
+		});
+		touch(item, request.userID);
+
+		return { statusCode: httpStatusCodes.NO_CONTENT };
+	}
+
+	/**
+	 * Copy a file or folder
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The copy
+	 * @private
+	 */
+	_copyItem(request) {
+		var item = this._findItem(getItemType(request.params[0]), request.params[1]),
+			body = request.body || {},
+			parent = this._findParentFolder(body.parent),
+			name = body.name || item.name;
+
+		checkNotRoot(item);
+		if (item.type === 'folder' && (parent.id === item.id || this._isInFolder(parent, item.id))) {
+			throw badRequest('Cannot copy a folder into itself or one of its subfolders');
+		}
+		validateName(name);
+		this._checkNameAvailable(parent.id, name);
+
+		return this._itemResponse(this._copyItemTree(item, name, parent.id, request.userID), request, httpStatusCodes.CREATED);
+	}
+
+	// ------------------------------------------------------------------------------
+	// Trash
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Get the items in the trash
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} A page of items
+	 * @private
+	 */
+	_getTrashedItems(request) {
+		var items = getValues(this._items)
+			.filter(item => item.trashedWith === item.id)
+			.map(item => this._serializeItem(item));
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: getOffsetPage(items, request.query, 100, 1000)
+		};
+	}
+
+	/**
+	 * Get an item in the trash
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The item
+	 * @private
+	 */
+	_getTrashedItem(request) {
+		var item = this._findTrashedItem(getItemType(request.params[0]), request.params[1]);
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: selectFields(this._serializeItem(item), request.query.fields)
+		};
+	}
+
+	/**
+	 * Restore an item from the trash, with everything trashed with it.  Items whose
+	 * folder has been deleted are restored to the root folder.
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The restored item
+	 * @private
+	 */
+	_restoreItem(request) {
+		var item = this._findTrashedItem(getItemType(request.params[0]), request.params[1]),
+			body = request.body || {},
+			name = body.name || item.name,
+			parentID = item.parentID,
+			originalParent = this._items.get(item.parentID);
+
+		if (body.parent) {
+			parentID = this._findParentFolder(body.parent).id;
+		} else if (!originalParent || originalParent.itemStatus !== ITEM_STATUSES.ACTIVE) {
+			parentID = ROOT_FOLDER_ID;
+		}
+
+		validateName(name);
+		this._checkNameAvailable(parentID, name);
+
+		getValues(this._items)
+			.filter(trashed => trashed.trashedWith === item.id)
+			.forEach(restored => {
+				restored.itemStatus = ITEM_STATUSES.ACTIVE;
+				restored.trashedAt = null;
+				restored.trashedWith = null;
+			});
+		item.name = name;
+		item.parentID = parentID;
+		touch(item, request.userID);
+
+		return this._itemResponse(item, request, httpStatusCodes.CREATED);
+	}
+
+	/**
+	 * Permanently delete an item in the trash, with everything trashed with it
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} An empty response
+	 * @private
+	 */
+	_deleteItemPermanently(request) {
+		var item = this._findTrashedItem(getItemType(request.params[0]), request.params[1]);
+
+		checkPrecondition(item, request);
+
+		getValues(this._items)
+			.filter(trashed => trashed.trashedWith === item.id)
+			.forEach(deleted => {
+				this._items.delete(deleted.id);
+				this._metadata.delete(deleted.id);
+			});
+		getValues(this._collaborations)
+			.filter(collaboration => !this._items.has(collaboration.itemID))
+			.forEach(collaboration => this._collaborations.delete(collaboration.id));
+
+		return { statusCode: httpStatusCodes.NO_CONTENT };
+	}
+
+	// ------------------------------------------------------------------------------
+	// File content and versions
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Check whether a file can be uploaded
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The URL to upload to
+	 * @private
+	 */
+	_preflightUpload(request) {
+		var body = request.body || {},
+			parent = this._findParentFolder(body.parent);
+
+		validateName(body.name);
+		this._checkNameAvailable(parent.id, body.name);
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: {
+				upload_url: UPLOAD_URL,
+				upload_token: null
+			}
+		};
+	}
+
+	/**
+	 * Check whether a new version of a file can be uploaded
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The URL to upload to
+	 * @private
+	 */
+	_preflightUploadVersion(request) {
+		var file = this._findItem('file', request.params[0]),
+			body = request.body || {};
+
+		if (body.name) {
+			validateName(body.name);
+			this._checkNameAvailable(file.parentID, body.name, file.id);
+		}
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: {
+				upload_url: UPLOAD_URL.replace(/content$/, `${file.id}/content`),
+				upload_token: null
+			}
+		};
+	}
+
+	/**
+	 * Upload a new file
+	 * @param {FakeBox~Request} request - The request, with the attributes and content of the file
+	 * @returns {FakeBox~Response} The new file
+	 * @private
+	 */
+	_uploadFile(request) {
+		var attributes = request.body.attributes;
+
+		if (!attributes || request.body.content === null) {
+			throw badRequest('The attributes and file content are required');
+		}
+
+		var parent = this._findParentFolder(attributes.parent);
+		validateName(attributes.name);
+		this._checkNameAvailable(parent.id, attributes.name);
+
+		var file = this._createItem('file', attributes.name, parent.id, request.userID);
+		this._addVersion(file, request.body.content, request.userID);
+
+		return {
+			statusCode: httpStatusCodes.CREATED,
+			body: {
+				total_count: 1,
+				entries: [this._serializeItem(file)]
+			}
+		};
+	}
+
+	/**
+	 * Upload a new version of a file
+	 * @param {FakeBox~Request} request - The request, with the content of the version
+	 * @returns {FakeBox~Response} The updated file
+	 * @private
+	 */
+	_uploadFileVersion(request) {
+		var file = this._findItem('file', request.params[0]),
+			attributes = request.body.attributes || {};
+
+		if (request.body.content === null) {
+			throw badRequest('The file content is required');
+		}
+		checkPrecondition(file, request);
+
+		if (attributes.name) {
+			validateName(attributes.name);
+			this._checkNameAvailable(file.parentID, attributes.name, file.id);
+			file.name = attributes.name;
+		}
+		this._addVersion(file, request.body.content, request.userID);
+		touch(file, request.userID);
+
+		return {
+			statusCode: httpStatusCodes.CREATED,
+			body: {
+				total_count: 1,
+				entries: [this._serializeItem(file)]
+			}
+		};
+	}
+
+	/**
+	 * Get the URL to download a file, or one of its versions, from
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} A redirect to the download URL
+	 * @private
+	 */
+	_getDownloadURL(request) {
+		var file = this._findItem('file', request.params[0]),
+			version = file.versions[file.versions.length - 1];
+
+		if (request.query.version) {
+			version = file.versions.find(fileVersion => fileVersion.id === request.query.version);
+			if (!version) {
+				throw notFound();
+			}
+		}
+
+		return {
+			statusCode: httpStatusCodes.FOUND,
+			headers: { location: `${DOWNLOAD_URL}/${file.id}/${version.id}/download` }
+		};
+	}
+
+	/**
+	 * Download a version of a file, or the range of it in the Range header
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The content
+	 * @private
+	 */
+	_downloadFileVersion(request) {
+		var file = this._findItem('file', request.params[0]),
+			version = file.versions.find(fileVersion => fileVersion.id === request.params[1]);
+
+		if (!version) {
+			throw notFound();
+		}
+
+		var range = /^bytes=(\d+)-(\d*)$/.exec(request.headers.range || '');
+		if (range) {
+			var start = parseInt(range[1], 10),
+				end = range[2] ? Math.min(parseInt(range[2], 10), version.size - 1) : version.size - 1;
+
+			return {
+				statusCode: httpStatusCodes.PARTIAL_CONTENT,
+				headers: {
+					'content-type': 'application/octet-stream',
+					'content-range': `bytes ${start}-${end}/${version.size}`
+				},
+				body: version.content.slice(start, end + 1)
+			};
+		}
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			headers: { 'content-type': 'application/octet-stream' },
+			body: version.content
+		};
+	}
+
+	/**
+	 * Get the previous versions of a file, newest first
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} A page of versions
+	 * @private
+	 */
+	_getFileVersions(request) {
+		var file = this._findItem('file', request.params[0]),
+			versions = file.versions.slice(0, -1)
+				.reverse()
+				.map(version => this._serializeVersion(version));
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: getOffsetPage(versions, request.query, 1000, 1000)
+		};
+	}
+
+	/**
+	 * Make a previous version of a file current again, by copying it to a new version
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The new version
+	 * @private
+	 */
+	_promoteFileVersion(request) {
+		var file = this._findItem('file', request.params[0]),
+			versionID = request.body && String(request.body.id),
+			version = file.versions.slice(0, -1).find(fileVersion => fileVersion.id === versionID);
+
+		if (!version) {
+			throw notFound();
+		}
+
+		var promoted = this._addVersion(file, version.content, request.userID);
+		touch(file, request.userID);
+
+		return {
+			statusCode: httpStatusCodes.CREATED,
+			body: this._serializeVersion(promoted)
+		};
+	}
+
+	/**
+	 * Delete a previous version of a file
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} An empty response
+	 * @private
+	 */
+	_deleteFileVersion(request) {
+		var file = this._findItem('file', request.params[0]),
+			index = file.versions.findIndex(version => version.id === request.params[1]);
+
+		if (index === -1) {
+			throw notFound();
+		}
+		if (index === file.versions.length - 1) {
+			throw badRequest('The current version of a file cannot be deleted');
+		}
+
+		file.versions.splice(index, 1);
+		return { statusCode: httpStatusCodes.NO_CONTENT };
+	}
+
+	// ------------------------------------------------------------------------------
+	// Collaborations
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Find a collaboration
+	 * @param {string} id - The ID of the collaboration
+	 * @returns {Object} The collaboration
+	 * @throws {APIErrorResponse} If the collaboration doesn't exist
+	 * @private
+	 */
+	_findCollaboration(id) {
+		var collaboration = this._collaborations.get(id);
+		if (!collaboration) {
+			throw notFound();
+		}
+		return collaboration;
+	}
+
+	/**
+	 * Invite a user or group to collaborate on an item.  Users are found by ID or login,
+	 * and invitations to logins of users outside the enterprise are pending.
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The new collaboration
+	 * @private
+	 */
+	_createCollaboration(request) {
+		var body = request.body || {},
+			itemRef = body.item || {},
+			accessibleBy = body.accessible_by || {};
+
+		if (itemRef.type !== 'file' && itemRef.type !== 'folder') {
+			throw badRequest('item.type must be file or folder');
+		}
+		if (COLLABORATION_ROLES.indexOf(body.role) === -1) {
+			throw badRequest(`Invalid role: ${body.role}`);
+		}
+
+		var item = this._findItem(itemRef.type, String(itemRef.id)),
+			status = 'accepted',
+			collaborator;
+
+		if (accessibleBy.type === 'group') {
+			collaborator = {
+				type: 'group',
+				id: String(accessibleBy.id)
+			};
+		} else if (accessibleBy.type === 'user' && accessibleBy.id) {
+			if (!this._users.has(String(accessibleBy.id))) {
+				throw notFound();
+			}
+			collaborator = {
+				type: 'user',
+				id: String(accessibleBy.id)
+			};
+		} else if (accessibleBy.type === 'user' && accessibleBy.login) {
+			var user = getValues(this._users).find(enterpriseUser => enterpriseUser.login.toLowerCase() === accessibleBy.login.toLowerCase());
+			collaborator = {
+				type: 'user',
+				id: user ? user.id : null,
+				login: user ? user.login : accessibleBy.login
+			};
+			if (!user) {
+				status = 'pending';
+			}
+		} else {
+			throw badRequest('accessible_by must have a type and an id or login');
+		}
+
+		var existing = getValues(this._collaborations).find(collaboration => collaboration.itemID === item.id
+			&& collaboration.accessibleBy.type === collaborator.type
+			&& (collaboration.accessibleBy.id || collaboration.accessibleBy.login) === (collaborator.id || collaborator.login));
+
+		if (existing) {
+			throw new APIErrorResponse(httpStatusCodes.CONFLICT, 'user_already_collaborator', 'User is already a collaborator');
+		}
+
+		var now = new Date(),
+			collaboration = {
+				id: this._nextID(),
+				itemID: item.id,
+				accessibleBy: collaborator,
+				role: body.role,
+				status,
+				createdByID: request.userID,
+				createdAt: now,
+				modifiedAt: now
+			};
+
+		this._collaborations.set(collaboration.id, collaboration);
+		return {
+			statusCode: httpStatusCodes.CREATED,
+			body: selectFields(this._serializeCollaboration(collaboration), request.query.fields)
+		};
+	}
+
+	/**
+	 * Get the pending collaborations of the user making the request
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} A page of collaborations
+	 * @private
+	 */
+	_getPendingCollaborations(request) {
+		if (request.query.status !== 'pending') {
+			throw badRequest('status must be pending');
+		}
+
+		var login = this._users.get(request.userID).login.toLowerCase(),
+			collaborations = getValues(this._collaborations)
+				.filter(collaboration => collaboration.status === 'pending' && String(collaboration.accessibleBy.login).toLowerCase() === login)
+				.map(collaboration => this._serializeCollaboration(collaboration));
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: getOffsetPage(collaborations, request.query, 100, 1000)
+		};
+	}
+
+	/**
+	 * Get the collaborations on an item
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The collaborations
+	 * @private
+	 */
+	_getItemCollaborations(request) {
+		var item = this._findItem(getItemType(request.params[0]), request.params[1]),
+			collaborations = getValues(this._collaborations)
+				.filter(collaboration => collaboration.itemID === item.id)
+				.map(collaboration => selectFields(this._serializeCollaboration(collaboration), request.query.fields));
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: {
+				total_count: collaborations.length,
+				entries: collaborations
+			}
+		};
+	}
+
+	/**
+	 * Get a collaboration
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The collaboration
+	 * @private
+	 */
+	_getCollaboration(request) {
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: selectFields(this._serializeCollaboration(this._findCollaboration(request.params[0])), request.query.fields)
+		};
+	}
+
+	/**
+	 * Change the role of a collaboration, or accept or reject a pending one
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The updated collaboration
+	 * @private
+	 */
+	_updateCollaboration(request) {
+		var collaboration = this._findCollaboration(request.params[0]),
+			body = request.body || {};
+
+		if (body.role) {
+			if (COLLABORATION_ROLES.indexOf(body.role) === -1) {
+				throw badRequest(`Invalid role: ${body.role}`);
+			}
+			collaboration.role = body.role;
+		}
+		if (body.status) {
+			if (body.status !== 'accepted' && body.status !== 'rejected') {
+				throw badRequest('status must be accepted or rejected');
+			}
+			collaboration.status = body.status;
+			if (body.status === 'accepted' && !collaboration.accessibleBy.id) {
+				collaboration.accessibleBy.id = request.userID;
+			}
+		}
+		collaboration.modifiedAt = new Date();
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: selectFields(this._serializeCollaboration(collaboration), request.query.fields)
+		};
+	}
+
+	/**
+	 * Remove a collaboration
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} An empty response
+	 * @private
+	 */
+	_deleteCollaboration(request) {
+		this._collaborations.delete(this._findCollaboration(request.params[0]).id);
+		return { statusCode: httpStatusCodes.NO_CONTENT };
+	}
+
+	// ------------------------------------------------------------------------------
+	// Metadata
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Get the metadata instances of an item
+	 * @param {Object} item - The item
+	 * @returns {Map<string, Object>} The instances, keyed by scope and template
+	 * @private
+	 */
+	_getItemMetadata(item) {
+		if (!this._metadata.has(item.id)) {
+			this._metadata.set(item.id, new Map());
+		}
+		return this._metadata.get(item.id);
+	}
+
+	/**
+	 * Find a metadata instance on an item
+	 * @param {FakeBox~Request} request - The request, with the item, scope and template in its path
+	 * @returns {Object} The instance
+	 * @throws {APIErrorResponse} If the item or instance doesn't exist
+	 * @private
+	 */
+	_findMetadata(request) {
+		var item = this._findItem(getItemType(request.params[0]), request.params[1]),
+			instance = this._getItemMetadata(item).get(`${request.params[2]}.${request.params[3]}`);
+
+		if (!instance) {
+			throw notFound('instance_not_found');
+		}
+		return instance;
+	}
+
+	/**
+	 * Get all metadata instances on an item
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The instances
+	 * @private
+	 */
+	_getAllMetadata(request) {
+		var item = this._findItem(getItemType(request.params[0]), request.params[1]);
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: {
+				entries: getValues(this._getItemMetadata(item)),
+				limit: 100
+			}
+		};
+	}
+
+	/**
+	 * Get a metadata instance on an item
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The instance
+	 * @private
+	 */
+	_getMetadata(request) {
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: this._findMetadata(request)
+		};
+	}
+
+	/**
+	 * Apply a metadata template to an item.  Templates aren't modeled, so any
+	 * template can be applied with any fields.
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The new instance
+	 * @private
+	 */
+	_createMetadata(request) {
+		var item = this._findItem(getItemType(request.params[0]), request.params[1]),
+			scope = request.params[2],
+			template = request.params[3],
+			metadata = this._getItemMetadata(item),
+			key = `${scope}.${template}`;
+
+		if (metadata.has(key)) {
+			throw new APIErrorResponse(httpStatusCodes.CONFLICT, 'tuple_already_exists', 'A metadata instance of this template already exists on the item');
+		}
+
+		var instance = Object.assign({}, request.body, {
+			$id: crypto.randomBytes(16).toString('hex'),
+			$version: 0,
+			$type: `${template}-${crypto.randomBytes(4).toString('hex')}`,
+			$parent: `${item.type}_${item.id}`,
+			$template: template,
+			$scope: scope,
+			$canEdit: true,
+			$typeVersion: 0
+		});
+
+		metadata.set(key, instance);
+		return {
+			statusCode: httpStatusCodes.CREATED,
+			body: instance
+		};
+	}
+
+	/**
+	 * Update a metadata instance with JSON Patch operations, all of which are applied or none
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} The updated instance
+	 * @private
+	 */
+	_updateMetadata(request) {
+		var instance = this._findMetadata(request),
+			operations = request.body;
+
+		if (!Array.isArray(operations)) {
+			throw badRequest('The body must be an array of JSON Patch operations');
+		}
+
+		var updated = Object.assign({}, instance);
+		operations.forEach(operation => applyMetadataOperation(updated, operation));
+		updated.$version += 1;
+
+		Object.keys(instance).forEach(key => delete instance[key]);
+		Object.assign(instance, updated);
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: instance
+		};
+	}
+
+	/**
+	 * Remove a metadata instance from an item
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} An empty response
+	 * @private
+	 */
+	_deleteMetadata(request) {
+		var instance = this._findMetadata(request);
+		this._metadata.get(request.params[1]).delete(`${instance.$scope}.${instance.$template}`);
+		return { statusCode: httpStatusCodes.NO_CONTENT };
+	}
+
+	// ------------------------------------------------------------------------------
+	// Search
+	// ------------------------------------------------------------------------------
+
+	/**
+	 * Check whether an item has metadata matching the metadata filters of a search
+	 * @param {Object} item - The item
+	 * @param {Object[]} filters - The metadata filters
+	 * @returns {boolean} Whether the item matches every filter
+	 * @private
+	 */
+	_matchesMetadataFilters(item, filters) {
+		var metadata = this._metadata.get(item.id);
+
+		return filters.every(filter => {
+			var instance = metadata && metadata.get(`${filter.scope}.${filter.templateKey}`);
+			return Boolean(instance) && Object.keys(filter.filters || {})
+				.every(key => JSON.stringify(instance[key]) === JSON.stringify(filter.filters[key]));
+		});
+	}
+
+	/**
+	 * Search for items whose name or description contains every term of the query,
+	 * ignoring case
+	 * @param {FakeBox~Request} request - The request
+	 * @returns {FakeBox~Response} A page of items
+	 * @private
+	 */
+	_search(request) {
+		var query = request.query,
+			terms = (query.query || '').toLowerCase()
+				.split(/\s+/)
+				.filter(Boolean),
+			mdfilters = null;
+
+		if (query.mdfilters) {
+			try {
+				mdfilters = [].concat(JSON.parse(query.mdfilters));
+			} catch (err) {
+				throw badRequest('mdfilters must be valid JSON', 'invalid_parameter');
+			}
+		}
+		if (terms.length === 0 && !mdfilters) {
+			throw badRequest('query is required', 'missing_parameter');
+		}
+
+		var status = query.trash_content === 'trashed_only' ? ITEM_STATUSES.TRASHED : ITEM_STATUSES.ACTIVE,
+			contentTypes = query.content_types ? query.content_types.split(',') : DEFAULT_SEARCH_CONTENT_TYPES,
+			ancestorIDs = query.ancestor_folder_ids ? query.ancestor_folder_ids.split(',') : null,
+			extensions = query.file_extensions ? query.file_extensions.toLowerCase().split(',') : null;
+
+		var items = getValues(this._items).filter(item => {
+			var text = contentTypes.map(contentType => (contentType === 'name' || contentType === 'description' ? item[contentType] : ''))
+				.join(' ')
+				.toLowerCase();
+
+			return item.id !== ROOT_FOLDER_ID
+				&& item.itemStatus === status
+				&& (!query.type || item.type === query.type)
+				&& terms.every(term => text.indexOf(term) !== -1)
+				&& (!ancestorIDs || ancestorIDs.some(ancestorID => this._isInFolder(item, ancestorID)))
+				&& (!extensions || (item.type === 'file' && extensions.indexOf(getExtension(item.name)) !== -1))
+				&& (!mdfilters || this._matchesMetadataFilters(item, mdfilters));
+		});
+
+		return {
+			statusCode: httpStatusCodes.OK,
+			body: getOffsetPage(items.map(item => this._serializeItem(item)), query, 30, 200)
+		};
+	}
+}
+
+/**
+ * @module box-node-sdk/lib/transports/fake-box
+ * @see {@Link FakeBox}
+ */
+module.exports = FakeBox;
@@ -0,0 +1,523 @@
+/**
+ * @fileoverview HTTP transport built on the Node.js http and https modules
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Typedefs and Callbacks
+// ------------------------------------------------------------------------------
+
+/**
+ * Options describing a single HTTP request. These are the options built up by the
+ * SDK and passed to the transport in APIRequest; the names follow the conventions
+ * of the widely-used request module, so that adapters for other libraries can
+ * pass them through with minimal translation.
+ *
+ * @typedef {Object} TransportRequestOptions
+ * @property {string} url The full URL of the request
+ * @property {string} [method=GET] The HTTP method
+ * @property {Object} [headers] Request headers
+ * @property {Object} [qs] Query string parameters to append to the URL
+ * @property {Object|string|Buffer} [body] The request body
+ * @property {boolean} [json] Whether to encode the body as JSON and parse a JSON response
+ * @property {Object} [form] Fields to send as an application/x-www-form-urlencoded body
+ * @property {Object} [formData] Fields to send as a multipart/form-data body
+ * @property {?string} [encoding] Response body string encoding; null returns a Buffer
+ * @property {int} [timeout] Number of ms to wait for the server before aborting the request
+ * @property {boolean} [strictSSL] Whether to reject invalid SSL certificates
+ * @property {Function} [agentClass] Class of the HTTP agent to use for https requests
+ * @property {Object} [agentOptions] Options to construct the HTTP agent with
+ * @property {?ProxyConfig|boolean} [proxy] Proxy to send the request through, or false to never use one;
+ *  when not set, the HTTPS_PROXY, HTTP_PROXY and NO_PROXY environment variables are used
+ * @property {AbortSignal} [signal] Signal that aborts the request when it fires 'abort'
+ */
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const http = require('http'),
+	https = require('https'),
+	path = require('path'),
+	qs = require('querystring'),
+	url = require('url'),
+	PassThrough = require('stream').PassThrough,
+	proxyResolver = require('./proxy'),
+	errors = require('../util/errors');
+
+// ------------------------------------------------------------------------------
+// Private
+// ------------------------------------------------------------------------------
+
+const CRLF = '\r\n';
+
+/**
+ * Remove undefined values from a set of headers, query parameters or form fields, since
+ * they should not appear in the encoded output at all
+ * @param {Object} params The parameters to clean
+ * @returns {Object} A copy of the params without undefined values
+ * @private
+ */
+function removeUndefinedValues(params) {
+	return Object.keys(params)
+		.filter(key => typeof params[key] !== 'undefined')
+		.reduce((cleaned, key) => {
+			cleaned[key] = params[key];
+			return cleaned;
+		}, {});
+}
+
+/**
+ * Find a header in a set of headers, ignoring case
+ * @param {Object} headers The headers to search
+ * @param {string} name The name of the header to find
+ * @returns {?string} The name of the header as it appears in the headers object, or null if not present
+ * @private
+ */
+function findHeader(headers, name) {
+	var lowerName = name.toLowerCase();
+	return Object.keys(headers).find(header => header.toLowerCase() === lowerName) || null;
+}
+
+/**
+ * Set a header, replacing any existing header with the same name regardless of case
+ * @param {Object} headers The headers to modify
+ * @param {string} name The name of the header to set
+ * @param {*} value The header value
+ * @returns {void}
+ * @private
+ */
+function setHeader(headers, name, value) {
+	headers[findHeader(headers, name) || name] = value;
+}
+
+/**
+ * Determine whether a value is a readable stream
+ * @param {*} value The value to check
+ * @returns {boolean} Whether the value is a readable stream
+ * @private
+ */
+function isReadableStream(value) {
+	return Boolean(value) && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
+
+/**
+ * Generate a random multipart boundary string
+ * @returns {string} The boundary
+ * @private
+ */
+function generateBoundary() {
+	var boundary = '--------------------------';
+	for (var i = 0; i < 24; i++) {
+		boundary += Math.floor(Math.random() * 10);
+	}
+	return boundary;
+}
+
+/**
+ * Build the list of body segments for a multipart/form-data request. Each segment
+ * is either a Buffer or a readable stream, to be written out in order.
+ * @param {Object} formData The form fields
+ * @param {string} boundary The multipart boundary
+ * @returns {Array<Buffer|Readable>} The body segments
+ * @private
+ */
+function buildMultipartSegments(formData, boundary) {
+	var segments = [];
+
+	Object.keys(formData).forEach(name => {
+		var values = Array.isArray(formData[name]) ? formData[name] : [formData[name]];
+
+		values.forEach(field => {
+			var value = field,
+				options = {};
+
+			if (field && typeof field === 'object' && field.hasOwnProperty('value') && field.hasOwnProperty('options')) {
+				value = field.value;
+				options = field.options || {};
+			}
+
+			var filename = options.filename;
+			if (!filename && isReadableStream(value) && typeof value.path === 'string') {
+				filename = path.basename(value.path);
+			}
+
+			var contentType = options.contentType;
+			if (!contentType && (Buffer.isBuffer(value) || isReadableStream(value))) {
+				contentType = 'application/octet-stream';
+			}
+
+			var header = `--${boundary}${CRLF}Content-Disposition: form-data; name="${name}"`;
+			if (filename) {
+				header += `; filename="${filename}"`;
+			}
+			header += CRLF;
+			if (contentType) {
+				header += `Content-Type: ${contentType}${CRLF}`;
+			}
+			header += CRLF;
+
+			segments.push(Buffer.from(header));
+			segments.push(isReadableStream(value) || Buffer.isBuffer(value) ? value : Buffer.from(String(value)));
+			segments.push(Buffer.from(CRLF));
+		});
+	});
+
+	segments.push(Buffer.from(`--${boundary}--${CRLF}`));
+	return segments;
+}
+
+/**
+ * Write a list of body segments to the request in order, piping any streams
+ * @param {http.ClientRequest} req The outgoing request
+ * @param {Array<Buffer|Readable>} segments The body segments to write
+ * @returns {void}
+ * @private
+ */
+function writeSegments(req, segments) {
+	if (segments.length === 0) {
+		req.end();
+		return;
+	}
+
+	var segment = segments[0],
+		rest = segments.slice(1);
+
+	if (Buffer.isBuffer(segment)) {
+		req.write(segment);
+		writeSegments(req, rest);
+		return;
+	}
+
+	segment.on('error', err => req.emit('error', err));
+	segment.on('end', () => writeSegments(req, rest));
+	segment.pipe(req, { end: false });
+}
+
+/**
+ * Parse the buffered response body according to the request options
+ * @param {Buffer} body The raw response body
+ * @param {TransportRequestOptions} options The request options
+ * @returns {Object|Buffer|string|undefined} The parsed response body
+ * @private
+ */
+function parseBody(body, options) {
+	if (body.length === 0) {
+		if (options.json) {
+			return undefined;
+		}
+		return options.encoding === null ? body : '';
+	}
+
+	var parsed = options.encoding === null ? body : body.toString(options.encoding);
+
+	if (options.json) {
+		try {
+			parsed = JSON.parse(body.toString('utf8'));
+		} catch (e) {
+			// Not JSON, so return the body as-is
+		}
+	}
+
+	return parsed;
+}
+
+// ------------------------------------------------------------------------------
+// Public
+// ------------------------------------------------------------------------------
+
+/**
+ * The default SDK transport, which sends requests with the Node.js http and https
+ * modules. Redirects are never followed, since the SDK handles them itself.
+ *
+ * Any object with request() and stream() methods matching this class can be
+ * passed as the `transport` config option to replace it.
+ */
+class HTTPTransport {
+
+	/**
+	 * Create a transport, with its own pool of HTTP agents
+	 */
+	constructor() {
+
+		/**
+		 * @var {Object.<string, http.Agent>} Agents created for requests, keyed by their options
+		 * @private
+		 */
+		this._agents = {};
+	}
+
+	/**
+	 * Send a request and buffer the response body
+	 * @param {TransportRequestOptions} options The request options
+	 * @param {Function} callback Called with an error or the response, with its body attached
+	 * @returns {APIRequest~RequestObject} Information about the request being made
+	 */
+	request(options, callback) {
+
+		var finished = false;
+		var finish = (err, res) => {
+			if (finished) {
+				return;
+			}
+			finished = true;
+			callback(err, res);
+		};
+
+		var requestInfo = this._send(options, (err, res) => {
+			if (err) {
+				finish(err);
+				return;
+			}
+
+			var chunks = [],
+				ended = false;
+			res.on('data', chunk => chunks.push(chunk));
+			res.on('error', resErr => {
+				// Errors from tearing down the connection after the body was fully read don't affect the response
+				if (ended) {
+					return;
+				}
+				finish(resErr);
+			});
+			res.on('end', () => {
+				ended = true;
+				res.body = parseBody(Buffer.concat(chunks), options);
+				finish(null, res);
+			});
+		});
+
+		return requestInfo;
+	}
+
+	/**
+	 * Send a request and stream the response body. The returned stream emits a
+	 * 'response' event with the response status and headers before any data.
+	 * @param {TransportRequestOptions} options The request options
+	 * @returns {Readable} The response body stream
+	 */
+	stream(options) {
+
+		var responseStream = new PassThrough();
+
+		this._send(options, (err, res) => {
+			if (err) {
+				responseStream.emit('error', err);
+				return;
+			}
+
+			var ended = false,
+				errored = false;
+			responseStream.emit('response', res);
+			res.on('end', () => {
+				ended = true;
+			});
+			res.on('error', resErr => {
+				if (!ended && !errored) {
+					errored = true;
+					responseStream.emit('error', resErr);
+				}
+			});
+			res.pipe(responseStream);
+		});
+
+		return responseStream;
+	}
+
+	/**
+	 * Get the agent to use for a request, creating one if needed.  HTTPS requests
+	 * through a proxy use an agent that tunnels to the server with CONNECT, and
+	 * HTTP requests through a proxy use an agent for the proxy itself.
+	 * @param {Object} parsedURL The parsed request URL
+	 * @param {TransportRequestOptions} options The request options
+	 * @param {?ResolvedProxy} proxy The proxy to send the request through, if any
+	 * @returns {http.Agent} The agent
+	 * @private
+	 */
+	_getAgent(parsedURL, options, proxy) {
+
+		var agentOptions = options.agentOptions || {},
+			key,
+			createAgent;
+
+		if (proxy && parsedURL.protocol === 'https:') {
+			key = `tunnel:${proxy.url.href}:${proxy.authorization}:${JSON.stringify(agentOptions)}`;
+			createAgent = () => new proxyResolver.TunnelingAgent(proxy, agentOptions);
+		} else {
+			var protocol = proxy ? proxy.url.protocol : parsedURL.protocol,
+				AgentClass = protocol === 'https:' ? options.agentClass || https.Agent : http.Agent;
+
+			key = `${protocol}${AgentClass.name}:${JSON.stringify(agentOptions)}`;
+			createAgent = () => new AgentClass(agentOptions);
+		}
+
+		if (!this._agents[key]) {
+			this._agents[key] = createAgent();
+		}
+
+		return this._agents[key];
+	}
+
+	/**
+	 * Build and send the request, calling back once the response headers arrive
+	 * @param {TransportRequestOptions} options The request options
+	 * @param {Function} callback Called with an error or the incoming response
+	 * @returns {APIRequest~RequestObject} Information about the request being made
+	 * @private
+	 */
+	_send(options, callback) {
+
+		var href = options.url || options.uri;
+		if (options.qs) {
+			var query = qs.stringify(removeUndefinedValues(options.qs));
+			if (query) {
+				href += (href.indexOf('?') === -1 ? '?' : '&') + query;
+			}
+		}
+
+		var parsedURL = url.parse(href),
+			method = (options.method || 'GET').toUpperCase(),
+			headers = removeUndefinedValues(options.headers || {}),
+			segments = [],
+			body;
+
+		// Headers added here use lower-case names, matching those set by the request module that
+		// the SDK previously used, since callers such as PagingIterator update them by those names
+		if (options.form) {
+			body = qs.stringify(removeUndefinedValues(options.form));
+			if (!findHeader(headers, 'Content-Type')) {
+				headers['content-type'] = 'application/x-www-form-urlencoded';
+			}
+		} else if (options.formData) {
+			var boundary = generateBoundary();
+			segments = buildMultipartSegments(options.formData, boundary);
+			setHeader(headers, 'content-type', `multipart/form-data; boundary=${boundary}`);
+		} else if (typeof options.body !== 'undefined') {
+			body = options.body;
+			if (options.json && !Buffer.isBuffer(body)) {
+				body = JSON.stringify(body);
+				if (!findHeader(headers, 'Content-Type')) {
+					headers['content-type'] = 'application/json';
+				}
+			}
+		}
+
+		if (options.json && !findHeader(headers, 'Accept')) {
+			headers.accept = 'application/json';
+		}
+
+		if (typeof body !== 'undefined') {
+			segments = [Buffer.isBuffer(body) ? body : Buffer.from(String(body))];
+		}
+
+		if (segments.length > 0 && segments.every(segment => Buffer.isBuffer(segment))) {
+			setHeader(headers, 'content-length', segments.reduce((length, segment) => length + segment.length, 0));
+		} else if (segments.length > 0) {
+			setHeader(headers, 'transfer-encoding', 'chunked');
+		}
+
+		var requestInfo = {
+			uri: parsedURL,
+			href: parsedURL.href,
+			method,
+			headers: Object.assign({}, headers),
+			body
+		};
+
+		var proxy = proxyResolver.resolve(parsedURL, options.proxy),
+			requestURL = parsedURL;
+
+		var requestOptions = {
+			protocol: parsedURL.protocol,
+			hostname: parsedURL.hostname,
+			port: parsedURL.port,
+			path: parsedURL.path,
+			method,
+			headers,
+			agent: this._getAgent(parsedURL, options, proxy),
+			rejectUnauthorized: options.strictSSL !== false
+		};
+
+		// HTTPS requests are tunneled by the agent, but HTTP requests are sent to the proxy with the full URL as the path
+		if (proxy && parsedURL.protocol === 'http:') {
+			requestURL = proxy.url;
+			Object.assign(requestOptions, {
+				protocol: proxy.url.protocol,
+				hostname: proxy.url.hostname,
+				port: proxy.url.port,
+				path: parsedURL.href,
+				headers: Object.assign({ host: parsedURL.host }, headers)
+			});
+			if (proxy.authorization) {
+				requestOptions.headers['proxy-authorization'] = proxy.authorization;
+			}
+		}
+
+		var signal = options.signal,
+			response = null,
+			called = false;
+
+		var done = (err, res) => {
+			if (called) {
+				return;
+			}
+			called = true;
+			callback(err, res);
+		};
+
+		var httpModule = requestURL.protocol === 'https:' ? https : http;
+		var req = httpModule.request(requestOptions, res => {
+			// Keep a reference back to the request, without making the response circular when serialized
+			Object.defineProperty(requestInfo, 'response', { value: res });
+			res.request = requestInfo;
+			response = res;
+			done(null, res);
+		});
+
+		req.on('error', err => done(err));
+
+		if (signal) {
+			var onAbort = () => {
+				var abortError = errors.buildAbortError();
+
+				// Once the response has started, the abort is reported as an error while reading its body
+				if (response) {
+					response.emit('error', abortError);
+				} else {
+					done(abortError);
+				}
+				req.abort();
+			};
+
+			if (signal.aborted) {
+				process.nextTick(onAbort);
+				return requestInfo;
+			}
+
+			var stopListening = () => signal.removeEventListener('abort', onAbort);
+			signal.addEventListener('abort', onAbort);
+			req.on('error', stopListening);
+			req.on('response', res => res.on('end', stopListening));
+		}
+
+		if (options.timeout) {
+			req.setTimeout(options.timeout, () => {
+				var timeoutError = new Error('ESOCKETTIMEDOUT');
+				timeoutError.code = 'ESOCKETTIMEDOUT';
+				req.abort();
+				done(timeoutError);
+			});
+		}
+
+		writeSegments(req, segments);
+
+		return requestInfo;
+	}
+}
+
+/**
+ * @module box-node-sdk/lib/transports/http-transport
+ * @see {@Link HTTPTransport}
+ */
+module.exports = HTTPTransport;
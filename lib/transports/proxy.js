@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Proxy selection and CONNECT tunneling for the HTTP transport
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Typedefs
+// ------------------------------------------------------------------------------
+
+/**
+ * Proxy to send requests through
+ * @typedef {Object} ProxyConfig
+ * @property {string} url The URL of the HTTP or HTTPS proxy, e.g. "http://proxy.example.com:8080"; credentials
+ *  in the URL are used for basic auth when no username is set
+ * @property {string} [username] The username for basic auth with the proxy
+ * @property {string} [password] The password for basic auth with the proxy
+ * @property {string|string[]} [noProxy] Hosts to connect to directly, as in the NO_PROXY environment
+ *  variable [Default: the NO_PROXY environment variable]
+ */
+
+/**
+ * The proxy chosen for a request
+ * @typedef {Object} ResolvedProxy
+ * @property {Object} url The parsed proxy URL, without credentials
+ * @property {?string} authorization The Proxy-Authorization header value, or null if the proxy needs no auth
+ */
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const http = require('http'),
+	https = require('https'),
+	tls = require('tls'),
+	url = require('url');
+
+// ------------------------------------------------------------------------------
+// Private
+// ------------------------------------------------------------------------------
+
+const DEFAULT_PORTS = {
+	'http:': '80',
+	'https:': '443'
+};
+
+/**
+ * Get the first environment variable that is set, checking each name in
+ * upper and lower case as both are in common use
+ * @param {Object} env The environment variables
+ * @param {string[]} names The names of the variables, in order of preference
+ * @returns {?string} The value, or null if none of the variables are set
+ * @private
+ */
+function getEnvVar(env, names) {
+	for (var i = 0; i < names.length; i++) {
+		var value = env[names[i]] || env[names[i].toLowerCase()];
+		if (value) {
+			return value;
+		}
+	}
+	return null;
+}
+
+/**
+ * Check whether a host should be connected to directly, according to a NO_PROXY list.
+ * Entries match the host and its subdomains, optionally only on one port, and "*"
+ * matches every host.
+ * @param {Object} targetURL The parsed URL of the request
+ * @param {string|string[]} noProxy The NO_PROXY list, as an array or a comma-separated string
+ * @returns {boolean} Whether the request should bypass the proxy
+ * @private
+ */
+function isExcluded(targetURL, noProxy) {
+	var entries = Array.isArray(noProxy) ? noProxy : String(noProxy).split(/[\s,]+/),
+		hostname = targetURL.hostname.toLowerCase(),
+		port = targetURL.port || DEFAULT_PORTS[targetURL.protocol];
+
+	return entries.some(entry => {
+		entry = entry.trim().toLowerCase();
+		if (!entry) {
+			return false;
+		}
+		if (entry === '*') {
+			return true;
+		}
+
+		var entryHost = entry,
+			entryPort = null,
+			portMatch = entry.match(/^(.+):(\d+)$/);
+		if (portMatch) {
+			entryHost = portMatch[1];
+			entryPort = portMatch[2];
+		}
+		if (entryPort && entryPort !== port) {
+			return false;
+		}
+
+		entryHost = entryHost.replace(/^\*?\./, '');
+		return hostname === entryHost || hostname.endsWith(`.${entryHost}`);
+	});
+}
+
+/**
+ * Agent that sends HTTPS requests through a proxy, by opening a tunnel to the
+ * destination with a CONNECT request and starting TLS inside it
+ * @private
+ */
+class TunnelingAgent extends https.Agent {
+
+	/**
+	 * @constructor
+	 * @param {ResolvedProxy} proxy The proxy to tunnel through
+	 * @param {Object} [options] Options for the agent, e.g. keepAlive
+	 * @returns {void}
+	 */
+	constructor(proxy, options) {
+		super(options);
+		this.proxy = proxy;
+	}
+
+	/**
+	 * Open a connection to the destination through the proxy
+	 * @param {Object} options The connection options, including the destination host and port
+	 * @param {Function} callback Called with an error or the TLS socket
+	 * @returns {void}
+	 */
+	createConnection(options, callback) {
+		var proxyURL = this.proxy.url,
+			destination = `${options.host}:${options.port}`,
+			headers = { host: destination };
+
+		if (this.proxy.authorization) {
+			headers['proxy-authorization'] = this.proxy.authorization;
+		}
+
+		var proxyModule = proxyURL.protocol === 'https:' ? https : http;
+		var connectRequest = proxyModule.request({
+			hostname: proxyURL.hostname,
+			port: proxyURL.port || DEFAULT_PORTS[proxyURL.protocol],
+			method: 'CONNECT',
+			path: destination,
+			headers,
+			agent: false,
+			rejectUnauthorized: options.rejectUnauthorized
+		});
+
+		connectRequest.once('connect', (res, socket) => {
+			if (res.statusCode !== 200) {
+				socket.destroy();
+				var err = new Error(`Proxy responded to CONNECT ${destination} with status ${res.statusCode}`);
+				err.code = 'EPROXYCONNECT';
+				err.statusCode = res.statusCode;
+				callback(err);
+				return;
+			}
+
+			callback(null, tls.connect(Object.assign({}, options, {
+				socket,
+				servername: options.servername || options.host
+			})));
+		});
+		connectRequest.once('error', callback);
+		connectRequest.end();
+	}
+}
+
+// ------------------------------------------------------------------------------
+// Public
+// ------------------------------------------------------------------------------
+
+module.exports = {
+
+	TunnelingAgent,
+
+	/**
+	 * Choose the proxy for a request.  The proxy config is used when one is passed;
+	 * otherwise the proxy is read from the HTTPS_PROXY environment variable for https
+	 * URLs, or HTTP_PROXY for http URLs.  Hosts in the NO_PROXY list aren't proxied.
+	 * @param {Object} targetURL The parsed URL of the request
+	 * @param {?ProxyConfig|boolean} [proxyConfig] The proxy config, or false to never use a proxy
+	 * @param {Object} [env] The environment variables [Default: process.env]
+	 * @returns {?ResolvedProxy} The proxy, or null if the request should be sent directly
+	 */
+	resolve(targetURL, proxyConfig, env) {
+		if (proxyConfig === false) {
+			return null;
+		}
+
+		env = env || process.env;
+		proxyConfig = proxyConfig || {};
+
+		var proxyHref = proxyConfig.url;
+		if (!proxyHref && targetURL.protocol === 'https:') {
+			proxyHref = getEnvVar(env, [
+				'HTTPS_PROXY',
+				'HTTP_PROXY'
+			]);
+		} else if (!proxyHref) {
+			proxyHref = getEnvVar(env, ['HTTP_PROXY']);
+		}
+		if (!proxyHref) {
+			return null;
+		}
+
+		var noProxy = proxyConfig.noProxy || getEnvVar(env, ['NO_PROXY']);
+		if (noProxy && isExcluded(targetURL, noProxy)) {
+			return null;
+		}
+
+		var proxyURL = url.parse(proxyHref),
+			username = proxyConfig.username,
+			password = proxyConfig.password;
+
+		if (!username && proxyURL.auth) {
+			var separatorIndex = proxyURL.auth.indexOf(':');
+			// url.parse() has already decoded the credentials
+			if (separatorIndex === -1) {
+				username = proxyURL.auth;
+			} else {
+				username = proxyURL.auth.slice(0, separatorIndex);
+				password = proxyURL.auth.slice(separatorIndex + 1);
+			}
+		}
+		// Keep the credentials out of the URL, which is used in agent keys and request info
+		proxyURL = url.parse(`${proxyURL.protocol}//${proxyURL.host}`);
+
+		var authorization = null;
+		if (username) {
+			authorization = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+		}
+
+		return {
+			url: proxyURL,
+			authorization
+		};
+	}
+};
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Loading and validation of the app configuration JSON downloaded from the Developer Console
+ */
+
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Typedefs
+// -----------------------------------------------------------------------------
+
+/**
+ * Options for loading the app configuration
+ * @typedef {Object} AppConfigLoadOptions
+ * @property {string} [profile] - The name of the profile to use from a configuration with
+ *  profiles [Default: the BOX_PROFILE environment variable]
+ * @property {Object} [env] - The environment variables to read [Default: process.env]
+ */
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+var fs = require('fs'),
+	errors = require('./errors');
+
+// -----------------------------------------------------------------------------
+// Private
+// -----------------------------------------------------------------------------
+
+const envVars = Object.freeze({
+	// Path of the configuration file, used when no configuration is passed
+	CONFIG_PATH: 'BOX_CONFIG_PATH',
+	// Contents of the configuration file, used when no configuration or path is passed
+	CONFIG: 'BOX_CONFIG',
+	// Name of the profile to use
+	PROFILE: 'BOX_PROFILE',
+	// Overrides boxAppSettings.clientID
+	CLIENT_ID: 'BOX_CLIENT_ID',
+	// Overrides boxAppSettings.appAuth.publicKeyID
+	PUBLIC_KEY_ID: 'BOX_PUBLIC_KEY_ID',
+	// Path of a file whose contents override boxAppSettings.appAuth.privateKey
+	PRIVATE_KEY_PATH: 'BOX_PRIVATE_KEY_PATH',
+	// Overrides enterpriseID
+	ENTERPRISE_ID: 'BOX_ENTERPRISE_ID'
+});
+
+/**
+ * Read a file the configuration refers to
+ * @param {string} path - The path of the file
+ * @param {string} field - The field or environment variable the path came from
+ * @returns {string} The contents of the file
+ * @throws {ConfigurationError} If the file can't be read
+ * @private
+ */
+function readFile(path, field) {
+	try {
+		// Configuration is loaded once while the application starts, before any calls are made
+		// eslint-disable-next-line no-sync
+		return fs.readFileSync(path, 'utf8');
+	} catch (err) {
+		throw errors.buildConfigurationError(field, `could not read file ${path}: ${err.message}`);
+	}
+}
+
+/**
+ * Parse configuration JSON
+ * @param {string} json - The JSON
+ * @param {string} field - The field or environment variable the JSON came from
+ * @returns {Object} The parsed configuration
+ * @throws {ConfigurationError} If the JSON is invalid
+ * @private
+ */
+function parseJSON(json, field) {
+	try {
+		return JSON.parse(json);
+	} catch (err) {
+		throw errors.buildConfigurationError(field, `must contain valid JSON: ${err.message}`);
+	}
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} Whether the value is an object, excluding null and arrays
+ * @private
+ */
+function isObject(value) {
+	return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Assert that a configuration field holds a non-empty string
+ * @param {*} value - The value of the field
+ * @param {string} field - The path of the field
+ * @returns {void}
+ * @throws {ConfigurationError} If the value isn't a non-empty string
+ * @private
+ */
+function assertNonEmptyString(value, field) {
+	if (typeof value !== 'string' || value.length === 0) {
+		throw errors.buildConfigurationError(field, 'must be a non-empty string');
+	}
+}
+
+/**
+ * Assert that an optional configuration field holds a string, if it is set
+ * @param {*} value - The value of the field
+ * @param {string} field - The path of the field
+ * @returns {void}
+ * @throws {ConfigurationError} If the value is set and isn't a string
+ * @private
+ */
+function assertOptionalString(value, field) {
+	if (typeof value !== 'undefined' && typeof value !== 'string') {
+		throw errors.buildConfigurationError(field, 'must be a string');
+	}
+}
+
+/**
+ * Pick the configuration of the selected profile from a configuration with profiles
+ * @param {Object} config - The configuration
+ * @param {?string} profile - The name of the selected profile
+ * @returns {Object} The configuration of the profile, or the configuration itself when it has no profiles
+ * @throws {ConfigurationError} If the profile doesn't exist, or none is selected from a configuration that only has profiles
+ * @private
+ */
+function selectProfile(config, profile) {
+	if (!profile) {
+		if (isObject(config.profiles) && typeof config.boxAppSettings === 'undefined') {
+			throw errors.buildConfigurationError('profiles', `a profile must be selected, one of: ${Object.keys(config.profiles).join(', ')}`);
+		}
+		return config;
+	}
+
+	if (!isObject(config.profiles)) {
+		throw errors.buildConfigurationError('profiles', `must be an object to select profile ${profile}`);
+	}
+	if (!isObject(config.profiles[profile])) {
+		throw errors.buildConfigurationError(`profiles.${profile}`, `is not defined, profiles are: ${Object.keys(config.profiles).join(', ')}`);
+	}
+	return config.profiles[profile];
+}
+
+/**
+ * Apply the environment variables that override configuration fields
+ * @param {Object} config - The configuration, which is modified
+ * @param {Object} env - The environment variables
+ * @returns {void}
+ * @private
+ */
+function applyEnvOverrides(config, env) {
+	if (!isObject(config.boxAppSettings)) {
+		// Leave the missing settings to be reported by validation
+		return;
+	}
+
+	var boxAppSettings = config.boxAppSettings;
+	if (env[envVars.CLIENT_ID]) {
+		boxAppSettings.clientID = env[envVars.CLIENT_ID];
+	}
+
+	if (env[envVars.PUBLIC_KEY_ID] || env[envVars.PRIVATE_KEY_PATH]) {
+		boxAppSettings.appAuth = isObject(boxAppSettings.appAuth) ? boxAppSettings.appAuth : {};
+		if (env[envVars.PUBLIC_KEY_ID]) {
+			boxAppSettings.appAuth.publicKeyID = env[envVars.PUBLIC_KEY_ID];
+		}
+		if (env[envVars.PRIVATE_KEY_PATH]) {
+			boxAppSettings.appAuth.privateKey = readFile(env[envVars.PRIVATE_KEY_PATH], envVars.PRIVATE_KEY_PATH);
+		}
+	}
+
+	if (env[envVars.ENTERPRISE_ID]) {
+		config.enterpriseID = env[envVars.ENTERPRISE_ID];
+	}
+}
+
+// -----------------------------------------------------------------------------
+// Public
+// -----------------------------------------------------------------------------
+
+module.exports = {
+
+	/**
+	 * Names of the environment variables read when loading the configuration
+	 * @readonly
+	 * @enum {string}
+	 */
+	envVars,
+
+	/**
+	 * Validate an app configuration in the Developer Console format
+	 * @param {Object} config - The configuration
+	 * @returns {void}
+	 * @throws {ConfigurationError} Naming the first field that is missing or invalid
+	 */
+	validate(config) {
+		if (!isObject(config)) {
+			throw errors.buildConfigurationError('(root)', 'must be an object');
+		}
+		if (!isObject(config.boxAppSettings)) {
+			throw errors.buildConfigurationError('boxAppSettings', 'must be an object');
+		}
+
+		var boxAppSettings = config.boxAppSettings;
+		assertNonEmptyString(boxAppSettings.clientID, 'boxAppSettings.clientID');
+		assertNonEmptyString(boxAppSettings.clientSecret, 'boxAppSettings.clientSecret');
+
+		if (typeof boxAppSettings.appAuth !== 'undefined') {
+			if (!isObject(boxAppSettings.appAuth)) {
+				throw errors.buildConfigurationError('boxAppSettings.appAuth', 'must be an object');
+			}
+
+			// The Developer Console leaves the app auth fields empty until a key pair is added
+			var appAuth = boxAppSettings.appAuth;
+			assertOptionalString(appAuth.publicKeyID, 'boxAppSettings.appAuth.publicKeyID');
+			if (appAuth.publicKeyID) {
+				assertNonEmptyString(appAuth.privateKey, 'boxAppSettings.appAuth.privateKey');
+				assertNonEmptyString(appAuth.passphrase, 'boxAppSettings.appAuth.passphrase');
+			}
+		}
+
+		assertOptionalString(config.enterpriseID, 'enterpriseID');
+		assertOptionalString(config.userID, 'userID');
+
+		if (typeof config.webhooks !== 'undefined') {
+			if (!isObject(config.webhooks)) {
+				throw errors.buildConfigurationError('webhooks', 'must be an object');
+			}
+			assertOptionalString(config.webhooks.primaryKey, 'webhooks.primaryKey');
+			assertOptionalString(config.webhooks.secondaryKey, 'webhooks.secondaryKey');
+		}
+	},
+
+	/**
+	 * Load an app configuration in the Developer Console format, select a profile from it,
+	 * apply the overrides from environment variables and validate the result.  When no
+	 * configuration is passed, it is read from the file at BOX_CONFIG_PATH, or from the
+	 * contents of BOX_CONFIG.
+	 *
+	 * A configuration with profiles holds a configuration per profile, under
+	 * `profiles.<name>`; the profile is selected with the profile option or BOX_PROFILE.
+	 *
+	 * @param {string|Object} [source] - The path of the configuration file, or the parsed configuration
+	 * @param {AppConfigLoadOptions} [options] - Optional loading settings
+	 * @returns {Object} The validated configuration, which is a copy when the source is an object
+	 * @throws {ConfigurationError} Naming the field or environment variable that is missing or invalid
+	 */
+	load(source, options) {
+		options = options || {};
+		var env = options.env || process.env;
+
+		var config;
+		if (isObject(source)) {
+			config = JSON.parse(JSON.stringify(source));
+		} else if (typeof source === 'string') {
+			config = parseJSON(readFile(source, 'configPath'), 'configPath');
+		} else if (env[envVars.CONFIG_PATH]) {
+			config = parseJSON(readFile(env[envVars.CONFIG_PATH], envVars.CONFIG_PATH), envVars.CONFIG_PATH);
+		} else if (env[envVars.CONFIG]) {
+			config = parseJSON(env[envVars.CONFIG], envVars.CONFIG);
+		} else {
+			throw errors.buildConfigurationError('configPath', `must be passed, or set with ${envVars.CONFIG_PATH} or ${envVars.CONFIG}`);
+		}
+
+		if (!isObject(config)) {
+			throw errors.buildConfigurationError('(root)', 'must be an object');
+		}
+
+		config = selectProfile(config, options.profile || env[envVars.PROFILE]);
+		applyEnvOverrides(config, env);
+		this.validate(config);
+
+		return config;
+	}
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Helpers for securing the OAuth2 authorization code flow with PKCE and a CSRF state value
+ */
+
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Typedefs
+// -----------------------------------------------------------------------------
+
+/**
+ * A PKCE code verifier, and the challenge derived from it
+ * @typedef {Object} PKCEPair
+ * @property {string} codeVerifier - The secret sent with the authorization code when exchanging it for tokens
+ * @property {string} codeChallenge - The hash of the verifier, sent with the authorization request
+ * @property {string} codeChallengeMethod - The method used to derive the challenge, always "S256"
+ */
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+var crypto = require('crypto');
+
+// -----------------------------------------------------------------------------
+// Private
+// -----------------------------------------------------------------------------
+
+// 32 random bytes encode to a 43 character verifier, the minimum length allowed by RFC 7636
+const CODE_VERIFIER_BYTES = 32;
+const STATE_BYTES = 32;
+const CODE_CHALLENGE_METHOD = 'S256';
+
+/**
+ * Encode a buffer as URL-safe base64 without padding
+ * @param {Buffer} buffer - The bytes to encode
+ * @returns {string} The encoded string
+ * @private
+ */
+function base64URLEncode(buffer) {
+	return buffer.toString('base64')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/[=]+$/, '');
+}
+
+/**
+ * Compare two buffers of the same length in constant time, using crypto.timingSafeEqual()
+ * where it exists (Node.js 6.6 and later)
+ * @param {Buffer} a - The first buffer
+ * @param {Buffer} b - The second buffer, of the same length as the first
+ * @returns {boolean} Whether the buffers are equal
+ * @private
+ */
+function timingSafeEqual(a, b) {
+	if (typeof crypto.timingSafeEqual === 'function') {
+		return crypto.timingSafeEqual(a, b);
+	}
+
+	var diff = 0;
+	for (var i = 0; i < a.length; i++) {
+		// eslint-disable-next-line no-bitwise
+		diff |= a[i] ^ b[i];
+	}
+	return diff === 0;
+}
+
+// -----------------------------------------------------------------------------
+// Public
+// -----------------------------------------------------------------------------
+
+module.exports = {
+
+	/**
+	 * Derive the S256 PKCE code challenge for a code verifier
+	 * @param {string} codeVerifier - The code verifier
+	 * @returns {string} The code challenge
+	 */
+	createCodeChallenge(codeVerifier) {
+		return base64URLEncode(crypto.createHash('sha256').update(codeVerifier)
+			.digest());
+	},
+
+	/**
+	 * Generate a random PKCE code verifier and its challenge
+	 * @returns {PKCEPair} The verifier and challenge
+	 */
+	createPKCEPair() {
+		var codeVerifier = base64URLEncode(crypto.randomBytes(CODE_VERIFIER_BYTES));
+
+		return {
+			codeVerifier,
+			codeChallenge: this.createCodeChallenge(codeVerifier),
+			codeChallengeMethod: CODE_CHALLENGE_METHOD
+		};
+	},
+
+	/**
+	 * Generate a random state value, which is sent with the authorization request
+	 * and must be returned unchanged to the redirect URI
+	 * @returns {string} The state value
+	 */
+	createState() {
+		return base64URLEncode(crypto.randomBytes(STATE_BYTES));
+	},
+
+	/**
+	 * Check that the state returned to the redirect URI matches the state sent with
+	 * the authorization request, in constant time
+	 * @param {string} expectedState - The state sent with the authorization request
+	 * @param {string} receivedState - The state returned to the redirect URI
+	 * @returns {boolean} Whether the states match
+	 */
+	verifyState(expectedState, receivedState) {
+		if (typeof expectedState !== 'string' || typeof receivedState !== 'string' || !expectedState) {
+			return false;
+		}
+
+		var expected = Buffer.from(expectedState),
+			received = Buffer.from(receivedState);
+
+		return expected.length === received.length && timingSafeEqual(expected, received);
+	}
+};
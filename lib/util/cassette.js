@@ -0,0 +1,580 @@
+/**
+ * @fileoverview Record and replay of API interactions, for deterministic offline tests
+ */
+
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Typedefs
+// -----------------------------------------------------------------------------
+
+/**
+ * Cassette options
+ * @typedef {Object} CassetteOptions
+ * @property {string} [mode] - "record" to send requests and record them, or "replay" to answer
+ *  requests from the cassette file without sending them [Default: "replay"]
+ * @property {string[]} [scrubHeaders] - Additional request and response headers to redact
+ * @property {string[]} [scrubFields] - Additional form fields and response body fields to redact
+ */
+
+/**
+ * A request as recorded in a cassette, with its secrets redacted. Requests are matched
+ * on their method, URL, query and body.
+ * @typedef {Object} Cassette~RecordedRequest
+ * @property {string} method - The HTTP method
+ * @property {string} url - The URL, without the query string
+ * @property {Object} query - The query parameters, as strings
+ * @property {?Object} body - The body, as {json}, {form}, {text}, {base64} or {multipart}
+ * @property {Object} headers - The request headers
+ */
+
+/**
+ * A request and the response it got, as recorded in a cassette
+ * @typedef {Object} Cassette~Interaction
+ * @property {Cassette~RecordedRequest} request - The request
+ * @property {Object} response - The status code, headers and body of the response
+ * @property {boolean} streaming - Whether the response was read as a stream
+ * @property {?Object} error - The message of the error the request failed with, if it failed
+ *  after getting a response, e.g. a 5xx response that was retried too many times
+ */
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+var fs = require('fs'),
+	querystring = require('querystring'),
+	url = require('url'),
+	Readable = require('stream').Readable,
+	PassThrough = require('stream').PassThrough,
+	errors = require('./errors'),
+	Promise = require('bluebird');
+
+// -----------------------------------------------------------------------------
+// Private
+// -----------------------------------------------------------------------------
+
+const REDACTED = '[REDACTED]';
+
+// Placeholder for multipart values that are streams, whose contents aren't recorded
+const STREAM_PLACEHOLDER = '[stream]';
+
+const modes = Object.freeze({
+	RECORD: 'record',
+	REPLAY: 'replay'
+});
+
+// Headers that carry credentials, compared in lower case
+const SCRUBBED_HEADERS = [
+	'authorization',
+	'boxapi',
+	'proxy-authorization',
+	'cookie',
+	'set-cookie'
+];
+
+// Token request form fields that hold secrets
+const SCRUBBED_FORM_FIELDS = [
+	'client_secret',
+	'assertion',
+	'code',
+	'code_verifier',
+	'refresh_token',
+	'subject_token',
+	'actor_token',
+	'token'
+];
+
+// Token response fields that hold secrets
+const SCRUBBED_RESPONSE_FIELDS = [
+	'access_token',
+	'refresh_token'
+];
+
+var defaults = {
+	mode: modes.REPLAY,
+	scrubHeaders: [],
+	scrubFields: []
+};
+
+/**
+ * Stringify a value as JSON with object keys sorted, so that equal values always
+ * produce the same string
+ * @param {*} value - The value
+ * @returns {string} The JSON
+ * @private
+ */
+function stableStringify(value) {
+	if (Array.isArray(value)) {
+		return `[${value.map(stableStringify).join(',')}]`;
+	}
+	if (value && typeof value === 'object') {
+		return `{${Object.keys(value).sort()
+			.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+			.join(',')}}`;
+	}
+	return JSON.stringify(value);
+}
+
+/**
+ * Check whether a value is a readable stream
+ * @param {*} value - The value
+ * @returns {boolean} Whether the value is a readable stream
+ * @private
+ */
+function isReadableStream(value) {
+	return Boolean(value) && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
+
+/**
+ * Serialize a body, or a multipart value, for the cassette
+ * @param {*} body - The body
+ * @returns {?Object} The body as {json}, {text} or {base64}, or null if there is no body
+ * @private
+ */
+function serializeBody(body) {
+	if (typeof body === 'undefined' || body === null) {
+		return null;
+	}
+	if (Buffer.isBuffer(body)) {
+		return { base64: body.toString('base64') };
+	}
+	if (typeof body === 'string') {
+		return { text: body };
+	}
+	return { json: JSON.parse(JSON.stringify(body)) };
+}
+
+/**
+ * Deserialize a body recorded in the cassette
+ * @param {?Object} body - The recorded body
+ * @returns {Object|Buffer|string|undefined} The body
+ * @private
+ */
+function deserializeBody(body) {
+	if (!body) {
+		return undefined;
+	}
+	if (body.hasOwnProperty('base64')) {
+		return Buffer.from(body.base64, 'base64');
+	}
+	if (body.hasOwnProperty('text')) {
+		return body.text;
+	}
+	return body.json;
+}
+
+/**
+ * Get a recorded body as a buffer, to stream it
+ * @param {?Object} body - The recorded body
+ * @returns {Buffer} The body bytes
+ * @private
+ */
+function bodyToBuffer(body) {
+	var value = deserializeBody(body);
+	if (typeof value === 'undefined') {
+		return Buffer.alloc(0);
+	}
+	if (Buffer.isBuffer(value)) {
+		return value;
+	}
+	return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+/**
+ * Describe the fields of a multipart request.  The contents of streams aren't
+ * recorded, since reading them would consume them.
+ * @param {Object} formData - The multipart form fields
+ * @returns {Object[]} The name, filename, content type and value of each field
+ * @private
+ */
+function describeMultipart(formData) {
+	return Object.keys(formData).map(name => {
+		var value = formData[name],
+			options = {};
+
+		if (value && typeof value === 'object' && value.hasOwnProperty('value') && value.hasOwnProperty('options')) {
+			options = value.options || {};
+			value = value.value;
+		}
+
+		var field = { name };
+		if (options.filename) {
+			field.filename = options.filename;
+		}
+		if (options.contentType) {
+			field.contentType = options.contentType;
+		}
+
+		if (typeof value === 'function' || isReadableStream(value)) {
+			field.value = STREAM_PLACEHOLDER;
+		} else if (Buffer.isBuffer(value)) {
+			field.value = { base64: value.toString('base64') };
+		} else {
+			field.value = String(value);
+		}
+		return field;
+	});
+}
+
+/**
+ * Redact the secret fields of a form or a response body
+ * @param {Object} fields - The fields
+ * @param {string[]} names - The names of the secret fields
+ * @returns {Object} A copy of the fields, with secrets redacted
+ * @private
+ */
+function scrubFields(fields, names) {
+	return Object.keys(fields).reduce((scrubbed, name) => {
+		scrubbed[name] = names.indexOf(name) === -1 ? fields[name] : REDACTED;
+		return scrubbed;
+	}, {});
+}
+
+/**
+ * Create the information about a replayed request that the transport attaches to responses
+ * @param {Cassette~RecordedRequest} request - The request, as described for matching
+ * @param {Object} options - The request options
+ * @returns {APIRequest~RequestObject} The request information
+ * @private
+ */
+function createRequestInfo(request, options) {
+	var query = querystring.stringify(request.query),
+		parsedURL = url.parse(query ? `${request.url}?${query}` : request.url);
+
+	var headers = Object.assign({}, options.headers);
+	delete headers.Authorization;
+	delete headers.BoxApi;
+
+	return {
+		uri: parsedURL,
+		href: parsedURL.href,
+		method: request.method,
+		headers,
+		body: options.body
+	};
+}
+
+/**
+ * Create a stream for a replayed response.  Like the transport's streams, it emits
+ * 'response' before any data, once it starts being read.
+ * @param {Object} response - The response status and headers
+ * @param {Buffer} body - The response body
+ * @returns {Readable} The response stream
+ * @private
+ */
+function createReplayStream(response, body) {
+	var started = false;
+
+	return new Readable({
+		read() {
+			if (started) {
+				return;
+			}
+			started = true;
+			this.emit('response', response);
+			if (body.length > 0) {
+				this.push(body);
+			}
+			this.push(null);
+		}
+	});
+}
+
+// -----------------------------------------------------------------------------
+// Public
+// -----------------------------------------------------------------------------
+
+/**
+ * Records the requests made through an SDK instance and the responses they get to a
+ * JSON cassette file, and replays them from the file without sending the requests.
+ * The cassette plugs into the request manager as the last middleware, so it sees
+ * every request of every client, including token requests. Credentials in headers,
+ * token request forms and token responses are redacted before anything is recorded.
+ */
+class Cassette {
+
+	/**
+	 * @constructor
+	 * @param {string} cassettePath - The path of the cassette file
+	 * @param {CassetteOptions} [options] - Optional cassette settings
+	 * @returns {void}
+	 */
+	constructor(cassettePath, options) {
+		this.path = cassettePath;
+		this.options = Object.assign({}, defaults, options);
+
+		if (this.options.mode !== modes.RECORD && this.options.mode !== modes.REPLAY) {
+			throw new Error(`Cassette mode must be one of: ${modes.RECORD}, ${modes.REPLAY}`);
+		}
+
+		this._scrubHeaders = SCRUBBED_HEADERS.concat(this.options.scrubHeaders.map(header => header.toLowerCase()));
+		this._scrubFormFields = SCRUBBED_FORM_FIELDS.concat(this.options.scrubFields);
+		this._scrubResponseFields = SCRUBBED_RESPONSE_FIELDS.concat(this.options.scrubFields);
+
+		/** @type {Cassette~Interaction[]} The recorded interactions */
+		this.interactions = [];
+		/** @type {Cassette~RecordedRequest[]} Requests made while replaying that no interaction matched */
+		this.unmatchedRequests = [];
+
+		this._played = [];
+		this._loading = null;
+	}
+
+	/**
+	 * The interactions that haven't been replayed
+	 * @type {Cassette~Interaction[]}
+	 */
+	get unplayedInteractions() {
+		return this.interactions.filter((interaction, index) => !this._played[index]);
+	}
+
+	/**
+	 * Get the middleware that records or replays requests, to add to the SDK instance
+	 * with sdk.use() after any other middleware
+	 * @returns {Middleware} The middleware
+	 */
+	middleware() {
+		return (context, next) => {
+			if (this.options.mode === modes.RECORD) {
+				return this._record(context, next);
+			}
+			return this.load().then(() => this._replay(context));
+		};
+	}
+
+	/**
+	 * Read the interactions from the cassette file.  Replaying loads the file when the
+	 * first request is made, so this only needs to be called to inspect the interactions.
+	 * @param {Function} [callback] - Called once the file has been read
+	 * @returns {Promise<Cassette~Interaction[]>} A promise resolving to the interactions
+	 */
+	load(callback) {
+		if (!this._loading) {
+			this._loading = Promise.fromCallback(cb => fs.readFile(this.path, 'utf8', cb))
+				.then(contents => {
+					this.interactions = JSON.parse(contents).interactions || [];
+					this._played = [];
+					return this.interactions;
+				});
+		}
+
+		return this._loading.asCallback(callback);
+	}
+
+	/**
+	 * Write the recorded interactions to the cassette file
+	 * @param {Function} [callback] - Called once the file has been written
+	 * @returns {Promise} A promise resolving once the file has been written
+	 */
+	save(callback) {
+		var contents = `${JSON.stringify({ interactions: this.interactions }, null, '\t')}\n`;
+
+		return Promise.fromCallback(cb => fs.writeFile(this.path, contents, cb))
+			.asCallback(callback);
+	}
+
+	/**
+	 * Redact the credentials in a set of headers
+	 * @param {Object} [headers] - The headers
+	 * @returns {Object} A copy of the headers, with credentials redacted and undefined values removed
+	 * @private
+	 */
+	_scrubHeaderValues(headers) {
+		headers = headers || {};
+		return Object.keys(headers)
+			.filter(name => typeof headers[name] !== 'undefined')
+			.reduce((scrubbed, name) => {
+				scrubbed[name] = this._scrubHeaders.indexOf(name.toLowerCase()) === -1 ? headers[name] : REDACTED;
+				return scrubbed;
+			}, {});
+	}
+
+
+	/**
+	 * Describe a request the way it is recorded and matched
+	 * @param {Object} options - The request options
+	 * @returns {Cassette~RecordedRequest} The request, with secrets redacted
+	 * @private
+	 */
+	_describeRequest(options) {
+		var parsedURL = url.parse(options.url || options.uri, true),
+			query = Object.assign({}, parsedURL.query, options.qs);
+
+		// Query values are compared the way they are sent, as strings
+		query = Object.keys(query)
+			.filter(key => typeof query[key] !== 'undefined')
+			.reduce((stringified, key) => {
+				stringified[key] = Array.isArray(query[key]) ? query[key].map(String) : String(query[key]);
+				return stringified;
+			}, {});
+
+		var body = null;
+		if (options.form) {
+			body = { form: scrubFields(JSON.parse(JSON.stringify(options.form)), this._scrubFormFields) };
+		} else if (options.formData) {
+			body = { multipart: describeMultipart(options.formData) };
+		} else {
+			body = serializeBody(options.body);
+		}
+
+		return {
+			method: (options.method || 'GET').toUpperCase(),
+			url: `${parsedURL.protocol}//${parsedURL.host}${parsedURL.pathname}`,
+			query,
+			body,
+			headers: this._scrubHeaderValues(options.headers)
+		};
+	}
+
+	/**
+	 * Describe a response the way it is recorded
+	 * @param {Object} response - The response
+	 * @param {*} body - The response body
+	 * @returns {Object} The status code, headers and body, with secrets redacted
+	 * @private
+	 */
+	_describeResponse(response, body) {
+		if (body && typeof body === 'object' && !Buffer.isBuffer(body) && !Array.isArray(body)) {
+			body = scrubFields(body, this._scrubResponseFields);
+		}
+
+		return {
+			statusCode: response.statusCode,
+			headers: this._scrubHeaderValues(response.headers),
+			body: serializeBody(body)
+		};
+	}
+
+	/**
+	 * Send a request and record it with its response
+	 * @param {APIRequestManager~RequestContext} context - The request being made
+	 * @param {Function} next - Sends the request
+	 * @returns {Promise<APIRequest~ResponseObject|Readable>} A promise resolving to the response
+	 * @private
+	 */
+	_record(context, next) {
+		var request = this._describeRequest(context.options),
+			streaming = context.streaming;
+
+		return next()
+			.then(response => {
+				if (streaming) {
+					return this._recordStream(request, response);
+				}
+
+				this.interactions.push({
+					request,
+					response: this._describeResponse(response, response.body),
+					streaming,
+					error: null
+				});
+				return response;
+			})
+			.catch(err => {
+				// Failures without a response, e.g. network errors, can't be replayed
+				if (err.response && err.statusCode) {
+					this.interactions.push({
+						request,
+						response: this._describeResponse(err.response, err.response.body),
+						streaming,
+						error: { message: err.message }
+					});
+				}
+				throw err;
+			});
+	}
+
+	/**
+	 * Record a streamed response once it has been read, passing it on unchanged
+	 * @param {Cassette~RecordedRequest} request - The request
+	 * @param {Readable} responseStream - The response stream
+	 * @returns {Readable} A stream of the same response
+	 * @private
+	 */
+	_recordStream(request, responseStream) {
+		var recordedStream = new PassThrough(),
+			chunks = [],
+			response = null;
+
+		responseStream.on('response', res => {
+			response = res;
+			recordedStream.emit('response', res);
+		});
+		responseStream.on('error', err => recordedStream.emit('error', err));
+		responseStream.on('data', chunk => chunks.push(chunk));
+		responseStream.on('end', () => {
+			if (response) {
+				this.interactions.push({
+					request,
+					response: this._describeResponse(response, Buffer.concat(chunks)),
+					streaming: true,
+					error: null
+				});
+			}
+		});
+		responseStream.pipe(recordedStream);
+
+		return recordedStream;
+	}
+
+	/**
+	 * Answer a request with the first matching interaction that hasn't been replayed
+	 * @param {APIRequestManager~RequestContext} context - The request being made
+	 * @returns {APIRequest~ResponseObject|Readable} The recorded response
+	 * @throws {UnmatchedRequestError} If no interaction matches the request
+	 * @private
+	 */
+	_replay(context) {
+		var request = this._describeRequest(context.options),
+			key = stableStringify([
+				request.method,
+				request.url,
+				request.query,
+				request.body
+			]);
+
+		var index = this.interactions.findIndex((interaction, i) => !this._played[i] && stableStringify([
+			interaction.request.method,
+			interaction.request.url,
+			interaction.request.query,
+			interaction.request.body
+		]) === key);
+
+		if (index === -1) {
+			this.unmatchedRequests.push(request);
+			throw errors.buildUnmatchedRequestError(request);
+		}
+		this._played[index] = true;
+
+		var interaction = this.interactions[index],
+			response = {
+				statusCode: interaction.response.statusCode,
+				headers: Object.assign({}, interaction.response.headers),
+				request: createRequestInfo(request, context.options)
+			};
+
+		if (context.streaming) {
+			return createReplayStream(response, bodyToBuffer(interaction.response.body));
+		}
+
+		response.body = deserializeBody(interaction.response.body);
+		if (interaction.error) {
+			var err = new Error(interaction.error.message);
+			err.request = response.request;
+			err.response = response;
+			err.statusCode = response.statusCode;
+			throw errors.toTypedError(err);
+		}
+		return response;
+	}
+}
+
+/**
+ * The modes a cassette can run in
+ * @readonly
+ * @enum {string}
+ */
+Cassette.modes = modes;
+
+module.exports = Cassette;
@@ -18,12 +18,24 @@ var assert = require('assert'),
 
 var nodeVersion = process.version;
 
+/**
+ * Signs a JWT assertion outside of the SDK, e.g. with a key held in a KMS or HSM
+ * @callback JWTSigner
+ * @param {Object} claims The claims of the JWT payload: iss, sub, aud, jti, exp, box_sub_type and, if enabled, iat
+ * @param {Object} header The JWT header: alg, typ and kid
+ * @returns {Promise<string>|string} The signed JWT, in compact serialization
+ */
+
 /**
  * Configuration for App Auth
  * @typedef {Object} AppAuthConfig
- * @property {string} keyID The ID of the public key used for app auth
- * @property {string|Buffer} privateKey The private key used for app auth
- * @property {string} passphrase The passphrase associated with the private key
+ * @property {string|string[]} keyID The ID of the public key used for app auth, or several IDs in order of
+ *  preference; the next ID is tried when Box does not accept a key, so that keys can be rotated without downtime
+ * @property {string|Buffer|Object} [privateKey] The private key used for app auth, or an object mapping each key ID
+ *  to its private key; not needed when the sign() function is provided
+ * @property {string|Object} [passphrase] The passphrase associated with the private key, or an object mapping each
+ *  key ID to its passphrase; not needed when the sign() function is provided
+ * @property {JWTSigner} [sign] Function that signs the JWT assertion, used instead of the private key
  * @property {string} [algorithm=RS256] The signing algorithm to use, "RS256", "RS384", or "RS512"
  * @property {int} [expirationTime=30] Number of seconds the JWT should live for
  * @property {boolean} [verifyTimestamp=false] Whether the timestamp when the auth token is created should be validated
@@ -41,10 +53,24 @@ var nodeVersion = process.version;
  * @property {int} [uploadRequestTimeoutMS] Timeout after which an upload request is aborted [Default: 60000]
  * @property {int} [retryIntervalMS] Time between auto-retries of the API call on a temp failure [Default: 2000]
  * @property {int} [numMaxRetries] Max # of times a temporarily-failed request should be retried before propagating a permanent failure [Default: 5]
+ * @property {APIRequest~RetryStrategy} [retryStrategy] Function deciding how long to wait before each retry [Default: exponential backoff]
+ * @property {int} [retryDeadlineMS] Total time, in milliseconds, after which a call is no longer retried [Default: no deadline]
  * @property {int} [expiredBufferMS] Time before expiration, in milliseconds, when we begin to treat tokens as expired [Default: 3 min.]
+ * @property {Transport} [transport] The HTTP transport used to send requests [Default: built-in Node.js http/https transport]
+ * @property {Middleware[]} [middleware] Functions run, in order, on every API request and response [Default: none]
+ * @property {RateLimitOptions} [rateLimit] Limits on how fast requests are sent, with requests over the limit queued [Default: no limit]
+ * @property {boolean} [iterators] Whether to return collections as iterators, which fetch further pages as needed [Default: false]
+ * @property {int} [iteratorPrefetch] Number of pages iterators fetch ahead of the items being read [Default: 0]
+ * @property {ProxyConfig|boolean} [proxy] Proxy to send all requests through, or false to ignore the proxy environment
+ *  variables [Default: the HTTPS_PROXY, HTTP_PROXY and NO_PROXY environment variables]
  * @property {Object} [request] Request options
  * @property {boolean} [request.strictSSL] Set to false to disable strict SSL checking, which allows using Dev APIs [Default: true]
  * @property {?AppAuthConfig} appAuth Optional configuration for App Auth
+ * @property {TokenCacheOptions} [tokenCache] Cache App Auth tokens by enterprise and user, so clients for the same entity reuse them [Default: no cache]
+ * @property {boolean|ETagCacheOptions|Function} [etagCache] Cache the files and folders each client reads, and revalidate them
+ *  with If-None-Match instead of downloading them again; a function is called to create the cache for each client [Default: no cache]
+ * @property {string} [enterpriseID] The enterprise that App Auth and CCG clients operate as by default
+ * @property {string} [userID] The user that CCG clients operate as by default, instead of the enterprise
  */
 
 var defaults = {
@@ -58,11 +84,20 @@ var defaults = {
 	retryIntervalMS: 2000,
 	numMaxRetries: 5,
 	retryStrategy: null,
+	retryDeadlineMS: null,
+	transport: null,
+	middleware: [],
+	rateLimit: null,
+	proxy: null,
 	expiredBufferMS: 180000,
 	staleBufferMS: 0, // DEPRECATED -- token expiration buffer will be max(expiredBufferMS, staleBufferMS)
 	appAuth: undefined,
+	tokenCache: null,
+	etagCache: null,
 	iterators: false,
+	iteratorPrefetch: 0,
 	enterpriseID: undefined,
+	userID: undefined,
 	analyticsClient: null,
 	request: {
 		// By default, require API SSL cert to be valid
@@ -104,6 +139,21 @@ function validateBasicParams(params) {
 	assert(typeof params.clientSecret === 'string', '"clientSecret" must be set via init() before using the SDK.');
 }
 
+/**
+ * Get the value for a key ID from an app auth setting, which holds either a single
+ * value or an object mapping key IDs to values
+ * @param {string|Buffer|Object} setting The app auth setting, e.g. the private key
+ * @param {string} keyID The key ID to get the value for
+ * @returns {*} The value for the key ID
+ * @private
+ */
+function getValueForKeyID(setting, keyID) {
+	if (setting && typeof setting === 'object' && !(setting instanceof Buffer)) {
+		return setting[keyID];
+	}
+	return setting;
+}
+
 /**
  * Validate app auth-specific Config values
  * @param {Object} appAuth The user-supplied app auth values
@@ -112,9 +162,19 @@ function validateBasicParams(params) {
  * @private
  */
 function validateAppAuthParams(appAuth) {
-	assert(typeof appAuth.keyID === 'string', 'Key ID must be provided in app auth params');
-	assert(typeof appAuth.privateKey === 'string' || appAuth.privateKey instanceof Buffer, 'Private key must be provided in app auth params');
-	assert(typeof appAuth.passphrase === 'string' && appAuth.passphrase.length > 0, 'Passphrase must be provided in app auth params');
+	var keyIDs = [].concat(appAuth.keyID);
+	assert(keyIDs.length > 0 && keyIDs.every(keyID => typeof keyID === 'string'), 'Key ID must be provided in app auth params');
+
+	if (typeof appAuth.sign === 'undefined') {
+		keyIDs.forEach(keyID => {
+			var privateKey = getValueForKeyID(appAuth.privateKey, keyID),
+				passphrase = getValueForKeyID(appAuth.passphrase, keyID);
+			assert(typeof privateKey === 'string' || privateKey instanceof Buffer, `Private key must be provided in app auth params for key ID ${keyID}`);
+			assert(typeof passphrase === 'string' && passphrase.length > 0, `Passphrase must be provided in app auth params for key ID ${keyID}`);
+		});
+	} else {
+		assert(typeof appAuth.sign === 'function', 'Sign must be a function in app auth params');
+	}
 
 	var validAlgorithms = [
 		'RS256',
@@ -130,6 +190,98 @@ function validateAppAuthParams(appAuth) {
 	}
 }
 
+/**
+ * Validate a user-supplied transport
+ * @param {Transport} transport The user-supplied transport
+ * @returns {void}
+ * @throws {AssertionError}
+ * @private
+ */
+function validateTransport(transport) {
+	assert(typeof transport.request === 'function', 'Transport must implement request()');
+	assert(typeof transport.stream === 'function', 'Transport must implement stream()');
+}
+
+/**
+ * Validate user-supplied middleware
+ * @param {Middleware[]} middleware The user-supplied middleware
+ * @returns {void}
+ * @throws {AssertionError}
+ * @private
+ */
+function validateMiddleware(middleware) {
+	assert(Array.isArray(middleware), 'Middleware must be an array of functions');
+	middleware.forEach(fn => assert(typeof fn === 'function', 'Middleware must be an array of functions'));
+}
+
+/**
+ * Validate user-supplied rate limits
+ * @param {RateLimitBucketOptions} rateLimit The user-supplied rate limit
+ * @param {string} name The name of the option being validated, for error messages
+ * @returns {void}
+ * @throws {AssertionError}
+ * @private
+ */
+function validateRateLimit(rateLimit, name) {
+	assert(typeof rateLimit.requestsPerSecond === 'number' && rateLimit.requestsPerSecond > 0, `${name}.requestsPerSecond must be a positive number`);
+	if (typeof rateLimit.burst !== 'undefined') {
+		assert(Number.isInteger(rateLimit.burst) && rateLimit.burst > 0, `${name}.burst must be a positive integer`);
+	}
+}
+
+/**
+ * Validate user-supplied token cache settings
+ * @param {TokenCacheOptions} tokenCache The user-supplied token cache settings
+ * @returns {void}
+ * @throws {AssertionError}
+ * @private
+ */
+function validateTokenCache(tokenCache) {
+	if (typeof tokenCache.maxSize !== 'undefined') {
+		assert(Number.isInteger(tokenCache.maxSize) && tokenCache.maxSize > 0, 'tokenCache.maxSize must be a positive integer');
+	}
+	if (typeof tokenCache.expiryBufferMS !== 'undefined') {
+		assert(Number.isInteger(tokenCache.expiryBufferMS) && tokenCache.expiryBufferMS >= 0, 'tokenCache.expiryBufferMS must be a non-negative integer');
+	}
+}
+
+/**
+ * Validate user-supplied ETag cache settings
+ * @param {boolean|ETagCacheOptions|Function} etagCache The user-supplied ETag cache settings
+ * @returns {void}
+ * @throws {AssertionError}
+ * @private
+ */
+function validateETagCache(etagCache) {
+	if (etagCache === true || typeof etagCache === 'function') {
+		return;
+	}
+	assert(typeof etagCache === 'object', 'etagCache must be true, an options object or a function that creates a cache');
+	if (typeof etagCache.maxSize !== 'undefined') {
+		assert(Number.isInteger(etagCache.maxSize) && etagCache.maxSize > 0, 'etagCache.maxSize must be a positive integer');
+	}
+}
+
+/**
+ * Validate the user-supplied proxy settings
+ * @param {ProxyConfig} proxy The user-supplied proxy settings
+ * @returns {void}
+ * @throws {AssertionError}
+ * @private
+ */
+function validateProxy(proxy) {
+	assert(typeof proxy.url === 'string' && /^https?:\/\/[^/]/.test(proxy.url), 'proxy.url must be an http:// or https:// URL');
+	if (typeof proxy.username !== 'undefined') {
+		assert(typeof proxy.username === 'string', 'proxy.username must be a string');
+	}
+	if (typeof proxy.password !== 'undefined') {
+		assert(typeof proxy.password === 'string', 'proxy.password must be a string');
+	}
+	if (typeof proxy.noProxy !== 'undefined') {
+		assert(typeof proxy.noProxy === 'string' || Array.isArray(proxy.noProxy), 'proxy.noProxy must be a string or an array of hosts');
+	}
+}
+
 // ------------------------------------------------------------------------------
 // Public
 // ------------------------------------------------------------------------------
@@ -150,6 +302,30 @@ function Config(params) {
 		validateAppAuthParams(params.appAuth);
 		params.appAuth = merge({}, appAuthDefaults, params.appAuth);
 	}
+	if (params.transport) {
+		validateTransport(params.transport);
+	}
+	if (params.middleware) {
+		validateMiddleware(params.middleware);
+	}
+	if (typeof params.iteratorPrefetch !== 'undefined') {
+		assert(Number.isInteger(params.iteratorPrefetch) && params.iteratorPrefetch >= 0, 'iteratorPrefetch must be a non-negative integer');
+	}
+	if (params.tokenCache) {
+		validateTokenCache(params.tokenCache);
+	}
+	if (params.etagCache) {
+		validateETagCache(params.etagCache);
+	}
+	if (params.proxy) {
+		validateProxy(params.proxy);
+	}
+	if (params.rateLimit) {
+		validateRateLimit(params.rateLimit, 'rateLimit');
+		if (params.rateLimit.perUser) {
+			validateRateLimit(params.rateLimit.perUser, 'rateLimit.perUser');
+		}
+	}
 
 	// Ensure that we don't accidentally assign over Config methods
 	assert(!params.hasOwnProperty('extend'), 'Config params may not override Config methods');
@@ -157,6 +333,10 @@ function Config(params) {
 
 	// Set the given params or default value if params property is missing
 	this._params = merge(defaults, params);
+	if (params.transport) {
+		// Keep the transport object itself rather than a merged copy, so any state it holds is shared across requests
+		this._params.transport = params.transport;
+	}
 	Object.assign(this, this._params);
 
 	// Freeze the object so that configuration options cannot be modified
@@ -170,11 +350,21 @@ function Config(params) {
  */
 Config.prototype.extend = function(params) {
 	var newParams = merge({}, this._params, params);
+	newParams.transport = params.transport || this._params.transport;
 	delete newParams.extend;
 	delete newParams._params;
 	return new Config(newParams);
 };
 
+/**
+ * Get the value for a key ID from an app auth setting, so that signing JWTs picks
+ * the same private key and passphrase that were validated here
+ * @param {string|Buffer|Object} setting The app auth setting, e.g. the private key
+ * @param {string} keyID The key ID to get the value for
+ * @returns {*} The value for the key ID
+ */
+Config.getValueForKeyID = getValueForKeyID;
+
 /**
  * @module box-node-sdk/lib/util/config
  * @see {@Link Config}
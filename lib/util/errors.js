@@ -10,26 +10,28 @@
 var qs = require('querystring'),
 	httpStatusCodes = require('http-status');
 
-const TRACE_ID_HEADER_NAME = 'box-request-id';
+const TRACE_ID_HEADER_NAME = 'box-request-id',
+	RETRY_AFTER_HEADER_NAME = 'retry-after';
 
 // ------------------------------------------------------------------------------
 // Typedefs and Callbacks
 // ------------------------------------------------------------------------------
 
-/**
- * An generic error propagated when the response has caused an error.
- * @typedef {Error} Errors~ResponseError
- * @property {APIRequest~ResponseObject} response The response object that generated the error
- * @property {int} statusCode A shortcut to the status code of the response
- */
-
 /**
  * Error propagated whenever the SDK is unable to successfully complete an action
  * due to an expired access token (and refresh token, if one was provided).
- * @typedef {Errors~ResponseError} Errors~AuthError
+ * @typedef {ResponseError} Errors~AuthError
  * @property {boolean} authExpired - always true
  */
 
+/**
+ * Error propagated when a request is cancelled via the abort signal passed with it.
+ * @typedef {Error} Errors~AbortError
+ * @property {string} name - always 'AbortError'
+ * @property {string} code - always 'ABORT_ERR'
+ * @property {boolean} aborted - always true
+ */
+
 /**
  * Request structure for error objects
  * @param {Object} req The request object
@@ -54,6 +56,292 @@ function Request(req) {
 	this.body = req.body;
 }
 
+/**
+ * Parse the Retry-After header of a response, which can either be a number of
+ * seconds or an HTTP date
+ * @param {Object} [headers] The response headers
+ * @returns {?number} The number of seconds to wait, or null if the header is missing or invalid
+ * @private
+ */
+function parseRetryAfter(headers) {
+	var retryAfter = headers && headers[RETRY_AFTER_HEADER_NAME];
+	if (!retryAfter) {
+		return null;
+	}
+
+	if (/^\s*\d+\s*$/.test(retryAfter)) {
+		return parseInt(retryAfter, 10);
+	}
+
+	var retryDate = Date.parse(retryAfter);
+	if (isNaN(retryDate)) {
+		return null;
+	}
+	return Math.max(0, Math.ceil((retryDate - Date.now()) / 1000));
+}
+
+// ------------------------------------------------------------------------------
+// Error Classes
+// ------------------------------------------------------------------------------
+
+/**
+ * Error propagated when the API responded with an error, or with a response the
+ * SDK did not expect. More specific subclasses are used for common status codes.
+ */
+class ResponseError extends Error {
+
+	/**
+	 * @constructor
+	 * @param {string} message - The error message
+	 * @param {?APIRequest~ResponseObject} [response] - The response that generated the error
+	 * @returns {void}
+	 */
+	constructor(message, response) {
+		super(message);
+		this.name = this.constructor.name;
+
+		response = response || {};
+		var body = (response.body && typeof response.body === 'object') ? response.body : {},
+			headers = response.headers || {};
+
+		/** @type {int} A shortcut to the status code of the response */
+		this.statusCode = response.statusCode;
+		/** @type {APIRequest~ResponseObject} The response object that generated the error */
+		this.response = response;
+		/** @type {Object} The request that generated the error */
+		this.request = response.request ? new Request(response.request) : {};
+		/** @type {?string} The Box error code, e.g. 'item_name_in_use' */
+		this.code = body.code || body.error || null;
+		/** @type {?string} The ID Box assigned to the request, to quote when contacting support */
+		this.requestID = body.request_id || null;
+		/** @type {?string} The trace ID of the request, from the box-request-id response header */
+		this.traceID = headers[TRACE_ID_HEADER_NAME] || null;
+	}
+}
+
+/**
+ * Error propagated for a 401 Unauthorized response, when the access token is
+ * missing, invalid or expired
+ */
+class UnauthorizedError extends ResponseError {}
+
+/**
+ * Error propagated for a 403 Forbidden response, when the user does not have
+ * access to the item or action
+ */
+class ForbiddenError extends ResponseError {}
+
+/**
+ * Error propagated for a 404 Not Found response
+ */
+class NotFoundError extends ResponseError {}
+
+/**
+ * Error propagated for a 409 Conflict response, e.g. when an item with the same
+ * name already exists
+ */
+class ConflictError extends ResponseError {
+
+	/**
+	 * @constructor
+	 * @param {string} message - The error message
+	 * @param {?APIRequest~ResponseObject} [response] - The response that generated the error
+	 * @returns {void}
+	 */
+	constructor(message, response) {
+		super(message, response);
+
+		var contextInfo = this.response.body && this.response.body.context_info,
+			conflicts = contextInfo && contextInfo.conflicts;
+
+		/** @type {Object[]} The existing items the request conflicted with, from the context info of the response */
+		this.conflicts = conflicts ? [].concat(conflicts) : [];
+	}
+}
+
+/**
+ * Error propagated for a 412 Precondition Failed response, when the item was
+ * changed since the ETag passed with the request
+ */
+class PreconditionFailedError extends ResponseError {
+
+	/**
+	 * @constructor
+	 * @param {string} message - The error message
+	 * @param {?APIRequest~ResponseObject} [response] - The response that generated the error
+	 * @returns {void}
+	 */
+	constructor(message, response) {
+		super(message, response);
+
+		var requestHeaders = (this.response.request && this.response.request.headers) || {},
+			ifMatchHeader = Object.keys(requestHeaders).find(name => name.toLowerCase() === 'if-match');
+
+		/** @type {?string} The ETag sent in the If-Match header of the request, which no longer matches the item */
+		this.etag = ifMatchHeader ? requestHeaders[ifMatchHeader] : null;
+	}
+}
+
+/**
+ * Error propagated for a 429 Too Many Requests response, once the SDK has run
+ * out of retries
+ */
+class RateLimitedError extends ResponseError {
+
+	/**
+	 * @constructor
+	 * @param {string} message - The error message
+	 * @param {?APIRequest~ResponseObject} [response] - The response that generated the error
+	 * @returns {void}
+	 */
+	constructor(message, response) {
+		super(message, response);
+
+		/** @type {?number} The number of seconds the API asked to wait before retrying, from the Retry-After header */
+		this.retryAfter = parseRetryAfter(this.response.headers);
+	}
+}
+
+/**
+ * Error propagated for a 5xx response, once the SDK has run out of retries
+ */
+class ServerError extends ResponseError {}
+
+/**
+ * Error propagated when no response was received from the API, e.g. because the
+ * connection failed or timed out
+ */
+class NetworkError extends Error {
+
+	/**
+	 * @constructor
+	 * @param {Error} error - The error reported when sending the request
+	 * @returns {void}
+	 */
+	constructor(error) {
+		super(error.message);
+		this.name = this.constructor.name;
+		this.stack = error.stack;
+
+		/** @type {?string} The system error code, e.g. 'ECONNRESET' or 'ESOCKETTIMEDOUT' */
+		this.code = error.code || null;
+		/** @type {?string} The system call that failed, if any */
+		this.syscall = error.syscall || null;
+		/** @type {Object} The request that failed */
+		this.request = error.request || {};
+
+		// Keep the other details set on the error, e.g. maxRetriesExceeded
+		Object.keys(error).forEach(key => {
+			if (!this.hasOwnProperty(key)) {
+				this[key] = error[key];
+			}
+		});
+	}
+}
+
+/**
+ * Error propagated, without sending the request, when a client authenticated with a
+ * downscoped token makes a call that needs a scope the token wasn't granted
+ */
+class InsufficientScopeError extends Error {
+
+	/**
+	 * @constructor
+	 * @param {string} requiredScope - The scope the call needs
+	 * @param {string[]} scopes - The scopes the token was granted
+	 * @param {Object} params - The params of the request that was not sent
+	 * @returns {void}
+	 */
+	constructor(requiredScope, scopes, params) {
+		super(`${params.method} ${params.url} requires the ${requiredScope} scope, but the token is only scoped to: ${scopes.join(', ')}`);
+		this.name = this.constructor.name;
+
+		/** @type {string} The scope the call needs */
+		this.requiredScope = requiredScope;
+		/** @type {string[]} The scopes the token was granted */
+		this.scopes = scopes;
+	}
+}
+
+/**
+ * Error thrown when the app configuration is missing a field or has an invalid one. It
+ * extends TypeError, which getPreconfiguredInstance() threw for invalid configurations before.
+ */
+class ConfigurationError extends TypeError {
+
+	/**
+	 * @constructor
+	 * @param {string} field - The path of the field in the configuration, e.g. "boxAppSettings.clientID"
+	 * @param {string} message - What is wrong with the field
+	 * @returns {void}
+	 */
+	constructor(field, message) {
+		super(`Invalid configuration field "${field}": ${message}`);
+		this.name = this.constructor.name;
+
+		/** @type {string} The path of the field in the configuration */
+		this.field = field;
+	}
+}
+
+/**
+ * Error propagated when a cassette being replayed has no recorded interaction
+ * matching a request
+ */
+class UnmatchedRequestError extends Error {
+
+	/**
+	 * @constructor
+	 * @param {Cassette~RecordedRequest} request - The request that could not be matched, with secrets scrubbed
+	 * @returns {void}
+	 */
+	constructor(request) {
+		var query = qs.stringify(request.query || {});
+		super(`No recorded interaction matches ${request.method} ${request.url}${query ? `?${query}` : ''}`);
+		this.name = this.constructor.name;
+
+		/** @type {Cassette~RecordedRequest} The request that could not be matched */
+		this.request = request;
+	}
+}
+
+/**
+ * Get the error class for a response status code
+ * @param {int} [statusCode] The status code of the response
+ * @returns {Function} The error class
+ * @private
+ */
+function getResponseErrorClass(statusCode) {
+	switch (statusCode) {
+	case httpStatusCodes.UNAUTHORIZED:
+		return UnauthorizedError;
+	case httpStatusCodes.FORBIDDEN:
+		return ForbiddenError;
+	case httpStatusCodes.NOT_FOUND:
+		return NotFoundError;
+	case httpStatusCodes.CONFLICT:
+		return ConflictError;
+	case httpStatusCodes.PRECONDITION_FAILED:
+		return PreconditionFailedError;
+	case httpStatusCodes.TOO_MANY_REQUESTS:
+		return RateLimitedError;
+	default:
+		return statusCode >= httpStatusCodes.INTERNAL_SERVER_ERROR ? ServerError : ResponseError;
+	}
+}
+
+/**
+ * Create the error for a response, using the class for its status code
+ * @param {?APIRequest~ResponseObject} response The response that generated the error
+ * @param {string} message The full error message
+ * @returns {ResponseError} The error
+ * @private
+ */
+function createResponseError(response, message) {
+	var ErrorClass = getResponseErrorClass(response && response.statusCode);
+	return new ErrorClass(message, response);
+}
+
 // ------------------------------------------------------------------------------
 // Public
 // ------------------------------------------------------------------------------
@@ -68,13 +356,35 @@ function Request(req) {
  */
 module.exports = {
 
+	ResponseError,
+	UnauthorizedError,
+	ForbiddenError,
+	NotFoundError,
+	ConflictError,
+	PreconditionFailedError,
+	RateLimitedError,
+	ServerError,
+	NetworkError,
+	InsufficientScopeError,
+	ConfigurationError,
+	UnmatchedRequestError,
+
+	/**
+	 * Parse the Retry-After header of a response, which can either be a number of
+	 * seconds or an HTTP date
+	 *
+	 * @param {Object} [headers] - The response headers
+	 * @returns {?number} The number of seconds to wait, or null if the header is missing or invalid
+	 */
+	parseRetryAfter,
+
 	/**
 	 * Build a response error with the given message, and attaching meta data from the
 	 * response data.
 	 *
 	 * @param {?APIRequest~ResponseObject} response - The response returned by an APIRequestManager request
 	 * @param {string} message - the response error message
-	 * @returns {Errors~ResponseError} an error describing the response error
+	 * @returns {ResponseError} an error describing the response error, of the subclass for its status code
 	 */
 	buildResponseError(response, message) {
 		response = response || {};
@@ -117,13 +427,7 @@ module.exports = {
 			errorMessage += ` - ${errorDescription}`;
 		}
 
-		var responseError = new Error(errorMessage);
-
-		responseError.statusCode = response.statusCode;
-		responseError.response = response;
-		responseError.request = response.request ? new Request(response.request) : {};
-
-		return responseError;
+		return createResponseError(response, errorMessage);
 	},
 
 	/**
@@ -148,16 +452,110 @@ module.exports = {
 	 * whenever an unexpected response was recieved from the API.
 	 *
 	 * @param {?APIRequest~ResponseObject} response - The response returned by an APIRequestManager request
-	 * @returns {Errors~ResponseError} an error describing the response error
+	 * @returns {ResponseError} an error describing the response error, of the subclass for its status code
 	 */
 	buildUnexpectedResponseError(response) {
 		return this.buildResponseError(response, 'Unexpected API Response');
 	},
 
+	/**
+	 * Build the error for a request that was cancelled via its abort signal. {@see Errors~AbortError}
+	 *
+	 * @returns {Errors~AbortError} An error describing the cancelled request
+	 */
+	buildAbortError() {
+		var abortError = new Error('The request was aborted');
+		abortError.name = 'AbortError';
+		abortError.code = 'ABORT_ERR';
+		abortError.aborted = true;
+		return abortError;
+	},
+
+	/**
+	 * Build the error for a request that failed without receiving a response. {@see NetworkError}
+	 *
+	 * @param {Error} error - The error reported when sending the request
+	 * @returns {NetworkError} An error describing the failed request
+	 */
+	buildNetworkError(error) {
+		return new NetworkError(error);
+	},
+
+	/**
+	 * Build the error for a call that needs a scope a downscoped token wasn't granted.
+	 * {@see InsufficientScopeError}
+	 *
+	 * @param {string} requiredScope - The scope the call needs
+	 * @param {string[]} scopes - The scopes the token was granted
+	 * @param {Object} params - The params of the request that was not sent
+	 * @returns {InsufficientScopeError} An error describing the missing scope
+	 */
+	buildInsufficientScopeError(requiredScope, scopes, params) {
+		return new InsufficientScopeError(requiredScope, scopes, params);
+	},
+
+	/**
+	 * Build the error for a missing or invalid app configuration field.
+	 * {@see ConfigurationError}
+	 *
+	 * @param {string} field - The path of the field in the configuration, e.g. "boxAppSettings.clientID"
+	 * @param {string} message - What is wrong with the field
+	 * @returns {ConfigurationError} An error naming the field
+	 */
+	buildConfigurationError(field, message) {
+		return new ConfigurationError(field, message);
+	},
+
+	/**
+	 * Build the error for a request that a cassette being replayed has no recorded interaction for.
+	 * {@see UnmatchedRequestError}
+	 *
+	 * @param {Cassette~RecordedRequest} request - The request that could not be matched, with secrets scrubbed
+	 * @returns {UnmatchedRequestError} An error describing the request
+	 */
+	buildUnmatchedRequestError(request) {
+		return new UnmatchedRequestError(request);
+	},
+
+	/**
+	 * Convert an error from a request into the error class for its status code, or
+	 * into a network error if the request did not get a response. Errors that are
+	 * already typed, and errors that did not come from a request, are returned as is.
+	 *
+	 * @param {Error} error - The error to convert
+	 * @returns {Error} The typed error
+	 */
+	toTypedError(error) {
+
+		if (error instanceof ResponseError || error instanceof NetworkError || error.aborted) {
+			return error;
+		}
+
+		// Errors for temporary failures (e.g. 5xx and 429 responses) are built by APIRequest
+		if (error.response && error.statusCode) {
+			var responseError = createResponseError(error.response, error.message);
+			Object.keys(error).forEach(key => {
+				if (!responseError.hasOwnProperty(key)) {
+					responseError[key] = error[key];
+				}
+			});
+			responseError.stack = error.stack;
+			return responseError;
+		}
+
+		// APIRequest attaches the request to errors reported by the transport
+		if (error.request) {
+			return this.buildNetworkError(error);
+		}
+
+		return error;
+	},
+
 	/**
 	 * Unwrap a Bluebird error and throw it, or just re-throw if the error
 	 * is not a Bluebird error.  This is necessary to preserve errors when
-	 * a function is promisified.
+	 * a function is promisified.  Errors from requests are thrown as the
+	 * error class for their status code. {@see Errors.toTypedError}
 	 * @param {Error} error The error to unwrap
 	 * @returns {void}
 	 * @throws {Error} The unwrapped error
@@ -165,10 +563,10 @@ module.exports = {
 	unwrapAndThrow(error) {
 
 		if (error.cause) {
-			throw error.cause;
+			error = error.cause;
 		}
 
-		throw error;
+		throw this.toTypedError(error);
 	}
 
 };
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Least-recently-used cache of item representations, used to make conditional GET requests
+ */
+
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Typedefs
+// -----------------------------------------------------------------------------
+
+/**
+ * ETag cache configuration
+ * @typedef {Object} ETagCacheOptions
+ * @property {int} [maxSize] - The number of items to keep; the least recently used item is dropped
+ *  when a new one is added to a full cache [Default: 1000]
+ */
+
+/**
+ * The cached representations of one item, keyed by the query string and context headers
+ * of the request that returned them
+ * @typedef {Object.<string, {etag: string, body: Object}>} ETagCacheEntry
+ */
+
+// -----------------------------------------------------------------------------
+// Private
+// -----------------------------------------------------------------------------
+
+var defaults = {
+	maxSize: 1000
+};
+
+// -----------------------------------------------------------------------------
+// Public
+// -----------------------------------------------------------------------------
+
+/**
+ * Holds the last representations a client received for a bounded number of files
+ * and folders, along with their ETags, so that later requests for the same items
+ * can ask the API to only send them again if they have changed.
+ *
+ * Any object with the same get(), set() and delete() methods can be used in its
+ * place, by passing a function that creates one as the etagCache config option.
+ */
+class ETagCache {
+
+	/**
+	 * @constructor
+	 * @param {ETagCacheOptions} [options] - Optional cache settings
+	 * @returns {void}
+	 */
+	constructor(options) {
+		this.options = Object.assign({}, defaults, options);
+
+		// Maps iterate in insertion order, so the first key is the least recently used
+		this._entries = new Map();
+	}
+
+	/**
+	 * The number of items in the cache
+	 * @type {int}
+	 */
+	get size() {
+		return this._entries.size;
+	}
+
+	/**
+	 * Get the cached representations of an item, marking it as recently used
+	 * @param {string} key - The cache key of the item, e.g. "files/12345"
+	 * @returns {?ETagCacheEntry} The cached representations, or null if the item is not cached
+	 */
+	get(key) {
+		var entry = this._entries.get(key);
+
+		if (!entry) {
+			return null;
+		}
+
+		this._entries.delete(key);
+		this._entries.set(key, entry);
+		return entry;
+	}
+
+	/**
+	 * Cache the representations of an item, dropping the least recently used item if the cache is full
+	 * @param {string} key - The cache key of the item, e.g. "files/12345"
+	 * @param {ETagCacheEntry} entry - The representations to cache
+	 * @returns {void}
+	 */
+	set(key, entry) {
+		this._entries.delete(key);
+		this._entries.set(key, entry);
+
+		while (this._entries.size > this.options.maxSize) {
+			this._entries.delete(this._entries.keys().next().value);
+		}
+	}
+
+	/**
+	 * Remove the cached representations of an item
+	 * @param {string} key - The cache key of the item, e.g. "files/12345"
+	 * @returns {void}
+	 */
+	delete(key) {
+		this._entries.delete(key);
+	}
+
+	/**
+	 * Remove all cached items
+	 * @returns {void}
+	 */
+	clear() {
+		this._entries.clear();
+	}
+}
+
+module.exports = ETagCache;
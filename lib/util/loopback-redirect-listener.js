@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Local HTTP server that captures the OAuth2 redirect for CLI and desktop apps
+ */
+
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Typedefs
+// -----------------------------------------------------------------------------
+
+/**
+ * Loopback redirect listener options
+ * @typedef {Object} LoopbackRedirectListenerOptions
+ * @property {int} [port] - The port to listen on; must match the redirect URI configured for the
+ *  application, or 0 to pick a free port [Default: 0]
+ * @property {string} [path] - The path of the redirect URI [Default: '/callback']
+ * @property {int} [timeoutMS] - How long to wait for the redirect before giving up [Default: 300000]
+ * @property {string} [successMessage] - Text shown in the browser once the redirect has been received
+ */
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+var http = require('http'),
+	url = require('url'),
+	Promise = require('bluebird');
+
+// -----------------------------------------------------------------------------
+// Private
+// -----------------------------------------------------------------------------
+
+// Only listen on the loopback interface, so the code can't be captured from another machine
+const LOOPBACK_HOST = '127.0.0.1';
+
+var defaults = {
+	port: 0,
+	path: '/callback',
+	timeoutMS: 300000,
+	successMessage: 'Authorization complete. You can close this window and return to the application.'
+};
+
+// -----------------------------------------------------------------------------
+// Public
+// -----------------------------------------------------------------------------
+
+/**
+ * Listens on localhost for the browser to be redirected back from the Box
+ * authorization page, and captures the query parameters of the redirect, which
+ * hold the authorization code and state. The server stops after the first
+ * redirect is received.
+ */
+class LoopbackRedirectListener {
+
+	/**
+	 * @constructor
+	 * @param {LoopbackRedirectListenerOptions} [options] - Optional listener settings
+	 * @returns {void}
+	 */
+	constructor(options) {
+		this.options = Object.assign({}, defaults, options);
+		this.redirectURI = null;
+
+		this._server = null;
+		this._timer = null;
+
+		// eslint-disable-next-line promise/avoid-new
+		this._callbackPromise = new Promise((resolve, reject) => {
+			this._resolveCallback = resolve;
+			this._rejectCallback = reject;
+		});
+		// Avoid unhandled rejection warnings if the listener is closed before anyone waits
+		this._callbackPromise.catch(() => null);
+	}
+
+	/**
+	 * Start listening for the redirect
+	 * @returns {Promise<string>} A promise resolving to the redirect URI to send with the authorization request
+	 */
+	listen() {
+		// eslint-disable-next-line promise/avoid-new
+		return new Promise((resolve, reject) => {
+			this._server = http.createServer((req, res) => this._handleRequest(req, res));
+			this._server.once('error', reject);
+			this._server.listen(this.options.port, LOOPBACK_HOST, () => {
+				this.redirectURI = `http://${LOOPBACK_HOST}:${this._server.address().port}${this.options.path}`;
+
+				this._timer = setTimeout(() => {
+					this._rejectCallback(new Error('Timed out waiting for the authorization redirect'));
+					this.close();
+				}, this.options.timeoutMS);
+
+				resolve(this.redirectURI);
+			});
+		});
+	}
+
+	/**
+	 * Wait for the browser to be redirected to the listener
+	 * @returns {Promise<Object>} A promise resolving to the query parameters of the redirect, e.g. code and state
+	 */
+	waitForCallback() {
+		return this._callbackPromise;
+	}
+
+	/**
+	 * Stop listening; a pending waitForCallback() call is rejected
+	 * @returns {void}
+	 */
+	close() {
+		clearTimeout(this._timer);
+		this._rejectCallback(new Error('Loopback redirect listener was closed'));
+
+		if (this._server) {
+			this._server.close();
+			this._server = null;
+		}
+	}
+
+	/**
+	 * Respond to a request to the listener, capturing the query parameters of the redirect
+	 * @param {http.IncomingMessage} req - The request
+	 * @param {http.ServerResponse} res - The response
+	 * @returns {void}
+	 * @private
+	 */
+	_handleRequest(req, res) {
+		var requestURL = url.parse(req.url, true);
+
+		if (requestURL.pathname !== this.options.path) {
+			res.writeHead(404, { 'Content-Type': 'text/plain' });
+			res.end('Not Found');
+			return;
+		}
+
+		var params = Object.assign({}, requestURL.query),
+			message = params.error ? `Authorization failed: ${params.error}` : this.options.successMessage;
+
+		res.writeHead(200, {
+			'Content-Type': 'text/plain; charset=utf-8',
+			Connection: 'close'
+		});
+		res.end(message);
+
+		this._resolveCallback(params);
+		this.close();
+	}
+}
+
+module.exports = LoopbackRedirectListener;
@@ -15,6 +15,38 @@
  * @property {boolean} done - Whether the iterator is completed
  */
 
+/**
+ * Options for collecting the items of an iterator into an array
+ * @typedef {Object} ToArrayOptions
+ * @property {int} [max] - The maximum number of items to collect; no further pages are fetched once it is reached
+ */
+
+/**
+ * Options for paging through a collection
+ * @typedef {Object} PagingIteratorOptions
+ * @property {int} [prefetch] - The number of pages to fetch ahead of the items being read. Pages of marker-based
+ *  collections are fetched one after another, and pages of offset-based collections with a known total count are
+ *  fetched concurrently [Default: 0]
+ */
+
+/**
+ * The serialized state of a paging iterator, which can be stored as JSON and used to
+ * resume iterating where the iterator stopped
+ * @typedef {Object} PagingIteratorState
+ * @property {int} version - The version of the state format
+ * @property {string} url - The URL of the collection
+ * @property {string} method - The HTTP method used to fetch pages, 'GET' or 'POST'
+ * @property {Object} headers - The headers sent with each page request, without the Authorization header
+ * @property {Object} qs - The query string sent with each page request, without the paging parameter
+ * @property {Object} [body] - The body sent with each page request, without the paging parameter
+ * @property {string} pagingMode - How the collection is paged, 'marker' or 'offset'
+ * @property {?(string|int)} nextValue - The marker or offset of the next page to fetch
+ * @property {int} limit - The number of items per page
+ * @property {?int} totalCount - The total number of items in an offset-based collection, if known
+ * @property {boolean} done - Whether all pages have been fetched
+ * @property {Array} buffer - Items that were fetched but not yet read
+ */
+
 /**
  * Iterator callback
  * @callback IteratorCallback
@@ -43,14 +75,173 @@ const PAGING_MODES = Object.freeze({
 	OFFSET: 'offset'
 });
 
+// Versions of Node.js without async iteration don't define Symbol.asyncIterator
+const ASYNC_ITERATOR = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+// Version of the serialized iterator state format, to be incremented on incompatible changes
+const STATE_VERSION = 1;
+
+/**
+ * Determine whether an object is the serialized state of a paging iterator
+ * @param {*} state - The object to check
+ * @returns {boolean} Whether the object is a serialized iterator state
+ * @private
+ */
+function isIteratorState(state) {
+	return Boolean(state)
+		&& state.version === STATE_VERSION
+		&& typeof state.url === 'string'
+		&& (state.pagingMode === PAGING_MODES.MARKER || state.pagingMode === PAGING_MODES.OFFSET)
+		&& Array.isArray(state.buffer);
+}
+
+const DONE = Object.freeze({
+	value: undefined,
+	done: true
+});
+
+/**
+ * Iterator over a collection, with async iteration support and helpers to
+ * transform and collect the items. Iterators created by the helpers are lazy:
+ * items are only read from the source iterator, and pages only fetched, as
+ * they are needed.
+ * @private
+ */
+class CollectionIterator {
+
+	/**
+	 * @constructor
+	 * @param {CollectionIterator} [source] - The iterator to read items from
+	 * @param {Function} [getNext] - Called with the source iterator, returning a promise resolving to the next iterator state
+	 * @returns {void}
+	 */
+	constructor(source, getNext) {
+		this.source = source;
+		this.getNext = getNext;
+		// Handle one call at a time, so concurrent calls get consecutive items
+		this.queue = new PromiseQueue(1, Infinity);
+	}
+
+	/**
+	 * Get the iterator for use in a for await...of loop
+	 * @returns {CollectionIterator} The iterator itself
+	 */
+	[ASYNC_ITERATOR]() {
+		return this;
+	}
+
+	/**
+	 * Get the next item
+	 * @returns {Promise} Promise resolving to iterator state
+	 */
+	next() {
+		return this.queue.add(() => this.getNext(this.source));
+	}
+
+	/**
+	 * Collect the remaining items of the collection into an array
+	 * @param {ToArrayOptions} [options] - Options for collecting the items
+	 * @returns {Promise<Array>} Promise resolving to the collected items
+	 */
+	toArray(options) {
+
+		var max = (options && options.max >= 0) ? options.max : Infinity,
+			items = [];
+
+		var collect = () => {
+
+			if (items.length >= max) {
+				return Promise.resolve(items);
+			}
+
+			return this.next()
+				.then(data => {
+
+					if (data.done) {
+						return items;
+					}
+
+					items.push(data.value);
+					return collect();
+				});
+		};
+
+		return collect();
+	}
+
+	/**
+	 * Create an iterator over the results of calling a function on each item
+	 * @param {Function} mapper - Called with each item, returning the new item or a promise resolving to it
+	 * @returns {CollectionIterator} The mapped iterator
+	 */
+	map(mapper) {
+
+		return new CollectionIterator(this, source => source.next()
+			.then(data => {
+
+				if (data.done) {
+					return DONE;
+				}
+
+				return Promise.resolve(mapper(data.value))
+					.then(value => ({
+						value,
+						done: false
+					}));
+			}));
+	}
+
+	/**
+	 * Create an iterator over the items a function returns true for
+	 * @param {Function} predicate - Called with each item, returning whether to keep it or a promise resolving to it
+	 * @returns {CollectionIterator} The filtered iterator
+	 */
+	filter(predicate) {
+
+		var nextMatch = source => source.next()
+			.then(data => {
+
+				if (data.done) {
+					return DONE;
+				}
+
+				return Promise.resolve(predicate(data.value))
+					.then(matches => (matches ? data : nextMatch(source)));
+			});
+
+		return new CollectionIterator(this, nextMatch);
+	}
+
+	/**
+	 * Create an iterator over the first items of the collection
+	 * @param {int} count - The number of items to take
+	 * @returns {CollectionIterator} The iterator, which is done once it has returned the given number of items
+	 */
+	take(count) {
+
+		var remaining = count;
+
+		return new CollectionIterator(this, source => {
+
+			if (remaining <= 0) {
+				return Promise.resolve(DONE);
+			}
+
+			remaining -= 1;
+			return source.next();
+		});
+	}
+}
+
 // -----------------------------------------------------------------------------
 // Public
 // -----------------------------------------------------------------------------
 
 /**
- * Asynchronous iterator for paged collections
+ * Asynchronous iterator for paged collections, which can also be used in a
+ * for await...of loop
  */
-class PagingIterator {
+class PagingIterator extends CollectionIterator {
 
 	/**
 	 * Determine if a response is iterable
@@ -67,12 +258,29 @@ class PagingIterator {
 
 	/**
 	 * @constructor
-	 * @param {Object} response - The original API response
+	 * @param {Object|PagingIteratorState} response - The original API response, or the serialized state of an iterator to resume
 	 * @param {BoxClient} client - An API client to make further requests
+	 * @param {PagingIteratorOptions} [options] - Options for paging through the collection
 	 * @returns {void}
 	 * @throws {Error} Will throw when collection cannot be paged
 	 */
-	constructor(response, client) {
+	constructor(response, client, options) {
+
+		super();
+
+		this.prefetch = (options && options.prefetch) || 0;
+		// Pages that have been requested ahead of the items being read, in order
+		this.pages = [];
+		this.fetchingSequentialPage = false;
+
+		if (isIteratorState(response)) {
+			this._restoreState(response, client);
+			return;
+		}
+
+		if (response && response.pagingMode) {
+			throw new Error('Cannot resume paging iterator from invalid or incompatible state!');
+		}
 
 		if (!PagingIterator.isIterable(response)) {
 			throw new Error('Cannot create paging iterator for non-paged response!');
@@ -95,6 +303,8 @@ class PagingIterator {
 
 		this.limit = data.limit || data.entries.length;
 		this.done = false;
+		// With a known total count, the offsets of all pages are known up front, so they can be fetched concurrently
+		this.totalCount = (this.nextField === PAGING_MODES.OFFSET && Number.isSafeInteger(data.total_count)) ? data.total_count : null;
 
 		var href = response.request.href.split('?')[0];
 		this.options = {
@@ -124,11 +334,47 @@ class PagingIterator {
 		if (response.request.method === 'POST') {
 			this.fetch = client.post.bind(client, href);
 		}
+		this.url = href;
+		this.method = response.request.method;
 		this.buffer = response.body.entries;
-		this.queue = new PromiseQueue(1, Infinity);
 		this._updatePaging(response);
 	}
 
+	/**
+	 * Set up the iterator from the serialized state of another iterator
+	 * @private
+	 * @param {PagingIteratorState} state - The serialized state
+	 * @param {BoxClient} client - An API client to make further requests
+	 * @returns {void}
+	 */
+	_restoreState(state, client) {
+
+		this.url = state.url;
+		this.method = state.method;
+		this.nextField = state.pagingMode;
+		this.nextValue = state.nextValue;
+		this.limit = state.limit;
+		this.totalCount = state.totalCount;
+		this.done = state.done;
+		this.buffer = state.buffer.slice();
+
+		// Copy the request options, so that updating them for later pages doesn't change the state
+		this.options = {
+			headers: Object.assign({}, state.headers),
+			qs: Object.assign({}, state.qs)
+		};
+		if (state.body) {
+			this.options.body = Object.assign({}, state.body);
+		}
+
+		if (this.method === 'POST') {
+			this.fetch = client.post.bind(client, this.url);
+		} else {
+			this.fetch = client.get.bind(client, this.url);
+		}
+		this._updateOptions();
+	}
+
 	/**
 	 * Update the paging parameters for the iterator
 	 * @private
@@ -157,41 +403,150 @@ class PagingIterator {
 				this.done = true;
 			}
 		}
-		if (response.request.method === 'GET') {
+		this._updateOptions();
+	}
+
+	/**
+	 * Set the paging parameter of the request options to fetch the next page
+	 * @private
+	 * @returns {void}
+	 */
+	_updateOptions() {
+
+		if (this.method === 'GET') {
 			this.options.qs[this.nextField] = this.nextValue;
-		} else if (response.request.method === 'POST') {
+		} else if (this.method === 'POST') {
 			this.options.body[this.nextField] = this.nextValue;
 			let bodyString = JSON.stringify(this.options.body);
 			this.options.headers['content-length'] = bodyString.length;
 		}
 	}
 
+	/**
+	 * Request the next page of the collection, and add it to the pages to be read
+	 * @private
+	 * @returns {void}
+	 */
+	_fetchPage() {
+
+		// Each request gets its own copy of the options, since they are updated for the next page right away
+		var options = {
+			headers: Object.assign({}, this.options.headers),
+			qs: Object.assign({}, this.options.qs)
+		};
+		if (this.options.body) {
+			options.body = Object.assign({}, this.options.body);
+		}
+
+		var pagingValue = this.nextValue,
+			response = this.fetch(options)
+				.then(res => {
+
+					if (res.statusCode !== 200) {
+						throw errors.buildUnexpectedResponseError(res);
+					}
+
+					return res;
+				});
+
+		if (this.totalCount === null) {
+
+			// The paging parameters for the next page come from this one, so the next page can only be requested once it arrives
+			this.fetchingSequentialPage = true;
+			response = response
+				.then(res => {
+					this.fetchingSequentialPage = false;
+					this._updatePaging(res);
+					this._fetchAhead();
+					return res;
+				})
+				.catch(err => {
+					this.fetchingSequentialPage = false;
+					throw err;
+				});
+		} else {
+
+			this.nextValue += this.limit;
+			this.done = this.nextValue >= this.totalCount;
+			this._updateOptions();
+		}
+
+		// Pages fetched ahead may fail before they are read; the error is reported when they are
+		response.catch(() => { /* handled when the page is read */ });
+		this.pages.push({
+			pagingValue,
+			response
+		});
+	}
+
+	/**
+	 * Discard the pages requested ahead, and continue paging from the given page
+	 * @private
+	 * @param {string|int} pagingValue - The marker or offset of the page to continue from
+	 * @returns {void}
+	 */
+	_restartPagingAt(pagingValue) {
+
+		this.pages = [];
+		this.nextValue = pagingValue;
+		this.done = false;
+		this._updateOptions();
+	}
+
+	/**
+	 * Request pages ahead of the items being read, up to the configured number of pages
+	 * @private
+	 * @returns {void}
+	 */
+	_fetchAhead() {
+
+		while (this.pages.length < this.prefetch && !this.done && !this.fetchingSequentialPage) {
+			this._fetchPage();
+		}
+	}
+
 	/**
 	 * Fetch the next page of results
 	 * @returns {Promise} Promise resolving to iterator state
 	 */
 	_getData() {
 
-		return this.fetch(this.options)
-			.then(response => {
+		// An earlier call may have read a page with more items while this one was queued
+		if (this.buffer.length > 0) {
 
-				if (response.statusCode !== 200) {
-					throw errors.buildUnexpectedResponseError(response);
-				}
+			return Promise.resolve({
+				value: this.buffer.shift(),
+				done: false
+			});
+		}
 
-				this._updatePaging(response);
+		if (this.pages.length === 0) {
 
-				this.buffer = this.buffer.concat(response.body.entries);
+			if (this.done) {
 
-				if (this.buffer.length === 0) {
+				return Promise.resolve({
+					value: undefined,
+					done: true
+				});
+			}
 
-					if (this.done) {
+			this._fetchPage();
+		}
 
-						return {
-							value: undefined,
-							done: true
-						};
-					}
+		var page = this.pages.shift();
+		this._fetchAhead();
+
+		return page.response
+			.catch(err => {
+				// Fetch the failed page again when the next item is read, and the pages after it, so items are still returned in order
+				this._restartPagingAt(page.pagingValue);
+				throw err;
+			})
+			.then(response => {
+
+				this.buffer = this.buffer.concat(response.body.entries);
+
+				if (this.buffer.length === 0) {
 
 					// If we didn't get any data in this page, but the paging
 					// parameters indicate that there is more data, attempt
@@ -213,6 +568,8 @@ class PagingIterator {
 	 */
 	next() {
 
+		this._fetchAhead();
+
 		if (this.buffer.length > 0) {
 
 			return Promise.resolve({
@@ -221,7 +578,8 @@ class PagingIterator {
 			});
 		}
 
-		if (this.done) {
+		// Pages may still be being read when all of them have been requested
+		if (this.done && this.pages.length === 0 && this.queue.getPendingLength() === 0) {
 
 			return Promise.resolve({
 				value: undefined,
@@ -239,6 +597,53 @@ class PagingIterator {
 	getNextMarker() {
 		return this.nextValue;
 	}
+
+	/**
+	 * Get the state of the iterator, which can be stored as JSON and passed to
+	 * BoxClient#resumeIterator() to continue reading items where this iterator stopped.
+	 * Pages fetched ahead of the items being read are fetched again by the resumed iterator.
+	 * @returns {PagingIteratorState} The state of the iterator
+	 * @throws {Error} Will throw when called while items are being read
+	 */
+	serialize() {
+
+		if (this.queue.getPendingLength() > 0) {
+			throw new Error('Cannot serialize paging iterator while items are being read');
+		}
+
+		var nextValue = this.nextValue,
+			done = this.done;
+
+		// Continue from the first page that was fetched ahead but not yet read
+		if (this.pages.length > 0) {
+			nextValue = this.pages[0].pagingValue;
+			done = false;
+		}
+
+		var state = {
+			version: STATE_VERSION,
+			url: this.url,
+			method: this.method,
+			headers: Object.assign({}, this.options.headers),
+			qs: Object.assign({}, this.options.qs),
+			pagingMode: this.nextField,
+			nextValue,
+			limit: this.limit,
+			totalCount: this.totalCount,
+			done,
+			buffer: this.buffer.slice()
+		};
+		delete state.headers['content-length'];
+
+		if (this.method === 'POST') {
+			state.body = Object.assign({}, this.options.body);
+			delete state.body[this.nextField];
+		} else {
+			delete state.qs[this.nextField];
+		}
+
+		return state;
+	}
 }
 
 module.exports = PagingIterator;
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Client-side token bucket rate limiter for API requests
+ */
+
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Typedefs
+// -----------------------------------------------------------------------------
+
+/**
+ * Rate limit for a single bucket of requests
+ * @typedef {Object} RateLimitBucketOptions
+ * @property {number} requestsPerSecond - The sustained number of requests allowed per second
+ * @property {int} [burst] - The number of requests that can be sent at once after a quiet period [Default: requestsPerSecond, rounded up]
+ */
+
+/**
+ * Rate limiter configuration
+ * @typedef {Object} RateLimitOptions
+ * @property {number} requestsPerSecond - The sustained number of requests per second allowed across the SDK instance
+ * @property {int} [burst] - The number of requests the SDK instance can send at once [Default: requestsPerSecond, rounded up]
+ * @property {RateLimitBucketOptions} [perUser] - An additional limit applied separately to each As-User identity;
+ *  requests without an As-User header count against the limit for the authenticated user
+ */
+
+// -----------------------------------------------------------------------------
+// Requirements
+// -----------------------------------------------------------------------------
+
+var Promise = require('bluebird'),
+	errors = require('./errors');
+
+// -----------------------------------------------------------------------------
+// Private
+// -----------------------------------------------------------------------------
+
+// Identity used for requests made as the authenticated user, without an As-User header
+const DEFAULT_IDENTITY = '';
+
+// The lowest fraction of the configured rate that Retry-After responses can slow a bucket down to
+const MIN_RATE_FACTOR = 0.1;
+
+// The fraction of the configured rate regained after each successful request
+const RECOVERY_RATE_FACTOR = 0.1;
+
+// Number of per-user buckets to keep before idle ones are cleaned up
+const MAX_IDLE_USER_BUCKETS = 1000;
+
+/**
+ * Create a token bucket with the given limits, initially full
+ * @param {RateLimitBucketOptions} options - The bucket limits
+ * @returns {Object} The bucket
+ * @private
+ */
+function createBucket(options) {
+	var burst = options.burst || Math.ceil(options.requestsPerSecond);
+
+	return {
+		maxRate: options.requestsPerSecond,
+		rate: options.requestsPerSecond,
+		burst,
+		tokens: burst,
+		lastRefill: Date.now(),
+		queue: [],
+		timer: null
+	};
+}
+
+/**
+ * Add the tokens accumulated since the bucket was last refilled
+ * @param {Object} bucket - The bucket to refill
+ * @returns {void}
+ * @private
+ */
+function refill(bucket) {
+	var now = Date.now();
+
+	// The last refill time is moved into the future while the bucket is paused
+	if (now <= bucket.lastRefill) {
+		return;
+	}
+
+	bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.lastRefill) / 1000 * bucket.rate));
+	bucket.lastRefill = now;
+}
+
+/**
+ * Determine the identity a request is made as
+ * @param {Object} [headers] - The request headers
+ * @returns {string} The As-User ID, or the default identity for the authenticated user
+ * @private
+ */
+function getIdentity(headers) {
+	return (headers && headers['As-User']) || DEFAULT_IDENTITY;
+}
+
+/**
+ * Determine whether a bucket can be discarded without losing any rate limiting state
+ * @param {Object} bucket - The bucket to check
+ * @returns {boolean} Whether the bucket is idle
+ * @private
+ */
+function isIdle(bucket) {
+	refill(bucket);
+	return bucket.queue.length === 0 && bucket.tokens >= bucket.burst && bucket.rate === bucket.maxRate;
+}
+
+// -----------------------------------------------------------------------------
+// Public
+// -----------------------------------------------------------------------------
+
+/**
+ * Token bucket rate limiter, which queues requests until they can be sent without
+ * exceeding the configured rate. One limiter is shared by all clients of an SDK
+ * instance, and keeps an additional bucket for each As-User identity when a per-user
+ * limit is configured.
+ */
+class RateLimiter {
+
+	/**
+	 * @constructor
+	 * @param {RateLimitOptions} options - The rate limits to enforce
+	 * @returns {void}
+	 */
+	constructor(options) {
+		this.options = options;
+		this.instanceBucket = createBucket(options);
+		this.userBuckets = new Map();
+	}
+
+	/**
+	 * Get the per-user bucket for an identity, creating it if needed
+	 * @param {string} identity - The identity requests are made as
+	 * @returns {?Object} The bucket, or null if no per-user limit is configured
+	 * @private
+	 */
+	_getUserBucket(identity) {
+		if (!this.options.perUser) {
+			return null;
+		}
+
+		var bucket = this.userBuckets.get(identity);
+		if (!bucket) {
+			if (this.userBuckets.size >= MAX_IDLE_USER_BUCKETS) {
+				this.userBuckets.forEach((userBucket, key) => {
+					if (isIdle(userBucket)) {
+						this.userBuckets.delete(key);
+					}
+				});
+			}
+
+			bucket = createBucket(this.options.perUser);
+			this.userBuckets.set(identity, bucket);
+		}
+
+		return bucket;
+	}
+
+	/**
+	 * Get the bucket that Retry-After responses for an identity should slow down
+	 * @param {string} identity - The identity requests are made as
+	 * @returns {Object} The bucket
+	 * @private
+	 */
+	_getThrottledBucket(identity) {
+		return this._getUserBucket(identity) || this.instanceBucket;
+	}
+
+	/**
+	 * Take a token from a bucket, waiting in line until one is available. A request
+	 * aborted while waiting leaves the line without taking a token.
+	 * @param {Object} bucket - The bucket to take a token from
+	 * @param {AbortSignal} [signal] - The abort signal of the request
+	 * @returns {Promise} A promise resolving when the token has been taken
+	 * @private
+	 */
+	_take(bucket, signal) {
+		// eslint-disable-next-line promise/avoid-new
+		return new Promise((resolve, reject) => {
+			if (signal && signal.aborted) {
+				reject(errors.buildAbortError());
+				return;
+			}
+
+			var onAbort = null;
+
+			var grant = () => {
+				if (onAbort) {
+					signal.removeEventListener('abort', onAbort);
+				}
+				resolve();
+			};
+
+			if (signal) {
+				onAbort = () => {
+					signal.removeEventListener('abort', onAbort);
+					var index = bucket.queue.indexOf(grant);
+					if (index !== -1) {
+						bucket.queue.splice(index, 1);
+					}
+					reject(errors.buildAbortError());
+				};
+				signal.addEventListener('abort', onAbort);
+			}
+
+			bucket.queue.push(grant);
+			this._drain(bucket);
+		});
+	}
+
+	/**
+	 * Hand out available tokens to queued requests in order, and schedule the
+	 * next attempt if any requests are still waiting
+	 * @param {Object} bucket - The bucket to drain
+	 * @returns {void}
+	 * @private
+	 */
+	_drain(bucket) {
+		if (bucket.timer) {
+			return;
+		}
+
+		refill(bucket);
+		while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+			bucket.tokens -= 1;
+			bucket.queue.shift()();
+		}
+
+		if (bucket.queue.length > 0) {
+			var pauseMS = Math.max(0, bucket.lastRefill - Date.now()),
+				refillMS = (1 - bucket.tokens) / bucket.rate * 1000;
+
+			bucket.timer = setTimeout(() => {
+				bucket.timer = null;
+				this._drain(bucket);
+			}, Math.ceil(pauseMS + refillMS));
+		}
+	}
+
+	/**
+	 * Wait until a request can be sent without exceeding the rate limits for the
+	 * SDK instance and for the identity the request is made as
+	 * @param {Object} [headers] - The headers of the request to be sent
+	 * @param {AbortSignal} [signal] - Signal that stops the request waiting when it fires 'abort'
+	 * @returns {Promise} A promise resolving when the request can be sent, or rejecting
+	 *  with an abort error if the request is aborted first
+	 */
+	acquire(headers, signal) {
+		var userBucket = this._getUserBucket(getIdentity(headers));
+
+		return this._take(this.instanceBucket, signal)
+			.then(() => userBucket && this._take(userBucket, signal));
+	}
+
+	/**
+	 * Slow down requests after the API asked the SDK to back off: no further requests
+	 * are sent as the throttled identity until the Retry-After period has passed,
+	 * and the rate is halved until successful responses bring it back up
+	 * @param {Object} [headers] - The headers of the request that was rate limited
+	 * @param {int} retryAfterMS - The time the API asked to wait, in milliseconds
+	 * @returns {void}
+	 */
+	throttle(headers, retryAfterMS) {
+		var bucket = this._getThrottledBucket(getIdentity(headers));
+
+		refill(bucket);
+		bucket.tokens = 0;
+		if (Number.isFinite(retryAfterMS) && retryAfterMS > 0) {
+			bucket.lastRefill = Math.max(bucket.lastRefill, Date.now() + retryAfterMS);
+		}
+		bucket.rate = Math.max(bucket.rate / 2, bucket.maxRate * MIN_RATE_FACTOR);
+	}
+
+	/**
+	 * Gradually restore the rate for an identity that was throttled, after a
+	 * request made as that identity succeeded
+	 * @param {Object} [headers] - The headers of the successful request
+	 * @returns {void}
+	 */
+	recover(headers) {
+		var bucket = this._getThrottledBucket(getIdentity(headers));
+
+		if (bucket.rate < bucket.maxRate) {
+			refill(bucket);
+			bucket.rate = Math.min(bucket.maxRate, bucket.rate + (bucket.maxRate * RECOVERY_RATE_FACTOR));
+		}
+	}
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Session lifecycle events, emitted on the SDK event bus
+ */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Typedefs
+// ------------------------------------------------------------------------------
+
+/**
+ * The session that emitted a lifecycle event
+ * @typedef {Object} SessionEventSource
+ * @property {string} sessionType The kind of session: "persistent", "appAuth", "ccg" or "anonymous"
+ * @property {?string} subjectType The type of entity the session authenticates as, "user" or "enterprise", if known
+ * @property {?string} subjectID The Box ID of the entity the session authenticates as, if known
+ */
+
+/**
+ * Payload of a session lifecycle event. Token values are never included.
+ * @typedef {Object} SessionEvent
+ * @property {string} event The name of the event
+ * @property {string} sessionType The kind of session: "persistent", "appAuth", "ccg" or "anonymous"
+ * @property {?string} subjectType The type of entity the session authenticates as, "user" or "enterprise", if known
+ * @property {?string} subjectID The Box ID of the entity the session authenticates as, if known
+ * @property {?Object} tokenInfo The token info the event is about, with the token values redacted
+ * @property {?int} expiresAtMS When the access token expires, in milliseconds since the epoch
+ * @property {?Object} error The name, message and status code of the error, for failures
+ * @property {int} timestampMS When the event happened, in milliseconds since the epoch
+ */
+
+// ------------------------------------------------------------------------------
+// Private
+// ------------------------------------------------------------------------------
+
+// Replaces token values in event payloads
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy token info with the token values redacted
+ * @param {?TokenInfo} tokenInfo The token info
+ * @returns {?Object} The redacted token info, or null if there is none
+ * @private
+ */
+function redactTokenInfo(tokenInfo) {
+	if (!tokenInfo || !tokenInfo.accessToken) {
+		return null;
+	}
+
+	var redacted = {
+		accessToken: REDACTED,
+		accessTokenTTLMS: tokenInfo.accessTokenTTLMS,
+		acquiredAtMS: tokenInfo.acquiredAtMS
+	};
+	if (tokenInfo.refreshToken) {
+		redacted.refreshToken = REDACTED;
+	}
+	return redacted;
+}
+
+/**
+ * Summarize an error without the request and response it may hold, which
+ * can include credentials
+ * @param {?Error} err The error
+ * @returns {?Object} The error summary, or null if there is no error
+ * @private
+ */
+function summarizeError(err) {
+	if (!err) {
+		return null;
+	}
+
+	return {
+		name: err.name || 'Error',
+		message: err.message,
+		statusCode: err.statusCode || null
+	};
+}
+
+// ------------------------------------------------------------------------------
+// Public
+// ------------------------------------------------------------------------------
+
+module.exports = {
+
+	/**
+	 * Names of the session lifecycle events
+	 * @readonly
+	 * @enum {string}
+	 */
+	events: Object.freeze({
+		// A session without a token requested its first one
+		TOKEN_ACQUIRED: 'tokenAcquired',
+		// A session replaced its token with a new one
+		TOKEN_REFRESHED: 'tokenRefreshed',
+		// A session could not get a new token
+		TOKEN_REFRESH_FAILED: 'tokenRefreshFailed',
+		// A session's tokens were revoked
+		TOKENS_REVOKED: 'tokensRevoked',
+		// A session cleared its token store after its tokens expired
+		TOKEN_STORE_CLEARED: 'tokenStoreCleared'
+	}),
+
+	/**
+	 * Emit a session lifecycle event on the event bus of the SDK instance the
+	 * session's token manager belongs to
+	 * @param {TokenManager} tokenManager The token manager of the session
+	 * @param {string} eventName The name of the event
+	 * @param {SessionEventSource} source The session emitting the event
+	 * @param {Object} [details] What the event is about
+	 * @param {TokenInfo} [details.tokenInfo] The token info, which is redacted before it is emitted
+	 * @param {Error} [details.error] The error, for failures
+	 * @returns {void}
+	 */
+	emit(tokenManager, eventName, source, details) {
+		var eventBus = tokenManager.requestManager && tokenManager.requestManager.eventBus;
+		if (!eventBus) {
+			return;
+		}
+
+		details = details || {};
+
+		var tokenInfo = details.tokenInfo,
+			expiresAtMS = null;
+		if (tokenInfo && typeof tokenInfo.acquiredAtMS === 'number' && typeof tokenInfo.accessTokenTTLMS === 'number') {
+			expiresAtMS = tokenInfo.acquiredAtMS + tokenInfo.accessTokenTTLMS;
+		}
+
+		eventBus.emit(eventName, {
+			event: eventName,
+			sessionType: source.sessionType,
+			subjectType: source.subjectType || null,
+			subjectID: source.subjectID || null,
+			tokenInfo: redactTokenInfo(tokenInfo),
+			expiresAtMS,
+			error: summarizeError(details.error),
+			timestampMS: Date.now()
+		});
+	}
+};
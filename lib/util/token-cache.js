@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Least-recently-used cache of access tokens, shared by the sessions of an SDK instance
+ */
+
+'use strict';
+
+// -----------------------------------------------------------------------------
+// Typedefs
+// -----------------------------------------------------------------------------
+
+/**
+ * Token cache configuration
+ * @typedef {Object} TokenCacheOptions
+ * @property {int} [maxSize] - The number of tokens to keep; the least recently used token is dropped
+ *  when a new one is added to a full cache [Default: 1000]
+ * @property {int} [expiryBufferMS] - Time before expiration, in milliseconds, when cached tokens are
+ *  no longer handed out [Default: the SDK's expiredBufferMS]
+ */
+
+// -----------------------------------------------------------------------------
+// Private
+// -----------------------------------------------------------------------------
+
+var defaults = {
+	maxSize: 1000,
+	expiryBufferMS: 180000
+};
+
+// -----------------------------------------------------------------------------
+// Public
+// -----------------------------------------------------------------------------
+
+/**
+ * Holds the token info for a bounded number of keys, so that tokens obtained by
+ * one session can be reused by other sessions for the same entity instead of
+ * requesting new ones. Tokens that expire within the expiry buffer are treated
+ * as missing.
+ */
+class TokenCache {
+
+	/**
+	 * @constructor
+	 * @param {TokenCacheOptions} [options] - Optional cache settings
+	 * @returns {void}
+	 */
+	constructor(options) {
+		this.options = Object.assign({}, defaults, options);
+
+		// Maps iterate in insertion order, so the first key is the least recently used
+		this._entries = new Map();
+
+		// Token grants in progress, so that sessions for the same entity wait for one grant
+		this._pendingGrants = new Map();
+	}
+
+	/**
+	 * The number of tokens in the cache, including any that have expired but not yet been dropped
+	 * @type {int}
+	 */
+	get size() {
+		return this._entries.size;
+	}
+
+	/**
+	 * Get the cached token info for a key, marking it as recently used
+	 * @param {string} key - The cache key
+	 * @returns {?TokenInfo} The token info, or null if there is no token for the key that is still valid
+	 */
+	get(key) {
+		var tokenInfo = this._entries.get(key);
+
+		if (!tokenInfo) {
+			return null;
+		}
+
+		this._entries.delete(key);
+
+		var expiresAtMS = tokenInfo.acquiredAtMS + tokenInfo.accessTokenTTLMS;
+		if (expiresAtMS - this.options.expiryBufferMS <= Date.now()) {
+			return null;
+		}
+
+		this._entries.set(key, tokenInfo);
+		return tokenInfo;
+	}
+
+	/**
+	 * Cache the token info for a key, dropping the least recently used token if the cache is full
+	 * @param {string} key - The cache key
+	 * @param {TokenInfo} tokenInfo - The token info to cache
+	 * @returns {void}
+	 */
+	set(key, tokenInfo) {
+		this._entries.delete(key);
+		this._entries.set(key, tokenInfo);
+
+		while (this._entries.size > this.options.maxSize) {
+			this._entries.delete(this._entries.keys().next().value);
+		}
+	}
+
+	/**
+	 * Get the token grant in progress for a key
+	 * @param {string} key - The cache key
+	 * @returns {?Promise<TokenInfo>} The promise resolving to the granted token info, or null if
+	 *  no grant is in progress for the key
+	 */
+	getPendingGrant(key) {
+		return this._pendingGrants.get(key) || null;
+	}
+
+	/**
+	 * Record a token grant in progress for a key, until it succeeds or fails
+	 * @param {string} key - The cache key
+	 * @param {Promise<TokenInfo>} grant - The promise resolving to the granted token info
+	 * @returns {void}
+	 */
+	setPendingGrant(key, grant) {
+		var removeGrant = () => {
+			if (this._pendingGrants.get(key) === grant) {
+				this._pendingGrants.delete(key);
+			}
+		};
+
+		this._pendingGrants.set(key, grant);
+		// Remove the grant whether it succeeds or fails
+		// eslint-disable-next-line promise/catch-or-return
+		grant.then(removeGrant, removeGrant);
+	}
+
+	/**
+	 * Remove the token for a key
+	 * @param {string} key - The cache key
+	 * @returns {void}
+	 */
+	delete(key) {
+		this._entries.delete(key);
+	}
+
+	/**
+	 * Remove all tokens
+	 * @returns {void}
+	 */
+	clear() {
+		this._entries.clear();
+		this._pendingGrants.clear();
+	}
+}
+
+module.exports = TokenCache;
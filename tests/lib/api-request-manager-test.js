@@ -14,8 +14,11 @@ var assert = require('chai').assert,
 	sinon = require('sinon'),
 	leche = require('leche'),
 	Stream = require('stream'),
+	PassThrough = Stream.PassThrough,
 	mockery = require('mockery'),
+	Promise = require('bluebird'),
 	Config = require('../../lib/util/config'),
+	RateLimiter = require('../../lib/util/rate-limiter'),
 	EventEmitter = require('events').EventEmitter;
 
 var APIRequest = require('../../lib/api-request');
@@ -158,6 +161,24 @@ describe('APIRequestManager', function() {
 				});
 		});
 
+		it('should reject with a typed error when the API request fails with an error response', function() {
+
+			var apiError = new Error('503 - Service Unavailable');
+			apiError.statusCode = 503;
+			apiError.response = {statusCode: 503};
+
+			var requestManager = new APIRequestManager(config, eventBusFake);
+			sandbox.mock(apiRequestFake).expects('execute')
+				.yieldsAsync(apiError);
+			return requestManager.makeRequest({})
+				.then(() => assert.fail('Expected request to be rejected'))
+				.catch(err => {
+					assert.propertyVal(err, 'name', 'ServerError');
+					assert.propertyVal(err, 'statusCode', 503);
+					assert.propertyVal(err, 'message', '503 - Service Unavailable');
+				});
+		});
+
 		it('should reject with request error when API call fails', function() {
 
 			var apiError = new Error('Network failure');
@@ -181,7 +202,7 @@ describe('APIRequestManager', function() {
 				requestManager = new APIRequestManager(config, eventBusFake);
 
 			sandbox.stub(apiRequestFake, 'execute');
-			sandbox.stub(apiRequestFake, 'getResponseStream');
+			sandbox.stub(apiRequestFake, 'getResponseStream').returns(new Stream());
 			requestManager.makeStreamingRequest(options);
 			assert.ok(APIRequestConstructorStub.calledWithNew(), 'API Request should be constructed');
 			assert.ok(APIRequestConstructorStub.calledWithMatch(expectedConfig), 'API Request should be passed correct options');
@@ -194,7 +215,7 @@ describe('APIRequestManager', function() {
 			var requestManager = new APIRequestManager(config, eventBusFake);
 
 			sandbox.stub(apiRequestFake, 'execute');
-			sandbox.stub(apiRequestFake, 'getResponseStream');
+			sandbox.stub(apiRequestFake, 'getResponseStream').returns(new Stream());
 			requestManager.makeStreamingRequest(options);
 			assert.ok(APIRequestConstructorStub.calledWithNew(), 'API Request should be constructed');
 			assert.ok(APIRequestConstructorStub.calledWithMatch(expectedConfig), 'API Request should be passed correct options');
@@ -205,7 +226,7 @@ describe('APIRequestManager', function() {
 			var requestManager = new APIRequestManager(config, eventBusFake);
 
 			sandbox.stub(apiRequestFake, 'execute');
-			sandbox.stub(apiRequestFake, 'getResponseStream');
+			sandbox.stub(apiRequestFake, 'getResponseStream').returns(new Stream());
 			requestManager.makeStreamingRequest({});
 			assert.ok(APIRequestConstructorStub.calledWithNew(), 'API Request should be constructed');
 			assert.ok(APIRequestConstructorStub.calledWith(config, eventBusFake), 'API Request should be passed event bus');
@@ -214,23 +235,412 @@ describe('APIRequestManager', function() {
 		it('should execute the request with no callback when called', function() {
 			var requestManager = new APIRequestManager(config, eventBusFake);
 
-			sandbox.stub(apiRequestFake, 'getResponseStream');
+			sandbox.stub(apiRequestFake, 'getResponseStream').returns(new Stream());
 			sandbox.mock(apiRequestFake).expects('execute')
 				.withExactArgs();
 			requestManager.makeStreamingRequest({});
 		});
 
-		it('should return a read stream for the request when called', function() {
+		it('should return a read stream that passes on the response and data of the request when called', function(done) {
 			var requestManager = new APIRequestManager(config, eventBusFake),
-				expectedResponse = new Stream(),
-				response;
+				requestStream = new PassThrough(),
+				response = {statusCode: 200},
+				seenResponse = null,
+				chunks = [];
+
+			sandbox.stub(apiRequestFake, 'execute');
+			sandbox.mock(apiRequestFake).expects('getResponseStream')
+				.withExactArgs()
+				.returns(requestStream);
+
+			var stream = requestManager.makeStreamingRequest({});
+			assert.instanceOf(stream, Stream.Readable);
+
+			stream.on('response', res => {
+				seenResponse = res;
+			});
+			stream.on('data', chunk => chunks.push(chunk));
+			stream.on('end', () => {
+				assert.equal(seenResponse, response);
+				assert.equal(Buffer.concat(chunks).toString(), 'content');
+				done();
+			});
+
+			setImmediate(() => {
+				requestStream.emit('response', response);
+				requestStream.end('content');
+			});
+		});
+
+		it('should emit errors from the request on the returned stream when they occur', function(done) {
+			var requestManager = new APIRequestManager(config, eventBusFake),
+				requestStream = new PassThrough(),
+				requestError = new Error('ECONNRESET');
+
+			sandbox.stub(apiRequestFake, 'execute');
+			sandbox.stub(apiRequestFake, 'getResponseStream').returns(requestStream);
+
+			requestManager.makeStreamingRequest({})
+				.on('error', err => {
+					assert.equal(err, requestError);
+					done();
+				});
+
+			setImmediate(() => requestStream.emit('error', requestError));
+		});
+	});
+
+	describe('makeStreamingRequestAsync()', function() {
+
+		it('should return a promise resolving to the read stream for the request when called', function() {
+			var requestManager = new APIRequestManager(config, eventBusFake),
+				expectedResponse = new Stream();
 
 			sandbox.stub(apiRequestFake, 'execute');
 			sandbox.mock(apiRequestFake).expects('getResponseStream')
 				.withExactArgs()
 				.returns(expectedResponse);
-			response = requestManager.makeStreamingRequest({});
-			assert.equal(response, expectedResponse);
+			return requestManager.makeStreamingRequestAsync({})
+				.then(response => {
+					assert.equal(response, expectedResponse);
+				});
+		});
+	});
+
+	describe('rate limiting', function() {
+
+		var requestManager;
+
+		beforeEach(function() {
+			config = config.extend({
+				rateLimit: {
+					requestsPerSecond: 10
+				}
+			});
+			requestManager = new APIRequestManager(config, eventBusFake);
+		});
+
+		it('should create a rate limiter when rate limit is configured', function() {
+
+			assert.instanceOf(requestManager.rateLimiter, RateLimiter);
+		});
+
+		it('should not create a rate limiter when no rate limit is configured', function() {
+
+			config = config.extend({rateLimit: null});
+			requestManager = new APIRequestManager(config, eventBusFake);
+			assert.isNull(requestManager.rateLimiter);
+		});
+
+		it('should wait for the rate limiter before sending the request when making a request', function() {
+
+			var headers = {'As-User': '123'};
+
+			sandbox.mock(requestManager.rateLimiter).expects('acquire')
+				.withExactArgs(headers, undefined)
+				.returns(Promise.resolve());
+			sandbox.stub(apiRequestFake, 'execute').yieldsAsync(null, {statusCode: 200});
+
+			return requestManager.makeRequest({headers})
+				.then(() => {
+					assert.ok(APIRequestConstructorStub.calledWith(sinon.match.any, eventBusFake, requestManager.rateLimiter), 'API Request should be passed the rate limiter');
+				});
+		});
+
+		it('should not send the request until the rate limiter allows it when making a streaming request', function() {
+
+			var release,
+				// eslint-disable-next-line promise/avoid-new
+				waitForLimit = new Promise(resolve => {
+					release = resolve;
+				});
+
+			sandbox.stub(requestManager.rateLimiter, 'acquire').returns(waitForLimit);
+			sandbox.stub(apiRequestFake, 'execute');
+			sandbox.stub(apiRequestFake, 'getResponseStream').returns(new Stream());
+
+			var promise = requestManager.makeStreamingRequestAsync({});
+			return Promise.delay(1)
+				.then(() => {
+					assert.ok(APIRequestConstructorStub.notCalled, 'API Request should wait for the rate limiter');
+					release();
+					return promise;
+				})
+				.then(() => {
+					assert.ok(APIRequestConstructorStub.calledOnce, 'API Request should be made');
+				});
+		});
+	});
+
+	describe('aborting', function() {
+
+		var requestManager;
+
+		beforeEach(function() {
+			requestManager = new APIRequestManager(config, eventBusFake);
+		});
+
+		it('should pass the signal to the APIRequest separately from its config when making a request', function() {
+
+			var signal = {aborted: false},
+				expectedConfig = config.extend({
+					request: {
+						url: 'http://test'
+					}
+				});
+
+			sandbox.stub(apiRequestFake, 'execute').yieldsAsync(null, {statusCode: 200});
+
+			return requestManager.makeRequest({url: 'http://test', signal})
+				.then(() => {
+					assert.ok(APIRequestConstructorStub.calledWithMatch(expectedConfig), 'API Request should be passed correct options');
+					assert.equal(APIRequestConstructorStub.firstCall.args[3], signal, 'API Request should be passed the signal');
+					assert.isUndefined(APIRequestConstructorStub.firstCall.args[0].request.signal);
+				});
+		});
+
+		it('should reject with an abort error without making the request when the signal was already aborted', function() {
+
+			var signal = {aborted: true};
+
+			return requestManager.makeRequest({url: 'http://test', signal})
+				.then(() => assert.fail('Expected request to be rejected'))
+				.catch(err => {
+					assert.propertyVal(err, 'name', 'AbortError');
+					assert.ok(APIRequestConstructorStub.notCalled, 'API Request should not be constructed');
+				});
+		});
+
+		it('should pass the signal to the rate limiter when making a request', function() {
+
+			var headers = {'As-User': '123'},
+				signal = {aborted: false};
+
+			config = config.extend({rateLimit: {requestsPerSecond: 10}});
+			requestManager = new APIRequestManager(config, eventBusFake);
+			sandbox.mock(requestManager.rateLimiter).expects('acquire')
+				.withExactArgs(headers, signal)
+				.returns(Promise.resolve());
+			sandbox.stub(apiRequestFake, 'execute').yieldsAsync(null, {statusCode: 200});
+
+			return requestManager.makeRequest({headers, signal});
+		});
+
+		it('should reject with an abort error when the signal is aborted while waiting for the rate limiter', function() {
+
+			var signal = {aborted: false};
+
+			config = config.extend({rateLimit: {requestsPerSecond: 10}});
+			requestManager = new APIRequestManager(config, eventBusFake);
+			sandbox.stub(requestManager.rateLimiter, 'acquire').callsFake(() => {
+				signal.aborted = true;
+				return Promise.resolve();
+			});
+
+			return requestManager.makeStreamingRequestAsync({url: 'http://test', signal})
+				.then(() => assert.fail('Expected request to be rejected'))
+				.catch(err => {
+					assert.propertyVal(err, 'name', 'AbortError');
+					assert.ok(APIRequestConstructorStub.notCalled, 'API Request should not be constructed');
+				});
+		});
+
+		it('should emit an abort error on the returned stream when the signal was already aborted', function(done) {
+
+			var signal = {aborted: true};
+
+			requestManager.makeStreamingRequest({url: 'http://test', signal})
+				.on('error', err => {
+					assert.propertyVal(err, 'name', 'AbortError');
+					assert.ok(APIRequestConstructorStub.notCalled, 'API Request should not be constructed');
+					done();
+				});
+		});
+	});
+
+	describe('use()', function() {
+
+		it('should add middleware to the end of the chain when called', function() {
+
+			var first = sandbox.stub(),
+				second = sandbox.stub();
+
+			config = config.extend({
+				middleware: [first]
+			});
+			var requestManager = new APIRequestManager(config, eventBusFake);
+			requestManager.use(second);
+
+			assert.deepEqual(requestManager.middleware, [
+				first,
+				second
+			]);
+		});
+	});
+
+	describe('middleware', function() {
+
+		var requestManager;
+
+		beforeEach(function() {
+			requestManager = new APIRequestManager(config, eventBusFake);
+		});
+
+		it('should run middleware in the order added when making a request', function() {
+
+			var calls = [],
+				response = {statusCode: 200};
+
+			requestManager.use((context, next) => {
+				calls.push('first');
+				return next().then(res => {
+					calls.push('first response');
+					return res;
+				});
+			});
+			requestManager.use((context, next) => {
+				calls.push('second');
+				return next().then(res => {
+					calls.push('second response');
+					return res;
+				});
+			});
+
+			sandbox.stub(apiRequestFake, 'execute').callsFake(callback => {
+				calls.push('request');
+				callback(null, response);
+			});
+
+			return requestManager.makeRequest({})
+				.then(data => {
+					assert.equal(data, response);
+					assert.deepEqual(calls, [
+						'first',
+						'second',
+						'request',
+						'second response',
+						'first response'
+					]);
+				});
+		});
+
+		it('should send the request options set by middleware when making a request', function() {
+
+			var expectedConfig = config.extend({
+				request: {
+					url: 'http://test',
+					headers: {'X-Test': 'foo'}
+				}
+			});
+
+			requestManager.use((context, next) => {
+				assert.isFalse(context.streaming);
+				context.options.headers = {'X-Test': 'foo'};
+				return next();
+			});
+
+			sandbox.stub(apiRequestFake, 'execute').yieldsAsync(null, {statusCode: 200});
+
+			return requestManager.makeRequest({url: 'http://test'})
+				.then(() => {
+					assert.ok(APIRequestConstructorStub.calledWithMatch(expectedConfig), 'API Request should be passed modified options');
+				});
+		});
+
+		it('should resolve to the response returned by middleware when making a request', function() {
+
+			var transformedResponse = {statusCode: 200, body: {transformed: true}};
+
+			requestManager.use((context, next) => next().then(() => transformedResponse));
+
+			sandbox.stub(apiRequestFake, 'execute').yieldsAsync(null, {statusCode: 200, body: {}});
+
+			return requestManager.makeRequest({})
+				.then(data => {
+					assert.equal(data, transformedResponse);
+				});
+		});
+
+		it('should not send the request when middleware returns a response without calling next()', function() {
+
+			var cachedResponse = {statusCode: 200, body: {}};
+
+			requestManager.use(() => cachedResponse);
+
+			sandbox.mock(apiRequestFake).expects('execute')
+				.never();
+
+			return requestManager.makeRequest({})
+				.then(data => {
+					assert.equal(data, cachedResponse);
+					assert.ok(APIRequestConstructorStub.notCalled, 'API Request should not be constructed');
+				});
+		});
+
+		it('should reject when middleware throws', function() {
+
+			var middlewareError = new Error('Not allowed');
+
+			requestManager.use(() => {
+				throw middlewareError;
+			});
+
+			return requestManager.makeRequest({})
+				.then(() => {
+					assert.fail('Expected request to be rejected');
+				})
+				.catch(err => {
+					assert.equal(err, middlewareError);
+				});
+		});
+
+		it('should pass the response stream through middleware when making a streaming request', function() {
+
+			var responseStream = new Stream(),
+				seenStream;
+
+			requestManager.use((context, next) => {
+				assert.isTrue(context.streaming);
+				return next().then(stream => {
+					seenStream = stream;
+					return stream;
+				});
+			});
+
+			sandbox.stub(apiRequestFake, 'execute');
+			sandbox.stub(apiRequestFake, 'getResponseStream').returns(responseStream);
+
+			return requestManager.makeStreamingRequestAsync({})
+				.then(stream => {
+					assert.equal(seenStream, responseStream);
+					assert.equal(stream, responseStream);
+				});
+		});
+
+		it('should reject when middleware returns something other than a stream when making a streaming request', function() {
+
+			requestManager.use(() => ({statusCode: 200, body: {}}));
+
+			return requestManager.makeStreamingRequestAsync({})
+				.then(() => {
+					assert.fail('Expected request to be rejected');
+				})
+				.catch(err => {
+					assert.instanceOf(err, TypeError);
+					assert.ok(APIRequestConstructorStub.notCalled, 'API Request should not be constructed');
+				});
+		});
+
+		it('should emit an error on the returned stream when middleware returns something other than a stream', function(done) {
+
+			requestManager.use(() => ({statusCode: 200, body: {}}));
+
+			var stream = requestManager.makeStreamingRequest({});
+			assert.instanceOf(stream, PassThrough);
+			stream.on('error', err => {
+				assert.instanceOf(err, TypeError);
+				done();
+			});
 		});
 	});
 
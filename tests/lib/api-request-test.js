@@ -16,7 +16,11 @@ var assert = require('chai').assert,
 	leche = require('leche'),
 	Stream = require('stream'),
 	EventEmitter = require('events').EventEmitter,
+	fs = require('fs'),
+	path = require('path'),
+	Promise = require('bluebird'),
 	Config = require('../../lib/util/config'),
+	HTTPTransport = require('../../lib/transports/http-transport'),
 	mockery = require('mockery');
 
 // ------------------------------------------------------------------------------
@@ -24,17 +28,38 @@ var assert = require('chai').assert,
 // ------------------------------------------------------------------------------
 
 // constants
-var MODULE_UNDER_TEST_PATH = '../../lib/api-request';
+var MODULE_UNDER_TEST_PATH = '../../lib/api-request',
+	FIXTURE_FILE_PATH = path.resolve(__dirname, '../fixtures/file.txt');
 
 // then variables
 var sandbox = sinon.createSandbox(),
 	config,
 	requestStub,
+	streamStub,
 	requestObjectStub,
 	requestObjectFake,
 	eventBusFake,
 	APIRequest;
 
+/**
+ * Minimal AbortSignal, since older Node versions don't provide AbortController
+ * @returns {Object} The signal, with an abort() method to fire it
+ */
+function createAbortSignal() {
+	var emitter = new EventEmitter(),
+		signal = {
+			aborted: false,
+			addEventListener: (type, listener) => emitter.on(type, listener),
+			removeEventListener: (type, listener) => emitter.removeListener(type, listener),
+			listenerCount: type => emitter.listenerCount(type),
+			abort() {
+				signal.aborted = true;
+				emitter.emit('abort');
+			}
+		};
+	return signal;
+}
+
 // ------------------------------------------------------------------------------
 // Tests
 // ------------------------------------------------------------------------------
@@ -46,14 +71,6 @@ describe('APIRequest', function() {
 
 	beforeEach(function() {
 		// Setup Dependencies
-		config = new Config({
-			clientID: TEST_CLIENT_ID,
-			clientSecret: TEST_CLIENT_SECRET,
-			request: {
-				// By default, make test requests not retryable
-				formData: true
-			}
-		});
 		requestObjectStub = leche.create([
 			'form',
 			'on',
@@ -62,11 +79,22 @@ describe('APIRequest', function() {
 		requestObjectFake = leche.fake(requestObjectStub);
 		requestStub = sandbox.stub();
 		requestStub.returns(requestObjectFake);
+		streamStub = sandbox.stub();
+		streamStub.returns(requestObjectFake);
 		eventBusFake = leche.fake(EventEmitter.prototype);
+		config = new Config({
+			clientID: TEST_CLIENT_ID,
+			clientSecret: TEST_CLIENT_SECRET,
+			transport: {
+				request: requestStub,
+				stream: streamStub
+			},
+			// By default, make test requests not retry
+			numMaxRetries: 0
+		});
 
 		// Setup Mockery
 		mockery.enable({ warnOnUnregistered: false });
-		mockery.registerMock('request', requestStub);
 
 		// Setup File Under Test
 		mockery.registerAllowable(MODULE_UNDER_TEST_PATH, true);
@@ -87,6 +115,20 @@ describe('APIRequest', function() {
 			assert.propertyVal(apiRequest, 'config', config);
 		});
 
+		it('should use the transport from config when one is set', function() {
+			var apiRequest = new APIRequest(config, eventBusFake);
+			assert.propertyVal(apiRequest, 'transport', config.transport);
+		});
+
+		it('should use the built-in HTTP transport when none is set in config', function() {
+			config = new Config({
+				clientID: TEST_CLIENT_ID,
+				clientSecret: TEST_CLIENT_SECRET
+			});
+			var apiRequest = new APIRequest(config, eventBusFake);
+			assert.instanceOf(apiRequest.transport, HTTPTransport);
+		});
+
 		it('should throw when no config object is passed to constructor', function() {
 			assert.throws(function() {
 				new APIRequest('Not a config');
@@ -103,11 +145,41 @@ describe('APIRequest', function() {
 				new APIRequest(config, 'not an event emitter');
 			});
 		});
+
+		leche.withData({
+			'no form data': [undefined],
+			'string and buffer form data': [{attributes: '{}', content: {value: Buffer.from('foo'), options: {filename: 'unused'}}}],
+			'stream factory form data': [{content: {value: () => new Stream.PassThrough(), options: {filename: 'unused'}}}],
+			'file stream form data': [{content: fs.createReadStream(FIXTURE_FILE_PATH)}]
+		}, function(formData) {
+
+			it('should make the request retryable when the request body can be replayed', function() {
+				config = config.extend({request: {formData}});
+				var apiRequest = new APIRequest(config, eventBusFake);
+				assert.isTrue(apiRequest.isRetryable);
+				if (formData && formData.content instanceof fs.ReadStream) {
+					formData.content.destroy();
+				}
+			});
+		});
+
+		it('should not make the request retryable when the form data contains a stream that can only be read once', function() {
+			config = config.extend({
+				request: {
+					formData: {
+						attributes: '{}',
+						content: [new Stream.PassThrough()]
+					}
+				}
+			});
+			var apiRequest = new APIRequest(config, eventBusFake);
+			assert.isFalse(apiRequest.isRetryable);
+		});
 	});
 
 	describe('execute()', function() {
 
-		it('should send request options to request module when called', function() {
+		it('should send request options to transport stream when called without a callback', function() {
 			config = config.extend({
 				request: {
 					url: 'http://test.foobar',
@@ -120,7 +192,61 @@ describe('APIRequest', function() {
 			sandbox.stub(requestObjectFake, 'emit');
 
 			apiRequest.execute();
+			assert(streamStub.calledWithMatch(config.request));
+			assert.ok(requestStub.notCalled);
+		});
+
+		it('should send request options to transport request when called with a callback', function() {
+			config = config.extend({
+				request: {
+					url: 'http://test.foobar',
+					method: 'GET'
+				}
+			});
+			var apiRequest = new APIRequest(config, eventBusFake);
+
+			apiRequest.execute(function() { /**/ });
 			assert(requestStub.calledWithMatch(config.request));
+			assert.ok(streamStub.notCalled);
+		});
+
+		it('should pass the proxy settings to the transport when a proxy is configured', function() {
+			var proxy = {
+				url: 'http://proxy.example.com:8080',
+				username: 'user',
+				password: 'pass'
+			};
+			config = config.extend({
+				proxy,
+				request: {
+					url: 'http://test.foobar',
+					method: 'GET'
+				}
+			});
+			var apiRequest = new APIRequest(config, eventBusFake);
+
+			apiRequest.execute(function() { /**/ });
+			assert.deepEqual(requestStub.firstCall.args[0].proxy, proxy);
+			assert.notProperty(config.request, 'proxy');
+		});
+
+		it('should handle the response when the transport request does not return a request object', function(done) {
+			requestStub.callsFake((options, callback) => {
+				process.nextTick(callback, null, {
+					statusCode: 200,
+					headers: {},
+					body: {},
+					request: {}
+				});
+			});
+			sandbox.stub(eventBusFake, 'emit');
+
+			var apiRequest = new APIRequest(config, eventBusFake);
+			apiRequest.execute(function(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 200);
+				done();
+			});
 		});
 
 		it('should set a stream if no callback is provided when called', function() {
@@ -349,6 +475,57 @@ describe('APIRequest', function() {
 			clock.restore();
 		});
 
+		it('should wait until the date in the Retry-After header before retrying when the header is an HTTP date', function(done) {
+			var clock = sinon.useFakeTimers({
+					now: 1500000000000,
+					toFake: [
+						'Date',
+						'setTimeout',
+						'clearTimeout'
+					]
+				}),
+				responses = [
+					{
+						statusCode: 429,
+						headers: {'retry-after': new Date(1500000002000).toUTCString()},
+						request: {}
+					},
+					{
+						statusCode: 200,
+						request: {}
+					}
+				];
+
+			config = config.extend({
+				request: {
+					formData: null
+				},
+				numMaxRetries: 1,
+				retryIntervalMS: 1
+			});
+
+			requestStub.callsFake((options, callback) => {
+				process.nextTick(callback, null, responses.shift());
+				return requestObjectFake;
+			});
+			sandbox.stub(eventBusFake, 'emit').withArgs('response');
+
+			var apiRequest = new APIRequest(config, eventBusFake);
+			apiRequest.execute(function callback(err, response) {
+				clock.restore();
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 200);
+				assert.equal(apiRequest.attempts[0].delayMS, 2000);
+				done();
+			});
+
+			setImmediate(() => {
+				clock.tick(1999);
+				assert.ok(requestStub.calledOnce, 'Request should not be retried before the Retry-After date');
+				clock.tick(1);
+			});
+		});
+
 		it('should use retry strategy to determine the retry interval when config.retryStrategy is set, returns a number, and a callback exists', function(done) {
 			var clock = sinon.useFakeTimers();
 			var responseInfo = {
@@ -437,6 +614,209 @@ describe('APIRequest', function() {
 			});
 		});
 
+		it('should pass the time elapsed since the request was first sent and the attempt history to the retry strategy', function(done) {
+			var clock = sinon.useFakeTimers(),
+				retryOptions = [],
+				responses = [
+					{
+						statusCode: 200,
+						request: {}
+					},
+					{
+						statusCode: 500,
+						request: {}
+					},
+					{
+						statusCode: 503,
+						request: {}
+					},
+					{
+						statusCode: 200,
+						request: {}
+					}
+				];
+
+			config = config.extend({
+				request: {
+					formData: null
+				},
+				numMaxRetries: 2,
+				retryStrategy(options) {
+					retryOptions.push(options);
+					return 100;
+				}
+			});
+
+			// Each attempt takes 10ms to get a response
+			requestStub.callsFake((options, callback) => {
+				var response = responses.shift();
+				setTimeout(() => callback(null, response), 10);
+				return requestObjectFake;
+			});
+			sandbox.stub(eventBusFake, 'emit').withArgs('response');
+
+			// An earlier request should not affect the elapsed time of later ones
+			new APIRequest(config, eventBusFake).execute(() => { /**/ });
+			clock.tick(5000);
+
+			var apiRequest = new APIRequest(config, eventBusFake);
+			apiRequest.execute(function callback(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 200);
+				assert.lengthOf(retryOptions, 2);
+				assert.propertyVal(retryOptions[0], 'totalElapsedTimeMS', 10);
+				assert.deepEqual(retryOptions[0].attempts.map(attempt => [
+					attempt.statusCode,
+					attempt.delayMS
+				]), [
+					[
+						500,
+						undefined
+					]
+				]);
+				assert.propertyVal(retryOptions[1], 'totalElapsedTimeMS', 120);
+				assert.deepEqual(retryOptions[1].attempts.map(attempt => [
+					attempt.statusCode,
+					attempt.delayMS
+				]), [
+					[
+						500,
+						100
+					],
+					[
+						503,
+						undefined
+					]
+				]);
+				assert.instanceOf(retryOptions[1].attempts[1].error, Error);
+				done();
+			});
+
+			clock.tick(300);
+			// Restore the clock here, so that mocha can still observe test timeouts
+			clock.restore();
+		});
+
+		it('should not retry the request when the retry would start after the retry deadline', function(done) {
+			var clock = sinon.useFakeTimers();
+
+			config = config.extend({
+				request: {
+					formData: null
+				},
+				numMaxRetries: 5,
+				retryDeadlineMS: 150,
+				retryStrategy() {
+					return 100;
+				}
+			});
+
+			requestStub.callsFake((options, callback) => {
+				setTimeout(() => callback(null, {statusCode: 500, request: {}}), 10);
+				return requestObjectFake;
+			});
+			sandbox.stub(eventBusFake, 'emit').withArgs('response');
+
+			var apiRequest = new APIRequest(config, eventBusFake);
+			apiRequest.execute(function callback(err) {
+				assert.propertyVal(err, 'statusCode', 500);
+				assert.propertyVal(err, 'retryDeadlineExceeded', true);
+				assert.notProperty(err, 'maxRetriesExceeded');
+				assert.equal(requestStub.callCount, 2);
+				done();
+			});
+
+			clock.tick(300);
+			// Restore the clock here, so that mocha can still observe test timeouts
+			clock.restore();
+		});
+
+		it('should create the form data again for each attempt when retrying a request with replayable form data', function(done) {
+			var clock = sinon.useFakeTimers(),
+				fileStream = fs.createReadStream(FIXTURE_FILE_PATH),
+				streamFactory = sandbox.stub().callsFake(() => new Stream.PassThrough()),
+				responses = [
+					{
+						statusCode: 503,
+						request: {}
+					},
+					{
+						statusCode: 201,
+						request: {}
+					}
+				];
+
+			config = config.extend({
+				request: {
+					formData: {
+						attributes: '{"name":"foo.txt"}',
+						content: {
+							value: streamFactory,
+							options: {filename: 'unused'}
+						},
+						file: fileStream
+					}
+				},
+				numMaxRetries: 1,
+				retryIntervalMS: 1
+			});
+
+			requestStub.callsFake((options, callback) => {
+				setTimeout(() => callback(null, responses.shift()), 1);
+				return requestObjectFake;
+			});
+			sandbox.stub(eventBusFake, 'emit').withArgs('response');
+
+			var apiRequest = new APIRequest(config, eventBusFake);
+			apiRequest.execute(function callback(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 201);
+				assert.equal(streamFactory.callCount, 2);
+
+				var firstFormData = requestStub.firstCall.args[0].formData,
+					secondFormData = requestStub.secondCall.args[0].formData;
+				assert.equal(firstFormData.attributes, '{"name":"foo.txt"}');
+				assert.equal(secondFormData.attributes, '{"name":"foo.txt"}');
+				assert.equal(firstFormData.content.value, streamFactory.firstCall.returnValue);
+				assert.equal(secondFormData.content.value, streamFactory.secondCall.returnValue);
+				assert.deepEqual(secondFormData.content.options, {filename: 'unused'});
+				assert.equal(firstFormData.file, fileStream);
+				assert.instanceOf(secondFormData.file, fs.ReadStream);
+				assert.notEqual(secondFormData.file, fileStream);
+				assert.equal(secondFormData.file.path, FIXTURE_FILE_PATH);
+				assert.isTrue(fileStream.destroyed, 'Stream from failed attempt should be closed');
+				secondFormData.file.destroy();
+				done();
+			});
+
+			clock.tick(10);
+			// Restore the clock here, so that mocha can still observe test timeouts
+			clock.restore();
+		});
+
+		it('should explain why the request was not retried when its form data contains a stream that can only be read once', function(done) {
+			config = config.extend({
+				request: {
+					formData: {
+						content: new Stream.PassThrough()
+					}
+				},
+				numMaxRetries: 1
+			});
+
+			requestStub.yieldsAsync(null, {statusCode: 503, request: {}});
+			sandbox.stub(eventBusFake, 'emit').withArgs('response');
+
+			var apiRequest = new APIRequest(config, eventBusFake);
+			apiRequest.execute(function callback(err) {
+				assert.instanceOf(err, Error);
+				assert.propertyVal(err, 'statusCode', 503);
+				assert.match(err.message, /^503 - Service Unavailable \(the request could not be retried, since its form data contains a stream that can only be read once/);
+				assert.equal(requestStub.callCount, 1);
+				done();
+			});
+		});
+
 		it('should call the callback asynchronously when callback exists', function(done) {
 			var endOfTest = false,
 				responseInfo = {
@@ -508,6 +888,254 @@ describe('APIRequest', function() {
 
 	});
 
+	describe('aborting', function() {
+
+		var signal;
+
+		beforeEach(function() {
+			signal = createAbortSignal();
+		});
+
+		it('should pass the signal to the transport when a signal is set', function(done) {
+			requestStub.yieldsAsync(null, {statusCode: 200, request: {}});
+			sandbox.stub(eventBusFake, 'emit').withArgs('response');
+
+			var apiRequest = new APIRequest(config, eventBusFake, null, signal);
+			apiRequest.execute(function callback(err) {
+				assert.ifError(err);
+				assert.propertyVal(requestStub.firstCall.args[0], 'signal', signal);
+				assert.notProperty(config.request, 'signal');
+				assert.equal(signal.listenerCount('abort'), 0, 'Abort listener should be removed once the request finishes');
+				done();
+			});
+		});
+
+		it('should not send the request and call back with an abort error when the signal was already aborted', function(done) {
+			signal.abort();
+
+			var apiRequest = new APIRequest(config, eventBusFake, null, signal);
+			apiRequest.execute(function callback(err) {
+				assert.instanceOf(err, Error);
+				assert.propertyVal(err, 'name', 'AbortError');
+				assert.equal(requestStub.callCount, 0);
+				done();
+			});
+		});
+
+		it('should call back with an abort error and ignore the transport callback when aborted during an attempt', function(done) {
+			var transportCallback;
+
+			requestStub.callsFake((options, callback) => {
+				transportCallback = callback;
+				return requestObjectFake;
+			});
+			sandbox.mock(eventBusFake).expects('emit')
+				.never();
+
+			var apiRequest = new APIRequest(config, eventBusFake, null, signal);
+			apiRequest.execute(function callback(err) {
+				assert.propertyVal(err, 'name', 'AbortError');
+				// Transports report their own error after being aborted, which should not call back again
+				transportCallback(new Error('socket hang up'));
+				setImmediate(done);
+			});
+
+			signal.abort();
+		});
+
+		it('should cancel the pending retry and call back with an abort error when aborted while waiting to retry', function(done) {
+			// Leave setImmediate alone, so the first attempt can fail before aborting
+			var clock = sinon.useFakeTimers({
+				toFake: [
+					'setTimeout',
+					'clearTimeout'
+				]
+			});
+
+			config = config.extend({
+				numMaxRetries: 2,
+				retryIntervalMS: 1000
+			});
+
+			requestStub.yieldsAsync(null, {statusCode: 503, request: {}});
+			sandbox.stub(eventBusFake, 'emit').withArgs('response');
+
+			var apiRequest = new APIRequest(config, eventBusFake, null, signal);
+			apiRequest.execute(function callback(err) {
+				assert.propertyVal(err, 'name', 'AbortError');
+				clock.tick(10000);
+				assert.equal(requestStub.callCount, 1);
+				clock.restore();
+				done();
+			});
+
+			// Wait for the first attempt to fail before aborting
+			setImmediate(() => {
+				assert.isNotNull(apiRequest._retryTimer);
+				signal.abort();
+			});
+		});
+	});
+
+	describe('rate limiting', function() {
+
+		var rateLimiterFake;
+
+		beforeEach(function() {
+			rateLimiterFake = {
+				acquire: sandbox.stub().returns(Promise.resolve()),
+				throttle: sandbox.stub(),
+				recover: sandbox.stub()
+			};
+			sandbox.stub(eventBusFake, 'emit');
+		});
+
+		it('should throttle the rate limiter when the response has a Retry-After header', function(done) {
+
+			config = config.extend({
+				request: {
+					headers: {'As-User': '123'}
+				}
+			});
+			requestStub.yieldsAsync(null, {
+				statusCode: 429,
+				headers: {'retry-after': '2'},
+				request: {}
+			});
+
+			var apiRequest = new APIRequest(config, eventBusFake, rateLimiterFake);
+			apiRequest.execute(function callback() {
+				assert.ok(rateLimiterFake.throttle.calledWithExactly(sinon.match({'As-User': '123'}), 2000), 'Rate limiter should be throttled');
+				assert.ok(rateLimiterFake.recover.notCalled, 'Rate limiter should not recover');
+				done();
+			});
+		});
+
+		it('should throttle the rate limiter for the time until the date when the Retry-After header is an HTTP date', function(done) {
+
+			var clock = sinon.useFakeTimers({ now: 1500000000000, toFake: ['Date'] });
+
+			requestStub.yieldsAsync(null, {
+				statusCode: 429,
+				headers: {'retry-after': new Date(1500000003000).toUTCString()},
+				request: {}
+			});
+
+			var apiRequest = new APIRequest(config, eventBusFake, rateLimiterFake);
+			apiRequest.execute(function callback() {
+				clock.restore();
+				assert.ok(rateLimiterFake.throttle.calledWithExactly(sinon.match.any, 3000), 'Rate limiter should be throttled');
+				done();
+			});
+		});
+
+		it('should let the rate limiter recover when the request succeeds', function(done) {
+
+			requestStub.yieldsAsync(null, {
+				statusCode: 200,
+				headers: {},
+				request: {}
+			});
+
+			var apiRequest = new APIRequest(config, eventBusFake, rateLimiterFake);
+			apiRequest.execute(function callback() {
+				assert.ok(rateLimiterFake.recover.calledOnce, 'Rate limiter should recover');
+				assert.ok(rateLimiterFake.throttle.notCalled, 'Rate limiter should not be throttled');
+				done();
+			});
+		});
+
+		it('should wait for the rate limiter before retrying the request', function(done) {
+
+			config = config.extend({
+				request: {
+					formData: null
+				},
+				numMaxRetries: 1,
+				retryIntervalMS: 1
+			});
+			var responses = [
+				{
+					statusCode: 500,
+					headers: {},
+					request: {}
+				},
+				{
+					statusCode: 200,
+					headers: {},
+					request: {}
+				}
+			];
+			requestStub.callsFake((options, callback) => {
+				process.nextTick(callback, null, responses.shift());
+				return requestObjectFake;
+			});
+
+			var apiRequest = new APIRequest(config, eventBusFake, rateLimiterFake);
+			apiRequest.execute(function callback(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 200);
+				assert.ok(rateLimiterFake.acquire.calledOnce, 'Retry should wait for rate limiter');
+				assert.ok(rateLimiterFake.acquire.calledBefore(requestStub.secondCall), 'Retry should be sent after rate limiter allows it');
+				done();
+			});
+		});
+
+		it('should pass the signal to the rate limiter and propagate one abort error when aborted while waiting to retry', function(done) {
+
+			var signal = createAbortSignal(),
+				callbackCount = 0;
+
+			config = config.extend({
+				request: {
+					formData: null
+				},
+				numMaxRetries: 1,
+				retryIntervalMS: 1
+			});
+			requestStub.callsFake((options, callback) => {
+				process.nextTick(callback, null, {
+					statusCode: 500,
+					headers: {},
+					request: {}
+				});
+				return requestObjectFake;
+			});
+			// eslint-disable-next-line promise/avoid-new
+			rateLimiterFake.acquire = sandbox.stub().callsFake((headers, abortSignal) => new Promise((resolve, reject) => {
+				abortSignal.addEventListener('abort', () => reject(new Error('aborted while waiting')));
+				process.nextTick(() => signal.abort());
+			}));
+
+			var apiRequest = new APIRequest(config, eventBusFake, rateLimiterFake, signal);
+			apiRequest.execute(function callback(err) {
+				callbackCount += 1;
+				assert.propertyVal(err, 'name', 'AbortError');
+				assert.ok(rateLimiterFake.acquire.calledWith(sinon.match.any, signal), 'Rate limiter should be passed the signal');
+				assert.ok(requestStub.calledOnce, 'Request should not be retried');
+				setImmediate(() => {
+					assert.equal(callbackCount, 1);
+					done();
+				});
+			});
+		});
+
+		it('should throttle the rate limiter when a streaming response has a Retry-After header', function() {
+
+			var stream = new Stream();
+			streamStub.returns(stream);
+
+			var apiRequest = new APIRequest(config, eventBusFake, rateLimiterFake);
+			apiRequest.execute();
+			stream.emit('response', {
+				statusCode: 429,
+				headers: {'retry-after': '1'}
+			});
+
+			assert.ok(rateLimiterFake.throttle.calledWith(sinon.match.any, 1000), 'Rate limiter should be throttled');
+		});
+	});
+
 	describe('getResponseStream()', function() {
 
 		var apiRequest;
@@ -516,9 +1144,9 @@ describe('APIRequest', function() {
 			apiRequest = new APIRequest(config, eventBusFake);
 		});
 
-		it('should return the response stream created by request when called', function() {
+		it('should return the response stream created by the transport when called', function() {
 			var expectedStream = new Stream();
-			requestStub.returns(expectedStream);
+			streamStub.returns(expectedStream);
 			apiRequest.execute();
 			var stream = apiRequest.getResponseStream();
 			assert.equal(stream, expectedStream);
@@ -163,23 +163,48 @@ describe('box-client', function() {
 			return basicClient._makeRequest({headers: { BoxApi: explicitBoxApiHeader }});
 		});
 
-		it('should call makeStreamingRequest for a streaming request', function() {
+		it('should call makeStreamingRequestAsync for a streaming request', function() {
 			sandbox.mock(apiSessionFake).expects('getAccessToken')
 				.returns(Promise.resolve(FAKE_ACCESS_TOKEN));
 			sandbox.mock(fakeResponseStream).expects('on')
 				.withArgs('response', sinon.match.func);
-			sandbox.mock(requestManagerFake).expects('makeStreamingRequest')
-				.returns(fakeResponseStream);
+			sandbox.mock(requestManagerFake).expects('makeStreamingRequestAsync')
+				.returns(Promise.resolve(fakeResponseStream));
 
 			return basicClient._makeRequest({ streaming: true });
 		});
 
+		it('should pass an abort signal from the query string or body as a request option when one is set', function() {
+			var signal = {
+					aborted: false,
+					addEventListener() { /**/ },
+					removeEventListener() { /**/ }
+				},
+				qs = {
+					fields: 'id,name',
+					signal
+				};
+
+			sandbox.stub(apiSessionFake, 'getAccessToken').returns(Promise.resolve(FAKE_ACCESS_TOKEN));
+			sandbox.mock(requestManagerFake).expects('makeRequest')
+				.withArgs(sinon.match({
+					qs: {fields: 'id,name'},
+					signal
+				}).and(sinon.match(options => !options.qs.hasOwnProperty('signal'))))
+				.returns(Promise.resolve(fakeOKResponse));
+
+			return basicClient._makeRequest({qs})
+				.then(() => {
+					assert.propertyVal(qs, 'signal', signal, 'Caller options should not be modified');
+				});
+		});
+
 		it('should attach expired auth response handler to stream when making streaming request', function() {
 
 			apiSessionFake.handleExpiredTokensError = sandbox.mock().withArgs(sinon.match.instanceOf(Error));
 
 			sandbox.stub(apiSessionFake, 'getAccessToken').returns(Promise.resolve(FAKE_ACCESS_TOKEN));
-			sandbox.stub(requestManagerFake, 'makeStreamingRequest').returns(fakeResponseStream);
+			sandbox.stub(requestManagerFake, 'makeStreamingRequestAsync').returns(Promise.resolve(fakeResponseStream));
 
 			return basicClient._makeRequest({ streaming: true })
 				.then(stream => {
@@ -277,6 +302,29 @@ describe('box-client', function() {
 			assert.isFunction(batchObj.reject);
 		});
 
+		it('should leave an abort signal out of the stored request params when called in batch mode', function() {
+			var signal = {
+					aborted: false,
+					addEventListener() { /**/ },
+					removeEventListener() { /**/ }
+				},
+				requestParams = {
+					method: 'get',
+					url: 'https://api.box.com/2.0/unicorns',
+					qs: {
+						fields: 'id,name',
+						signal
+					}
+				};
+
+			basicClient.batch();
+			basicClient._makeRequest(requestParams);
+
+			var batchParams = basicClient._batch[0].params;
+			assert.notProperty(batchParams, 'signal');
+			assert.deepEqual(batchParams.qs, { fields: 'id,name' });
+		});
+
 		it('should return promise from batch mode that resolves when stored function is called with response', function() {
 
 			basicClient.batch();
@@ -316,6 +364,169 @@ describe('box-client', function() {
 				assert.equal(val, fakeResponseStream);
 			});
 		});
+
+		it('should return a promise that rejects without sending the request when the session rejects the request', function() {
+
+			var sessionError = new Error('Missing scope');
+
+			apiSessionFake.checkRequest = sandbox.stub().returns(sessionError);
+			sandbox.mock(apiSessionFake).expects('getAccessToken')
+				.never();
+			sandbox.mock(requestManagerFake).expects('makeRequest')
+				.never();
+
+			return basicClient._makeRequest({ method: 'DELETE', url: 'https://api.box.com/2.0/files/1' })
+				.then(() => {
+					assert.fail('Expected request to be rejected');
+				}, err => {
+					assert.equal(err, sessionError);
+					sinon.assert.calledWithMatch(apiSessionFake.checkRequest, { method: 'DELETE' });
+				});
+		});
+
+		describe('with an ETag cache', function() {
+
+			var FILE_URL = 'https://api.box.com/2.0/files/123',
+				cachingClient,
+				cachedBody;
+
+			beforeEach(function() {
+				cachedBody = {
+					type: 'file',
+					id: '123',
+					etag: '1',
+					name: 'a.txt'
+				};
+				cachingClient = new BasicClient(apiSessionFake, new Config(params).extend({ etagCache: true }), requestManagerFake);
+				sandbox.stub(apiSessionFake, 'getAccessToken').returns(Promise.resolve(FAKE_ACCESS_TOKEN));
+			});
+
+			it('should send the cached ETag and return the cached body when the item has not changed', function() {
+
+				var makeRequestStub = sandbox.stub(requestManagerFake, 'makeRequest');
+				makeRequestStub.onFirstCall().returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: cachedBody }));
+				makeRequestStub.onSecondCall().returns(Promise.resolve({ statusCode: httpStatusCodes.NOT_MODIFIED, body: null }));
+
+				return cachingClient._makeRequest({ method: 'GET', url: FILE_URL })
+					.then(() => cachingClient._makeRequest({ method: 'GET', url: FILE_URL }))
+					.then(response => {
+						assert.notProperty(makeRequestStub.firstCall.args[0].headers, 'If-None-Match');
+						assert.propertyVal(makeRequestStub.secondCall.args[0].headers, 'If-None-Match', '1');
+						assert.propertyVal(response, 'statusCode', httpStatusCodes.OK);
+						assert.deepEqual(response.body, cachedBody);
+					});
+			});
+
+			it('should cache the new body when the item has changed', function() {
+
+				var changedBody = Object.assign({}, cachedBody, { etag: '2', name: 'b.txt' }),
+					makeRequestStub = sandbox.stub(requestManagerFake, 'makeRequest');
+				makeRequestStub.onFirstCall().returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: cachedBody }));
+				makeRequestStub.onSecondCall().returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: changedBody }));
+				makeRequestStub.onThirdCall().returns(Promise.resolve({ statusCode: httpStatusCodes.NOT_MODIFIED, body: null }));
+
+				return cachingClient._makeRequest({ method: 'GET', url: FILE_URL })
+					.then(() => cachingClient._makeRequest({ method: 'GET', url: FILE_URL }))
+					.then(() => cachingClient._makeRequest({ method: 'GET', url: FILE_URL }))
+					.then(response => {
+						assert.propertyVal(makeRequestStub.thirdCall.args[0].headers, 'If-None-Match', '2');
+						assert.deepEqual(response.body, changedBody);
+					});
+			});
+
+			it('should not share cached bodies between requests for different fields or users', function() {
+
+				var makeRequestStub = sandbox.stub(requestManagerFake, 'makeRequest')
+					.returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: cachedBody }));
+
+				return cachingClient._makeRequest({ method: 'GET', url: FILE_URL })
+					.then(() => cachingClient._makeRequest({ method: 'GET', url: FILE_URL, qs: { fields: 'name' } }))
+					.then(() => cachingClient._makeRequest({ method: 'GET', url: FILE_URL, headers: { 'As-User': '456' } }))
+					.then(() => {
+						assert.notProperty(makeRequestStub.secondCall.args[0].headers, 'If-None-Match');
+						assert.notProperty(makeRequestStub.thirdCall.args[0].headers, 'If-None-Match');
+					});
+			});
+
+			it('should forget the item when the client changes it', function() {
+
+				var makeRequestStub = sandbox.stub(requestManagerFake, 'makeRequest')
+					.returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: cachedBody }));
+
+				return cachingClient._makeRequest({ method: 'GET', url: FILE_URL })
+					.then(() => cachingClient._makeRequest({ method: 'PUT', url: FILE_URL, body: { name: 'b.txt' } }))
+					.then(() => cachingClient._makeRequest({ method: 'GET', url: FILE_URL }))
+					.then(() => {
+						assert.notProperty(makeRequestStub.thirdCall.args[0].headers, 'If-None-Match');
+					});
+			});
+
+			it('should forget the item when a request to change it fails', function() {
+
+				var makeRequestStub = sandbox.stub(requestManagerFake, 'makeRequest');
+				makeRequestStub.onFirstCall().returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: cachedBody }));
+				makeRequestStub.onSecondCall().returns(Promise.reject(new Error('socket hang up')));
+				makeRequestStub.onThirdCall().returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: cachedBody }));
+
+				return cachingClient._makeRequest({ method: 'GET', url: FILE_URL })
+					.then(() => cachingClient._makeRequest({ method: 'PUT', url: FILE_URL, body: { name: 'b.txt' } }))
+					.then(() => assert.fail('Expected the PUT to fail'))
+					.catch(err => {
+						assert.propertyVal(err, 'message', 'socket hang up');
+						return cachingClient._makeRequest({ method: 'GET', url: FILE_URL });
+					})
+					.then(() => {
+						assert.notProperty(makeRequestStub.thirdCall.args[0].headers, 'If-None-Match');
+					});
+			});
+
+			it('should return a copy of the cached body when called', function() {
+
+				var makeRequestStub = sandbox.stub(requestManagerFake, 'makeRequest');
+				makeRequestStub.onFirstCall().returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: cachedBody }));
+				makeRequestStub.returns(Promise.resolve({ statusCode: httpStatusCodes.NOT_MODIFIED, body: null }));
+
+				return cachingClient._makeRequest({ method: 'GET', url: FILE_URL })
+					.then(response => {
+						response.body.name = 'changed.txt';
+						return cachingClient._makeRequest({ method: 'GET', url: FILE_URL });
+					})
+					.then(response => {
+						assert.propertyVal(response.body, 'name', 'a.txt');
+					});
+			});
+
+			it('should not make requests for sub-resources conditional when called', function() {
+
+				var makeRequestStub = sandbox.stub(requestManagerFake, 'makeRequest')
+					.returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: cachedBody }));
+
+				return cachingClient._makeRequest({ method: 'GET', url: FILE_URL })
+					.then(() => cachingClient._makeRequest({ method: 'GET', url: `${FILE_URL}/versions` }))
+					.then(() => {
+						assert.notProperty(makeRequestStub.secondCall.args[0].headers, 'If-None-Match');
+					});
+			});
+
+			it('should use the cache created by the configured function when one is passed', function() {
+
+				var customCache = {
+						get: sandbox.stub().returns(null),
+						set: sandbox.stub(),
+						delete: sandbox.stub()
+					},
+					config = new Config(params).extend({ etagCache: () => customCache });
+
+				cachingClient = new BasicClient(apiSessionFake, config, requestManagerFake);
+				sandbox.stub(requestManagerFake, 'makeRequest').returns(Promise.resolve({ statusCode: httpStatusCodes.OK, body: cachedBody }));
+
+				return cachingClient._makeRequest({ method: 'GET', url: FILE_URL })
+					.then(() => {
+						sinon.assert.calledWith(customCache.get, 'files/123');
+						sinon.assert.calledWithMatch(customCache.set, 'files/123', sinon.match.object);
+					});
+			});
+		});
 	});
 
 	describe('get()', function() {
@@ -1018,6 +1229,90 @@ describe('box-client', function() {
 		});
 	});
 
+	describe('forUser()', function() {
+
+		var USER_ID = '876345';
+
+		it('should return a new client making calls as the user without changing the parent client when called', function() {
+			var getTokenStub = sandbox.stub(apiSessionFake, 'getAccessToken').returns(Promise.resolve(FAKE_ACCESS_TOKEN)),
+				makeRequestStub = sandbox.stub(requestManagerFake, 'makeRequest').returns(Promise.resolve(fakeOKResponse));
+
+			basicClient.setCustomHeader('X-Custom', 'abc');
+			var userClient = basicClient.forUser(USER_ID);
+
+			assert.instanceOf(userClient, BasicClient);
+			assert.notEqual(userClient, basicClient);
+			assert.equal(userClient._session, basicClient._session);
+			assert.equal(userClient._requestManager, basicClient._requestManager);
+
+			return Promise.all([
+				userClient.get('/', {}),
+				basicClient.get('/', {})
+			])
+				.then(() => {
+					assert.equal(getTokenStub.callCount, 2);
+					assert.propertyVal(makeRequestStub.firstCall.args[0].headers, 'As-User', USER_ID);
+					assert.propertyVal(makeRequestStub.firstCall.args[0].headers, 'X-Custom', 'abc');
+					assert.notProperty(makeRequestStub.secondCall.args[0].headers, 'As-User');
+					assert.notProperty(basicClient._customHeaders, 'As-User');
+				});
+		});
+
+		it('should not change the derived client when the parent client changes later', function() {
+
+			var userClient = basicClient.forUser(USER_ID);
+			basicClient.asUser('999');
+			basicClient.setCustomHeader('X-Custom', 'abc');
+
+			assert.deepEqual(userClient._customHeaders, { 'As-User': USER_ID });
+		});
+	});
+
+	describe('withSharedLink()', function() {
+
+		it('should return a new client with a well-formed "BoxAPI" header without changing the parent client when called', function() {
+
+			var sharedLinkClient = basicClient.withSharedLink('http://box.com/testsharedlink', 'password&123');
+
+			assert.propertyVal(sharedLinkClient._customHeaders, HEADER_BOXAPI, 'shared_link=http%3A%2F%2Fbox.com%2Ftestsharedlink&shared_link_password=password%26123');
+			assert.notProperty(basicClient._customHeaders, HEADER_BOXAPI);
+		});
+
+		it('should keep the As-User header of the parent client when called on a client for a user', function() {
+
+			var sharedLinkClient = basicClient.forUser('876345').withSharedLink('http://box.com/testsharedlink');
+
+			assert.deepEqual(sharedLinkClient._customHeaders, {
+				'As-User': '876345',
+				BoxApi: 'shared_link=http%3A%2F%2Fbox.com%2Ftestsharedlink'
+			});
+		});
+	});
+
+	describe('withIPs()', function() {
+
+		it('should return a new client sending the IP addresses without changing the parent client when called', function() {
+
+			var ipClient = basicClient.withIPs([
+				'123.90.6.1',
+				'not an IP',
+				'10.80.1.123'
+			]);
+
+			assert.propertyVal(ipClient._customHeaders, HEADER_XFF, '123.90.6.1, 10.80.1.123');
+			assert.deepEqual(ipClient._tokenOptions, { ip: '123.90.6.1, 10.80.1.123' });
+			assert.notProperty(basicClient._customHeaders, HEADER_XFF);
+			assert.isUndefined(basicClient._tokenOptions);
+		});
+
+		it('should pass the token options of the parent client to clients derived from it when called', function() {
+
+			basicClient.setIPs(['127.0.0.1']);
+
+			assert.deepEqual(basicClient.forUser('876345')._tokenOptions, { ip: '127.0.0.1' });
+		});
+	});
+
 	describe('revokeTokens()', function() {
 		it('should call apiSession.revokeTokens when called', function(done) {
 			sandbox.mock(apiSessionFake).expects('revokeTokens')
@@ -1210,6 +1505,78 @@ describe('box-client', function() {
 		});
 	});
 
+	describe('getDownscopedClient()', function() {
+
+		var TEST_SCOPES = [
+				'item_preview',
+				'item_download'
+			],
+			TEST_RESOURCE = 'https://api.box.com/2.0/files/1',
+			downscopedTokenInfo;
+
+		beforeEach(function() {
+			downscopedTokenInfo = {
+				accessToken: 'downscopedAT',
+				acquiredAtMS: Date.now(),
+				accessTokenTTLMS: 3600000
+			};
+		});
+
+		it('should make requests with a token exchanged from the client token when called', function() {
+
+			sandbox.mock(apiSessionFake).expects('exchangeToken')
+				.once()
+				.withArgs(TEST_SCOPES, TEST_RESOURCE)
+				.returns(Promise.resolve(downscopedTokenInfo));
+			sandbox.mock(requestManagerFake).expects('makeRequest')
+				.twice()
+				.withArgs(sinon.match({
+					headers: sinon.match({ Authorization: `${HEADER_AUTHORIZATION_PREFIX}downscopedAT` })
+				}))
+				.returns(Promise.resolve(fakeOKResponse));
+
+			var downscopedClient = basicClient.getDownscopedClient(TEST_SCOPES, TEST_RESOURCE);
+
+			assert.instanceOf(downscopedClient, BasicClient);
+			return downscopedClient.get('/files/1')
+				.then(() => downscopedClient.get('/files/1/content'));
+		});
+
+		it('should keep the custom headers of the parent client when called', function() {
+
+			sandbox.stub(apiSessionFake, 'exchangeToken').returns(Promise.resolve(downscopedTokenInfo));
+			sandbox.mock(requestManagerFake).expects('makeRequest')
+				.withArgs(sinon.match({
+					headers: sinon.match({ 'As-User': '876345' })
+				}))
+				.returns(Promise.resolve(fakeOKResponse));
+
+			basicClient.asUser('876345');
+			var downscopedClient = basicClient.getDownscopedClient(TEST_SCOPES, TEST_RESOURCE);
+			basicClient.asSelf();
+
+			return downscopedClient.get('/files/1');
+		});
+
+		it('should return a promise that rejects with an insufficient scope error without sending the request when a call needs a missing scope', function() {
+
+			var errors = require('../../lib/util/errors');
+
+			sandbox.mock(apiSessionFake).expects('exchangeToken')
+				.never();
+			sandbox.mock(requestManagerFake).expects('makeRequest')
+				.never();
+
+			return basicClient.getDownscopedClient(TEST_SCOPES, TEST_RESOURCE).del('/files/1')
+				.then(() => {
+					assert.fail('Expected request to be rejected');
+				}, err => {
+					assert.instanceOf(err, errors.InsufficientScopeError);
+					assert.propertyVal(err, 'requiredScope', 'item_delete');
+				});
+		});
+	});
+
 	describe('plug()', function() {
 
 		var PLUGIN_API_ROOT = 'http://www.foobar.com',
@@ -1274,6 +1641,64 @@ describe('box-client', function() {
 		});
 	});
 
+	describe('resumeIterator()', function() {
+
+		var state;
+
+		beforeEach(function() {
+			state = {
+				version: 1,
+				url: 'https://api.box.com/2.0/folders/0/items',
+				method: 'GET',
+				headers: {},
+				qs: {limit: 2},
+				pagingMode: 'marker',
+				nextValue: 'page2',
+				limit: 2,
+				totalCount: null,
+				done: false,
+				buffer: [{id: '2'}]
+			};
+		});
+
+		it('should return an iterator continuing from the serialized state when called', function() {
+
+			var nextPage = {
+				statusCode: 200,
+				request: {
+					href: 'https://api.box.com/2.0/folders/0/items?marker=page2&limit=2',
+					uri: {query: 'marker=page2&limit=2'},
+					headers: {},
+					method: 'GET'
+				},
+				body: {
+					entries: [{id: '3'}],
+					limit: 2,
+					next_marker: null
+				}
+			};
+
+			sandbox.mock(basicClient).expects('get')
+				.withArgs(state.url, sinon.match({qs: {limit: 2, marker: 'page2'}}))
+				.returns(Promise.resolve(nextPage));
+
+			return basicClient.resumeIterator(state).toArray()
+				.then(items => {
+					assert.deepEqual(items, [
+						{id: '2'},
+						{id: '3'}
+					]);
+				});
+		});
+
+		it('should throw when called with an invalid state', function() {
+
+			state.version = 0;
+
+			assert.throws(() => basicClient.resumeIterator(state), /invalid or incompatible state/);
+		});
+	});
+
 	describe('defaultResponseHandler()', function() {
 
 		it('should pass error to callback when called with error', function(done) {
@@ -36,6 +36,7 @@ describe('box-node-sdk', function() {
 		PersistentAPISession,
 		AnonymousAPISession,
 		AppAuthSessionConstructorStub,
+		CCGSessionConstructorStub,
 		WebhooksFake,
 		appAuthSessionFake,
 		DEFAULT_BOX_ROOT_URL = 'https://api.box.com',
@@ -89,6 +90,7 @@ describe('box-node-sdk', function() {
 		AnonymousAPISession = sandbox.stub();
 		appAuthSessionFake = leche.fake(AppAuthSession.prototype);
 		AppAuthSessionConstructorStub = sandbox.stub();
+		CCGSessionConstructorStub = sandbox.stub();
 		WebhooksFake = leche.fake(Webhooks);
 
 		// Setup Mockery
@@ -100,6 +102,7 @@ describe('box-node-sdk', function() {
 		mockery.registerMock('./sessions/persistent-session', PersistentAPISession);
 		mockery.registerMock('./sessions/anonymous-session', AnonymousAPISession);
 		mockery.registerMock('./sessions/app-auth-session', AppAuthSessionConstructorStub);
+		mockery.registerMock('./sessions/ccg-session', CCGSessionConstructorStub);
 		mockery.registerMock('./managers/webhooks', WebhooksFake);
 
 		// Setup File Under Test
@@ -261,6 +264,26 @@ describe('box-node-sdk', function() {
 			});
 		});
 
+		it('should preconfigure instance for Client Credentials Grant when app auth settings are not present', function() {
+
+			var settings = {
+				boxAppSettings: {
+					clientID: 'id',
+					clientSecret: 'secret'
+				},
+				enterpriseID: 'myEnterpriseID',
+				userID: 'myUserID'
+			};
+
+			sdk = BoxSDKNode.getPreconfiguredInstance(settings);
+
+			assert.nestedPropertyVal(sdk, 'config.clientID', 'id');
+			assert.nestedPropertyVal(sdk, 'config.clientSecret', 'secret');
+			assert.nestedPropertyVal(sdk, 'config.enterpriseID', 'myEnterpriseID');
+			assert.nestedPropertyVal(sdk, 'config.userID', 'myUserID');
+			assert.notOk(sdk.config.appAuth, 'App auth should not be configured');
+		});
+
 		it('should throw when passphrase is not present in app auth config', function() {
 
 			var settings = {
@@ -278,6 +301,48 @@ describe('box-node-sdk', function() {
 				BoxSDKNode.getPreconfiguredInstance(settings);
 			});
 		});
+
+		it('should throw a TypeError when the configuration has no boxAppSettings object', function() {
+
+			assert.throws(function() {
+				BoxSDKNode.getPreconfiguredInstance({});
+			}, TypeError, '"boxAppSettings"');
+		});
+
+		it('should throw a configuration error when the enterprise ID is not a string', function() {
+
+			assert.throws(function() {
+				BoxSDKNode.getPreconfiguredInstance({
+					boxAppSettings: {
+						clientID: 'id',
+						clientSecret: 'secret'
+					},
+					enterpriseID: 1234
+				});
+			}, BoxSDKNode.ConfigurationError, '"enterpriseID"');
+		});
+	});
+
+	describe('loadPreconfiguredInstance()', function() {
+
+		it('should preconfigure instance from the loaded configuration with the environment overrides when called', function() {
+
+			sdk = BoxSDKNode.loadPreconfiguredInstance({ profiles: { prod: TEST_APP_SETTINGS } }, {
+				profile: 'prod',
+				env: { BOX_ENTERPRISE_ID: 'envEnterpriseID' }
+			});
+
+			assert.nestedPropertyVal(sdk, 'config.clientID', 'myId');
+			assert.nestedPropertyVal(sdk, 'config.appAuth.keyID', 'keyID');
+			assert.nestedPropertyVal(sdk, 'config.enterpriseID', 'envEnterpriseID');
+		});
+
+		it('should throw a configuration error naming the field when the loaded configuration is invalid', function() {
+
+			assert.throws(function() {
+				BoxSDKNode.loadPreconfiguredInstance({ boxAppSettings: { clientID: 'id' } }, { env: {} });
+			}, BoxSDKNode.ConfigurationError, '"boxAppSettings.clientSecret"');
+		});
 	});
 
 	describe('configure()', function() {
@@ -300,6 +365,31 @@ describe('box-node-sdk', function() {
 		});
 	});
 
+	describe('use()', function() {
+
+		beforeEach(function() {
+			sdk = new BoxSDKNode(TEST_CONFIG);
+		});
+
+		it('should add middleware to the request manager when called', function() {
+
+			var middleware = sandbox.stub();
+
+			sandbox.mock(requestManagerFake).expects('use')
+				.withExactArgs(middleware);
+			sdk.use(middleware);
+		});
+
+		it('should add middleware to the SDK config when called', function() {
+
+			var middleware = sandbox.stub();
+
+			sandbox.stub(requestManagerFake, 'use');
+			sdk.use(middleware);
+			assert.deepEqual(sdk.config.middleware, [middleware]);
+		});
+	});
+
 	describe('getBasicClient()', function() {
 
 		beforeEach(function() {
@@ -410,6 +500,102 @@ describe('box-node-sdk', function() {
 			assert.ok(AppAuthSessionConstructorStub.calledWithNew(), 'New client should be created');
 			assert.ok(AppAuthSessionConstructorStub.calledWithMatch(type, TEST_APP_SETTINGS.enterpriseID, TEST_APP_SETTINGS_CONFIG, tokenManagerFake), 'Enterprise id should match the parameter value');
 		});
+
+		it('should not pass a token cache to the session when the token cache is not configured', function() {
+
+			sdk.getAppAuthClient('user', '8734659235');
+
+			assert.isNull(sdk.tokenCache);
+			assert.isNull(AppAuthSessionConstructorStub.firstCall.args[5]);
+		});
+
+		it('should pass the same token cache to every session when the token cache is configured', function() {
+
+			sdk = new BoxSDKNode(Object.assign({ tokenCache: { maxSize: 50 }, expiredBufferMS: 60000 }, appAuthConfig));
+			sdk.getAppAuthClient('user', '8734659235');
+			sdk.getAppAuthClient('user', '2938745');
+
+			assert.instanceOf(sdk.tokenCache, require('../../lib/util/token-cache'));
+			assert.deepEqual(sdk.tokenCache.options, { maxSize: 50, expiryBufferMS: 60000 });
+			assert.equal(AppAuthSessionConstructorStub.firstCall.args[5], sdk.tokenCache);
+			assert.equal(AppAuthSessionConstructorStub.secondCall.args[5], sdk.tokenCache);
+		});
+	});
+
+	describe('getCCGClient()', function() {
+
+		var ccgConfig = {
+				clientID: 'id',
+				clientSecret: 'secret'
+			},
+			ccgSessionFake = {};
+
+		beforeEach(function() {
+			sdk = new BoxSDKNode(ccgConfig);
+			CCGSessionConstructorStub.returns(ccgSessionFake);
+		});
+
+		it('should return a client using a CCG session for the enterprise when an enterprise ID is passed', function() {
+
+			var tokenStore = {};
+
+			var ccgClient = sdk.getCCGClient({ enterpriseID: '87346' }, tokenStore);
+
+			assert.isDefined(ccgClient);
+			assert.ok(CCGSessionConstructorStub.calledWithNew(), 'New session should be created');
+			assert.ok(CCGSessionConstructorStub.calledWithExactly('enterprise', '87346', sdk.config, tokenManagerFake, tokenStore), 'Session should be created for the enterprise');
+			assert.ok(BasicClient.calledWithNew(), 'New client should be created');
+			assert.ok(BasicClient.calledWithExactly(ccgSessionFake, sdk.config, requestManagerFake), 'CCG session should be passed in');
+		});
+
+		it('should return a client using a CCG session for the user when a user ID is passed', function() {
+
+			sdk.getCCGClient({ userID: '2938745' });
+
+			assert.ok(CCGSessionConstructorStub.calledWithMatch('user', '2938745'), 'Session should be created for the user');
+		});
+
+		it('should throw an error when both an enterprise ID and a user ID are passed', function() {
+			assert.throws(function() {
+				sdk.getCCGClient({ enterpriseID: '87346', userID: '2938745' });
+			}, Error, 'Only one of enterpriseID or userID may be passed');
+		});
+
+		it('should throw an error when no ID is passed and none is set in the config', function() {
+			assert.throws(function() {
+				sdk.getCCGClient();
+			}, Error, 'Enterprise ID or user ID must be passed');
+		});
+
+		it('should use enterprise ID from config when one is set and no ID is passed in', function() {
+
+			sdk = BoxSDKNode.getPreconfiguredInstance(TEST_APP_SETTINGS);
+			sdk.getCCGClient();
+
+			assert.ok(CCGSessionConstructorStub.calledWithMatch('enterprise', TEST_APP_SETTINGS.enterpriseID), 'Enterprise id should match the config value');
+		});
+
+		it('should use user ID from config when one is set and no ID is passed in', function() {
+
+			sdk.configure({ enterpriseID: '87346', userID: '2938745' });
+			sdk.getCCGClient();
+
+			assert.ok(CCGSessionConstructorStub.calledWithMatch('user', '2938745'), 'User id should match the config value');
+		});
+	});
+
+	describe('createClientPool()', function() {
+
+		it('should return a client pool for the SDK instance when called', function() {
+
+			sdk = new BoxSDKNode(TEST_CONFIG);
+
+			var pool = sdk.createClientPool({ idleTimeoutMS: 1000 });
+
+			assert.instanceOf(pool, BoxSDKNode.ClientPool);
+			assert.equal(pool._sdk, sdk);
+			assert.propertyVal(pool._options, 'idleTimeoutMS', 1000);
+		});
 	});
 
 	describe('getAuthorizeURL', function() {
@@ -432,6 +618,88 @@ describe('box-node-sdk', function() {
 		});
 	});
 
+	describe('createAuthorizationRequest()', function() {
+
+		beforeEach(function() {
+			sdk = new BoxSDKNode(TEST_CONFIG);
+		});
+
+		it('should return the authorize URL with a PKCE challenge and state, and the secrets to complete the flow when called', function() {
+
+			var authorization = require('../../lib/util/authorization');
+
+			var authorizationRequest = sdk.createAuthorizationRequest({ redirect_uri: 'http://127.0.0.1:8000/callback' }),
+				url = require('url').parse(authorizationRequest.url, true);
+
+			assert.equal(`${url.protocol}//${url.host}${url.pathname}`, 'https://account.box.com/api/oauth2/authorize');
+			assert.deepEqual(Object.assign({}, url.query), {
+				response_type: 'code',
+				redirect_uri: 'http://127.0.0.1:8000/callback',
+				state: authorizationRequest.state,
+				code_challenge: authorization.createCodeChallenge(authorizationRequest.codeVerifier),
+				code_challenge_method: 'S256',
+				client_id: 'myId'
+			});
+		});
+	});
+
+	describe('completeAuthorization()', function() {
+
+		var authorizationRequest = {
+			url: 'https://account.box.com/api/oauth2/authorize',
+			state: 'expected-state',
+			codeVerifier: 'verifier'
+		};
+
+		beforeEach(function() {
+			sdk = new BoxSDKNode(TEST_CONFIG);
+		});
+
+		it('should exchange the code with the code verifier when the state matches', function() {
+
+			var fakeTokenInfo = {at: 'at'};
+
+			sandbox.mock(tokenManagerFake).expects('getTokensAuthorizationCodeGrant')
+				.withExactArgs('code', { ip: '127.0.0.1', codeVerifier: 'verifier' })
+				.returns(Promise.resolve(fakeTokenInfo));
+
+			return sdk.completeAuthorization(authorizationRequest, { code: 'code', state: 'expected-state' }, { ip: '127.0.0.1' })
+				.then(tokenInfo => {
+					assert.equal(tokenInfo, fakeTokenInfo);
+				});
+		});
+
+		it('should reject without exchanging the code when the state does not match', function() {
+
+			sandbox.mock(tokenManagerFake).expects('getTokensAuthorizationCodeGrant')
+				.never();
+
+			return sdk.completeAuthorization(authorizationRequest, { code: 'code', state: 'forged-state' })
+				.then(() => {
+					assert.fail('Expected completeAuthorization() to reject');
+				}, err => {
+					assert.equal(err.message, 'Authorization state does not match the authorization request');
+				});
+		});
+
+		it('should pass an error to the callback when the user denied access', function(done) {
+
+			sandbox.mock(tokenManagerFake).expects('getTokensAuthorizationCodeGrant')
+				.never();
+
+			var redirectParams = {
+				error: 'access_denied',
+				error_description: 'The user denied access to your application',
+				state: 'expected-state'
+			};
+
+			sdk.completeAuthorization(authorizationRequest, redirectParams, function(err) {
+				assert.equal(err.message, 'Authorization failed: access_denied - The user denied access to your application');
+				done();
+			});
+		});
+	});
+
 	describe('getTokensAuthorizationCodeGrant()', function() {
 
 		beforeEach(function() {
@@ -641,4 +909,82 @@ describe('box-node-sdk', function() {
 			sdk.revokeTokens(refreshToken, null, done);
 		});
 	});
+
+	describe('error classes', function() {
+
+		it('should expose the error classes on the SDK when required', function() {
+			var errors = require('../../lib/util/errors');
+
+			assert.equal(BoxSDKNode.NotFoundError, errors.NotFoundError);
+			assert.equal(BoxSDKNode.ConflictError, errors.ConflictError);
+			assert.equal(BoxSDKNode.NetworkError, errors.NetworkError);
+			assert.equal(BoxSDKNode.ResponseError, errors.ResponseError);
+			assert.equal(BoxSDKNode.InsufficientScopeError, errors.InsufficientScopeError);
+			assert.equal(BoxSDKNode.ConfigurationError, errors.ConfigurationError);
+			assert.equal(BoxSDKNode.UnmatchedRequestError, errors.UnmatchedRequestError);
+		});
+	});
+
+	describe('ETagCache', function() {
+
+		it('should expose the ETag cache class on the SDK when required', function() {
+			var ETagCache = require('../../lib/util/etag-cache');
+
+			assert.equal(BoxSDKNode.ETagCache, ETagCache);
+		});
+	});
+
+	describe('Cassette', function() {
+
+		it('should expose the cassette class on the SDK when required', function() {
+			var Cassette = require('../../lib/util/cassette');
+
+			assert.equal(BoxSDKNode.Cassette, Cassette);
+		});
+	});
+
+	describe('FakeBox', function() {
+
+		it('should expose the fake Box API on the SDK when required', function() {
+			var FakeBox = require('../../lib/transports/fake-box');
+
+			assert.equal(BoxSDKNode.FakeBox, FakeBox);
+		});
+	});
+
+	describe('session events', function() {
+
+		it('should emit session lifecycle events from the event bus on the SDK when they occur', function() {
+
+			var listener = sandbox.spy(),
+				event = { event: 'tokenRefreshed', sessionType: 'appAuth' };
+
+			sdk.on(BoxSDKNode.sessionEvents.TOKEN_REFRESHED, listener);
+			sdk._eventBus.emit('tokenRefreshed', event);
+
+			assert.equal(BoxSDKNode.sessionEvents, require('../../lib/util/session-events').events);
+			assert.ok(listener.calledWithExactly(event));
+		});
+	});
+
+	describe('token stores', function() {
+
+		it('should expose the built-in token stores on the SDK when required', function() {
+
+			assert.equal(BoxSDKNode.MemoryTokenStore, require('../../lib/token-stores/memory-token-store'));
+			assert.equal(BoxSDKNode.FileTokenStore, require('../../lib/token-stores/file-token-store'));
+		});
+	});
+
+	describe('authorization helpers', function() {
+
+		it('should expose the PKCE and state helpers and the loopback listener on the SDK when required', function() {
+			var authorization = require('../../lib/util/authorization');
+
+			assert.equal(BoxSDKNode.verifyAuthorizationState, authorization.verifyState);
+			assert.equal(BoxSDKNode.createAuthorizationState, authorization.createState);
+			assert.equal(BoxSDKNode.createPKCEPair().codeChallengeMethod, 'S256');
+			assert.equal(BoxSDKNode.LoopbackRedirectListener, require('../../lib/util/loopback-redirect-listener'));
+		});
+	});
 });
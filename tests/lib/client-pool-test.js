@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Tests for the client pool
+ */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	sinon = require('sinon'),
+	Promise = require('bluebird'),
+	ClientPool = require('../../lib/client-pool');
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/**
+ * Create a stand-in for a client, whose session has a token
+ * @returns {Object} The client
+ */
+function createClient() {
+	return {
+		_session: {
+			hasAccessToken: sinon.stub().returns(true),
+			clearTokenStore: sinon.stub().returns(Promise.resolve())
+		},
+		revokeTokens: sinon.stub().returns(Promise.resolve()),
+		withSharedLink: sinon.stub().callsFake(() => createClient())
+	};
+}
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('ClientPool', function() {
+
+	var sandbox = sinon.createSandbox(),
+		clock,
+		sdk,
+		pool;
+
+	beforeEach(function() {
+		clock = sinon.useFakeTimers({
+			now: 1000000,
+			toFake: [
+				'Date',
+				'setInterval',
+				'clearInterval'
+			]
+		});
+		sdk = {
+			config: {
+				appAuth: { keyID: 'keyID' },
+				enterpriseID: '1234'
+			},
+			getAppAuthClient: sandbox.stub().callsFake(createClient),
+			getCCGClient: sandbox.stub().callsFake(createClient),
+			getAnonymousClient: sandbox.stub().callsFake(createClient)
+		};
+		pool = new ClientPool(sdk, { idleTimeoutMS: 60000 });
+	});
+
+	afterEach(function() {
+		pool.dispose();
+		clock.restore();
+		sandbox.verifyAndRestore();
+	});
+
+	describe('constructor', function() {
+
+		it('should use App Auth when the SDK has App Auth configuration and no auth type is passed', function() {
+
+			assert.equal(pool._options.authType, 'appAuth');
+		});
+
+		it('should use CCG when the SDK has no App Auth configuration and no auth type is passed', function() {
+
+			delete sdk.config.appAuth;
+
+			assert.equal(new ClientPool(sdk)._options.authType, 'ccg');
+		});
+
+		it('should throw when the auth type is not supported', function() {
+
+			assert.throws(() => new ClientPool(sdk, { authType: 'oauth' }), Error, 'Client pool authType must be one of: appAuth, ccg');
+		});
+	});
+
+	describe('getEnterpriseClient()', function() {
+
+		it('should create an App Auth client for the enterprise and return the same client when called again', function() {
+
+			var client = pool.getEnterpriseClient('5678');
+
+			assert.equal(pool.getEnterpriseClient('5678'), client);
+			assert.ok(sdk.getAppAuthClient.calledOnce);
+			assert.ok(sdk.getAppAuthClient.calledWithExactly('enterprise', '5678', undefined));
+		});
+
+		it('should use the enterprise ID from the config when none is passed', function() {
+
+			pool.getEnterpriseClient();
+
+			assert.ok(sdk.getAppAuthClient.calledWithExactly('enterprise', '1234', undefined));
+		});
+
+		it('should create a CCG client for the enterprise when the auth type is CCG', function() {
+
+			pool = new ClientPool(sdk, { authType: 'ccg' });
+
+			pool.getEnterpriseClient('5678');
+
+			assert.ok(sdk.getCCGClient.calledWithExactly({ enterpriseID: '5678' }, undefined));
+			assert.ok(sdk.getAppAuthClient.notCalled);
+		});
+
+		it('should throw when no enterprise ID is passed and none is set in the config', function() {
+
+			delete sdk.config.enterpriseID;
+
+			assert.throws(() => pool.getEnterpriseClient(), Error, 'Enterprise ID must be passed');
+		});
+	});
+
+	describe('getUserClient()', function() {
+
+		it('should create a separate client for each user when called', function() {
+
+			var clientA = pool.getUserClient('111'),
+				clientB = pool.getUserClient('222');
+
+			assert.notEqual(clientA, clientB);
+			assert.equal(pool.getUserClient('111'), clientA);
+			assert.ok(sdk.getAppAuthClient.calledWithExactly('user', '111', undefined));
+			assert.ok(sdk.getAppAuthClient.calledWithExactly('user', '222', undefined));
+		});
+
+		it('should create a CCG client for the user when the auth type is CCG', function() {
+
+			pool = new ClientPool(sdk, { authType: 'ccg' });
+
+			pool.getUserClient('111');
+
+			assert.ok(sdk.getCCGClient.calledWithExactly({ userID: '111' }, undefined));
+		});
+
+		it('should create the client with a token store from the token store option when one is passed', function() {
+
+			var tokenStore = {};
+
+			pool = new ClientPool(sdk, {
+				authType: 'ccg',
+				tokenStore: sandbox.stub().returns(tokenStore)
+			});
+
+			pool.getUserClient('111');
+
+			assert.ok(pool._options.tokenStore.calledWithExactly('user', '111'));
+			assert.ok(sdk.getCCGClient.calledWithExactly({ userID: '111' }, tokenStore));
+		});
+
+		it('should not return an enterprise client when the user ID matches an enterprise ID', function() {
+
+			var enterpriseClient = pool.getEnterpriseClient('111');
+
+			assert.notEqual(pool.getUserClient('111'), enterpriseClient);
+		});
+
+		it('should throw when no user ID is passed', function() {
+
+			assert.throws(() => pool.getUserClient(), Error, 'User ID must be passed');
+		});
+	});
+
+	describe('getSharedLinkClient()', function() {
+
+		it('should create an anonymous client for the shared link and return the same client when called again', function() {
+
+			var client = pool.getSharedLinkClient('https://app.box.com/s/abc', 'pass');
+
+			assert.equal(pool.getSharedLinkClient('https://app.box.com/s/abc', 'pass'), client);
+			assert.ok(sdk.getAnonymousClient.calledOnce);
+			assert.ok(sdk.getAnonymousClient.firstCall.returnValue.withSharedLink.calledWithExactly('https://app.box.com/s/abc', 'pass'));
+		});
+
+		it('should create a separate client when the same shared link is used with a different password', function() {
+
+			var client = pool.getSharedLinkClient('https://app.box.com/s/abc', 'pass');
+
+			assert.notEqual(pool.getSharedLinkClient('https://app.box.com/s/abc'), client);
+		});
+
+		it('should throw when no shared link URL is passed', function() {
+
+			assert.throws(() => pool.getSharedLinkClient(), Error, 'Shared link URL must be passed');
+		});
+	});
+
+	describe('idle clients', function() {
+
+		it('should remove clients that have not been requested for the idle timeout', function() {
+
+			var idleClient = pool.getUserClient('111'),
+				activeClient = pool.getUserClient('222');
+
+			clock.tick(30000);
+			pool.getUserClient('222');
+			clock.tick(30000);
+
+			assert.notEqual(pool.getUserClient('111'), idleClient);
+			assert.equal(pool.getUserClient('222'), activeClient);
+			assert.ok(idleClient.revokeTokens.notCalled);
+		});
+
+		it('should stop checking for idle clients when the pool is empty', function() {
+
+			pool.getUserClient('111');
+			clock.tick(60000);
+
+			assert.equal(pool._clients.size, 0);
+			assert.isNull(pool._evictionTimer);
+		});
+	});
+
+	describe('dispose()', function() {
+
+		it('should revoke the tokens of every client and empty the pool when called', function() {
+
+			var enterpriseClient = pool.getEnterpriseClient(),
+				userClient = pool.getUserClient('111');
+
+			return pool.dispose()
+				.then(() => {
+					assert.ok(enterpriseClient.revokeTokens.calledOnce);
+					assert.ok(userClient.revokeTokens.calledOnce);
+					assert.equal(pool._clients.size, 0);
+					assert.isNull(pool._evictionTimer);
+				});
+		});
+
+		it('should not revoke the tokens of a client that never got a token when called', function() {
+
+			var client = pool.getUserClient('111');
+			client._session.hasAccessToken.returns(false);
+
+			return pool.dispose()
+				.then(() => {
+					assert.ok(client.revokeTokens.notCalled);
+					assert.ok(client._session.clearTokenStore.calledOnce);
+				});
+		});
+
+		it('should clear the token store of each client after revoking its tokens when called', function() {
+
+			var client = pool.getUserClient('111');
+
+			return pool.dispose()
+				.then(() => {
+					sinon.assert.callOrder(client.revokeTokens, client._session.clearTokenStore);
+				});
+		});
+
+		it('should not revoke the anonymous token of shared link clients when called', function() {
+
+			var client = pool.getSharedLinkClient('https://app.box.com/s/abc');
+
+			return pool.dispose()
+				.then(() => {
+					assert.ok(client.revokeTokens.notCalled);
+					assert.ok(client._session.clearTokenStore.notCalled);
+					assert.equal(pool._clients.size, 0);
+				});
+		});
+
+		it('should resolve when revoking the tokens of a client fails', function() {
+
+			var client = pool.getUserClient('111');
+			client.revokeTokens.callsFake(() => Promise.reject(new Error('Revoke failed')));
+
+			return pool.dispose();
+		});
+
+		it('should call the callback when the tokens have been revoked', function(done) {
+
+			pool.getUserClient('111');
+
+			pool.dispose(done);
+		});
+
+		it('should make the pool unusable when called', function() {
+
+			return pool.dispose()
+				.then(() => {
+					assert.throws(() => pool.getUserClient('111'), Error, 'Client pool has been disposed');
+				});
+		});
+	});
+});
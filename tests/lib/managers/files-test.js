@@ -243,6 +243,23 @@ describe('Files', function() {
 				});
 		});
 
+		it('should pass the abort signal to the streaming request when signal option is passed', function() {
+
+			var downloadURL = 'https://dl.boxcloud.com/adjhgliwenrgiuwndfgjinsdf',
+				signal = {aborted: false};
+
+			sandbox.mock(files).expects('getDownloadURL')
+				.withArgs(FILE_ID, sinon.match({signal}))
+				.returns(Promise.resolve(downloadURL));
+			sandbox.mock(boxClientFake).expects('get')
+				.withArgs(downloadURL, sinon.match({
+					streaming: true,
+					signal
+				}))
+				.returns(Promise.resolve({}));
+			return files.getReadStream(FILE_ID, {signal});
+		});
+
 		it('should work when no options are passed', function() {
 
 			var downloadURL = 'https://dl.boxcloud.com/adjhgliwenrgiuwndfgjinsdf';
@@ -503,6 +520,20 @@ describe('Files', function() {
 			files.update(FILE_ID, { name, etag });
 		});
 
+		it('should not modify the updates passed when etag option is passed', function() {
+
+			var updates = {
+				name: 'foo.txt',
+				etag: '5'
+			};
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.stub(boxClientFake, 'put');
+			files.update(FILE_ID, updates);
+
+			assert.propertyVal(updates, 'etag', '5');
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'put').returns(Promise.resolve());
@@ -991,6 +1022,32 @@ describe('Files', function() {
 			files.move(FILE_ID, NEW_PARENT_ID);
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs('/files/1234', Object.assign({
+					headers: {
+						'If-Match': '5'
+					}
+				}, expectedParams));
+			files.move(FILE_ID, NEW_PARENT_ID, { etag: '5' });
+		});
+
+		it('should pass the abort signal as a request option when signal option is passed', function() {
+
+			var signal = {
+				aborted: false,
+				addEventListener() { /**/ },
+				removeEventListener() { /**/ }
+			};
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs('/files/1234', Object.assign({ signal }, expectedParams));
+			files.move(FILE_ID, NEW_PARENT_ID, { signal });
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'put').returns(Promise.resolve());
@@ -1048,6 +1105,20 @@ describe('Files', function() {
 			files.delete(FILE_ID, { etag });
 		});
 
+		it('should pass the abort signal as a request option when signal option is passed', function() {
+
+			var signal = {
+				aborted: false,
+				addEventListener() { /**/ },
+				removeEventListener() { /**/ }
+			};
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('del')
+				.withArgs(`/files/${FILE_ID}`, { signal });
+			files.delete(FILE_ID, { signal });
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'del').returns(Promise.resolve());
@@ -1300,6 +1371,30 @@ describe('Files', function() {
 			files.uploadFile(PARENT_FOLDER_ID, FILENAME, CONTENT, options);
 		});
 
+		it('should pass the abort signal as a request option and not in attributes when signal option is passed', function() {
+
+			var signal = {
+				aborted: false,
+				addEventListener() { /**/ },
+				removeEventListener() { /**/ }
+			};
+			var expectedFormData = {
+				attributes: JSON.stringify({
+					name: FILENAME,
+					parent: { id: PARENT_FOLDER_ID }
+				}),
+				content: {
+					value: CONTENT,
+					options: { filename: 'unused' }
+				}
+			};
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('upload')
+				.withArgs('/files/content', { signal }, expectedFormData);
+			files.uploadFile(PARENT_FOLDER_ID, FILENAME, CONTENT, { signal });
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'upload').returns(Promise.resolve());
@@ -1370,6 +1465,27 @@ describe('Files', function() {
 			files.uploadNewFileVersion(FILE_ID, CONTENT, options);
 		});
 
+		it('should send If-Match header and leave etag out of attributes when etag option is passed', function() {
+
+			var expectedParams = {
+				headers: {
+					'If-Match': '5'
+				}
+			};
+			var expectedFormData = {
+				attributes: JSON.stringify({ name: 'New filename.txt' }),
+				content: {
+					value: CONTENT,
+					options: { filename: 'unused' }
+				}
+			};
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('upload')
+				.withArgs('/files/1234/content', expectedParams, expectedFormData);
+			files.uploadNewFileVersion(FILE_ID, CONTENT, { name: 'New filename.txt', etag: '5' });
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'upload').returns(Promise.resolve());
@@ -1573,6 +1689,29 @@ describe('Files', function() {
 			files.updateMetadata(FILE_ID, 'global', 'properties', patch);
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+
+			expectedParams.headers['If-Match'] = '5';
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs('/files/1234/metadata/global/properties', expectedParams);
+			files.updateMetadata(FILE_ID, 'global', 'properties', patch, { etag: '5' });
+		});
+
+		it('should pass results to callback when callback is passed in place of options', function(done) {
+
+			var response = {};
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.stub(boxClientFake, 'put').yieldsAsync(null, response);
+			files.updateMetadata(FILE_ID, 'global', 'properties', patch, function(err, data) {
+
+				assert.ifError(err);
+				assert.equal(data, response);
+				done();
+			});
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'put').returns(Promise.resolve());
@@ -1605,6 +1744,30 @@ describe('Files', function() {
 		});
 	});
 
+	describe('setMetadata()', function() {
+
+		it('should update the existing metadata with the etag passed when the metadata already exists', function() {
+
+			var conflictError = new Error('Conflict'),
+				metadata = {};
+			conflictError.statusCode = 409;
+
+			sandbox.stub(files, 'addMetadata').returns(Promise.reject(conflictError));
+			sandbox.mock(files).expects('updateMetadata')
+				.withArgs(FILE_ID, 'global', 'properties', [
+					{
+						op: 'add',
+						path: '/foo',
+						value: 'bar'
+					}
+				], { etag: '5' })
+				.returns(Promise.resolve(metadata));
+
+			return files.setMetadata(FILE_ID, 'global', 'properties', { foo: 'bar' }, { etag: '5' })
+				.then(data => assert.equal(data, metadata));
+		});
+	});
+
 	describe('deleteMetadata()', function() {
 
 		it('should make DELETE call to remove metadata', function() {
@@ -1615,6 +1778,18 @@ describe('Files', function() {
 			files.deleteMetadata(FILE_ID, 'global', 'properties');
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('del')
+				.withArgs('/files/1234/metadata/global/properties', {
+					headers: {
+						'If-Match': '5'
+					}
+				});
+			files.deleteMetadata(FILE_ID, 'global', 'properties', { etag: '5' });
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'del').returns(Promise.resolve());
@@ -1958,6 +2133,32 @@ describe('Files', function() {
 			files.lock(FILE_ID);
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+
+			expectedParams.headers = {
+				'If-Match': '5'
+			};
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs(`/files/${FILE_ID}`, expectedParams);
+			files.lock(FILE_ID, { etag: '5' });
+		});
+
+		it('should pass the abort signal as a request option and not in the lock when signal option is passed', function() {
+
+			var signal = {
+				aborted: false,
+				addEventListener() { /**/ },
+				removeEventListener() { /**/ }
+			};
+
+			expectedParams.signal = signal;
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs(`/files/${FILE_ID}`, expectedParams);
+			files.lock(FILE_ID, { signal });
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'put').returns(Promise.resolve());
@@ -2010,6 +2211,17 @@ describe('Files', function() {
 			files.unlock(FILE_ID);
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+
+			expectedParams.headers = {
+				'If-Match': '5'
+			};
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs(`/files/${FILE_ID}`, expectedParams);
+			files.unlock(FILE_ID, { etag: '5' });
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'put').returns(Promise.resolve());
@@ -754,6 +754,18 @@ describe('Folders', function() {
 			folders.move(FOLDER_ID, NEW_PARENT_ID);
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs('/folders/1234', Object.assign({
+					headers: {
+						'If-Match': '5'
+					}
+				}, expectedParams));
+			folders.move(FOLDER_ID, NEW_PARENT_ID, { etag: '5' });
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'put').returns(Promise.resolve());
@@ -811,6 +823,28 @@ describe('Folders', function() {
 			folders.delete(FOLDER_ID, { etag });
 		});
 
+		it('should not modify the options passed when etag option is passed', function() {
+
+			var options = {
+				recursive: true,
+				etag: '5'
+			};
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('del')
+				.withArgs(`/folders/${FOLDER_ID}`, {
+					headers: {
+						'If-Match': '5'
+					},
+					qs: {
+						recursive: true
+					}
+				});
+			folders.delete(FOLDER_ID, options);
+
+			assert.propertyVal(options, 'etag', '5');
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'del').returns(Promise.resolve());
@@ -1014,6 +1048,29 @@ describe('Folders', function() {
 			folders.updateMetadata(FOLDER_ID, 'global', 'properties', patch);
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+
+			expectedParams.headers['If-Match'] = '5';
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs('/folders/1234/metadata/global/properties', expectedParams);
+			folders.updateMetadata(FOLDER_ID, 'global', 'properties', patch, { etag: '5' });
+		});
+
+		it('should pass results to callback when callback is passed in place of options', function(done) {
+
+			var response = {};
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.stub(boxClientFake, 'put').yieldsAsync(null, response);
+			folders.updateMetadata(FOLDER_ID, 'global', 'properties', patch, function(err, data) {
+
+				assert.ifError(err);
+				assert.equal(data, response);
+				done();
+			});
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'put').returns(Promise.resolve());
@@ -1046,6 +1103,30 @@ describe('Folders', function() {
 		});
 	});
 
+	describe('setMetadata()', function() {
+
+		it('should update the existing metadata with the etag passed when the metadata already exists', function() {
+
+			var conflictError = new Error('Conflict'),
+				metadata = {};
+			conflictError.statusCode = 409;
+
+			sandbox.stub(folders, 'addMetadata').returns(Promise.reject(conflictError));
+			sandbox.mock(folders).expects('updateMetadata')
+				.withArgs(FOLDER_ID, 'global', 'properties', [
+					{
+						op: 'add',
+						path: '/foo',
+						value: 'bar'
+					}
+				], { etag: '5' })
+				.returns(Promise.resolve(metadata));
+
+			return folders.setMetadata(FOLDER_ID, 'global', 'properties', { foo: 'bar' }, { etag: '5' })
+				.then(data => assert.equal(data, metadata));
+		});
+	});
+
 	describe('deleteMetadata()', function() {
 
 		it('should make DELETE call to remove metadata', function() {
@@ -1056,6 +1137,18 @@ describe('Folders', function() {
 			folders.deleteMetadata(FOLDER_ID, 'global', 'properties');
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('del')
+				.withArgs('/folders/1234/metadata/global/properties', {
+					headers: {
+						'If-Match': '5'
+					}
+				});
+			folders.deleteMetadata(FOLDER_ID, 'global', 'properties', { etag: '5' });
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'del').returns(Promise.resolve());
@@ -231,6 +231,18 @@ describe('WebLinks', function() {
 			weblinks.update(WEB_LINK_ID, {description});
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+			expectedParams.body.name = name;
+			expectedParams.headers = {
+				'If-Match': '5'
+			};
+
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs(`${BASE_PATH}/${WEB_LINK_ID}`, expectedParams);
+			weblinks.update(WEB_LINK_ID, {name, etag: '5'});
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'put').returns(Promise.resolve());
@@ -272,6 +284,17 @@ describe('WebLinks', function() {
 			weblinks.delete(WEB_LINK_ID);
 		});
 
+		it('should send If-Match header when etag option is passed', function() {
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('del')
+				.withArgs(`${BASE_PATH}/${WEB_LINK_ID}`, {
+					headers: {
+						'If-Match': '5'
+					}
+				});
+			weblinks.delete(WEB_LINK_ID, {etag: '5'});
+		});
+
 		it('should wrap with default handler when called', function() {
 
 			sandbox.stub(boxClientFake, 'del').returns(Promise.resolve());
@@ -304,6 +327,61 @@ describe('WebLinks', function() {
 		});
 	});
 
+	describe('move()', function() {
+
+		var NEW_PARENT_ID = '5678',
+			expectedParams;
+
+		beforeEach(function() {
+			expectedParams = {
+				body: {
+					parent: {
+						id: NEW_PARENT_ID
+					}
+				}
+			};
+		});
+
+		it('should make PUT request to update the web link parent ID when called', function() {
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs(`${BASE_PATH}/${WEB_LINK_ID}`, expectedParams);
+			weblinks.move(WEB_LINK_ID, NEW_PARENT_ID);
+		});
+
+		it('should send If-Match header when etag option is passed', function() {
+			expectedParams.headers = {
+				'If-Match': '5'
+			};
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.mock(boxClientFake).expects('put')
+				.withArgs(`${BASE_PATH}/${WEB_LINK_ID}`, expectedParams);
+			weblinks.move(WEB_LINK_ID, NEW_PARENT_ID, {etag: '5'});
+		});
+
+		it('should pass results to callback when callback is passed in place of options', function(done) {
+
+			var response = {};
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.stub(boxClientFake, 'put').yieldsAsync(null, response);
+			weblinks.move(WEB_LINK_ID, NEW_PARENT_ID, function(err, data) {
+
+				assert.ifError(err);
+				assert.equal(data, response);
+				done();
+			});
+		});
+
+		it('should return promise resolving to results when called', function() {
+
+			var response = {};
+			sandbox.stub(boxClientFake, 'wrapWithDefaultHandler').returnsArg(0);
+			sandbox.stub(boxClientFake, 'put').returns(Promise.resolve(response));
+			return weblinks.move(WEB_LINK_ID, NEW_PARENT_ID)
+				.then(data => assert.equal(data, response));
+		});
+	});
+
 	describe('addToCollection()', function() {
 
 		var COLLECTION_ID = '9873473596';
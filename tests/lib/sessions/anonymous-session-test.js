@@ -13,6 +13,7 @@ var assert = require('chai').assert,
 	sinon = require('sinon'),
 	leche = require('leche'),
 	Promise = require('bluebird'),
+	EventEmitter = require('events').EventEmitter,
 	mockery = require('mockery');
 
 var TokenManager = require('../../../lib/token-manager');
@@ -214,6 +215,30 @@ describe('AnonymousAPISession', function() {
 		});
 	});
 
+	describe('session events', function() {
+
+		it('should emit a token acquired event when the session gets its first token', function() {
+
+			var eventBus = new EventEmitter(),
+				listener = sandbox.spy();
+
+			tokenManagerFake.requestManager = { eventBus };
+			eventBus.on('tokenAcquired', listener);
+			sandbox.stub(tokenManagerFake, 'getTokensClientCredentialsGrant').returns(Promise.resolve({
+				accessToken: 'newAT',
+				accessTokenTTLMS: 3600000,
+				acquiredAtMS: 1000
+			}));
+
+			return anonymousSession.getAccessToken()
+				.then(() => {
+					assert.ok(listener.calledOnce);
+					assert.propertyVal(listener.firstCall.args[0], 'sessionType', 'anonymous');
+					assert.propertyVal(listener.firstCall.args[0], 'expiresAtMS', 3601000);
+				});
+		});
+	});
+
 	describe('revokeTokens()', function() {
 
 		it('should call tokenManager.revokeTokens with options.ip when called', function() {
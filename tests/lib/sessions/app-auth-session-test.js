@@ -13,9 +13,11 @@ var assert = require('chai').assert,
 	sinon = require('sinon'),
 	leche = require('leche'),
 	Promise = require('bluebird'),
+	EventEmitter = require('events').EventEmitter,
 	mockery = require('mockery');
 
 var TokenManager = require('../../../lib/token-manager'),
+	TokenCache = require('../../../lib/util/token-cache'),
 	Config = require('../../../lib/util/config');
 
 
@@ -237,6 +239,205 @@ describe('AppAuthSession', function() {
 		});
 	});
 
+	describe('with a token cache', function() {
+
+		var tokenCache,
+			cachedTokenInfo;
+
+		beforeEach(function() {
+
+			tokenCache = new TokenCache();
+			cachedTokenInfo = {
+				accessToken: 'cachedAT',
+				accessTokenTTLMS: 3600000,
+				acquiredAtMS: Date.now()
+			};
+			appAuthSession = new AppAuthSession(TEST_TYPE, TEST_ID, config, tokenManagerFake, null, tokenCache);
+		});
+
+		it('should resolve to the cached token without requesting new tokens when another session cached one', function() {
+
+			tokenCache.set(`:${TEST_TYPE}:${TEST_ID}`, cachedTokenInfo);
+			sandbox.mock(tokenManagerFake).expects('getTokensJWTGrant')
+				.never();
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return appAuthSession.getAccessToken()
+				.then(token => {
+					assert.equal(token, cachedTokenInfo.accessToken);
+					assert.equal(appAuthSession._tokenInfo, cachedTokenInfo);
+				});
+		});
+
+		it('should cache new tokens for other sessions for the same entity when requesting new tokens', function() {
+
+			var otherSession = new AppAuthSession(TEST_TYPE, TEST_ID, config, tokenManagerFake, null, tokenCache);
+
+			sandbox.mock(tokenManagerFake).expects('getTokensJWTGrant')
+				.once()
+				.returns(Promise.resolve(cachedTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return appAuthSession.getAccessToken()
+				.then(() => otherSession.getAccessToken())
+				.then(token => {
+					assert.equal(token, cachedTokenInfo.accessToken);
+				});
+		});
+
+		it('should make a single request for new tokens when sessions for the same entity need tokens at once', function() {
+
+			var otherSession = new AppAuthSession(TEST_TYPE, TEST_ID, config, tokenManagerFake, null, tokenCache);
+
+			sandbox.mock(tokenManagerFake).expects('getTokensJWTGrant')
+				.once()
+				.returns(Promise.resolve(cachedTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return Promise.all([
+				appAuthSession.getAccessToken(),
+				otherSession.getAccessToken()
+			])
+				.then(tokens => {
+					assert.deepEqual(tokens, [
+						cachedTokenInfo.accessToken,
+						cachedTokenInfo.accessToken
+					]);
+					assert.equal(otherSession._tokenInfo, cachedTokenInfo);
+				});
+		});
+
+		it('should not share tokens between sessions for different enterprises when called', function() {
+
+			var otherConfig = config.extend({ enterpriseID: '5555' }),
+				otherSession = new AppAuthSession(TEST_TYPE, TEST_ID, otherConfig, tokenManagerFake, null, tokenCache),
+				newTokenInfo = Object.assign({}, cachedTokenInfo, { accessToken: 'newAT' });
+
+			tokenCache.set(`:${TEST_TYPE}:${TEST_ID}`, cachedTokenInfo);
+			sandbox.mock(tokenManagerFake).expects('getTokensJWTGrant')
+				.withArgs(TEST_TYPE, TEST_ID)
+				.returns(Promise.resolve(newTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return otherSession.getAccessToken()
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+					assert.equal(tokenCache.get(`5555:${TEST_TYPE}:${TEST_ID}`), newTokenInfo);
+				});
+		});
+
+		it('should remove the cached token when revoking tokens', function() {
+
+			appAuthSession._tokenInfo = cachedTokenInfo;
+			tokenCache.set(`:${TEST_TYPE}:${TEST_ID}`, cachedTokenInfo);
+			sandbox.stub(tokenManagerFake, 'revokeTokens').returns(Promise.resolve());
+
+			return appAuthSession.revokeTokens()
+				.then(() => {
+					assert.equal(tokenCache.size, 0);
+				});
+		});
+
+		it('should remove the cached token when handling an expired tokens error', function() {
+
+			var expiredTokensError = new Error('Expired');
+
+			tokenCache.set(`:${TEST_TYPE}:${TEST_ID}`, cachedTokenInfo);
+
+			return appAuthSession.handleExpiredTokensError(expiredTokensError)
+				.then(err => {
+					assert.equal(err, expiredTokensError);
+					assert.equal(tokenCache.size, 0);
+				});
+		});
+	});
+
+	describe('session events', function() {
+
+		var eventBus,
+			listener,
+			newTokenInfo = {
+				accessToken: 'newAT',
+				accessTokenTTLMS: 3600000,
+				acquiredAtMS: 1000
+			};
+
+		beforeEach(function() {
+			eventBus = new EventEmitter();
+			listener = sandbox.spy();
+			tokenManagerFake.requestManager = { eventBus };
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+		});
+
+		it('should emit a token acquired event for the entity when the session gets its first token', function() {
+
+			eventBus.on('tokenAcquired', listener);
+			sandbox.stub(tokenManagerFake, 'getTokensJWTGrant').returns(Promise.resolve(newTokenInfo));
+
+			return appAuthSession.getAccessToken()
+				.then(() => {
+					assert.ok(listener.calledOnce);
+					var event = listener.firstCall.args[0];
+					assert.propertyVal(event, 'sessionType', 'appAuth');
+					assert.propertyVal(event, 'subjectType', TEST_TYPE);
+					assert.propertyVal(event, 'subjectID', TEST_ID);
+					assert.propertyVal(event, 'expiresAtMS', 3601000);
+					assert.propertyVal(event.tokenInfo, 'accessToken', '[REDACTED]');
+				});
+		});
+
+		it('should emit a token refreshed event when the session replaces its token', function() {
+
+			appAuthSession._tokenInfo = testTokenInfo;
+			eventBus.on('tokenRefreshed', listener);
+			sandbox.stub(tokenManagerFake, 'getTokensJWTGrant').returns(Promise.resolve(newTokenInfo));
+
+			return appAuthSession.getAccessToken()
+				.then(() => {
+					assert.ok(listener.calledOnce);
+				});
+		});
+
+		it('should emit a refresh failed event when the token request fails', function() {
+
+			var error = new Error('Could not sign JWT');
+
+			eventBus.on('tokenRefreshFailed', listener);
+			sandbox.stub(tokenManagerFake, 'getTokensJWTGrant').callsFake(() => Promise.reject(error));
+
+			return appAuthSession.getAccessToken()
+				.catch(err => {
+					assert.equal(err, error);
+					assert.ok(listener.calledOnce);
+					assert.propertyVal(listener.firstCall.args[0].error, 'message', 'Could not sign JWT');
+				});
+		});
+
+		it('should emit a tokens revoked event when the token is revoked', function() {
+
+			appAuthSession._tokenInfo = testTokenInfo;
+			eventBus.on('tokensRevoked', listener);
+			sandbox.stub(tokenManagerFake, 'revokeTokens').returns(Promise.resolve());
+
+			return appAuthSession.revokeTokens()
+				.then(() => {
+					assert.ok(listener.calledOnce);
+					assert.propertyVal(listener.firstCall.args[0].tokenInfo, 'accessToken', '[REDACTED]');
+				});
+		});
+
+		it('should emit a token store cleared event when the token store is cleared', function() {
+
+			eventBus.on('tokenStoreCleared', listener);
+			tokenStoreFake.clear = sandbox.stub().yieldsAsync();
+
+			return appAuthSessionWithTokenStore.handleExpiredTokensError(new Error('Expired'))
+				.catch(() => {
+					assert.ok(listener.calledOnce);
+				});
+		});
+	});
+
 	describe('revokeTokens()', function() {
 
 		it('should call tokenManager.revokeTokens with null options and its access token when called', function() {
@@ -261,6 +462,31 @@ describe('AppAuthSession', function() {
 		});
 	});
 
+	describe('hasAccessToken()', function() {
+
+		it('should return false before the session gets a token and true afterwards', function() {
+
+			assert.isFalse(appAuthSession.hasAccessToken());
+			appAuthSession._tokenInfo = testTokenInfo;
+			assert.isTrue(appAuthSession.hasAccessToken());
+		});
+	});
+
+	describe('clearTokenStore()', function() {
+
+		it('should clear the token store when one is available', function() {
+
+			sandbox.mock(tokenStoreFake).expects('clear')
+				.yieldsAsync();
+
+			return appAuthSessionWithTokenStore.clearTokenStore();
+		});
+
+		it('should resolve without a token store when none is available', function() {
+			return appAuthSession.clearTokenStore();
+		});
+	});
+
 	describe('exchangeToken()', function() {
 
 		var TEST_SCOPE = 'item_preview',
@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Tests for Client Credentials Grant Box API Session.
+ */
+
+/* global describe, it, before, beforeEach, after, afterEach */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	sinon = require('sinon'),
+	leche = require('leche'),
+	Promise = require('bluebird'),
+	mockery = require('mockery');
+
+var TokenManager = require('../../../lib/token-manager'),
+	Config = require('../../../lib/util/config');
+
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+var sandbox = sinon.createSandbox(),
+	tokenManagerFake,
+	tokenStoreFake,
+	CCGSession,
+	ccgSession,
+	ccgSessionWithTokenStore,
+	config,
+	testTokenInfo = {
+		accessToken: 'at',
+		accessTokenTTLMS: 100,
+		acquiredAtMS: 50
+	},
+	MODULE_FILE_PATH = '../../../lib/sessions/ccg-session';
+
+var TEST_TYPE = 'enterprise',
+	TEST_ID = '2938745293';
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+describe('CCGSession', function() {
+
+	beforeEach(function() {
+
+		config = new Config({
+			clientID: 'cID123',
+			clientSecret: 'cSecret456',
+			expiredBufferMS: 30000,
+			staleBufferMS: 120000
+		});
+
+		tokenStoreFake = leche.create([
+			'read',
+			'write',
+			'clear'
+		]);
+
+		tokenManagerFake = leche.fake(TokenManager.prototype);
+
+		// Enable Mockery
+		mockery.enable({ warnOnUnregistered: false });
+		// Register Mocks
+		mockery.registerAllowable(MODULE_FILE_PATH, true);
+
+		// Setup File Under Test
+		CCGSession = require(MODULE_FILE_PATH);
+		ccgSession = new CCGSession(TEST_TYPE, TEST_ID, config, tokenManagerFake);
+		ccgSessionWithTokenStore = new CCGSession(TEST_TYPE, TEST_ID, config, tokenManagerFake, tokenStoreFake);
+	});
+
+	afterEach(function() {
+		sandbox.verifyAndRestore();
+		mockery.deregisterAll();
+		mockery.disable();
+	});
+
+	describe('constructor', function() {
+
+		it('should throw when the token store is improperly formatted', function() {
+
+			assert.throws(function() {
+				/* eslint-disable no-new */
+				new CCGSession(TEST_TYPE, TEST_ID, config, tokenManagerFake, leche.create(['read']));
+				/* eslint-enable no-new */
+			}, /Token store provided is improperly formatted/);
+		});
+	});
+
+	describe('getAccessToken()', function() {
+
+		var newTokenInfo;
+
+		beforeEach(function() {
+
+			newTokenInfo = {
+				accessToken: 'newAT',
+				accessTokenTTLMS: 100,
+				acquiredAtMS: 50
+			};
+		});
+
+		it('should resolve to stored access token when access tokens are fresh', function() {
+
+			ccgSession._tokenInfo = testTokenInfo;
+			sandbox.mock(tokenManagerFake).expects('getTokensClientCredentialsGrant')
+				.never();
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(true);
+
+			return ccgSession.getAccessToken()
+				.then(token => {
+					assert.equal(token, testTokenInfo.accessToken);
+				});
+		});
+
+		it('should check token validity using the larger of the expired and stale buffers when called', function() {
+
+			ccgSession._tokenInfo = testTokenInfo;
+			sandbox.mock(tokenManagerFake).expects('isAccessTokenValid')
+				.withExactArgs(testTokenInfo, 120000)
+				.returns(true);
+
+			return ccgSession.getAccessToken();
+		});
+
+		it('should request new tokens for the session subject when current tokens are no longer fresh', function() {
+
+			ccgSession._tokenInfo = testTokenInfo;
+			sandbox.mock(tokenManagerFake).expects('getTokensClientCredentialsGrant')
+				.withArgs(sinon.match.any, TEST_TYPE, TEST_ID)
+				.returns(Promise.resolve(newTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return ccgSession.getAccessToken()
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+				});
+		});
+
+		it('should request new tokens with options when options are passed in', function() {
+
+			var options = {ip: '127.0.0.1'};
+
+			sandbox.mock(tokenManagerFake).expects('getTokensClientCredentialsGrant')
+				.withExactArgs(options, TEST_TYPE, TEST_ID)
+				.returns(Promise.resolve(newTokenInfo));
+
+			return ccgSession.getAccessToken(options)
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+				});
+		});
+
+		it('should only make a single request for new tokens when called multiple times', function() {
+
+			ccgSession._tokenInfo = testTokenInfo;
+			sandbox.mock(tokenManagerFake).expects('getTokensClientCredentialsGrant')
+				.once()
+				.returns(Promise.resolve(newTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			var promise1 = ccgSession.getAccessToken()
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+				});
+
+			var promise2 = ccgSession.getAccessToken()
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+				});
+
+			return Promise.all([
+				promise1,
+				promise2
+			]);
+		});
+
+		it('should allow a new request for tokens once in-progress call completes', function() {
+
+			ccgSession._tokenInfo = testTokenInfo;
+			sandbox.mock(tokenManagerFake).expects('getTokensClientCredentialsGrant')
+				.twice()
+				.returns(Promise.resolve(newTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return ccgSession.getAccessToken()
+				.then(() => ccgSession.getAccessToken())
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+				});
+		});
+
+		it('should return a promise that rejects when the request for new tokens fails', function() {
+
+			var tokensError = new Error('Oh no!');
+
+			sandbox.stub(tokenManagerFake, 'getTokensClientCredentialsGrant').callsFake(() => Promise.reject(tokensError));
+
+			return ccgSession.getAccessToken()
+				.then(() => {
+					assert.fail('Expected getAccessToken() to reject');
+				}, err => {
+					assert.equal(err, tokensError);
+				});
+		});
+
+		it('should resolve to the stored access token when the token store contains fresh tokens', function() {
+
+			sandbox.stub(tokenStoreFake, 'read').yieldsAsync(null, testTokenInfo);
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(true);
+			sandbox.mock(tokenManagerFake).expects('getTokensClientCredentialsGrant')
+				.never();
+
+			return ccgSessionWithTokenStore.getAccessToken()
+				.then(token => {
+					assert.equal(token, testTokenInfo.accessToken);
+					assert.equal(ccgSessionWithTokenStore._tokenInfo, testTokenInfo);
+				});
+		});
+
+		it('should request new tokens and write them to the token store when the stored tokens are expired', function() {
+
+			sandbox.stub(tokenStoreFake, 'read').yieldsAsync(null, testTokenInfo);
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+			sandbox.stub(tokenManagerFake, 'getTokensClientCredentialsGrant').returns(Promise.resolve(newTokenInfo));
+			sandbox.mock(tokenStoreFake).expects('write')
+				.withArgs(newTokenInfo)
+				.yieldsAsync();
+
+			return ccgSessionWithTokenStore.getAccessToken()
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+				});
+		});
+
+		it('should request new tokens without checking them when the token store is empty', function() {
+
+			sandbox.stub(tokenStoreFake, 'read').yieldsAsync(null, null);
+			sandbox.mock(tokenManagerFake).expects('isAccessTokenValid')
+				.never();
+			sandbox.stub(tokenManagerFake, 'getTokensClientCredentialsGrant').returns(Promise.resolve(newTokenInfo));
+			sandbox.stub(tokenStoreFake, 'write').yieldsAsync();
+
+			return ccgSessionWithTokenStore.getAccessToken()
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+				});
+		});
+	});
+
+	describe('revokeTokens()', function() {
+
+		it('should call tokenManager.revokeTokens with its access token and clear the token info when called', function() {
+
+			var options = {ip: '127.0.0.1, 192.168.10.10'};
+
+			ccgSession._tokenInfo = testTokenInfo;
+			sandbox.mock(tokenManagerFake).expects('revokeTokens')
+				.withExactArgs(testTokenInfo.accessToken, options)
+				.returns(Promise.resolve());
+
+			return ccgSession.revokeTokens(options)
+				.then(() => {
+					assert.isNull(ccgSession._tokenInfo);
+				});
+		});
+
+		it('should request a new token instead of reading the revoked one from the token store when getting a token after revoking', function() {
+
+			var MemoryTokenStore = require('../../../lib/token-stores/memory-token-store'),
+				session = new CCGSession(TEST_TYPE, TEST_ID, config, tokenManagerFake, new MemoryTokenStore(testTokenInfo)),
+				newTokenInfo = {
+					accessToken: 'newAT',
+					accessTokenTTLMS: 3600000,
+					acquiredAtMS: Date.now()
+				};
+
+			session._tokenInfo = testTokenInfo;
+			sandbox.stub(tokenManagerFake, 'revokeTokens').returns(Promise.resolve());
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(true);
+			sandbox.mock(tokenManagerFake).expects('getTokensClientCredentialsGrant')
+				.once()
+				.returns(Promise.resolve(newTokenInfo));
+
+			return session.revokeTokens()
+				.then(() => session.getAccessToken())
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+				});
+		});
+	});
+
+	describe('hasAccessToken()', function() {
+
+		it('should return false before the session gets a token and true afterwards', function() {
+
+			assert.isFalse(ccgSession.hasAccessToken());
+			ccgSession._tokenInfo = testTokenInfo;
+			assert.isTrue(ccgSession.hasAccessToken());
+		});
+	});
+
+	describe('clearTokenStore()', function() {
+
+		it('should clear the token store when one is available', function() {
+
+			sandbox.mock(tokenStoreFake).expects('clear')
+				.yieldsAsync();
+
+			return ccgSessionWithTokenStore.clearTokenStore();
+		});
+
+		it('should resolve without a token store when none is available', function() {
+			return ccgSession.clearTokenStore();
+		});
+	});
+
+	describe('exchangeToken()', function() {
+
+		var TEST_SCOPE = 'item_preview',
+			TEST_RESOURCE = 'https://api.box.com/2.0/folders/0';
+
+		it('should get access token and exchange for lower scope when called', function() {
+
+			var exchangedTokenInfo = {accessToken: 'poaisdlknbadfjg'},
+				options = {ip: '127.0.0.1, 192.168.10.10'};
+
+			sandbox.mock(ccgSession).expects('getAccessToken')
+				.withArgs(options)
+				.returns(Promise.resolve(testTokenInfo.accessToken));
+			sandbox.mock(tokenManagerFake).expects('exchangeToken')
+				.withArgs(testTokenInfo.accessToken, TEST_SCOPE, TEST_RESOURCE, options)
+				.returns(Promise.resolve(exchangedTokenInfo));
+
+			return ccgSession.exchangeToken(TEST_SCOPE, TEST_RESOURCE, options)
+				.then(data => {
+					assert.equal(data, exchangedTokenInfo);
+				});
+		});
+	});
+
+	describe('handleExpiredTokensError()', function() {
+
+		it('should return a promise that resolves to the passed-in error when no token store is available', function() {
+
+			var error = new Error('Something bad happened.');
+
+			return ccgSession.handleExpiredTokensError(error)
+				.then(err => {
+					assert.equal(err, error);
+				});
+		});
+
+		it('should return promise that rejects with passed-in error after clearing the token store', function() {
+
+			var error = new Error('Something bad happened.');
+
+			sandbox.mock(tokenStoreFake).expects('clear')
+				.yieldsAsync();
+
+			return ccgSessionWithTokenStore.handleExpiredTokensError(error)
+				.then(() => {
+					assert.fail('Expected handleExpiredTokensError() to reject');
+				}, err => {
+					assert.equal(err, error);
+				});
+		});
+	});
+});
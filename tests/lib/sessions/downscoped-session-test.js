@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Tests for Downscoped Box API Session.
+ */
+
+/* global describe, it, before, beforeEach, after, afterEach */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	sinon = require('sinon'),
+	leche = require('leche'),
+	Promise = require('bluebird'),
+	mockery = require('mockery');
+
+var TokenManager = require('../../../lib/token-manager'),
+	AppAuthSession = require('../../../lib/sessions/app-auth-session'),
+	Config = require('../../../lib/util/config');
+
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+var sandbox = sinon.createSandbox(),
+	tokenManagerFake,
+	parentSessionFake,
+	DownscopedSession,
+	downscopedSession,
+	config,
+	testTokenInfo = {
+		accessToken: 'at',
+		accessTokenTTLMS: 100,
+		acquiredAtMS: 50
+	},
+	MODULE_FILE_PATH = '../../../lib/sessions/downscoped-session';
+
+var TEST_SCOPES = [
+		'item_preview',
+		'item_download'
+	],
+	TEST_RESOURCE = 'https://api.box.com/2.0/files/1234';
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+describe('DownscopedSession', function() {
+
+	beforeEach(function() {
+
+		config = new Config({
+			clientID: 'cID123',
+			clientSecret: 'cSecret456',
+			expiredBufferMS: 30000,
+			staleBufferMS: 120000
+		});
+
+		tokenManagerFake = leche.fake(TokenManager.prototype);
+		parentSessionFake = leche.fake(AppAuthSession.prototype);
+
+		// Enable Mockery
+		mockery.enable({ warnOnUnregistered: false });
+		// Register Mocks
+		mockery.registerAllowable(MODULE_FILE_PATH, true);
+
+		// Setup File Under Test
+		DownscopedSession = require(MODULE_FILE_PATH);
+		downscopedSession = new DownscopedSession(parentSessionFake, TEST_SCOPES, TEST_RESOURCE, null, config, tokenManagerFake);
+	});
+
+	afterEach(function() {
+		sandbox.verifyAndRestore();
+		mockery.deregisterAll();
+		mockery.disable();
+	});
+
+	describe('getAccessToken()', function() {
+
+		var newTokenInfo;
+
+		beforeEach(function() {
+
+			newTokenInfo = {
+				accessToken: 'newAT',
+				accessTokenTTLMS: 100,
+				acquiredAtMS: 50
+			};
+		});
+
+		it('should resolve to stored access token when access tokens are fresh', function() {
+
+			downscopedSession._tokenInfo = testTokenInfo;
+			sandbox.mock(parentSessionFake).expects('exchangeToken')
+				.never();
+			sandbox.mock(tokenManagerFake).expects('isAccessTokenValid')
+				.withExactArgs(testTokenInfo, 120000)
+				.returns(true);
+
+			return downscopedSession.getAccessToken()
+				.then(token => {
+					assert.equal(token, testTokenInfo.accessToken);
+				});
+		});
+
+		it('should exchange a new token from the parent session when current tokens are no longer fresh', function() {
+
+			var options = {ip: '127.0.0.1'};
+
+			downscopedSession._tokenInfo = testTokenInfo;
+			sandbox.mock(parentSessionFake).expects('exchangeToken')
+				.withExactArgs(TEST_SCOPES, TEST_RESOURCE, { tokenRequestOptions: options })
+				.returns(Promise.resolve(newTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return downscopedSession.getAccessToken(options)
+				.then(token => {
+					assert.equal(token, newTokenInfo.accessToken);
+					assert.equal(downscopedSession._tokenInfo, newTokenInfo);
+				});
+		});
+
+		it('should pass the exchange options and split a scope string when the session was created with them', function() {
+
+			var sharedLink = { url: 'https://app.box.com/s/abc' };
+
+			downscopedSession = new DownscopedSession(parentSessionFake, 'item_preview item_download', null, { sharedLink }, config, tokenManagerFake);
+			sandbox.mock(parentSessionFake).expects('exchangeToken')
+				.withExactArgs(TEST_SCOPES, null, { tokenRequestOptions: null, sharedLink })
+				.returns(Promise.resolve(newTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return downscopedSession.getAccessToken();
+		});
+
+		it('should only make a single exchange when called multiple times', function() {
+
+			sandbox.mock(parentSessionFake).expects('exchangeToken')
+				.once()
+				.returns(Promise.resolve(newTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return Promise.all([
+				downscopedSession.getAccessToken(),
+				downscopedSession.getAccessToken()
+			])
+				.then(tokens => {
+					assert.deepEqual(tokens, [
+						newTokenInfo.accessToken,
+						newTokenInfo.accessToken
+					]);
+				});
+		});
+
+		it('should return a promise that rejects when the exchange fails', function() {
+
+			var exchangeError = new Error('Oh no!');
+
+			sandbox.stub(parentSessionFake, 'exchangeToken').callsFake(() => Promise.reject(exchangeError));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return downscopedSession.getAccessToken()
+				.then(() => {
+					assert.fail('Expected getAccessToken() to reject');
+				}, err => {
+					assert.equal(err, exchangeError);
+				});
+		});
+	});
+
+	describe('checkRequest()', function() {
+
+		leche.withData({
+			'file info': [
+				'GET',
+				'https://api.box.com/2.0/files/1234',
+				null
+			],
+			'file download': [
+				'GET',
+				'https://api.box.com/2.0/files/1234/content',
+				null
+			],
+			upload: [
+				'POST',
+				'https://upload.box.com/api/2.0/files/1234/content',
+				'item_upload'
+			],
+			'file delete': [
+				'DELETE',
+				'https://api.box.com/2.0/files/1234',
+				'item_delete'
+			],
+			'folder delete': [
+				'DELETE',
+				'https://api.box.com/2.0/folders/5678?recursive=true',
+				'item_delete'
+			]
+		}, function(method, url, expectedScope) {
+
+			it('should require the expected scope for the request when called', function() {
+
+				var error = downscopedSession.checkRequest({ method, url });
+
+				if (expectedScope) {
+					assert.propertyVal(error, 'name', 'InsufficientScopeError');
+					assert.propertyVal(error, 'requiredScope', expectedScope);
+					assert.deepEqual(error.scopes, TEST_SCOPES);
+					assert.include(error.message, `${method} ${url} requires the ${expectedScope} scope`);
+				} else {
+					assert.isNull(error);
+				}
+			});
+		});
+
+		it('should require the rename and share scopes when an update changes the name and shared link', function() {
+
+			var params = {
+				method: 'PUT',
+				url: 'https://api.box.com/2.0/folders/5678',
+				body: { name: 'New Name' }
+			};
+
+			downscopedSession = new DownscopedSession(parentSessionFake, ['item_rename'], null, null, config, tokenManagerFake);
+			assert.isNull(downscopedSession.checkRequest(params));
+
+			params.body.shared_link = { access: 'open' };
+			assert.propertyVal(downscopedSession.checkRequest(params), 'requiredScope', 'item_share');
+		});
+
+		it('should allow any request when the token has full access', function() {
+
+			downscopedSession = new DownscopedSession(parentSessionFake, ['root_readwrite'], null, null, config, tokenManagerFake);
+
+			assert.isNull(downscopedSession.checkRequest({ method: 'DELETE', url: 'https://api.box.com/2.0/files/1234' }));
+		});
+	});
+
+	describe('revokeTokens()', function() {
+
+		it('should revoke the downscoped token and clear the token info when called', function() {
+
+			var options = {ip: '127.0.0.1'};
+
+			downscopedSession._tokenInfo = testTokenInfo;
+			sandbox.mock(tokenManagerFake).expects('revokeTokens')
+				.withExactArgs(testTokenInfo.accessToken, options)
+				.returns(Promise.resolve());
+			sandbox.mock(parentSessionFake).expects('revokeTokens')
+				.never();
+
+			return downscopedSession.revokeTokens(options)
+				.then(() => {
+					assert.isNull(downscopedSession._tokenInfo);
+				});
+		});
+	});
+
+	describe('exchangeToken()', function() {
+
+		it('should exchange the downscoped token for one with lower scope when called', function() {
+
+			var exchangedTokenInfo = {accessToken: 'poaisdlknbadfjg'},
+				options = { tokenRequestOptions: {ip: '127.0.0.1'} };
+
+			sandbox.mock(downscopedSession).expects('getAccessToken')
+				.withArgs(options.tokenRequestOptions)
+				.returns(Promise.resolve(testTokenInfo.accessToken));
+			sandbox.mock(tokenManagerFake).expects('exchangeToken')
+				.withArgs(testTokenInfo.accessToken, 'item_preview', TEST_RESOURCE, options)
+				.returns(Promise.resolve(exchangedTokenInfo));
+
+			return downscopedSession.exchangeToken('item_preview', TEST_RESOURCE, options)
+				.then(data => {
+					assert.equal(data, exchangedTokenInfo);
+				});
+		});
+	});
+
+	describe('handleExpiredTokensError()', function() {
+
+		it('should drop the current token so the next request exchanges a new one when called', function() {
+
+			var error = new Error('Expired');
+
+			downscopedSession._tokenInfo = testTokenInfo;
+
+			return downscopedSession.handleExpiredTokensError(error)
+				.then(err => {
+					assert.equal(err, error);
+					assert.isNull(downscopedSession._tokenInfo);
+				});
+		});
+	});
+});
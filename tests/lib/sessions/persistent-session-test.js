@@ -13,6 +13,7 @@ var assert = require('chai').assert,
 	sinon = require('sinon'),
 	leche = require('leche'),
 	Promise = require('bluebird'),
+	EventEmitter = require('events').EventEmitter,
 	mockery = require('mockery');
 
 var TokenManager = require('../../../lib/token-manager');
@@ -329,6 +330,240 @@ describe('PersistentAPISession', function() {
 					assert.equal(accessToken, newTokenInfo.accessToken);
 				});
 		});
+
+		describe('with a lockable token store', function() {
+
+			var lockableTokenStore,
+				persistentAPISessionWithLockableStore;
+
+			beforeEach(function() {
+				lockableTokenStore = leche.create([
+					'read',
+					'write',
+					'clear',
+					'lock',
+					'unlock'
+				]);
+				persistentAPISessionWithLockableStore = new PersistentAPISession(testTokenInfo, lockableTokenStore, config, tokenManagerFake);
+			});
+
+			it('should refresh and write new tokens while holding the store lock when the store has no newer tokens', function() {
+
+				var lockStub = sandbox.stub(lockableTokenStore, 'lock').yieldsAsync(),
+					readStub = sandbox.stub(lockableTokenStore, 'read').yieldsAsync(null, testTokenInfo),
+					refreshStub = sandbox.stub(tokenManagerFake, 'getTokensRefreshGrant').returns(Promise.resolve(newTokenInfo)),
+					writeStub = sandbox.stub(lockableTokenStore, 'write').yieldsAsync(),
+					unlockStub = sandbox.stub(lockableTokenStore, 'unlock').yieldsAsync();
+				sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+				return persistentAPISessionWithLockableStore.getAccessToken()
+					.then(token => {
+						assert.equal(token, newTokenInfo.accessToken);
+						sinon.assert.calledWith(refreshStub, testTokenInfo.refreshToken);
+						sinon.assert.calledWith(writeStub, newTokenInfo);
+						sinon.assert.callOrder(lockStub, readStub, refreshStub, writeStub, unlockStub);
+					});
+			});
+
+			it('should use tokens refreshed by another process instead of refreshing when the store has newer valid tokens', function() {
+
+				sandbox.stub(lockableTokenStore, 'lock').yieldsAsync();
+				sandbox.stub(lockableTokenStore, 'read').yieldsAsync(null, newTokenInfo);
+				sandbox.mock(tokenManagerFake).expects('getTokensRefreshGrant')
+					.never();
+				sandbox.mock(lockableTokenStore).expects('write')
+					.never();
+				sandbox.mock(lockableTokenStore).expects('unlock')
+					.yieldsAsync();
+				var tokensValidStub = sandbox.stub(tokenManagerFake, 'isAccessTokenValid');
+				tokensValidStub.withArgs(testTokenInfo).returns(false);
+				tokensValidStub.withArgs(newTokenInfo).returns(true);
+
+				return persistentAPISessionWithLockableStore.getAccessToken()
+					.then(token => {
+						assert.equal(token, newTokenInfo.accessToken);
+					});
+			});
+
+			it('should release the store lock when the refresh fails', function() {
+
+				var tokensError = new Error('Oh no!');
+
+				sandbox.stub(lockableTokenStore, 'lock').yieldsAsync();
+				sandbox.stub(lockableTokenStore, 'read').yieldsAsync(null, testTokenInfo);
+				sandbox.stub(tokenManagerFake, 'getTokensRefreshGrant').callsFake(() => Promise.reject(tokensError));
+				sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+				sandbox.stub(lockableTokenStore, 'clear').yieldsAsync();
+				sandbox.mock(lockableTokenStore).expects('unlock')
+					.yieldsAsync();
+
+				return persistentAPISessionWithLockableStore.getAccessToken()
+					.then(() => {
+						assert.fail('Expected getAccessToken() to reject');
+					}, err => {
+						assert.equal(err, tokensError);
+					});
+			});
+
+			it('should return a promise that rejects without refreshing or clearing the store when the store lock cannot be taken', function() {
+
+				var lockError = new Error('Timed out waiting for lock');
+
+				sandbox.stub(lockableTokenStore, 'lock').yieldsAsync(lockError);
+				sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+				sandbox.mock(tokenManagerFake).expects('getTokensRefreshGrant')
+					.never();
+				sandbox.mock(lockableTokenStore).expects('clear')
+					.never();
+
+				return persistentAPISessionWithLockableStore.getAccessToken()
+					.then(() => {
+						assert.fail('Expected getAccessToken() to reject');
+					}, err => {
+						assert.equal(err, lockError);
+					});
+			});
+
+			it('should keep the tokens another process stored when waiting for the file store lock times out', function() {
+
+				var fs = require('fs'),
+					os = require('os'),
+					path = require('path'),
+					FileTokenStore = require('../../../lib/token-stores/file-token-store'),
+					tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'box-persistent-session-')), // eslint-disable-line no-sync
+					tokenPath = path.join(tempDir, 'tokens.json'),
+					holder = Promise.promisifyAll(new FileTokenStore(tokenPath)),
+					waiter = new FileTokenStore(tokenPath, {
+						lockTimeoutMS: 20,
+						lockRetryIntervalMS: 5
+					}),
+					session = new PersistentAPISession(testTokenInfo, waiter, config, tokenManagerFake);
+
+				sandbox.mock(tokenManagerFake).expects('getTokensRefreshGrant')
+					.never();
+				sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+				return holder.writeAsync(newTokenInfo)
+					.then(() => holder.lockAsync())
+					.then(() => session.getAccessToken())
+					.then(() => {
+						assert.fail('Expected getAccessToken() to reject');
+					}, err => {
+						assert.include(err.message, 'Timed out waiting for token store lock');
+						return holder.readAsync();
+					})
+					.then(storedTokenInfo => {
+						assert.deepEqual(storedTokenInfo, newTokenInfo);
+					})
+					.finally(() => holder.unlockAsync()
+						.then(() => holder.clearAsync())
+						.then(() => fs.rmdirSync(tempDir))); // eslint-disable-line no-sync
+			});
+
+			it('should only refresh once when sessions share a memory token store', function() {
+
+				var MemoryTokenStore = require('../../../lib/token-stores/memory-token-store'),
+					sharedStore = new MemoryTokenStore(testTokenInfo),
+					session1 = new PersistentAPISession(testTokenInfo, sharedStore, config, tokenManagerFake),
+					session2 = new PersistentAPISession(testTokenInfo, sharedStore, config, tokenManagerFake);
+
+				sandbox.mock(tokenManagerFake).expects('getTokensRefreshGrant')
+					.once()
+					.returns(Promise.resolve(newTokenInfo));
+				var tokensValidStub = sandbox.stub(tokenManagerFake, 'isAccessTokenValid');
+				tokensValidStub.withArgs(sinon.match({ accessToken: testTokenInfo.accessToken })).returns(false);
+				tokensValidStub.withArgs(sinon.match({ accessToken: newTokenInfo.accessToken })).returns(true);
+
+				return Promise.all([
+					session1.getAccessToken(),
+					session2.getAccessToken()
+				])
+					.then(tokens => {
+						assert.deepEqual(tokens, [
+							newTokenInfo.accessToken,
+							newTokenInfo.accessToken
+						]);
+					});
+			});
+		});
+	});
+
+	describe('session events', function() {
+
+		var eventBus,
+			newTokenInfo = {
+				accessToken: 'newAT',
+				refreshToken: 'newRT',
+				accessTokenTTLMS: 3600000,
+				acquiredAtMS: 1000
+			};
+
+		beforeEach(function() {
+			eventBus = new EventEmitter();
+			tokenManagerFake.requestManager = { eventBus };
+		});
+
+		it('should emit a token refreshed event with the expiry time and redacted tokens when tokens are refreshed', function() {
+
+			var listener = sandbox.spy();
+			eventBus.on('tokenRefreshed', listener);
+			sandbox.stub(tokenManagerFake, 'getTokensRefreshGrant').returns(Promise.resolve(newTokenInfo));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+
+			return persistentAPISession.getAccessToken()
+				.then(() => {
+					assert.ok(listener.calledOnce);
+					var event = listener.firstCall.args[0];
+					assert.propertyVal(event, 'sessionType', 'persistent');
+					assert.propertyVal(event, 'expiresAtMS', 3601000);
+					assert.deepEqual(event.tokenInfo, {
+						accessToken: '[REDACTED]',
+						refreshToken: '[REDACTED]',
+						accessTokenTTLMS: 3600000,
+						acquiredAtMS: 1000
+					});
+				});
+		});
+
+		it('should emit refresh failed and token store cleared events when the refresh fails', function() {
+
+			var error = new Error('Expired'),
+				failedListener = sandbox.spy(),
+				clearedListener = sandbox.spy();
+
+			error.statusCode = 401;
+			eventBus.on('tokenRefreshFailed', failedListener);
+			eventBus.on('tokenStoreCleared', clearedListener);
+			sandbox.stub(tokenManagerFake, 'getTokensRefreshGrant').callsFake(() => Promise.reject(error));
+			sandbox.stub(tokenManagerFake, 'isAccessTokenValid').returns(false);
+			sandbox.stub(tokenStoreFake, 'clear').yieldsAsync();
+
+			return persistentAPISessionWithTokenStore.getAccessToken()
+				.catch(err => {
+					assert.equal(err, error);
+					assert.ok(failedListener.calledOnce);
+					assert.deepEqual(failedListener.firstCall.args[0].error, {
+						name: 'Error',
+						message: 'Expired',
+						statusCode: 401
+					});
+					assert.ok(clearedListener.calledOnce);
+					assert.propertyVal(clearedListener.firstCall.args[0], 'sessionType', 'persistent');
+				});
+		});
+
+		it('should emit a tokens revoked event when the tokens are revoked', function() {
+
+			var listener = sandbox.spy();
+			eventBus.on('tokensRevoked', listener);
+			sandbox.stub(tokenManagerFake, 'revokeTokens').returns(Promise.resolve());
+
+			return persistentAPISession.revokeTokens()
+				.then(() => {
+					assert.ok(listener.calledOnce);
+					assert.propertyVal(listener.firstCall.args[0].tokenInfo, 'refreshToken', '[REDACTED]');
+				});
+		});
 	});
 
 	describe('revokeTokens()', function() {
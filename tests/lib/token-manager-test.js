@@ -294,6 +294,10 @@ describe('token-manager', function() {
 				assert.strictEqual(atualResult, expectedResult);
 			});
 		});
+
+		it('should return false when there is no token info', function() {
+			assert.isFalse(tokenManager.isAccessTokenValid(null, 0));
+		});
 	});
 
 	describe('getTokensAuthorizationCodeGrant()', function() {
@@ -309,6 +313,20 @@ describe('token-manager', function() {
 			return tokenManager.getTokensAuthorizationCodeGrant(authorizationCode);
 		});
 
+		it('should send the PKCE code verifier when one is passed in the options', function() {
+			var authorizationCode = 'abc',
+				options = {codeVerifier: 'verifier'};
+			sandbox.mock(tokenManager).expects('getTokens')
+				.withExactArgs({
+					grant_type: GRANT_TYPE_AUTHORIZATION_CODE,
+					code: authorizationCode,
+					code_verifier: 'verifier'
+				}, options)
+				.returns(Promise.resolve());
+
+			return tokenManager.getTokensAuthorizationCodeGrant(authorizationCode, options);
+		});
+
 		it('should return an error when the authorization code is missing', function() {
 
 			return tokenManager.getTokensAuthorizationCodeGrant(null, null)
@@ -352,6 +370,21 @@ describe('token-manager', function() {
 
 			return tokenManager.getTokensClientCredentialsGrant(options);
 		});
+
+		it('should acquire token info for the subject when a subject type and ID are passed', function() {
+
+			var options = {};
+
+			sandbox.mock(tokenManager).expects('getTokens')
+				.withExactArgs({
+					grant_type: GRANT_TYPE_CLIENT_CREDENTIALS,
+					box_subject_type: 'user',
+					box_subject_id: '1234'
+				}, options)
+				.returns(Promise.resolve());
+
+			return tokenManager.getTokensClientCredentialsGrant(options, 'user', '1234');
+		});
 	});
 
 	describe('getTokensRefreshGrant()', function() {
@@ -561,7 +594,7 @@ describe('token-manager', function() {
 			var getTokensMock = sandbox.mock(tokenManager);
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(firstTokenParams), null)
-				.returns(Promise.reject(serverError));
+				.callsFake(() => Promise.reject(serverError));
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(secondTokenParams), null)
 				.returns(Promise.resolve(tokenInfo));
@@ -618,7 +651,7 @@ describe('token-manager', function() {
 			var getTokensMock = sandbox.mock(tokenManager);
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(firstTokenParams), null)
-				.returns(Promise.reject(serverError));
+				.callsFake(() => Promise.reject(serverError));
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(secondTokenParams), null)
 				.returns(Promise.resolve(tokenInfo));
@@ -703,10 +736,10 @@ describe('token-manager', function() {
 			var getTokensMock = sandbox.mock(tokenManager);
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(firstTokenParams), null)
-				.returns(Promise.reject(serverError));
+				.callsFake(() => Promise.reject(serverError));
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(secondTokenParams), null)
-				.returns(Promise.reject(serverError2));
+				.callsFake(() => Promise.reject(serverError2));
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(thirdTokenParams), null)
 				.returns(Promise.resolve(tokenInfo));
@@ -789,13 +822,13 @@ describe('token-manager', function() {
 			var getTokensMock = sandbox.mock(tokenManager);
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(firstTokenParams), null)
-				.returns(Promise.reject(serverError));
+				.callsFake(() => Promise.reject(serverError));
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(secondTokenParams), null)
-				.returns(Promise.reject(serverError2));
+				.callsFake(() => Promise.reject(serverError2));
 			getTokensMock.expects('getTokens')
 				.withArgs(sinon.match(thirdTokenParams), null)
-				.returns(Promise.reject(serverError3));
+				.callsFake(() => Promise.reject(serverError3));
 
 			return tokenManager.getTokensJWTGrant('user', TEST_ID, null)
 				.catch(err => {
@@ -809,7 +842,7 @@ describe('token-manager', function() {
 
 			sandbox.stub(uuidFake, 'v4').returns(TEST_JTI);
 			sandbox.stub(jwtFake, 'sign').returns(TEST_WEB_TOKEN);
-			sandbox.stub(tokenManager, 'getTokens').returns(Promise.reject(error));
+			sandbox.stub(tokenManager, 'getTokens').callsFake(() => Promise.reject(error));
 
 			return tokenManager.getTokensJWTGrant('user', TEST_ID, null)
 				.catch(err => {
@@ -818,6 +851,178 @@ describe('token-manager', function() {
 		});
 	});
 
+	describe('getTokensJWTGrant() with a sign function', function() {
+
+		var TEST_ID = '873645827345',
+			TEST_JTI = 'e1038baf-5ec8-4a16-b8da-cbe3602d272d',
+			TEST_WEB_TOKEN = 'laksduh5q3ufygqergtwehrg8w95tw9dhfgwr5',
+			signStub;
+
+		beforeEach(function() {
+			sandbox.stub(uuidFake, 'v4').returns(TEST_JTI);
+			signStub = sandbox.stub().returns(Promise.resolve(TEST_WEB_TOKEN));
+
+			var appAuthConfig = config.extend({
+				appAuth: {
+					keyID: 'jhbxg87f4',
+					sign: signStub,
+					expirationTime: 1,
+					verifyTimestamp: true
+				}
+			});
+
+			tokenManager = new TokenManager(appAuthConfig, requestManagerFake);
+		});
+
+		it('should sign the JWT with the sign function instead of a private key when called', function() {
+
+			var tokenInfo = {
+				accessToken: 'lsdjhgo87w3h4tbd87fg54'
+			};
+
+			sandbox.useFakeTimers(100000);
+			sandbox.mock(jwtFake).expects('sign')
+				.never();
+			sandbox.mock(tokenManager).expects('getTokens')
+				.withArgs(sinon.match({grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion: TEST_WEB_TOKEN}), null)
+				.returns(Promise.resolve(tokenInfo));
+
+			return tokenManager.getTokensJWTGrant('user', TEST_ID, null)
+				.then(tokens => {
+					assert.equal(tokens, tokenInfo);
+					assert.ok(signStub.calledOnce);
+					assert.deepEqual(signStub.firstCall.args, [
+						{
+							iss: config.clientID,
+							sub: TEST_ID,
+							aud: 'https://api.box.com/oauth2/token',
+							jti: TEST_JTI,
+							exp: 101,
+							box_sub_type: 'user',
+							iat: 100
+						},
+						{
+							alg: 'RS256',
+							typ: 'JWT',
+							kid: 'jhbxg87f4'
+						}
+					]);
+				});
+		});
+
+		it('should reject with the signing error when the sign function fails', function() {
+
+			var error = new Error('KMS unavailable');
+
+			signStub.callsFake(() => Promise.reject(error));
+			sandbox.mock(tokenManager).expects('getTokens')
+				.never();
+
+			return tokenManager.getTokensJWTGrant('user', TEST_ID, null)
+				.then(() => {
+					assert.fail('Expected getTokensJWTGrant() to reject');
+				}, err => {
+					assert.equal(err, error);
+				});
+		});
+	});
+
+	describe('getTokensJWTGrant() with several key IDs', function() {
+
+		var TEST_ID = '873645827345',
+			keyRejectedError;
+
+		beforeEach(function() {
+			sandbox.stub(uuidFake, 'v4').returns('e1038baf-5ec8-4a16-b8da-cbe3602d272d');
+
+			var appAuthConfig = config.extend({
+				appAuth: {
+					keyID: [
+						'oldKey',
+						'newKey'
+					],
+					sign: (claims, header) => Promise.resolve(`jwt-${header.kid}`)
+				}
+			});
+
+			keyRejectedError = {
+				statusCode: 400,
+				authExpired: true,
+				response: {
+					body: {
+						error: 'invalid_grant',
+						error_description: 'Signature verification error. The public key identified by "kid" must correspond to the private key used for signing.'
+					},
+					headers: {}
+				}
+			};
+
+			tokenManager = new TokenManager(appAuthConfig, requestManagerFake);
+		});
+
+		it('should retry the grant with the next key ID when Box does not accept the key', function() {
+
+			var tokenInfo = {
+				accessToken: 'lsdjhgo87w3h4tbd87fg54'
+			};
+
+			var getTokensMock = sandbox.mock(tokenManager);
+			getTokensMock.expects('getTokens')
+				.withArgs(sinon.match({assertion: 'jwt-oldKey'}))
+				.callsFake(() => Promise.reject(keyRejectedError));
+			getTokensMock.expects('getTokens')
+				.withArgs(sinon.match({assertion: 'jwt-newKey'}))
+				.returns(Promise.resolve(tokenInfo));
+
+			return tokenManager.getTokensJWTGrant('user', TEST_ID, null)
+				.then(tokens => {
+					assert.equal(tokens, tokenInfo);
+				});
+		});
+
+		it('should start with the key ID that was last accepted when getting tokens again', function() {
+
+			var getTokensStub = sandbox.stub(tokenManager, 'getTokens');
+			getTokensStub.withArgs(sinon.match({assertion: 'jwt-oldKey'})).callsFake(() => Promise.reject(keyRejectedError));
+			getTokensStub.withArgs(sinon.match({assertion: 'jwt-newKey'})).returns(Promise.resolve({}));
+
+			return tokenManager.getTokensJWTGrant('user', TEST_ID, null)
+				.then(() => tokenManager.getTokensJWTGrant('user', TEST_ID, null))
+				.then(() => {
+					assert.equal(getTokensStub.callCount, 3);
+					assert.equal(getTokensStub.thirdCall.args[0].assertion, 'jwt-newKey');
+				});
+		});
+
+		it('should reject with the last error when no key ID is accepted', function() {
+
+			sandbox.stub(tokenManager, 'getTokens').callsFake(() => Promise.reject(keyRejectedError));
+
+			return tokenManager.getTokensJWTGrant('user', TEST_ID, null)
+				.then(() => {
+					assert.fail('Expected getTokensJWTGrant() to reject');
+				}, err => {
+					assert.equal(err, keyRejectedError);
+					assert.equal(tokenManager.getTokens.callCount, 2);
+				});
+		});
+
+		it('should not try another key ID when the grant fails for another reason', function() {
+
+			var error = new Error('Could not get tokens');
+
+			sandbox.stub(tokenManager, 'getTokens').callsFake(() => Promise.reject(error));
+
+			return tokenManager.getTokensJWTGrant('user', TEST_ID, null)
+				.then(() => {
+					assert.fail('Expected getTokensJWTGrant() to reject');
+				}, err => {
+					assert.equal(err, error);
+					assert.equal(tokenManager.getTokens.callCount, 1);
+				});
+		});
+	});
+
 	describe('exchangeToken()', function() {
 
 		var TEST_ACCESS_TOKEN = 'poiudafjdbfjygsdfg',
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview File-backed token store tests
+ */
+/* eslint-disable no-sync */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	Promise = require('bluebird'),
+	FileTokenStore = require('../../../lib/token-stores/file-token-store');
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+var TEST_TOKEN_INFO = {
+	accessToken: 'at',
+	refreshToken: 'rt',
+	accessTokenTTLMS: 3600000,
+	acquiredAtMS: 1000
+};
+
+/**
+ * Create a promisified file token store
+ * @param {string} filePath The file to keep tokens in
+ * @param {FileTokenStoreOptions} [options] The store options
+ * @returns {FileTokenStore} The store
+ */
+function createStore(filePath, options) {
+	return Promise.promisifyAll(new FileTokenStore(filePath, options));
+}
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('FileTokenStore', function() {
+
+	var tempDir,
+		tokenPath;
+
+	beforeEach(function() {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'box-token-store-'));
+		tokenPath = path.join(tempDir, 'tokens.json');
+	});
+
+	afterEach(function() {
+		fs.readdirSync(tempDir).forEach(file => fs.unlinkSync(path.join(tempDir, file)));
+		fs.rmdirSync(tempDir);
+	});
+
+	describe('constructor', function() {
+
+		it('should throw when no file path is passed', function() {
+			assert.throws(() => new FileTokenStore(), TypeError);
+		});
+	});
+
+	describe('read()', function() {
+
+		it('should return null when the token file does not exist', function() {
+
+			return createStore(tokenPath).readAsync()
+				.then(tokenInfo => {
+					assert.isNull(tokenInfo);
+				});
+		});
+
+		it('should return an error when the token file is corrupt', function() {
+
+			fs.writeFileSync(tokenPath, '{"accessToken":');
+
+			return createStore(tokenPath).readAsync()
+				.then(() => {
+					assert.fail('Expected read() to fail');
+				}, err => {
+					assert.include(err.message, 'Could not read tokens from');
+				});
+		});
+	});
+
+	describe('write()', function() {
+
+		it('should store the tokens as JSON that can be read back when no encryption key is set', function() {
+
+			var store = createStore(tokenPath);
+
+			return store.writeAsync(TEST_TOKEN_INFO)
+				.then(() => {
+					assert.deepEqual(JSON.parse(fs.readFileSync(tokenPath, 'utf8')), TEST_TOKEN_INFO);
+					assert.deepEqual(fs.readdirSync(tempDir), ['tokens.json'], 'Temporary file should be renamed');
+					return store.readAsync();
+				})
+				.then(tokenInfo => {
+					assert.deepEqual(tokenInfo, TEST_TOKEN_INFO);
+				});
+		});
+
+		it('should encrypt the stored tokens when an encryption key is set', function() {
+
+			var store = createStore(tokenPath, { encryptionKey: 'super secret' });
+
+			return store.writeAsync(TEST_TOKEN_INFO)
+				.then(() => {
+					var contents = fs.readFileSync(tokenPath, 'utf8');
+					assert.notInclude(contents, TEST_TOKEN_INFO.refreshToken);
+					assert.propertyVal(JSON.parse(contents), 'version', 1);
+					return store.readAsync();
+				})
+				.then(tokenInfo => {
+					assert.deepEqual(tokenInfo, TEST_TOKEN_INFO);
+				});
+		});
+
+		it('should fail to read encrypted tokens when the encryption key is wrong', function() {
+
+			return createStore(tokenPath, { encryptionKey: 'super secret' }).writeAsync(TEST_TOKEN_INFO)
+				.then(() => createStore(tokenPath, { encryptionKey: 'wrong secret' }).readAsync())
+				.then(() => {
+					assert.fail('Expected read() to fail');
+				}, err => {
+					assert.include(err.message, 'Could not read tokens from');
+				});
+		});
+	});
+
+	describe('clear()', function() {
+
+		it('should remove the token file when called', function() {
+
+			var store = createStore(tokenPath);
+
+			return store.writeAsync(TEST_TOKEN_INFO)
+				.then(() => store.clearAsync())
+				.then(() => {
+					assert.isFalse(fs.existsSync(tokenPath));
+					return store.clearAsync();
+				});
+		});
+	});
+
+	describe('lock()', function() {
+
+		it('should make other stores for the same file wait until the lock is released', function() {
+
+			var store1 = createStore(tokenPath, { lockRetryIntervalMS: 5 }),
+				store2 = createStore(tokenPath, { lockRetryIntervalMS: 5 }),
+				events = [];
+
+			return store1.lockAsync()
+				.then(() => {
+					var waiter = store2.lockAsync()
+						.then(() => {
+							events.push('second locked');
+							return store2.unlockAsync();
+						});
+
+					return Promise.delay(20)
+						.then(() => {
+							events.push('first unlocking');
+							return store1.unlockAsync();
+						})
+						.then(() => waiter);
+				})
+				.then(() => {
+					assert.deepEqual(events, [
+						'first unlocking',
+						'second locked'
+					]);
+					assert.isFalse(fs.existsSync(`${tokenPath}.lock`));
+				});
+		});
+
+		it('should fail when the lock is not released before the lock timeout', function() {
+
+			var store1 = createStore(tokenPath),
+				store2 = createStore(tokenPath, { lockTimeoutMS: 20, lockRetryIntervalMS: 5 });
+
+			return store1.lockAsync()
+				.then(() => store2.lockAsync())
+				.then(() => {
+					assert.fail('Expected lock() to fail');
+				}, err => {
+					assert.include(err.message, 'Timed out waiting for token store lock');
+				})
+				.then(() => store1.unlockAsync());
+		});
+
+		it('should take over a stale lock when one was left behind', function() {
+
+			var staleTime = new Date(Date.now() - 120000),
+				store = createStore(tokenPath);
+
+			fs.writeFileSync(`${tokenPath}.lock`, 'crashed process');
+			fs.utimesSync(`${tokenPath}.lock`, staleTime, staleTime);
+
+			return store.lockAsync()
+				.then(() => store.unlockAsync())
+				.then(() => {
+					assert.isFalse(fs.existsSync(`${tokenPath}.lock`));
+				});
+		});
+
+		it('should not take over a lock that replaced the stale lock after it was found', function() {
+
+			var staleTime = new Date(Date.now() - 120000),
+				store = createStore(tokenPath, { lockTimeoutMS: 50, lockRetryIntervalMS: 5 }),
+				stat = fs.stat;
+
+			fs.writeFileSync(`${tokenPath}.lock`, 'crashed process');
+			fs.utimesSync(`${tokenPath}.lock`, staleTime, staleTime);
+
+			// Another process takes over the stale lock just after this store finds it
+			fs.stat = function(filePath, callback) {
+				fs.stat = stat;
+				stat(filePath, (err, stats) => {
+					fs.unlinkSync(filePath);
+					fs.writeFileSync(filePath, 'another process');
+					callback(err, stats);
+				});
+			};
+
+			return store.lockAsync()
+				.finally(() => {
+					fs.stat = stat;
+				})
+				.then(() => {
+					assert.fail('Expected lock() to fail');
+				}, err => {
+					assert.include(err.message, 'Timed out waiting for token store lock');
+					assert.equal(fs.readFileSync(`${tokenPath}.lock`, 'utf8'), 'another process');
+					assert.deepEqual(fs.readdirSync(tempDir), ['tokens.json.lock']);
+				});
+		});
+
+		it('should not release a lock that was taken over by another store when unlocking', function() {
+
+			var store = createStore(tokenPath);
+
+			return store.lockAsync()
+				.then(() => {
+					fs.writeFileSync(`${tokenPath}.lock`, 'another process');
+					return store.unlockAsync();
+				})
+				.then(() => {
+					assert.equal(fs.readFileSync(`${tokenPath}.lock`, 'utf8'), 'another process');
+				});
+		});
+	});
+});
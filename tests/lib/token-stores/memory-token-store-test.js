@@ -0,0 +1,124 @@
+/**
+ * @fileoverview In-memory token store tests
+ */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	Promise = require('bluebird'),
+	MemoryTokenStore = require('../../../lib/token-stores/memory-token-store');
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+var TEST_TOKEN_INFO = {
+	accessToken: 'at',
+	refreshToken: 'rt',
+	accessTokenTTLMS: 3600000,
+	acquiredAtMS: 1000
+};
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('MemoryTokenStore', function() {
+
+	var store;
+
+	beforeEach(function() {
+		store = Promise.promisifyAll(new MemoryTokenStore());
+	});
+
+	describe('read()', function() {
+
+		it('should return null when no tokens are stored', function() {
+
+			return store.readAsync()
+				.then(tokenInfo => {
+					assert.isNull(tokenInfo);
+				});
+		});
+
+		it('should return the initial tokens when the store was created with tokens', function() {
+
+			store = Promise.promisifyAll(new MemoryTokenStore(TEST_TOKEN_INFO));
+
+			return store.readAsync()
+				.then(tokenInfo => {
+					assert.deepEqual(tokenInfo, TEST_TOKEN_INFO);
+				});
+		});
+	});
+
+	describe('write()', function() {
+
+		it('should store a copy of the tokens when called', function() {
+
+			var tokenInfo = Object.assign({}, TEST_TOKEN_INFO);
+
+			return store.writeAsync(tokenInfo)
+				.then(() => {
+					tokenInfo.accessToken = 'changed';
+					return store.readAsync();
+				})
+				.then(storedTokenInfo => {
+					assert.deepEqual(storedTokenInfo, TEST_TOKEN_INFO);
+				});
+		});
+	});
+
+	describe('clear()', function() {
+
+		it('should remove the stored tokens when called', function() {
+
+			return store.writeAsync(TEST_TOKEN_INFO)
+				.then(() => store.clearAsync())
+				.then(() => store.readAsync())
+				.then(tokenInfo => {
+					assert.isNull(tokenInfo);
+				});
+		});
+	});
+
+	describe('lock()', function() {
+
+		it('should hand the lock to waiting callers one at a time in order when it is released', function() {
+
+			var events = [];
+
+			var holder = store.lockAsync()
+				.then(() => {
+					events.push('first locked');
+					return Promise.delay(5);
+				})
+				.then(() => {
+					events.push('first unlocking');
+					return store.unlockAsync();
+				});
+
+			var waiter = store.lockAsync()
+				.then(() => {
+					events.push('second locked');
+					return store.unlockAsync();
+				});
+
+			return Promise.all([
+				holder,
+				waiter
+			])
+				.then(() => {
+					assert.deepEqual(events, [
+						'first locked',
+						'first unlocking',
+						'second locked'
+					]);
+					return store.lockAsync();
+				})
+				.then(() => store.unlockAsync());
+		});
+	});
+});
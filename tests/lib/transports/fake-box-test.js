@@ -0,0 +1,721 @@
+/**
+ * @fileoverview Tests for the in-memory fake of the Box API
+ */
+
+/* global describe, it, beforeEach */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+var assert = require('chai').assert,
+	Readable = require('stream').Readable,
+	Promise = require('bluebird'),
+	BoxSDK = require('../../../lib/box-node-sdk'),
+	errors = require('../../../lib/util/errors'),
+	FakeBox = require('../../../lib/transports/fake-box');
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/**
+ * Read a stream to the end
+ * @param {Readable} stream The stream
+ * @returns {Promise<string>} A promise resolving to the contents of the stream
+ */
+function readStream(stream) {
+	var chunks = [];
+	return Promise.fromCallback(callback => {
+		stream.on('data', chunk => chunks.push(chunk));
+		stream.on('end', () => callback(null, Buffer.concat(chunks).toString('utf8')));
+		stream.on('error', callback);
+	});
+}
+
+/**
+ * Assert that a promise rejects with an error of a class
+ * @param {Promise} promise The promise
+ * @param {Function} ErrorClass The expected error class
+ * @param {string} [code] The expected Box error code
+ * @returns {Promise<Error>} A promise resolving to the error
+ */
+function assertRejects(promise, ErrorClass, code) {
+	return promise.then(() => assert.fail('Expected the request to fail'), err => {
+		assert.instanceOf(err, ErrorClass);
+		if (code) {
+			assert.propertyVal(err, 'code', code);
+		}
+		return err;
+	});
+}
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('FakeBox', function() {
+
+	var fakeBox,
+		sdk,
+		client;
+
+	beforeEach(function() {
+		fakeBox = new FakeBox();
+		sdk = new BoxSDK({
+			clientID: 'id',
+			clientSecret: 'secret',
+			transport: fakeBox,
+			numMaxRetries: 0
+		});
+		client = sdk.getBasicClient('token');
+	});
+
+	describe('folders', function() {
+
+		it('should create a folder in its parent when the name is available', function() {
+
+			return client.folders.create('0', 'Documents')
+				.then(folder => {
+					assert.propertyVal(folder, 'type', 'folder');
+					assert.propertyVal(folder, 'name', 'Documents');
+					assert.propertyVal(folder, 'etag', '0');
+					assert.equal(folder.parent.id, '0');
+					assert.equal(folder.owned_by.id, fakeBox.userID);
+					assert.deepEqual(folder.path_collection.entries.map(entry => entry.name), ['All Files']);
+					return client.folders.get(folder.id);
+				})
+				.then(folder => {
+					assert.propertyVal(folder, 'name', 'Documents');
+					assert.propertyVal(folder.item_collection, 'total_count', 0);
+				});
+		});
+
+		it('should reject with a conflict error listing the existing item when the parent has an item with the same name', function() {
+
+			return client.folders.create('0', 'Documents')
+				.then(existing => assertRejects(client.folders.create('0', 'documents'), errors.ConflictError, 'item_name_in_use')
+					.then(err => {
+						assert.equal(err.statusCode, 409);
+						assert.deepEqual(err.conflicts.map(conflict => conflict.id), [existing.id]);
+					}));
+		});
+
+		it('should reject with a not found error when the parent folder does not exist', function() {
+
+			return assertRejects(client.folders.create('12345', 'Documents'), errors.NotFoundError, 'not_found');
+		});
+
+		it('should reject with a bad request when the name is invalid', function() {
+
+			return assertRejects(client.folders.create('0', 'a/b'), errors.ResponseError, 'item_name_invalid');
+		});
+
+		it('should rename and move a folder when it is updated', function() {
+
+			return Promise.all([
+				client.folders.create('0', 'Source'),
+				client.folders.create('0', 'Target')
+			])
+				.then(folders => client.folders.update(folders[0].id, {
+					name: 'Moved',
+					parent: { id: folders[1].id }
+				}))
+				.then(folder => {
+					assert.propertyVal(folder, 'name', 'Moved');
+					assert.propertyVal(folder, 'etag', '1');
+					assert.deepEqual(folder.path_collection.entries.map(entry => entry.name), [
+						'All Files',
+						'Target'
+					]);
+				});
+		});
+
+		it('should reject when a folder is moved into one of its subfolders', function() {
+
+			return client.folders.create('0', 'Parent')
+				.then(parent => client.folders.create(parent.id, 'Child')
+					.then(child => assertRejects(client.folders.move(parent.id, child.id), errors.ResponseError, 'bad_request')));
+		});
+
+		it('should reject with a precondition failed error when the ETag passed is out of date', function() {
+
+			return client.folders.create('0', 'Documents')
+				.then(folder => client.folders.update(folder.id, { description: 'Changed' })
+					.then(() => assertRejects(client.folders.update(folder.id, {
+						name: 'Renamed',
+						etag: folder.etag
+					}), errors.PreconditionFailedError, 'precondition_failed')));
+		});
+
+		it('should copy a folder with everything in it', function() {
+
+			return client.folders.create('0', 'Original')
+				.then(folder => client.files.uploadFile(folder.id, 'file.txt', 'contents')
+					.then(() => client.folders.copy(folder.id, '0', { name: 'Copy' })))
+				.then(copy => {
+					assert.propertyVal(copy, 'name', 'Copy');
+					return client.folders.getItems(copy.id);
+				})
+				.then(items => {
+					assert.deepEqual(items.entries.map(item => item.name), ['file.txt']);
+				});
+		});
+	});
+
+	describe('folder items', function() {
+
+		var folderID;
+
+		beforeEach(function() {
+			return client.folders.create('0', 'Items')
+				.then(folder => {
+					folderID = folder.id;
+					return Promise.each([
+						'c.txt',
+						'a.txt',
+						'b.txt'
+					], name => client.files.uploadFile(folderID, name, name));
+				})
+				.then(() => client.folders.create(folderID, 'z folder'));
+		});
+
+		it('should return a page of items by offset with folders first when no marker is requested', function() {
+
+			return client.folders.getItems(folderID, { limit: 2, offset: 1 })
+				.then(items => {
+					assert.propertyVal(items, 'total_count', 4);
+					assert.propertyVal(items, 'offset', 1);
+					assert.propertyVal(items, 'limit', 2);
+					assert.deepEqual(items.entries.map(item => item.name), [
+						'a.txt',
+						'b.txt'
+					]);
+				});
+		});
+
+		it('should return pages linked by markers when usemarker is set', function() {
+
+			return client.folders.getItems(folderID, { usemarker: true, limit: 3 })
+				.then(page => {
+					assert.deepEqual(page.entries.map(item => item.name), [
+						'z folder',
+						'a.txt',
+						'b.txt'
+					]);
+					assert.isString(page.next_marker);
+					return client.folders.getItems(folderID, { usemarker: true, limit: 3, marker: page.next_marker });
+				})
+				.then(page => {
+					assert.deepEqual(page.entries.map(item => item.name), ['c.txt']);
+					assert.notProperty(page, 'next_marker');
+				});
+		});
+
+		it('should iterate over every page of items when the client uses iterators', function() {
+
+			var iteratingSDK = new BoxSDK({
+				clientID: 'id',
+				clientSecret: 'secret',
+				transport: fakeBox,
+				iterators: true
+			});
+
+			return iteratingSDK.getBasicClient('token').folders.getItems(folderID, { usemarker: true, limit: 1 })
+				.then(iterator => iterator.toArray())
+				.then(items => {
+					assert.lengthOf(items, 4);
+				});
+		});
+
+		it('should only return the requested fields when fields are passed', function() {
+
+			return client.folders.getItems(folderID, { fields: 'name,size', limit: 1 })
+				.then(items => {
+					assert.deepEqual(Object.keys(items.entries[0]).sort(), [
+						'etag',
+						'id',
+						'name',
+						'size',
+						'type'
+					]);
+				});
+		});
+	});
+
+	describe('files', function() {
+
+		it('should upload a file from a stream and download its content when the name is available', function() {
+
+			return client.files.uploadFile('0', 'stream.txt', new Readable({
+				read() {
+					this.push('streamed ');
+					this.push('content');
+					this.push(null);
+				}
+			}))
+				.then(uploaded => {
+					var file = uploaded.entries[0];
+					assert.propertyVal(file, 'name', 'stream.txt');
+					assert.propertyVal(file, 'size', 16);
+					assert.propertyVal(file, 'extension', 'txt');
+					return client.files.getReadStream(file.id);
+				})
+				.then(readStream)
+				.then(content => {
+					assert.equal(content, 'streamed content');
+				});
+		});
+
+		it('should reject an upload with a conflict error when the folder has an item with the same name', function() {
+
+			return client.files.uploadFile('0', 'file.txt', 'first')
+				.then(() => assertRejects(client.files.uploadFile('0', 'FILE.txt', 'second'), errors.ConflictError, 'item_name_in_use'));
+		});
+
+		it('should report a conflict from the preflight check when the folder has an item with the same name', function() {
+
+			return client.files.uploadFile('0', 'file.txt', 'first')
+				.then(() => assertRejects(client.files.preflightUploadFile('0', { name: 'file.txt', size: 5 }), errors.ConflictError));
+		});
+
+		it('should move a file to another folder when the folder does not have an item with the same name', function() {
+
+			return Promise.all([
+				client.files.uploadFile('0', 'file.txt', 'content'),
+				client.folders.create('0', 'Target')
+			])
+				.then(results => client.files.move(results[0].entries[0].id, results[1].id)
+					.then(file => {
+						assert.equal(file.parent.id, results[1].id);
+						return client.folders.getItems('0');
+					}))
+				.then(items => {
+					assert.deepEqual(items.entries.map(item => item.name), ['Target']);
+				});
+		});
+
+		it('should keep previous versions and download any of them when new versions are uploaded', function() {
+
+			var fileID;
+
+			return client.files.uploadFile('0', 'file.txt', 'v1')
+				.then(uploaded => {
+					fileID = uploaded.entries[0].id;
+					return client.files.uploadNewFileVersion(fileID, Buffer.from('version 2'));
+				})
+				.then(uploaded => {
+					assert.propertyVal(uploaded.entries[0], 'size', 9);
+					return client.files.getVersions(fileID);
+				})
+				.then(versions => {
+					assert.propertyVal(versions, 'total_count', 1);
+					assert.propertyVal(versions.entries[0], 'size', 2);
+					return client.files.getReadStream(fileID, { version: versions.entries[0].id });
+				})
+				.then(readStream)
+				.then(content => {
+					assert.equal(content, 'v1');
+				});
+		});
+
+		it('should return the requested bytes of a file when a byte range is passed', function() {
+
+			return client.files.uploadFile('0', 'file.txt', '0123456789')
+				.then(uploaded => client.files.getReadStream(uploaded.entries[0].id, {
+					byteRange: [
+						2,
+						4
+					]
+				}))
+				.then(readStream)
+				.then(content => {
+					assert.equal(content, '234');
+				});
+		});
+
+		it('should reject with a not found error when the file does not exist', function() {
+
+			return assertRejects(client.files.get('12345'), errors.NotFoundError, 'not_found');
+		});
+
+		it('should reject a concurrent editor with the ETag they read when the file has changed', function() {
+
+			return client.files.uploadFile('0', 'file.txt', 'content')
+				.then(uploaded => {
+					var file = uploaded.entries[0];
+					return client.files.update(file.id, { name: 'first.txt', etag: file.etag })
+						.then(() => assertRejects(client.files.update(file.id, {
+							name: 'second.txt',
+							etag: file.etag
+						}), errors.PreconditionFailedError, 'precondition_failed'))
+						.then(err => {
+							assert.equal(err.etag, file.etag);
+							return assertRejects(client.files.uploadNewFileVersion(file.id, 'new content', { etag: file.etag }),
+								errors.PreconditionFailedError, 'precondition_failed');
+						})
+						.then(() => client.files.get(file.id));
+				})
+				.then(file => {
+					assert.propertyVal(file, 'name', 'first.txt');
+				});
+		});
+
+		it('should return 304 Not Modified when the If-None-Match header has the current ETag', function() {
+
+			return client.files.uploadFile('0', 'file.txt', 'content')
+				.then(uploaded => client.get(`/files/${uploaded.entries[0].id}`, { headers: { 'If-None-Match': '"0"' } }))
+				.then(response => {
+					assert.equal(response.statusCode, 304);
+					assert.equal(response.headers.etag, '"0"');
+				});
+		});
+
+		it('should serve unchanged files from the ETag cache and refetch changed ones when the client caches items', function() {
+
+			var cachingSDK = new BoxSDK({
+					clientID: 'id',
+					clientSecret: 'secret',
+					transport: fakeBox,
+					numMaxRetries: 0,
+					etagCache: true
+				}),
+				cachingClient = cachingSDK.getBasicClient('token'),
+				statusCodes = [],
+				fileID;
+
+			cachingSDK.use((context, next) => next().then(response => {
+				statusCodes.push(response.statusCode);
+				return response;
+			}));
+
+			return cachingClient.files.uploadFile('0', 'file.txt', 'content')
+				.then(uploaded => {
+					fileID = uploaded.entries[0].id;
+					return cachingClient.files.get(fileID);
+				})
+				.then(() => cachingClient.files.get(fileID))
+				.then(file => {
+					assert.propertyVal(file, 'name', 'file.txt');
+					return cachingClient.files.update(fileID, { name: 'renamed.txt' });
+				})
+				.then(() => cachingClient.files.get(fileID))
+				.then(file => {
+					assert.propertyVal(file, 'name', 'renamed.txt');
+					assert.deepEqual(statusCodes, [
+						201,
+						200,
+						304,
+						200,
+						200
+					]);
+				});
+		});
+	});
+
+	describe('trash', function() {
+
+		it('should move a folder and its items to the trash and restore them when the folder is restored', function() {
+
+			var folder,
+				fileID;
+
+			return client.folders.create('0', 'Trashed')
+				.then(created => {
+					folder = created;
+					return client.files.uploadFile(folder.id, 'file.txt', 'content');
+				})
+				.then(uploaded => {
+					fileID = uploaded.entries[0].id;
+					return assertRejects(client.folders.delete(folder.id), errors.ResponseError, 'folder_not_empty');
+				})
+				.then(() => client.folders.delete(folder.id, { recursive: true }))
+				.then(() => assertRejects(client.files.get(fileID), errors.NotFoundError, 'trashed'))
+				.then(() => client.trash.get())
+				.then(trash => {
+					assert.deepEqual(trash.entries.map(item => item.id), [folder.id]);
+					assert.propertyVal(trash.entries[0], 'item_status', 'trashed');
+					return client.folders.restoreFromTrash(folder.id);
+				})
+				.then(restored => {
+					assert.propertyVal(restored, 'item_status', 'active');
+					return client.files.get(fileID);
+				})
+				.then(file => {
+					assert.propertyVal(file, 'item_status', 'active');
+				});
+		});
+
+		it('should restore an item to the root folder when its folder has been deleted', function() {
+
+			var fileID;
+
+			return client.folders.create('0', 'Parent')
+				.then(folder => client.files.uploadFile(folder.id, 'file.txt', 'content')
+					.then(uploaded => {
+						fileID = uploaded.entries[0].id;
+						return client.files.delete(fileID);
+					})
+					.then(() => client.folders.delete(folder.id))
+					.then(() => client.folders.deletePermanently(folder.id)))
+				.then(() => client.files.restoreFromTrash(fileID))
+				.then(file => {
+					assert.equal(file.parent.id, '0');
+				});
+		});
+
+		it('should permanently delete an item when it is deleted from the trash', function() {
+
+			return client.files.uploadFile('0', 'file.txt', 'content')
+				.then(uploaded => {
+					var fileID = uploaded.entries[0].id;
+					return client.files.delete(fileID)
+						.then(() => client.files.deletePermanently(fileID))
+						.then(() => assertRejects(client.files.getTrashedFile(fileID), errors.NotFoundError));
+				});
+		});
+	});
+
+	describe('collaborations', function() {
+
+		var folderID,
+			otherUser;
+
+		beforeEach(function() {
+			otherUser = fakeBox.createUser('Other User', 'other@example.com');
+			return client.folders.create('0', 'Shared')
+				.then(folder => {
+					folderID = folder.id;
+				});
+		});
+
+		it('should add a user found by login as a collaborator when the user is not already one', function() {
+
+			return client.collaborations.createWithUserEmail('OTHER@example.com', folderID, client.collaborationRoles.EDITOR)
+				.then(collaboration => {
+					assert.propertyVal(collaboration, 'status', 'accepted');
+					assert.equal(collaboration.accessible_by.id, otherUser.id);
+					assert.equal(collaboration.item.id, folderID);
+					return client.folders.getCollaborations(folderID);
+				})
+				.then(collaborations => {
+					assert.propertyVal(collaborations, 'total_count', 1);
+					return assertRejects(client.collaborations.createWithUserID(otherUser.id, folderID, client.collaborationRoles.VIEWER),
+						errors.ConflictError, 'user_already_collaborator');
+				});
+		});
+
+		it('should create a pending collaboration when the login is not a user of the enterprise', function() {
+
+			return client.collaborations.createWithUserEmail('external@example.org', folderID, client.collaborationRoles.VIEWER)
+				.then(collaboration => {
+					assert.propertyVal(collaboration, 'status', 'pending');
+					assert.isNull(collaboration.accessible_by);
+					assert.propertyVal(collaboration, 'invite_email', 'external@example.org');
+				});
+		});
+
+		it('should make requests as another user when As-User is set', function() {
+
+			return client.collaborations.createWithUserID(otherUser.id, folderID, client.collaborationRoles.EDITOR)
+				.then(() => {
+					client.asUser(otherUser.id);
+					return client.folders.create(folderID, 'Created by other');
+				})
+				.then(folder => {
+					assert.equal(folder.created_by.id, otherUser.id);
+					return client.users.get(client.CURRENT_USER_ID);
+				})
+				.then(user => {
+					assert.propertyVal(user, 'login', 'other@example.com');
+				});
+		});
+	});
+
+	describe('metadata', function() {
+
+		var fileID;
+
+		beforeEach(function() {
+			return client.files.uploadFile('0', 'file.txt', 'content')
+				.then(uploaded => {
+					fileID = uploaded.entries[0].id;
+				});
+		});
+
+		it('should apply a template and update it with JSON Patch operations', function() {
+
+			return client.files.addMetadata(fileID, 'enterprise', 'contract', { status: 'draft' })
+				.then(metadata => {
+					assert.propertyVal(metadata, 'status', 'draft');
+					assert.propertyVal(metadata, '$parent', `file_${fileID}`);
+					return client.files.updateMetadata(fileID, 'enterprise', 'contract', [
+						{
+							op: 'replace',
+							path: '/status',
+							value: 'signed'
+						}
+					]);
+				})
+				.then(metadata => {
+					assert.propertyVal(metadata, 'status', 'signed');
+					assert.propertyVal(metadata, '$version', 1);
+					return client.files.getAllMetadata(fileID);
+				})
+				.then(metadata => {
+					assert.lengthOf(metadata.entries, 1);
+				});
+		});
+
+		it('should update an existing instance when metadata is set on an item that already has the template', function() {
+
+			return client.files.setMetadata(fileID, 'enterprise', 'contract', { status: 'draft' })
+				.then(() => client.files.setMetadata(fileID, 'enterprise', 'contract', { status: 'signed' }))
+				.then(metadata => {
+					assert.propertyVal(metadata, 'status', 'signed');
+				});
+		});
+
+		it('should not change the instance when one of the operations fails', function() {
+
+			return client.files.addMetadata(fileID, 'enterprise', 'contract', { status: 'draft' })
+				.then(() => assertRejects(client.files.updateMetadata(fileID, 'enterprise', 'contract', [
+					{
+						op: 'add',
+						path: '/owner',
+						value: 'legal'
+					},
+					{
+						op: 'test',
+						path: '/status',
+						value: 'signed'
+					}
+				]), errors.ConflictError))
+				.then(() => client.files.getMetadata(fileID, 'enterprise', 'contract'))
+				.then(metadata => {
+					assert.notProperty(metadata, 'owner');
+					assert.propertyVal(metadata, '$version', 0);
+				});
+		});
+
+		it('should reject with a not found error when the item does not have the template', function() {
+
+			return assertRejects(client.files.getMetadata(fileID, 'enterprise', 'contract'), errors.NotFoundError, 'instance_not_found');
+		});
+	});
+
+	describe('search', function() {
+
+		beforeEach(function() {
+			return client.folders.create('0', 'Reports')
+				.then(folder => Promise.each([
+					'Quarterly Report.pdf',
+					'annual report.docx',
+					'notes.txt'
+				], name => client.files.uploadFile(folder.id, name, name)));
+		});
+
+		it('should return the items whose names contain every term of the query, ignoring case', function() {
+
+			return client.search.query('REPORT')
+				.then(results => {
+					assert.propertyVal(results, 'total_count', 3);
+					assert.sameMembers(results.entries.map(item => item.name), [
+						'Reports',
+						'Quarterly Report.pdf',
+						'annual report.docx'
+					]);
+				});
+		});
+
+		it('should filter the results by type and file extension when they are passed', function() {
+
+			return client.search.query('report', { type: 'file', file_extensions: 'pdf' })
+				.then(results => {
+					assert.deepEqual(results.entries.map(item => item.name), ['Quarterly Report.pdf']);
+				});
+		});
+
+		it('should return the items with matching metadata when metadata filters are passed', function() {
+
+			return client.search.query('notes')
+				.then(results => client.files.addMetadata(results.entries[0].id, 'enterprise', 'review', { state: 'done' }))
+				.then(() => client.search.query('', {
+					mdfilters: [
+						{
+							templateKey: 'review',
+							scope: 'enterprise',
+							filters: { state: 'done' }
+						}
+					]
+				}))
+				.then(results => {
+					assert.deepEqual(results.entries.map(item => item.name), ['notes.txt']);
+				});
+		});
+
+		it('should not return items in the trash', function() {
+
+			return client.search.query('notes')
+				.then(results => client.files.delete(results.entries[0].id))
+				.then(() => client.search.query('notes'))
+				.then(results => {
+					assert.propertyVal(results, 'total_count', 0);
+				});
+		});
+	});
+
+	describe('authentication', function() {
+
+		it('should issue tokens for the user of a Client Credentials Grant when the user exists', function() {
+
+			var user = fakeBox.createUser('Service User', 'service@example.com');
+			var ccgSDK = new BoxSDK({
+				clientID: 'id',
+				clientSecret: 'secret',
+				transport: fakeBox,
+				enterpriseID: '1'
+			});
+
+			return ccgSDK.getCCGClient({ userID: user.id }).users.get('me')
+				.then(me => {
+					assert.propertyVal(me, 'id', user.id);
+				});
+		});
+
+		it('should respond with 401 Unauthorized when the request has no access token', function() {
+
+			return client.get('/users/me', { headers: { Authorization: undefined } })
+				.then(response => {
+					assert.equal(response.statusCode, 401);
+				});
+		});
+	});
+
+	describe('request()', function() {
+
+		it('should respond with 404 and record the request when the endpoint is not supported', function(done) {
+
+			fakeBox.request({
+				method: 'GET',
+				url: 'https://api.box.com/2.0/webhooks',
+				headers: { Authorization: 'Bearer token' },
+				json: true
+			}, (err, response) => {
+				assert.ifError(err);
+				assert.equal(response.statusCode, 404);
+				assert.propertyVal(response.body, 'code', 'not_found');
+				assert.equal(response.request.href, 'https://api.box.com/2.0/webhooks');
+				assert.deepEqual(fakeBox.unsupportedRequests, [
+					{
+						method: 'GET',
+						url: 'https://api.box.com/2.0/webhooks'
+					}
+				]);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,506 @@
+/**
+ * @fileoverview Tests for the HTTP Transport
+ */
+
+/* global describe, it, before, beforeEach, after, afterEach */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+var assert = require('chai').assert,
+	http = require('http'),
+	EventEmitter = require('events').EventEmitter,
+	nock = require('nock'),
+	Readable = require('stream').Readable,
+	HTTPTransport = require('../../../lib/transports/http-transport'),
+	proxy = require('../../../lib/transports/proxy');
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+var TEST_ROOT = 'https://api.box.com';
+
+/**
+ * Minimal AbortSignal, since older Node versions don't provide AbortController
+ * @returns {Object} The signal, with an abort() method to fire it
+ */
+function createAbortSignal() {
+	var emitter = new EventEmitter(),
+		signal = {
+			aborted: false,
+			addEventListener: (type, listener) => emitter.on(type, listener),
+			removeEventListener: (type, listener) => emitter.removeListener(type, listener),
+			abort() {
+				signal.aborted = true;
+				emitter.emit('abort');
+			}
+		};
+	return signal;
+}
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('HTTPTransport', function() {
+
+	var transport,
+		apiMock;
+
+	beforeEach(function() {
+		nock.disableNetConnect();
+		apiMock = nock(TEST_ROOT);
+		transport = new HTTPTransport();
+	});
+
+	afterEach(function() {
+		nock.cleanAll();
+	});
+
+	describe('request()', function() {
+
+		it('should send method, headers and query string when called', function(done) {
+
+			apiMock.get('/2.0/folders/0')
+				.query({ fields: 'id,name' })
+				.matchHeader('X-Test', 'foo')
+				.reply(200, { id: '0' });
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/folders/0`,
+				method: 'GET',
+				qs: { fields: 'id,name', limit: undefined },
+				headers: { 'X-Test': 'foo' },
+				json: true
+			}, function(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 200);
+				assert.deepEqual(response.body, { id: '0' });
+				done();
+			});
+		});
+
+		it('should encode body as JSON when json option is set', function(done) {
+
+			apiMock.post('/2.0/folders', { name: 'New Folder' })
+				.matchHeader('Content-Type', 'application/json')
+				.matchHeader('Accept', 'application/json')
+				.reply(201, { id: '123' });
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/folders`,
+				method: 'POST',
+				body: { name: 'New Folder' },
+				json: true
+			}, function(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 201);
+				assert.deepEqual(response.body, { id: '123' });
+				done();
+			});
+		});
+
+		it('should not override Content-Type header when one is passed', function(done) {
+
+			apiMock.put('/2.0/files/1/metadata/global/properties')
+				.matchHeader('Content-Type', 'application/json-patch+json')
+				.reply(200, {});
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/files/1/metadata/global/properties`,
+				method: 'PUT',
+				headers: { 'Content-Type': 'application/json-patch+json' },
+				body: [{ op: 'add', path: '/foo', value: 'bar' }],
+				json: true
+			}, function(err) {
+				assert.ifError(err);
+				done();
+			});
+		});
+
+		it('should send url-encoded form body when form option is set', function(done) {
+
+			apiMock.post('/oauth2/token', 'grant_type=refresh_token&refresh_token=rt')
+				.matchHeader('Content-Type', 'application/x-www-form-urlencoded')
+				.reply(200, { access_token: 'at' });
+
+			transport.request({
+				url: `${TEST_ROOT}/oauth2/token`,
+				method: 'POST',
+				form: {
+					grant_type: 'refresh_token',
+					refresh_token: 'rt'
+				},
+				json: true
+			}, function(err, response) {
+				assert.ifError(err);
+				assert.nestedPropertyVal(response, 'body.access_token', 'at');
+				done();
+			});
+		});
+
+		it('should send multipart body when formData option is set', function(done) {
+
+			var content = new Readable();
+			content._read = function() { /**/ };
+			content.push('file contents');
+			content.push(null);
+
+			apiMock.post('/2.0/files/content', function(body) {
+				var lines = body.split('\r\n');
+				assert.match(lines[0], /^-+\d+$/);
+				assert.equal(lines[1], 'Content-Disposition: form-data; name="attributes"');
+				assert.equal(lines[2], '');
+				assert.equal(lines[3], '{"name":"foo.txt"}');
+				assert.equal(lines[4], lines[0]);
+				assert.equal(lines[5], 'Content-Disposition: form-data; name="content"; filename="unused"');
+				assert.equal(lines[6], 'Content-Type: application/octet-stream');
+				assert.equal(lines[7], '');
+				assert.equal(lines[8], 'file contents');
+				assert.equal(lines[9], `${lines[0]}--`);
+				return true;
+			})
+				.matchHeader('Content-Type', /^multipart\/form-data; boundary=-+\d+$/)
+				.reply(201, { total_count: 1 });
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/files/content`,
+				method: 'POST',
+				formData: {
+					attributes: '{"name":"foo.txt"}',
+					content: {
+						value: content,
+						options: { filename: 'unused' }
+					}
+				},
+				json: true
+			}, function(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 201);
+				done();
+			});
+		});
+
+		it('should return response body as a buffer when json is disabled and encoding is null', function(done) {
+
+			apiMock.get('/2.0/files/1/thumbnail.png')
+				.reply(200, 'image bytes');
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/files/1/thumbnail.png`,
+				method: 'GET',
+				json: false,
+				encoding: null
+			}, function(err, response) {
+				assert.ifError(err);
+				assert.instanceOf(response.body, Buffer);
+				assert.equal(response.body.toString(), 'image bytes');
+				done();
+			});
+		});
+
+		it('should leave body undefined when json option is set and the response is empty', function(done) {
+
+			apiMock.delete('/2.0/files/1')
+				.reply(204);
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/files/1`,
+				method: 'DELETE',
+				json: true,
+				encoding: null
+			}, function(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 204);
+				assert.isUndefined(response.body);
+				done();
+			});
+		});
+
+		it('should not follow redirects when called', function(done) {
+
+			apiMock.get('/2.0/files/1/content')
+				.reply(302, '', { Location: 'https://dl.boxcloud.com/foo' });
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/files/1/content`,
+				method: 'GET',
+				json: true
+			}, function(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 302);
+				assert.nestedPropertyVal(response, 'headers.location', 'https://dl.boxcloud.com/foo');
+				done();
+			});
+		});
+
+		it('should attach request information to the response when called', function(done) {
+
+			apiMock.get('/2.0/users/me')
+				.reply(200, {});
+
+			var requestInfo = transport.request({
+				url: `${TEST_ROOT}/2.0/users/me`,
+				method: 'GET',
+				headers: { Authorization: 'Bearer at' }
+			}, function(err, response) {
+				assert.ifError(err);
+				assert.equal(response.request, requestInfo);
+				assert.doesNotThrow(() => JSON.stringify(response.request));
+				done();
+			});
+
+			assert.propertyVal(requestInfo, 'method', 'GET');
+			assert.nestedPropertyVal(requestInfo, 'uri.href', `${TEST_ROOT}/2.0/users/me`);
+			assert.nestedPropertyVal(requestInfo, 'headers.Authorization', 'Bearer at');
+		});
+
+		it('should call back with an error when the request fails', function(done) {
+
+			apiMock.get('/2.0/users/me')
+				.replyWithError('socket hang up');
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/users/me`,
+				method: 'GET'
+			}, function(err, response) {
+				assert.instanceOf(err, Error);
+				assert.propertyVal(err, 'message', 'socket hang up');
+				assert.isUndefined(response);
+				done();
+			});
+		});
+
+		it('should call back with a timeout error when the server does not respond in time', function(done) {
+
+			var server = http.createServer(() => { /* never respond */ });
+			nock.enableNetConnect('127.0.0.1');
+
+			server.listen(0, '127.0.0.1', () => {
+				transport.request({
+					url: `http://127.0.0.1:${server.address().port}/2.0/users/me`,
+					method: 'GET',
+					timeout: 10
+				}, function(err) {
+					assert.instanceOf(err, Error);
+					assert.propertyVal(err, 'code', 'ESOCKETTIMEDOUT');
+					server.close();
+					done();
+				});
+			});
+		});
+
+		it('should call back with an abort error when the signal is aborted before the response', function(done) {
+
+			var server = http.createServer(() => { /* never respond */ }),
+				signal = createAbortSignal();
+			nock.enableNetConnect('127.0.0.1');
+
+			server.on('request', () => signal.abort());
+			server.listen(0, '127.0.0.1', () => {
+				transport.request({
+					url: `http://127.0.0.1:${server.address().port}/2.0/users/me`,
+					method: 'GET',
+					signal
+				}, function(err) {
+					assert.instanceOf(err, Error);
+					assert.propertyVal(err, 'name', 'AbortError');
+					assert.propertyVal(err, 'code', 'ABORT_ERR');
+					server.close();
+					done();
+				});
+			});
+		});
+
+		it('should call back with an abort error without sending the request when the signal was already aborted', function(done) {
+
+			var signal = createAbortSignal();
+			signal.abort();
+
+			apiMock.get('/2.0/users/me')
+				.reply(200, {});
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/users/me`,
+				method: 'GET',
+				signal
+			}, function(err, response) {
+				assert.propertyVal(err, 'name', 'AbortError');
+				assert.isUndefined(response);
+				assert.isFalse(apiMock.isDone());
+				done();
+			});
+		});
+
+		it('should only call back once when the signal is aborted after the response', function(done) {
+
+			var signal = createAbortSignal(),
+				calls = 0;
+
+			apiMock.get('/2.0/users/me')
+				.reply(200, {});
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/users/me`,
+				method: 'GET',
+				json: true,
+				signal
+			}, function(err) {
+				calls += 1;
+				assert.ifError(err);
+				signal.abort();
+				setImmediate(() => {
+					assert.equal(calls, 1);
+					done();
+				});
+			});
+		});
+
+		it('should reuse the same agent for requests with the same agent options', function() {
+
+			var agentA = transport._getAgent({ protocol: 'https:' }, { agentOptions: { keepAlive: true } }),
+				agentB = transport._getAgent({ protocol: 'https:' }, { agentOptions: { keepAlive: true } }),
+				agentC = transport._getAgent({ protocol: 'https:' }, { agentOptions: { keepAlive: false } });
+
+			assert.strictEqual(agentA, agentB);
+			assert.notStrictEqual(agentA, agentC);
+		});
+	});
+
+	describe('proxy', function() {
+
+		it('should send http requests to the proxy with the full URL and proxy credentials when a proxy is set', function(done) {
+
+			var proxyServer = http.createServer((req, res) => {
+				assert.equal(req.url, 'http://example.com/2.0/users/me?fields=id');
+				assert.equal(req.headers.host, 'example.com');
+				assert.equal(req.headers['proxy-authorization'], `Basic ${Buffer.from('user:pass').toString('base64')}`);
+				res.writeHead(200, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify({ id: '1' }));
+			});
+			nock.enableNetConnect('127.0.0.1');
+
+			proxyServer.listen(0, '127.0.0.1', () => {
+				transport.request({
+					url: 'http://example.com/2.0/users/me',
+					qs: { fields: 'id' },
+					json: true,
+					proxy: {
+						url: `http://127.0.0.1:${proxyServer.address().port}`,
+						username: 'user',
+						password: 'pass'
+					}
+				}, function(err, response) {
+					proxyServer.close();
+					assert.ifError(err);
+					assert.deepEqual(response.body, { id: '1' });
+					done();
+				});
+			});
+		});
+
+		it('should send requests directly when the host is excluded from the proxy', function(done) {
+
+			apiMock.get('/2.0/users/me')
+				.reply(200, { id: '1' });
+
+			transport.request({
+				url: `${TEST_ROOT}/2.0/users/me`,
+				json: true,
+				proxy: {
+					url: 'http://proxy.example.com:8080',
+					noProxy: '.box.com'
+				}
+			}, function(err, response) {
+				assert.ifError(err);
+				assert.propertyVal(response, 'statusCode', 200);
+				done();
+			});
+		});
+
+		it('should use a tunneling agent for https requests when a proxy is set', function() {
+
+			var proxyConfig = { url: 'http://proxy.example.com:8080' },
+				parsedURL = { protocol: 'https:', hostname: 'dl.boxcloud.com' },
+				resolved = proxy.resolve(parsedURL, proxyConfig, {});
+
+			var agent = transport._getAgent(parsedURL, { agentOptions: { keepAlive: true } }, resolved);
+
+			assert.instanceOf(agent, proxy.TunnelingAgent);
+			assert.strictEqual(transport._getAgent(parsedURL, { agentOptions: { keepAlive: true } }, resolved), agent);
+			assert.notStrictEqual(transport._getAgent(parsedURL, { agentOptions: { keepAlive: true } }, null), agent);
+		});
+	});
+
+	describe('stream()', function() {
+
+		it('should emit response and stream the response body when called', function(done) {
+
+			apiMock.get('/2.0/files/1/content')
+				.reply(200, 'file contents');
+
+			var stream = transport.stream({
+					url: `${TEST_ROOT}/2.0/files/1/content`,
+					method: 'GET'
+				}),
+				chunks = [],
+				sawResponse = false;
+
+			stream.on('response', response => {
+				sawResponse = true;
+				assert.propertyVal(response, 'statusCode', 200);
+			});
+			stream.on('data', chunk => chunks.push(chunk));
+			stream.on('end', () => {
+				assert.isTrue(sawResponse);
+				assert.equal(Buffer.concat(chunks).toString(), 'file contents');
+				done();
+			});
+		});
+
+		it('should emit error when the request fails', function(done) {
+
+			apiMock.get('/2.0/files/1/content')
+				.replyWithError('connect ECONNREFUSED');
+
+			var stream = transport.stream({
+				url: `${TEST_ROOT}/2.0/files/1/content`,
+				method: 'GET'
+			});
+
+			stream.on('error', err => {
+				assert.propertyVal(err, 'message', 'connect ECONNREFUSED');
+				done();
+			});
+		});
+
+		it('should emit an abort error when the signal is aborted while the body is streaming', function(done) {
+
+			var signal = createAbortSignal(),
+				server = http.createServer((req, res) => {
+					res.writeHead(200);
+					res.write('partial contents');
+				});
+			nock.enableNetConnect('127.0.0.1');
+
+			server.listen(0, '127.0.0.1', () => {
+				var stream = transport.stream({
+					url: `http://127.0.0.1:${server.address().port}/2.0/files/1/content`,
+					method: 'GET',
+					signal
+				});
+
+				stream.once('data', () => signal.abort());
+				stream.on('error', err => {
+					assert.propertyVal(err, 'name', 'AbortError');
+					server.close();
+					done();
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Tests for loading the app configuration
+ */
+/* eslint-disable no-sync */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	errors = require('../../../lib/util/errors'),
+	appConfig = require('../../../lib/util/app-config');
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/**
+ * Create a valid configuration in the Developer Console format
+ * @param {string} clientID The client ID of the app
+ * @returns {Object} The configuration
+ */
+function createConfig(clientID) {
+	return {
+		boxAppSettings: {
+			clientID,
+			clientSecret: 'secret',
+			appAuth: {
+				publicKeyID: 'keyID',
+				privateKey: 'privateKey',
+				passphrase: 'passphrase'
+			}
+		},
+		enterpriseID: '1234'
+	};
+}
+
+/**
+ * Assert that a function throws a configuration error for a field
+ * @param {Function} fn The function
+ * @param {string} field The field the error should name
+ * @returns {void}
+ */
+function assertThrowsForField(fn, field) {
+	try {
+		fn();
+	} catch (err) {
+		assert.instanceOf(err, errors.ConfigurationError);
+		assert.equal(err.field, field);
+		assert.include(err.message, `"${field}"`);
+		return;
+	}
+	assert.fail(`Expected a configuration error for ${field}`);
+}
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('appConfig', function() {
+
+	var tmpDir;
+
+	beforeEach(function() {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'box-app-config-'));
+	});
+
+	afterEach(function() {
+		fs.readdirSync(tmpDir).forEach(file => fs.unlinkSync(path.join(tmpDir, file)));
+		fs.rmdirSync(tmpDir);
+	});
+
+	describe('validate()', function() {
+
+		it('should not throw when the configuration is valid', function() {
+
+			assert.doesNotThrow(() => appConfig.validate(createConfig('id')));
+		});
+
+		it('should not throw when the app auth settings are not filled in', function() {
+
+			var config = createConfig('id');
+			config.boxAppSettings.appAuth = {
+				publicKeyID: '',
+				privateKey: '',
+				passphrase: ''
+			};
+
+			assert.doesNotThrow(() => appConfig.validate(config));
+		});
+
+		it('should throw naming boxAppSettings when the settings are missing', function() {
+
+			assertThrowsForField(() => appConfig.validate({ enterpriseID: '1234' }), 'boxAppSettings');
+		});
+
+		it('should throw naming the client ID when it is missing', function() {
+
+			var config = createConfig('');
+
+			assertThrowsForField(() => appConfig.validate(config), 'boxAppSettings.clientID');
+		});
+
+		it('should throw naming the passphrase when a key ID is set without a passphrase', function() {
+
+			var config = createConfig('id');
+			delete config.boxAppSettings.appAuth.passphrase;
+
+			assertThrowsForField(() => appConfig.validate(config), 'boxAppSettings.appAuth.passphrase');
+		});
+
+		it('should throw naming the enterprise ID when it is not a string', function() {
+
+			var config = createConfig('id');
+			config.enterpriseID = 1234;
+
+			assertThrowsForField(() => appConfig.validate(config), 'enterpriseID');
+		});
+	});
+
+	describe('load()', function() {
+
+		it('should return a validated copy of the configuration when a configuration object is passed', function() {
+
+			var config = createConfig('id');
+
+			var loaded = appConfig.load(config, { env: {} });
+
+			assert.deepEqual(loaded, config);
+			assert.notEqual(loaded, config);
+		});
+
+		it('should read the configuration from the file when a path is passed', function() {
+
+			var configPath = path.join(tmpDir, 'config.json');
+			fs.writeFileSync(configPath, JSON.stringify(createConfig('fileID')));
+
+			var loaded = appConfig.load(configPath, { env: {} });
+
+			assert.nestedPropertyVal(loaded, 'boxAppSettings.clientID', 'fileID');
+		});
+
+		it('should read the configuration from the file in BOX_CONFIG_PATH when no source is passed', function() {
+
+			var configPath = path.join(tmpDir, 'config.json');
+			fs.writeFileSync(configPath, JSON.stringify(createConfig('fileID')));
+
+			var loaded = appConfig.load(null, {
+				env: {
+					BOX_CONFIG_PATH: configPath,
+					BOX_CONFIG: JSON.stringify(createConfig('envID'))
+				}
+			});
+
+			assert.nestedPropertyVal(loaded, 'boxAppSettings.clientID', 'fileID');
+		});
+
+		it('should parse the configuration in BOX_CONFIG when no source or path is passed', function() {
+
+			var loaded = appConfig.load(null, { env: { BOX_CONFIG: JSON.stringify(createConfig('envID')) } });
+
+			assert.nestedPropertyVal(loaded, 'boxAppSettings.clientID', 'envID');
+		});
+
+		it('should throw naming the environment variable when BOX_CONFIG is not valid JSON', function() {
+
+			assertThrowsForField(() => appConfig.load(null, { env: { BOX_CONFIG: '{"boxAppSettings":' } }), 'BOX_CONFIG');
+		});
+
+		it('should throw when the configuration file does not exist', function() {
+
+			assertThrowsForField(() => appConfig.load(path.join(tmpDir, 'missing.json'), { env: {} }), 'configPath');
+		});
+
+		it('should throw when no configuration is passed or set in the environment', function() {
+
+			assertThrowsForField(() => appConfig.load(null, { env: {} }), 'configPath');
+		});
+
+		it('should apply the overrides from environment variables when they are set', function() {
+
+			var keyPath = path.join(tmpDir, 'private_key.pem');
+			fs.writeFileSync(keyPath, 'keyFromFile');
+
+			var loaded = appConfig.load(createConfig('id'), {
+				env: {
+					BOX_CLIENT_ID: 'envClientID',
+					BOX_PUBLIC_KEY_ID: 'envKeyID',
+					BOX_PRIVATE_KEY_PATH: keyPath,
+					BOX_ENTERPRISE_ID: '5678'
+				}
+			});
+
+			assert.nestedPropertyVal(loaded, 'boxAppSettings.clientID', 'envClientID');
+			assert.nestedPropertyVal(loaded, 'boxAppSettings.appAuth.publicKeyID', 'envKeyID');
+			assert.nestedPropertyVal(loaded, 'boxAppSettings.appAuth.privateKey', 'keyFromFile');
+			assert.nestedPropertyVal(loaded, 'boxAppSettings.appAuth.passphrase', 'passphrase');
+			assert.propertyVal(loaded, 'enterpriseID', '5678');
+		});
+
+		it('should throw naming the environment variable when the private key file cannot be read', function() {
+
+			var env = { BOX_PRIVATE_KEY_PATH: path.join(tmpDir, 'missing.pem') };
+
+			assertThrowsForField(() => appConfig.load(createConfig('id'), { env }), 'BOX_PRIVATE_KEY_PATH');
+		});
+
+		it('should throw naming the field when an override makes the configuration invalid', function() {
+
+			var config = createConfig('id');
+			delete config.boxAppSettings.appAuth;
+
+			assertThrowsForField(() => appConfig.load(config, { env: { BOX_PUBLIC_KEY_ID: 'envKeyID' } }), 'boxAppSettings.appAuth.privateKey');
+		});
+
+		describe('with profiles', function() {
+
+			var config;
+
+			beforeEach(function() {
+				config = {
+					profiles: {
+						dev: createConfig('devID'),
+						prod: createConfig('prodID')
+					}
+				};
+			});
+
+			it('should use the configuration of the profile when a profile is passed', function() {
+
+				var loaded = appConfig.load(config, { profile: 'prod', env: { BOX_PROFILE: 'dev' } });
+
+				assert.nestedPropertyVal(loaded, 'boxAppSettings.clientID', 'prodID');
+			});
+
+			it('should use the configuration of the profile in BOX_PROFILE when no profile is passed', function() {
+
+				var loaded = appConfig.load(config, { env: { BOX_PROFILE: 'dev' } });
+
+				assert.nestedPropertyVal(loaded, 'boxAppSettings.clientID', 'devID');
+			});
+
+			it('should apply the overrides from environment variables to the profile when they are set', function() {
+
+				var loaded = appConfig.load(config, {
+					profile: 'dev',
+					env: { BOX_ENTERPRISE_ID: '5678' }
+				});
+
+				assert.propertyVal(loaded, 'enterpriseID', '5678');
+			});
+
+			it('should throw naming the profile when it is not defined', function() {
+
+				assertThrowsForField(() => appConfig.load(config, { profile: 'staging', env: {} }), 'profiles.staging');
+			});
+
+			it('should throw when no profile is selected', function() {
+
+				assertThrowsForField(() => appConfig.load(config, { env: {} }), 'profiles');
+			});
+		});
+	});
+});
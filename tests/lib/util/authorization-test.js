@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Tests for PKCE and state authorization helpers
+ */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	crypto = require('crypto'),
+	authorization = require('../../../lib/util/authorization');
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('authorization', function() {
+
+	describe('createCodeChallenge()', function() {
+
+		it('should derive the S256 challenge for the verifier when called', function() {
+
+			// Example from RFC 7636, Appendix B
+			var challenge = authorization.createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk');
+
+			assert.equal(challenge, 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+		});
+	});
+
+	describe('createPKCEPair()', function() {
+
+		it('should return a random URL-safe verifier and its challenge when called', function() {
+
+			var pair = authorization.createPKCEPair(),
+				otherPair = authorization.createPKCEPair();
+
+			assert.match(pair.codeVerifier, /^[A-Za-z0-9\-_]{43}$/);
+			assert.equal(pair.codeChallenge, authorization.createCodeChallenge(pair.codeVerifier));
+			assert.equal(pair.codeChallengeMethod, 'S256');
+			assert.notEqual(pair.codeVerifier, otherPair.codeVerifier);
+		});
+	});
+
+	describe('createState()', function() {
+
+		it('should return a different URL-safe value each time when called', function() {
+
+			var state = authorization.createState();
+
+			assert.match(state, /^[A-Za-z0-9\-_]{43}$/);
+			assert.notEqual(state, authorization.createState());
+		});
+	});
+
+	describe('verifyState()', function() {
+
+		it('should return true when the states match', function() {
+			assert.isTrue(authorization.verifyState('abc123', 'abc123'));
+		});
+
+		it('should return false when the states differ', function() {
+			assert.isFalse(authorization.verifyState('abc123', 'abc124'));
+			assert.isFalse(authorization.verifyState('abc123', 'abc1234'));
+		});
+
+		it('should return false when either state is missing', function() {
+			assert.isFalse(authorization.verifyState('abc123'));
+			assert.isFalse(authorization.verifyState(undefined, 'abc123'));
+			assert.isFalse(authorization.verifyState('', ''));
+		});
+
+		it('should compare the states without crypto.timingSafeEqual() when it is not available', function() {
+
+			var timingSafeEqual = crypto.timingSafeEqual;
+			crypto.timingSafeEqual = undefined;
+
+			try {
+				assert.isTrue(authorization.verifyState('abc123', 'abc123'));
+				assert.isFalse(authorization.verifyState('abc123', 'abc124'));
+				assert.isFalse(authorization.verifyState('abc123', 'abc1234'));
+			} finally {
+				crypto.timingSafeEqual = timingSafeEqual;
+			}
+		});
+	});
+});
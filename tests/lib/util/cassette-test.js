@@ -0,0 +1,616 @@
+/**
+ * @fileoverview Tests for recording and replaying API interactions
+ */
+
+/* global describe, it, beforeEach, afterEach */
+/* eslint-disable no-sync */
+
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	sinon = require('sinon'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	nock = require('nock'),
+	PassThrough = require('stream').PassThrough,
+	Promise = require('bluebird'),
+	errors = require('../../../lib/util/errors'),
+	Cassette = require('../../../lib/util/cassette');
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/**
+ * Read a stream to the end
+ * @param {Readable} stream The stream
+ * @returns {Promise<Object>} A promise resolving to the response emitted by the stream and its data
+ */
+function readStream(stream) {
+	var chunks = [],
+		response = null;
+
+	stream.on('response', res => {
+		response = res;
+	});
+	stream.on('data', chunk => chunks.push(chunk));
+	return Promise.fromCallback(callback => {
+		stream.on('end', () => callback(null, {
+			response,
+			data: Buffer.concat(chunks)
+		}));
+		stream.on('error', callback);
+	});
+}
+
+/**
+ * Create a recorded interaction
+ * @param {Object} request The request fields that differ from a GET of folder 0
+ * @param {Object} response The response fields that differ from an empty 200 response
+ * @returns {Object} The interaction
+ */
+function createInteraction(request, response) {
+	return {
+		request: Object.assign({
+			method: 'GET',
+			url: 'https://api.box.com/2.0/folders/0',
+			query: {},
+			body: null,
+			headers: {}
+		}, request),
+		response: Object.assign({
+			statusCode: 200,
+			headers: {},
+			body: null
+		}, response),
+		streaming: false,
+		error: null
+	};
+}
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('Cassette', function() {
+
+	var tmpDir,
+		cassettePath;
+
+	beforeEach(function() {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'box-cassette-'));
+		cassettePath = path.join(tmpDir, 'cassette.json');
+	});
+
+	afterEach(function() {
+		fs.readdirSync(tmpDir).forEach(file => fs.unlinkSync(path.join(tmpDir, file)));
+		fs.rmdirSync(tmpDir);
+	});
+
+	/**
+	 * Write interactions to the cassette file
+	 * @param {Object[]} interactions The interactions
+	 * @returns {void}
+	 */
+	function writeCassette(interactions) {
+		fs.writeFileSync(cassettePath, JSON.stringify({ interactions }));
+	}
+
+	describe('constructor', function() {
+
+		it('should throw when the mode is not supported', function() {
+
+			assert.throws(() => new Cassette(cassettePath, { mode: 'rewind' }), Error, 'Cassette mode must be one of: record, replay');
+		});
+	});
+
+	describe('recording', function() {
+
+		var cassette,
+			middleware;
+
+		beforeEach(function() {
+			cassette = new Cassette(cassettePath, { mode: Cassette.modes.RECORD });
+			middleware = cassette.middleware();
+		});
+
+		it('should record the request and response with the credentials redacted when the request succeeds', function() {
+
+			var response = {
+				statusCode: 200,
+				headers: {
+					'box-request-id': 'abc',
+					'set-cookie': 'session=secret'
+				},
+				body: { id: '0', type: 'folder' }
+			};
+			var context = {
+				options: {
+					method: 'GET',
+					url: 'https://api.box.com/2.0/folders/0?fields=id',
+					qs: { limit: 100, offset: undefined },
+					headers: {
+						Authorization: 'Bearer secretToken',
+						BoxApi: 'shared_link=https://app.box.com/s/abc&shared_link_password=secret',
+						'As-User': '1234'
+					},
+					json: true
+				},
+				streaming: false
+			};
+
+			return middleware(context, () => Promise.resolve(response))
+				.then(result => {
+					assert.equal(result, response);
+					return cassette.save();
+				})
+				.then(() => {
+					var contents = fs.readFileSync(cassettePath, 'utf8');
+					assert.notInclude(contents, 'secret');
+					assert.deepEqual(JSON.parse(contents).interactions, [
+						{
+							request: {
+								method: 'GET',
+								url: 'https://api.box.com/2.0/folders/0',
+								query: {
+									fields: 'id',
+									limit: '100'
+								},
+								body: null,
+								headers: {
+									Authorization: '[REDACTED]',
+									BoxApi: '[REDACTED]',
+									'As-User': '1234'
+								}
+							},
+							response: {
+								statusCode: 200,
+								headers: {
+									'box-request-id': 'abc',
+									'set-cookie': '[REDACTED]'
+								},
+								body: { json: { id: '0', type: 'folder' } }
+							},
+							streaming: false,
+							error: null
+						}
+					]);
+				});
+		});
+
+		it('should redact the secrets of token requests and responses when recording them', function() {
+
+			var response = {
+				statusCode: 200,
+				headers: {},
+				body: {
+					access_token: 'secretAccessToken',
+					expires_in: 3600,
+					token_type: 'bearer'
+				}
+			};
+			var context = {
+				options: {
+					method: 'POST',
+					url: 'https://api.box.com/oauth2/token',
+					form: {
+						grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+						client_id: 'clientID',
+						client_secret: 'secretClientSecret',
+						assertion: 'secretAssertion'
+					}
+				},
+				streaming: false
+			};
+
+			return middleware(context, () => Promise.resolve(response))
+				.then(() => {
+					var interaction = cassette.interactions[0];
+					assert.deepEqual(interaction.request.body, {
+						form: {
+							grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+							client_id: 'clientID',
+							client_secret: '[REDACTED]',
+							assertion: '[REDACTED]'
+						}
+					});
+					assert.deepEqual(interaction.response.body, {
+						json: {
+							access_token: '[REDACTED]',
+							expires_in: 3600,
+							token_type: 'bearer'
+						}
+					});
+					assert.equal(response.body.access_token, 'secretAccessToken', 'The response passed on should not be redacted');
+				});
+		});
+
+		it('should record the fields of multipart requests without reading streams when recording an upload', function() {
+
+			var fileStream = new PassThrough();
+			var context = {
+				options: {
+					method: 'POST',
+					url: 'https://upload.box.com/api/2.0/files/content',
+					formData: {
+						attributes: JSON.stringify({ name: 'test.txt', parent: { id: '0' } }),
+						content: {
+							value: fileStream,
+							options: { filename: 'unused' }
+						}
+					}
+				},
+				streaming: false
+			};
+
+			return middleware(context, () => Promise.resolve({ statusCode: 201, headers: {}, body: { total_count: 1 } }))
+				.then(() => {
+					assert.deepEqual(cassette.interactions[0].request.body, {
+						multipart: [
+							{
+								name: 'attributes',
+								value: '{"name":"test.txt","parent":{"id":"0"}}'
+							},
+							{
+								name: 'content',
+								filename: 'unused',
+								value: '[stream]'
+							}
+						]
+					});
+					assert.equal(fileStream.readableFlowing, null, 'The file stream should not be read');
+				});
+		});
+
+		it('should record a streamed response once it has been read and pass it on unchanged when the request is streaming', function() {
+
+			var responseStream = new PassThrough(),
+				response = {
+					statusCode: 200,
+					headers: { 'content-type': 'application/octet-stream' }
+				};
+			var context = {
+				options: {
+					method: 'GET',
+					url: 'https://dl.boxcloud.com/d/1/abc/download'
+				},
+				streaming: true
+			};
+
+			return middleware(context, () => Promise.resolve(responseStream))
+				.then(stream => {
+					setImmediate(() => {
+						responseStream.emit('response', response);
+						responseStream.write('file ');
+						responseStream.end('contents');
+					});
+					return readStream(stream);
+				})
+				.then(result => {
+					assert.equal(result.response, response);
+					assert.equal(result.data.toString(), 'file contents');
+					assert.lengthOf(cassette.interactions, 1);
+					assert.isTrue(cassette.interactions[0].streaming);
+					assert.deepEqual(cassette.interactions[0].response.body, { base64: Buffer.from('file contents').toString('base64') });
+				});
+		});
+
+		it('should record the response of a request that failed after getting one and propagate the error', function() {
+
+			var err = new Error('500 - Internal Server Error');
+			err.statusCode = 500;
+			err.response = {
+				statusCode: 500,
+				headers: {},
+				body: 'oops'
+			};
+			var context = {
+				options: {
+					method: 'DELETE',
+					url: 'https://api.box.com/2.0/files/1'
+				},
+				streaming: false
+			};
+
+			return middleware(context, () => Promise.reject(err))
+				.then(() => assert.fail('Expected the request to fail'), rejection => {
+					assert.equal(rejection, err);
+					assert.deepEqual(cassette.interactions[0].error, { message: '500 - Internal Server Error' });
+					assert.deepEqual(cassette.interactions[0].response.body, { text: 'oops' });
+				});
+		});
+
+		it('should not record a request that failed without a response', function() {
+
+			var err = new Error('connect ECONNREFUSED');
+			var context = {
+				options: { url: 'https://api.box.com/2.0/folders/0' },
+				streaming: false
+			};
+
+			return middleware(context, () => Promise.reject(err))
+				.then(() => assert.fail('Expected the request to fail'), rejection => {
+					assert.equal(rejection, err);
+					assert.lengthOf(cassette.interactions, 0);
+				});
+		});
+	});
+
+	describe('replaying', function() {
+
+		var cassette,
+			middleware,
+			next;
+
+		beforeEach(function() {
+			cassette = new Cassette(cassettePath);
+			middleware = cassette.middleware();
+			next = sinon.stub().callsFake(() => Promise.reject(new Error('Requests should not be sent')));
+		});
+
+		it('should return the recorded response without sending the request when the method, URL, query and body match', function() {
+
+			writeCassette([
+				createInteraction({
+					method: 'PUT',
+					query: { fields: 'id,name' },
+					body: { json: { name: 'Renamed' } }
+				}, {
+					headers: { 'box-request-id': 'abc' },
+					body: { json: { id: '0', name: 'Renamed' } }
+				})
+			]);
+			var context = {
+				options: {
+					method: 'PUT',
+					url: 'https://api.box.com/2.0/folders/0',
+					qs: { fields: 'id,name' },
+					headers: { Authorization: 'Bearer token' },
+					body: { name: 'Renamed' },
+					json: true
+				},
+				streaming: false
+			};
+
+			return middleware(context, next)
+				.then(response => {
+					assert.ok(next.notCalled);
+					assert.propertyVal(response, 'statusCode', 200);
+					assert.deepEqual(response.headers, { 'box-request-id': 'abc' });
+					assert.deepEqual(response.body, { id: '0', name: 'Renamed' });
+					assert.equal(response.request.href, 'https://api.box.com/2.0/folders/0?fields=id%2Cname');
+					assert.equal(response.request.method, 'PUT');
+					assert.notProperty(response.request.headers, 'Authorization');
+					assert.deepEqual(cassette.unplayedInteractions, []);
+				});
+		});
+
+		it('should reject with an unmatched request error and report the request when no interaction matches', function() {
+
+			writeCassette([createInteraction({ query: { fields: 'id' } })]);
+			var context = {
+				options: {
+					method: 'GET',
+					url: 'https://api.box.com/2.0/folders/0',
+					qs: { fields: 'name' }
+				},
+				streaming: false
+			};
+
+			return middleware(context, next)
+				.then(() => assert.fail('Expected the request to fail'), err => {
+					assert.instanceOf(err, errors.UnmatchedRequestError);
+					assert.equal(err.message, 'No recorded interaction matches GET https://api.box.com/2.0/folders/0?fields=name');
+					assert.lengthOf(cassette.unmatchedRequests, 1);
+					assert.deepEqual(cassette.unmatchedRequests[0].query, { fields: 'name' });
+					assert.lengthOf(cassette.unplayedInteractions, 1);
+				});
+		});
+
+		it('should replay each interaction once, in the order recorded, when the same request is made again', function() {
+
+			writeCassette([
+				createInteraction({}, { body: { json: { name: 'First' } } }),
+				createInteraction({}, { body: { json: { name: 'Second' } } })
+			]);
+			var context = {
+				options: { url: 'https://api.box.com/2.0/folders/0' },
+				streaming: false
+			};
+
+			return middleware(context, next)
+				.then(response => {
+					assert.deepEqual(response.body, { name: 'First' });
+					return middleware(context, next);
+				})
+				.then(response => {
+					assert.deepEqual(response.body, { name: 'Second' });
+					return middleware(context, next);
+				})
+				.then(() => assert.fail('Expected the request to fail'), err => {
+					assert.instanceOf(err, errors.UnmatchedRequestError);
+				});
+		});
+
+		it('should match token requests with different secrets when replaying', function() {
+
+			writeCassette([
+				createInteraction({
+					method: 'POST',
+					url: 'https://api.box.com/oauth2/token',
+					body: {
+						form: {
+							grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+							assertion: '[REDACTED]'
+						}
+					}
+				}, { body: { json: { access_token: '[REDACTED]', expires_in: 3600 } } })
+			]);
+			var context = {
+				options: {
+					method: 'POST',
+					url: 'https://api.box.com/oauth2/token',
+					form: {
+						grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+						assertion: 'newlySignedAssertion'
+					}
+				},
+				streaming: false
+			};
+
+			return middleware(context, next)
+				.then(response => {
+					assert.deepEqual(response.body, { access_token: '[REDACTED]', expires_in: 3600 });
+				});
+		});
+
+		it('should match multipart requests with stream values when replaying an upload', function() {
+
+			writeCassette([
+				createInteraction({
+					method: 'POST',
+					url: 'https://upload.box.com/api/2.0/files/content',
+					body: {
+						multipart: [
+							{
+								name: 'attributes',
+								value: '{"name":"test.txt"}'
+							},
+							{
+								name: 'content',
+								filename: 'unused',
+								value: '[stream]'
+							}
+						]
+					}
+				}, {
+					statusCode: 201,
+					body: { json: { total_count: 1 } }
+				})
+			]);
+			var context = {
+				options: {
+					method: 'POST',
+					url: 'https://upload.box.com/api/2.0/files/content',
+					formData: {
+						attributes: '{"name":"test.txt"}',
+						content: {
+							value: () => new PassThrough(),
+							options: { filename: 'unused' }
+						}
+					}
+				},
+				streaming: false
+			};
+
+			return middleware(context, next)
+				.then(response => {
+					assert.propertyVal(response, 'statusCode', 201);
+				});
+		});
+
+		it('should return a stream emitting the recorded response and body when the request is streaming', function() {
+
+			writeCassette([
+				createInteraction({ url: 'https://dl.boxcloud.com/d/1/abc/download' }, {
+					headers: { 'content-type': 'application/octet-stream' },
+					body: { base64: Buffer.from('file contents').toString('base64') }
+				})
+			]);
+			var context = {
+				options: { url: 'https://dl.boxcloud.com/d/1/abc/download' },
+				streaming: true
+			};
+
+			return middleware(context, next)
+				.then(readStream)
+				.then(result => {
+					assert.propertyVal(result.response, 'statusCode', 200);
+					assert.deepEqual(result.response.headers, { 'content-type': 'application/octet-stream' });
+					assert.equal(result.data.toString(), 'file contents');
+				});
+		});
+
+		it('should reject with the error for the status code when the recorded request failed', function() {
+
+			var interaction = createInteraction({ method: 'DELETE' }, {
+				statusCode: 500,
+				body: { text: 'oops' }
+			});
+			interaction.error = { message: '500 - Internal Server Error' };
+			writeCassette([interaction]);
+			var context = {
+				options: {
+					method: 'DELETE',
+					url: 'https://api.box.com/2.0/folders/0'
+				},
+				streaming: false
+			};
+
+			return middleware(context, next)
+				.then(() => assert.fail('Expected the request to fail'), err => {
+					assert.instanceOf(err, errors.ServerError);
+					assert.propertyVal(err, 'statusCode', 500);
+					assert.equal(err.message, '500 - Internal Server Error');
+				});
+		});
+	});
+
+	describe('with an SDK instance', function() {
+
+		var BoxSDK = require('../../../lib/box-node-sdk');
+
+		afterEach(function() {
+			nock.cleanAll();
+			nock.enableNetConnect();
+		});
+
+		it('should replay the calls recorded from the same code when the API is not reachable', function() {
+
+			nock('https://api.box.com')
+				.get('/2.0/folders/0/items')
+				.query({ limit: 2, offset: 0 })
+				.reply(200, {
+					entries: [{ type: 'file', id: '1' }],
+					total_count: 1,
+					limit: 2,
+					offset: 0
+				});
+
+			/**
+			 * Get the items of the root folder
+			 * @param {Cassette} cassette The cassette to add to the SDK
+			 * @returns {Promise<Object>} A promise resolving to the items
+			 */
+			function getItems(cassette) {
+				var sdk = new BoxSDK({
+					clientID: 'id',
+					clientSecret: 'secret',
+					numMaxRetries: 0
+				});
+				sdk.use(cassette.middleware());
+				return sdk.getBasicClient('token').folders.getItems('0', { limit: 2, offset: 0 });
+			}
+
+			var recorder = new Cassette(cassettePath, { mode: Cassette.modes.RECORD });
+
+			return getItems(recorder)
+				.then(items => {
+					assert.equal(items.entries[0].id, '1');
+					return recorder.save();
+				})
+				.then(() => {
+					nock.cleanAll();
+					nock.disableNetConnect();
+					return getItems(new Cassette(cassettePath));
+				})
+				.then(items => {
+					assert.deepEqual(items.entries, [{ type: 'file', id: '1' }]);
+				});
+		});
+	});
+});
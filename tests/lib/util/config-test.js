@@ -123,7 +123,19 @@ describe('Config', function() {
 			'unsupported algorithm': [Object.assign({algorithm: 'HS4096'}, TEST_APP_AUTH_PARAMS)],
 			'float expiration time': [Object.assign({expirationTime: 5.5}, TEST_APP_AUTH_PARAMS)],
 			'zero expiration time': [Object.assign({expirationTime: 0}, TEST_APP_AUTH_PARAMS)],
-			'too-long expiration time': [Object.assign({expirationTime: 61}, TEST_APP_AUTH_PARAMS)]
+			'too-long expiration time': [Object.assign({expirationTime: 61}, TEST_APP_AUTH_PARAMS)],
+			'empty key ID list': [{keyID: [], sign() { return 'jwt'; }}],
+			'sign not a function': [{keyID: TEST_KEY_ID, sign: 'jwt'}],
+			'missing private key for a key ID': [
+				{
+					keyID: [
+						TEST_KEY_ID,
+						'n3w'
+					],
+					privateKey: {[TEST_KEY_ID]: TEST_PRIVATE_KEY},
+					passphrase: TEST_PASSPHRASE
+				}
+			]
 		}, function(appAuthParams) {
 
 			it('should throw when passed invalid app auth config data', function() {
@@ -148,6 +160,189 @@ describe('Config', function() {
 
 			assert.nestedPropertyVal(config, 'appAuth.expirationTime', 60);
 		});
+
+		it('should create valid config without a private key when a sign function is passed', function() {
+
+			var sign = () => 'jwt';
+
+			var config = new Config({
+				clientID: 'id',
+				clientSecret: 'secret',
+				appAuth: {
+					keyID: [
+						TEST_KEY_ID,
+						'n3w'
+					],
+					sign
+				}
+			});
+
+			assert.nestedPropertyVal(config, 'appAuth.sign', sign);
+			assert.deepEqual(config.appAuth.keyID, [
+				TEST_KEY_ID,
+				'n3w'
+			]);
+		});
+
+		it('should create valid config when passed a private key and passphrase for each key ID', function() {
+
+			var config = new Config({
+				clientID: 'id',
+				clientSecret: 'secret',
+				appAuth: {
+					keyID: [
+						TEST_KEY_ID,
+						'n3w'
+					],
+					privateKey: {[TEST_KEY_ID]: TEST_PRIVATE_KEY, n3w: Buffer.from('new key')},
+					passphrase: TEST_PASSPHRASE
+				}
+			});
+
+			assert.instanceOf(config.appAuth.privateKey.n3w, Buffer);
+		});
+
+		leche.withData({
+			'missing request()': [{stream() { /**/ }}],
+			'missing stream()': [{request() { /**/ }}]
+		}, function(transport) {
+
+			it('should throw when passed a transport without the required methods', function() {
+
+				assert.throws(function() {
+					new Config({
+						clientID: 'id',
+						clientSecret: 'secret',
+						transport
+					});
+				});
+			});
+		});
+
+		it('should keep a reference to the transport when passed a valid transport', function() {
+
+			var transport = {
+				request() { /**/ },
+				stream() { /**/ }
+			};
+
+			var config = new Config({
+				clientID: 'id',
+				clientSecret: 'secret',
+				transport
+			});
+
+			assert.propertyVal(config.extend({}), 'transport', transport);
+		});
+
+		leche.withData({
+			'non-array middleware': [function() { /**/ }],
+			'non-function in middleware': [[{}]]
+		}, function(middleware) {
+
+			it('should throw when passed invalid middleware', function() {
+
+				assert.throws(function() {
+					new Config({
+						clientID: 'id',
+						clientSecret: 'secret',
+						middleware
+					});
+				});
+			});
+		});
+
+		leche.withData({
+			'missing rate': [{burst: 5}],
+			'zero rate': [{requestsPerSecond: 0}],
+			'fractional burst': [{requestsPerSecond: 5, burst: 1.5}],
+			'invalid per-user rate': [{requestsPerSecond: 5, perUser: {requestsPerSecond: -1}}]
+		}, function(rateLimit) {
+
+			it('should throw when passed an invalid rate limit', function() {
+
+				assert.throws(function() {
+					new Config({
+						clientID: 'id',
+						clientSecret: 'secret',
+						rateLimit
+					});
+				});
+			});
+		});
+
+		leche.withData({
+			'zero size': [{maxSize: 0}],
+			'fractional size': [{maxSize: 1.5}],
+			'negative buffer': [{expiryBufferMS: -1}]
+		}, function(tokenCache) {
+
+			it('should throw when passed invalid token cache settings', function() {
+
+				assert.throws(function() {
+					new Config({
+						clientID: 'id',
+						clientSecret: 'secret',
+						tokenCache
+					});
+				});
+			});
+		});
+
+		leche.withData({
+			string: ['yes'],
+			'zero size': [{maxSize: 0}],
+			'fractional size': [{maxSize: 1.5}]
+		}, function(etagCache) {
+
+			it('should throw when passed invalid ETag cache settings', function() {
+
+				assert.throws(function() {
+					new Config({
+						clientID: 'id',
+						clientSecret: 'secret',
+						etagCache
+					});
+				});
+			});
+		});
+
+		leche.withData({
+			'missing url': [{username: 'user'}],
+			'url without protocol': [{url: 'proxy.example.com:8080'}],
+			'numeric password': [{url: 'http://proxy.example.com:8080', username: 'user', password: 1234}],
+			'invalid no proxy list': [{url: 'http://proxy.example.com:8080', noProxy: true}]
+		}, function(proxy) {
+
+			it('should throw when passed invalid proxy settings', function() {
+
+				assert.throws(function() {
+					new Config({
+						clientID: 'id',
+						clientSecret: 'secret',
+						proxy
+					});
+				});
+			});
+		});
+
+		leche.withData({
+			'negative number': [-1],
+			'fractional number': [1.5],
+			string: ['2']
+		}, function(iteratorPrefetch) {
+
+			it('should throw when passed an invalid iterator prefetch', function() {
+
+				assert.throws(function() {
+					new Config({
+						clientID: 'id',
+						clientSecret: 'secret',
+						iteratorPrefetch
+					});
+				});
+			});
+		});
 	});
 
 	describe('extend()', function() {
@@ -236,4 +431,19 @@ describe('Config', function() {
 
 	});
 
+	describe('getValueForKeyID()', function() {
+
+		it('should return the value for the key ID when the setting maps key IDs to values', function() {
+			assert.equal(Config.getValueForKeyID({ key1: 'a', key2: 'b' }, 'key2'), 'b');
+		});
+
+		it('should return the setting itself when it holds a single value', function() {
+
+			var privateKey = Buffer.from('private key');
+
+			assert.equal(Config.getValueForKeyID('passphrase', 'key1'), 'passphrase');
+			assert.equal(Config.getValueForKeyID(privateKey, 'key1'), privateKey);
+		});
+	});
+
 });
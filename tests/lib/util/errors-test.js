@@ -204,6 +204,145 @@ describe('Errors', function() {
 
 			assert.deepEqual(errObject.request, expectedRequest);
 		});
+
+		it('should build an error of the class for the response status code when called', function() {
+			var expectedClasses = {
+				400: errors.ResponseError,
+				401: errors.UnauthorizedError,
+				403: errors.ForbiddenError,
+				404: errors.NotFoundError,
+				409: errors.ConflictError,
+				412: errors.PreconditionFailedError,
+				429: errors.RateLimitedError,
+				500: errors.ServerError,
+				503: errors.ServerError
+			};
+
+			Object.keys(expectedClasses).forEach(statusCode => {
+				var errObject = errors.buildResponseError({statusCode: parseInt(statusCode, 10)}, 'testMessage');
+				assert.ok(errObject instanceof expectedClasses[statusCode], `${statusCode} should build ${expectedClasses[statusCode].name}`);
+				assert.ok(errObject instanceof errors.ResponseError);
+				assert.ok(errObject instanceof Error);
+				assert.strictEqual(errObject.name, expectedClasses[statusCode].name);
+			});
+		});
+
+		it('should attach the Box error code, request ID and trace ID when present in response', function() {
+			var response = {
+				statusCode: 404,
+				body: {
+					type: 'error',
+					code: 'not_found',
+					request_id: '98nq34otquhet'
+				},
+				headers: {
+					'box-request-id': 'KUHFIUYVIYTFIYTF'
+				}
+			};
+
+			var errObject = errors.buildResponseError(response, 'testMessage');
+			assert.strictEqual(errObject.code, 'not_found');
+			assert.strictEqual(errObject.requestID, '98nq34otquhet');
+			assert.strictEqual(errObject.traceID, 'KUHFIUYVIYTFIYTF');
+		});
+
+		it('should set Box error code, request ID and trace ID to null when not present in response', function() {
+			var errObject = errors.buildResponseError({statusCode: 404}, 'testMessage');
+			assert.strictEqual(errObject.code, null);
+			assert.strictEqual(errObject.requestID, null);
+			assert.strictEqual(errObject.traceID, null);
+		});
+
+		it('should attach the conflicting items when building a conflict error', function() {
+			var conflict = {
+					type: 'folder',
+					id: '12345',
+					name: 'Test Folder'
+				},
+				response = {
+					statusCode: 409,
+					body: {
+						code: 'item_name_in_use',
+						context_info: {
+							conflicts: [conflict]
+						}
+					}
+				};
+
+			var errObject = errors.buildResponseError(response, 'testMessage');
+			assert.strictEqual(errObject.code, 'item_name_in_use');
+			assert.deepStrictEqual(errObject.conflicts, [conflict]);
+		});
+
+		it('should attach the ETag the request was made with when building a precondition failed error', function() {
+			var response = {
+				statusCode: 412,
+				body: {
+					code: 'precondition_failed'
+				},
+				request: {
+					method: 'PUT',
+					headers: {
+						'if-match': '3'
+					}
+				}
+			};
+
+			var errObject = errors.buildResponseError(response, 'testMessage');
+			assert.strictEqual(errObject.code, 'precondition_failed');
+			assert.strictEqual(errObject.etag, '3');
+		});
+
+		it('should set the ETag to null when building a precondition failed error for a request without If-Match', function() {
+			var errObject = errors.buildResponseError({statusCode: 412}, 'testMessage');
+			assert.strictEqual(errObject.etag, null);
+		});
+
+		it('should wrap a single conflicting item in an array when building a conflict error', function() {
+			var conflict = {
+					type: 'file',
+					id: '67890'
+				},
+				response = {
+					statusCode: 409,
+					body: {
+						context_info: {
+							conflicts: conflict
+						}
+					}
+				};
+
+			assert.deepStrictEqual(errors.buildResponseError(response).conflicts, [conflict]);
+			assert.deepStrictEqual(errors.buildResponseError({statusCode: 409}).conflicts, []);
+		});
+
+		it('should attach the Retry-After delay in seconds when building a rate limited error', function() {
+			var response = {
+				statusCode: 429,
+				headers: {
+					'retry-after': '30'
+				}
+			};
+
+			assert.strictEqual(errors.buildResponseError(response).retryAfter, 30);
+			assert.strictEqual(errors.buildResponseError({statusCode: 429}).retryAfter, null);
+		});
+
+		it('should convert a Retry-After date to seconds when building a rate limited error', function() {
+			var clock = sinon.useFakeTimers(Date.parse('Wed, 21 Oct 2015 07:27:30 GMT')),
+				response = {
+					statusCode: 429,
+					headers: {
+						'retry-after': 'Wed, 21 Oct 2015 07:28:00 GMT'
+					}
+				};
+
+			try {
+				assert.strictEqual(errors.buildResponseError(response).retryAfter, 30);
+			} finally {
+				clock.restore();
+			}
+		});
 	});
 
 	describe('buildUnexpectedResponseError()', function() {
@@ -233,6 +372,172 @@ describe('Errors', function() {
 			assert.strictEqual(errObject.statusCode, 505);
 			assert.strictEqual(errObject.response, response);
 		});
+
+		it('should build an error of the class for the response status code when called', function() {
+			var errObject = errors.buildUnexpectedResponseError({statusCode: 404});
+			assert.ok(errObject instanceof errors.NotFoundError);
+		});
+	});
+
+	describe('buildAbortError()', function() {
+		it('should build an error object identifying the request as aborted when called', function() {
+			var errObject = errors.buildAbortError();
+			assert.ok(errObject instanceof Error);
+			assert.strictEqual(errObject.message, 'The request was aborted');
+			assert.strictEqual(errObject.name, 'AbortError');
+			assert.strictEqual(errObject.code, 'ABORT_ERR');
+			assert.strictEqual(errObject.aborted, true);
+		});
+	});
+
+	describe('buildInsufficientScopeError()', function() {
+		it('should build an error naming the request and the missing scope when called', function() {
+			var params = {method: 'DELETE', url: 'https://api.box.com/2.0/files/1234'};
+
+			var errObject = errors.buildInsufficientScopeError('item_delete', [
+				'item_preview',
+				'item_download'
+			], params);
+			assert.ok(errObject instanceof errors.InsufficientScopeError);
+			assert.ok(errObject instanceof Error);
+			assert.strictEqual(errObject.name, 'InsufficientScopeError');
+			assert.strictEqual(errObject.message, 'DELETE https://api.box.com/2.0/files/1234 requires the item_delete scope, but the token is only scoped to: item_preview, item_download');
+			assert.strictEqual(errObject.requiredScope, 'item_delete');
+			assert.deepEqual(errObject.scopes, [
+				'item_preview',
+				'item_download'
+			]);
+		});
+	});
+
+	describe('buildConfigurationError()', function() {
+		it('should build an error naming the invalid field when called', function() {
+
+			var errObject = errors.buildConfigurationError('boxAppSettings.clientID', 'must be a non-empty string');
+			assert.ok(errObject instanceof errors.ConfigurationError);
+			assert.ok(errObject instanceof TypeError);
+			assert.strictEqual(errObject.name, 'ConfigurationError');
+			assert.strictEqual(errObject.message, 'Invalid configuration field "boxAppSettings.clientID": must be a non-empty string');
+			assert.strictEqual(errObject.field, 'boxAppSettings.clientID');
+		});
+	});
+
+	describe('buildUnmatchedRequestError()', function() {
+		it('should build an error describing the request when called', function() {
+
+			var request = {
+				method: 'GET',
+				url: 'https://api.box.com/2.0/folders/0',
+				query: { fields: 'id,name' },
+				body: null,
+				headers: {}
+			};
+
+			var errObject = errors.buildUnmatchedRequestError(request);
+			assert.ok(errObject instanceof errors.UnmatchedRequestError);
+			assert.ok(errObject instanceof Error);
+			assert.strictEqual(errObject.name, 'UnmatchedRequestError');
+			assert.strictEqual(errObject.message, 'No recorded interaction matches GET https://api.box.com/2.0/folders/0?fields=id%2Cname');
+			assert.strictEqual(errObject.request, request);
+		});
+	});
+
+	describe('buildNetworkError()', function() {
+		it('should build a network error keeping the message and system error details when called', function() {
+			var requestError = new Error('connect ECONNREFUSED 127.0.0.1:443');
+			requestError.code = 'ECONNREFUSED';
+			requestError.syscall = 'connect';
+			requestError.request = {method: 'GET'};
+
+			var errObject = errors.buildNetworkError(requestError);
+			assert.ok(errObject instanceof errors.NetworkError);
+			assert.ok(errObject instanceof Error);
+			assert.strictEqual(errObject.name, 'NetworkError');
+			assert.strictEqual(errObject.message, 'connect ECONNREFUSED 127.0.0.1:443');
+			assert.strictEqual(errObject.code, 'ECONNREFUSED');
+			assert.strictEqual(errObject.syscall, 'connect');
+			assert.strictEqual(errObject.request, requestError.request);
+			assert.strictEqual(errObject.stack, requestError.stack);
+		});
+	});
+
+	describe('toTypedError()', function() {
+		it('should convert an error with a response to the class for its status code when called', function() {
+			var response = {
+					statusCode: 503,
+					body: {request_id: 'abc'}
+				},
+				requestError = new Error('503 - Service Unavailable');
+			requestError.statusCode = 503;
+			requestError.response = response;
+			requestError.maxRetriesExceeded = true;
+
+			var errObject = errors.toTypedError(requestError);
+			assert.ok(errObject instanceof errors.ServerError);
+			assert.strictEqual(errObject.message, '503 - Service Unavailable');
+			assert.strictEqual(errObject.statusCode, 503);
+			assert.strictEqual(errObject.response, response);
+			assert.strictEqual(errObject.requestID, 'abc');
+			assert.strictEqual(errObject.maxRetriesExceeded, true);
+		});
+
+		it('should convert an error from a request without a response to a network error when called', function() {
+			var requestError = new Error('ESOCKETTIMEDOUT');
+			requestError.code = 'ESOCKETTIMEDOUT';
+			requestError.request = {};
+
+			var errObject = errors.toTypedError(requestError);
+			assert.ok(errObject instanceof errors.NetworkError);
+			assert.strictEqual(errObject.code, 'ESOCKETTIMEDOUT');
+		});
+
+		it('should return the error unchanged when it is already typed or did not come from a request', function() {
+			var responseError = errors.buildResponseError({statusCode: 404}),
+				abortError = errors.buildAbortError(),
+				otherError = new Error('Something else');
+
+			assert.strictEqual(errors.toTypedError(responseError), responseError);
+			assert.strictEqual(errors.toTypedError(abortError), abortError);
+			assert.strictEqual(errors.toTypedError(otherError), otherError);
+		});
+	});
+
+	describe('unwrapAndThrow()', function() {
+		it('should throw the cause of a wrapped error when called', function() {
+			var cause = new Error('Original'),
+				wrapper = new Error('Wrapper');
+			wrapper.cause = cause;
+
+			assert.throws(() => errors.unwrapAndThrow(wrapper), err => err === cause);
+		});
+
+		it('should throw a typed error when called with an error from a request', function() {
+			var cause = new Error('409 - Conflict'),
+				wrapper = new Error('Wrapper');
+			cause.statusCode = 409;
+			cause.response = {
+				statusCode: 409,
+				body: {code: 'item_name_in_use'}
+			};
+			wrapper.cause = cause;
+
+			assert.throws(() => errors.unwrapAndThrow(wrapper), err => err instanceof errors.ConflictError && err.code === 'item_name_in_use');
+		});
+
+		it('should throw a network error keeping the retry flags when called with a request error without a response', function() {
+			var cause = new Error('socket hang up'),
+				wrapper = new Error('Wrapper');
+			cause.code = 'ECONNRESET';
+			cause.request = {};
+			cause.maxRetriesExceeded = true;
+			cause.retryDeadlineExceeded = true;
+			wrapper.cause = cause;
+
+			assert.throws(() => errors.unwrapAndThrow(wrapper), err => err instanceof errors.NetworkError &&
+				err.code === 'ECONNRESET' &&
+				err.maxRetriesExceeded === true &&
+				err.retryDeadlineExceeded === true);
+		});
 	});
 
 });
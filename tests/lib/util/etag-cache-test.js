@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Tests for the LRU ETag cache
+ */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	ETagCache = require('../../../lib/util/etag-cache');
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('ETagCache', function() {
+
+	describe('get()', function() {
+
+		it('should return the cached entry when the item is cached', function() {
+
+			var cache = new ETagCache(),
+				entry = { '[""]': { etag: '1', body: { id: '123' } } };
+
+			cache.set('files/123', entry);
+
+			assert.equal(cache.get('files/123'), entry);
+		});
+
+		it('should return null when the item is not cached', function() {
+
+			var cache = new ETagCache();
+
+			assert.isNull(cache.get('files/123'));
+		});
+	});
+
+	describe('set()', function() {
+
+		it('should drop the least recently used item when the cache is full', function() {
+
+			var cache = new ETagCache({ maxSize: 2 });
+
+			cache.set('files/1', {});
+			cache.set('files/2', {});
+			cache.get('files/1');
+			cache.set('files/3', {});
+
+			assert.equal(cache.size, 2);
+			assert.isNotNull(cache.get('files/1'));
+			assert.isNull(cache.get('files/2'));
+			assert.isNotNull(cache.get('files/3'));
+		});
+
+		it('should replace the entry when the item is already cached', function() {
+
+			var cache = new ETagCache({ maxSize: 2 }),
+				entry = {};
+
+			cache.set('files/1', {});
+			cache.set('files/1', entry);
+
+			assert.equal(cache.size, 1);
+			assert.equal(cache.get('files/1'), entry);
+		});
+	});
+
+	describe('delete()', function() {
+
+		it('should remove the item when called', function() {
+
+			var cache = new ETagCache();
+
+			cache.set('files/1', {});
+			cache.set('folders/1', {});
+			cache.delete('files/1');
+
+			assert.isNull(cache.get('files/1'));
+			assert.equal(cache.size, 1);
+		});
+	});
+
+	describe('clear()', function() {
+
+		it('should remove all items when called', function() {
+
+			var cache = new ETagCache();
+
+			cache.set('files/1', {});
+			cache.set('folders/1', {});
+			cache.clear();
+
+			assert.equal(cache.size, 0);
+		});
+	});
+});
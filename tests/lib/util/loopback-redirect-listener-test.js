@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Tests for the loopback redirect listener
+ */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	http = require('http'),
+	nock = require('nock'),
+	Promise = require('bluebird'),
+	LoopbackRedirectListener = require('../../../lib/util/loopback-redirect-listener');
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/**
+ * Make a GET request, as the browser would when redirected
+ * @param {string} url The URL to request
+ * @returns {Promise<Object>} A promise resolving to the status code and body of the response
+ */
+function get(url) {
+	// eslint-disable-next-line promise/avoid-new
+	return new Promise((resolve, reject) => {
+		http.get(url, res => {
+			var body = '';
+			res.setEncoding('utf8');
+			res.on('data', chunk => {
+				body += chunk;
+			});
+			res.on('end', () => resolve({ statusCode: res.statusCode, body }));
+		}).on('error', reject);
+	});
+}
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('LoopbackRedirectListener', function() {
+
+	var listener;
+
+	before(function() {
+		// The browser redirects are real requests to the listener, which other suites may have disabled
+		nock.enableNetConnect('127.0.0.1');
+	});
+
+	after(function() {
+		nock.enableNetConnect();
+	});
+
+	afterEach(function() {
+		listener.close();
+	});
+
+	it('should resolve to a localhost redirect URI on a free port when listening', function() {
+
+		listener = new LoopbackRedirectListener();
+
+		return listener.listen()
+			.then(redirectURI => {
+				assert.match(redirectURI, /^http:\/\/127\.0\.0\.1:\d+\/callback$/);
+				assert.equal(listener.redirectURI, redirectURI);
+			});
+	});
+
+	it('should capture the query parameters of the redirect when the browser is redirected', function() {
+
+		listener = new LoopbackRedirectListener({ path: '/box' });
+
+		return listener.listen()
+			.then(redirectURI => Promise.all([
+				listener.waitForCallback(),
+				get(`${redirectURI}?code=abc&state=xyz`)
+			]))
+			.then(results => {
+				assert.deepEqual(results[0], { code: 'abc', state: 'xyz' });
+				assert.equal(results[1].statusCode, 200);
+				assert.include(results[1].body, 'Authorization complete');
+			});
+	});
+
+	it('should respond with a 404 and keep waiting when a different path is requested', function() {
+
+		listener = new LoopbackRedirectListener();
+
+		return listener.listen()
+			.then(redirectURI => get(redirectURI.replace('/callback', '/favicon.ico')))
+			.then(response => {
+				assert.equal(response.statusCode, 404);
+				return Promise.all([
+					listener.waitForCallback(),
+					get(`${listener.redirectURI}?code=abc&state=xyz`)
+				]);
+			})
+			.then(results => {
+				assert.propertyVal(results[0], 'code', 'abc');
+			});
+	});
+
+	it('should reject when the redirect is not received before the timeout', function() {
+
+		listener = new LoopbackRedirectListener({ timeoutMS: 10 });
+
+		return listener.listen()
+			.then(() => listener.waitForCallback())
+			.then(() => {
+				assert.fail('Expected waitForCallback() to reject');
+			}, err => {
+				assert.equal(err.message, 'Timed out waiting for the authorization redirect');
+			});
+	});
+});
@@ -23,6 +23,73 @@ var sandbox = sinon.createSandbox(),
 	clientFake,
 	MODULE_FILE_PATH = '../../../lib/util/paging-iterator';
 
+/**
+ * Create a response for a page of a marker-based collection
+ * @param {Object[]} entries - The items on the page
+ * @param {string} marker - The marker the page was requested with
+ * @param {?string} nextMarker - The marker for the next page, or null if this is the last page
+ * @returns {Object} The response
+ */
+function createMarkerPage(entries, marker, nextMarker) {
+	return {
+		statusCode: 200,
+		request: {
+			href: `https://api.box.com/2.0/items?marker=${marker}&limit=2`,
+			uri: {
+				query: `marker=${marker}&limit=2`
+			},
+			headers: {},
+			method: 'GET'
+		},
+		body: {
+			entries,
+			limit: 2,
+			next_marker: nextMarker
+		}
+	};
+}
+
+/**
+ * Create a response for a page of an offset-based collection
+ * @param {Object[]} entries - The items on the page
+ * @param {int} offset - The offset of the page
+ * @param {int} totalCount - The total number of items in the collection
+ * @returns {Object} The response
+ */
+function createOffsetPage(entries, offset, totalCount) {
+	return {
+		statusCode: 200,
+		request: {
+			href: `https://api.box.com/2.0/items?offset=${offset}&limit=2`,
+			uri: {
+				query: `offset=${offset}&limit=2`
+			},
+			headers: {},
+			method: 'GET'
+		},
+		body: {
+			entries,
+			offset,
+			limit: 2,
+			total_count: totalCount
+		}
+	};
+}
+
+/**
+ * Create a promise along with the functions to settle it
+ * @returns {Object} The promise, with its resolve and reject functions
+ */
+function defer() {
+	var deferred = {};
+	// eslint-disable-next-line promise/avoid-new
+	deferred.promise = new Promise((resolve, reject) => {
+		deferred.resolve = resolve;
+		deferred.reject = reject;
+	});
+	return deferred;
+}
+
 // ------------------------------------------------------------------------------
 // Tests
 // ------------------------------------------------------------------------------
@@ -1069,6 +1136,470 @@ describe('PagingIterator', function() {
 		});
 	});
 
+	describe('prefetching', function() {
+
+		var items;
+
+		beforeEach(function() {
+			items = [
+				{id: '1'},
+				{id: '2'},
+				{id: '3'},
+				{id: '4'},
+				{id: '5'},
+				{id: '6'},
+				{id: '7'},
+				{id: '8'}
+			];
+		});
+
+		it('should fetch marker pages one after another ahead of the items being read when prefetch option is set', function() {
+
+			var getStub = sandbox.stub(clientFake, 'get');
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {marker: 'page2'}}))
+				.returns(Promise.resolve(createMarkerPage(items.slice(2, 4), 'page2', 'page3')));
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {marker: 'page3'}}))
+				.returns(Promise.resolve(createMarkerPage(items.slice(4, 6), 'page3', 'page4')));
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {marker: 'page4'}}))
+				.returns(Promise.resolve(createMarkerPage(items.slice(6), 'page4', null)));
+
+			var iterator = new PagingIterator(createMarkerPage(items.slice(0, 2), 'page1', 'page2'), clientFake, {prefetch: 2});
+
+			return iterator.next()
+				.then(data => {
+					assert.propertyVal(data, 'value', items[0]);
+					return Promise.delay(1);
+				})
+				.then(() => {
+					// Two pages are fetched ahead, without waiting for their items to be read
+					assert.equal(getStub.callCount, 2);
+					assert.deepEqual(getStub.getCalls().map(call => call.args[1].qs.marker), [
+						'page2',
+						'page3'
+					]);
+					return iterator.toArray();
+				})
+				.then(result => {
+					assert.deepEqual(result, items.slice(1));
+					assert.equal(getStub.callCount, 3);
+				});
+		});
+
+		it('should fetch offset pages concurrently and return items in order when prefetch option is set and total count is known', function() {
+
+			var page2 = defer(),
+				page3 = defer(),
+				page4 = defer();
+
+			var getStub = sandbox.stub(clientFake, 'get');
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {offset: 2}})).returns(page2.promise);
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {offset: 4}})).returns(page3.promise);
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {offset: 6}})).returns(page4.promise);
+
+			var iterator = new PagingIterator(createOffsetPage(items.slice(0, 2), 0, 8), clientFake, {prefetch: 3}),
+				result = iterator.toArray();
+
+			return Promise.delay(1)
+				.then(() => {
+					// All remaining pages are requested at once
+					assert.equal(getStub.callCount, 3);
+
+					page4.resolve(createOffsetPage(items.slice(6), 6, 8));
+					page3.resolve(createOffsetPage(items.slice(4, 6), 4, 8));
+					page2.resolve(createOffsetPage(items.slice(2, 4), 2, 8));
+					return result;
+				})
+				.then(collected => {
+					assert.deepEqual(collected, items);
+					assert.equal(getStub.callCount, 3);
+				});
+		});
+
+		it('should fetch a failed offset page again when the next item is read after the error', function() {
+
+			var error = new Error('Network failure'),
+				getStub = sandbox.stub(clientFake, 'get');
+
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {offset: 2}}))
+				.onFirstCall()
+				.callsFake(() => Promise.reject(error))
+				.onSecondCall()
+				.callsFake(() => Promise.resolve(createOffsetPage(items.slice(2, 4), 2, 6)));
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {offset: 4}}))
+				.callsFake(() => Promise.resolve(createOffsetPage(items.slice(4, 6), 4, 6)));
+
+			var iterator = new PagingIterator(createOffsetPage(items.slice(0, 2), 0, 6), clientFake, {prefetch: 2});
+
+			return iterator.toArray()
+				.then(() => assert.fail('Expected toArray() to be rejected'))
+				.catch(err => {
+					assert.equal(err, error);
+					return iterator.toArray();
+				})
+				.then(result => {
+					assert.deepEqual(result, items.slice(2, 6));
+				});
+		});
+
+		it('should not fetch pages ahead when prefetch option is not set', function() {
+
+			var getStub = sandbox.stub(clientFake, 'get');
+
+			var iterator = new PagingIterator(createOffsetPage(items.slice(0, 2), 0, 8), clientFake);
+
+			return iterator.next()
+				.then(() => Promise.delay(1))
+				.then(() => {
+					assert.equal(getStub.callCount, 0);
+				});
+		});
+	});
+
+	describe('collection helpers', function() {
+
+		var items,
+			iterator;
+
+		beforeEach(function() {
+			items = [
+				{id: '1'},
+				{id: '2'},
+				{id: '3'},
+				{id: '4'},
+				{id: '5'}
+			];
+
+			var getStub = sandbox.stub(clientFake, 'get');
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {marker: 'page2'}}))
+				.returns(Promise.resolve(createMarkerPage(items.slice(2, 4), 'page2', 'page3')));
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {marker: 'page3'}}))
+				.returns(Promise.resolve(createMarkerPage(items.slice(4), 'page3', null)));
+
+			iterator = new PagingIterator(createMarkerPage(items.slice(0, 2), 'page1', 'page2'), clientFake);
+		});
+
+		describe('Symbol.asyncIterator', function() {
+
+			it('should return the iterator itself when called', function() {
+
+				var mapped = iterator.map(item => item);
+
+				assert.equal(iterator[Symbol.asyncIterator](), iterator);
+				assert.equal(mapped[Symbol.asyncIterator](), mapped);
+			});
+		});
+
+		describe('toArray()', function() {
+
+			it('should collect every item from all pages when called without options', function() {
+
+				return iterator.toArray()
+					.then(result => {
+						assert.deepEqual(result, items);
+						assert.equal(clientFake.get.callCount, 2);
+					});
+			});
+
+			it('should stop fetching pages once the maximum number of items is collected when max option is passed', function() {
+
+				return iterator.toArray({max: 2})
+					.then(result => {
+						assert.deepEqual(result, items.slice(0, 2));
+						assert.equal(clientFake.get.callCount, 0);
+
+						return iterator.toArray({max: 3});
+					})
+					.then(result => {
+						assert.deepEqual(result, items.slice(2, 5));
+					});
+			});
+
+			it('should return an empty array when max option is zero', function() {
+
+				return iterator.toArray({max: 0})
+					.then(result => {
+						assert.deepEqual(result, []);
+					});
+			});
+
+			it('should return rejected promise when fetching a page fails', function() {
+
+				var error = new Error('Network failure');
+				clientFake.get.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {marker: 'page2'}}))
+					.callsFake(() => Promise.reject(error));
+
+				return iterator.toArray()
+					.then(() => assert.fail('Expected toArray() to be rejected'))
+					.catch(err => {
+						assert.equal(err, error);
+					});
+			});
+		});
+
+		describe('map()', function() {
+
+			it('should return an iterator over the results of the mapper when called', function() {
+
+				return iterator.map(item => item.id)
+					.toArray()
+					.then(result => {
+						assert.deepEqual(result, [
+							'1',
+							'2',
+							'3',
+							'4',
+							'5'
+						]);
+					});
+			});
+
+			it('should wait for the mapper when it returns a promise', function() {
+
+				return iterator.map(item => Promise.delay(1).then(() => Number(item.id)))
+					.toArray()
+					.then(result => {
+						assert.deepEqual(result, [
+							1,
+							2,
+							3,
+							4,
+							5
+						]);
+					});
+			});
+		});
+
+		describe('filter()', function() {
+
+			it('should return an iterator over the items matching the predicate when called', function() {
+
+				return iterator.filter(item => Number(item.id) % 2 === 0)
+					.toArray()
+					.then(result => {
+						assert.deepEqual(result, [
+							items[1],
+							items[3]
+						]);
+					});
+			});
+
+			it('should wait for the predicate when it returns a promise', function() {
+
+				return iterator.filter(item => Promise.resolve(item.id === '5'))
+					.toArray()
+					.then(result => {
+						assert.deepEqual(result, [items[4]]);
+					});
+			});
+		});
+
+		describe('take()', function() {
+
+			it('should return an iterator over the first items without fetching further pages when called', function() {
+
+				var firstTwo = iterator.take(2);
+
+				return firstTwo.next()
+					.then(data => {
+						assert.propertyVal(data, 'value', items[0]);
+						return firstTwo.next();
+					})
+					.then(data => {
+						assert.propertyVal(data, 'value', items[1]);
+						return firstTwo.next();
+					})
+					.then(data => {
+						assert.propertyVal(data, 'done', true);
+						assert.propertyVal(data, 'value', undefined);
+						assert.equal(clientFake.get.callCount, 0);
+					});
+			});
+
+			it('should be done when the collection has fewer items than requested', function() {
+
+				return iterator.take(10)
+					.toArray()
+					.then(result => {
+						assert.deepEqual(result, items);
+					});
+			});
+
+			it('should be chainable with the other helpers when called', function() {
+
+				return iterator.filter(item => item.id !== '2')
+					.map(item => item.id)
+					.take(3)
+					.toArray()
+					.then(result => {
+						assert.deepEqual(result, [
+							'1',
+							'3',
+							'4'
+						]);
+						assert.equal(clientFake.get.callCount, 1);
+					});
+			});
+		});
+
+		it('should deliver consecutive items in order when a derived iterator is called concurrently', function() {
+
+			var ids = iterator.map(item => Promise.delay(5 - Number(item.id)).then(() => item.id));
+
+			return Promise.all([
+				ids.next(),
+				ids.next(),
+				ids.next(),
+				ids.next(),
+				ids.next(),
+				ids.next()
+			])
+				.then(results => {
+					assert.deepEqual(results.map(data => data.value), [
+						'1',
+						'2',
+						'3',
+						'4',
+						'5',
+						undefined
+					]);
+					assert.isTrue(results[5].done);
+					assert.equal(clientFake.get.callCount, 2);
+				});
+		});
+	});
+
+	describe('serialize()', function() {
+
+		var items;
+
+		beforeEach(function() {
+			items = [
+				{id: '1'},
+				{id: '2'},
+				{id: '3'},
+				{id: '4'},
+				{id: '5'}
+			];
+		});
+
+		it('should return JSON-serializable state that resumes with the next unread item when called', function() {
+
+			var getStub = sandbox.stub(clientFake, 'get');
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {marker: 'page2'}}))
+				.returns(Promise.resolve(createMarkerPage(items.slice(2, 4), 'page2', 'page3')));
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {marker: 'page3'}}))
+				.returns(Promise.resolve(createMarkerPage(items.slice(4), 'page3', null)));
+
+			var iterator = new PagingIterator(createMarkerPage(items.slice(0, 2), 'page1', 'page2'), clientFake);
+
+			return iterator.next()
+				.then(() => {
+					var state = JSON.parse(JSON.stringify(iterator.serialize()));
+
+					assert.deepEqual(state, {
+						version: 1,
+						url: 'https://api.box.com/2.0/items',
+						method: 'GET',
+						headers: {},
+						qs: {limit: 2},
+						pagingMode: 'marker',
+						nextValue: 'page2',
+						limit: 2,
+						totalCount: null,
+						done: false,
+						buffer: [items[1]]
+					});
+
+					return new PagingIterator(state, clientFake).toArray();
+				})
+				.then(result => {
+					assert.deepEqual(result, items.slice(1));
+				});
+		});
+
+		it('should resume from the first page fetched ahead but not yet read when pages were prefetched', function() {
+
+			var getStub = sandbox.stub(clientFake, 'get');
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {offset: 2}}))
+				.callsFake(() => Promise.resolve(createOffsetPage(items.slice(2, 4), 2, 5)));
+			getStub.withArgs('https://api.box.com/2.0/items', sinon.match({qs: {offset: 4}}))
+				.callsFake(() => Promise.resolve(createOffsetPage(items.slice(4), 4, 5)));
+
+			var iterator = new PagingIterator(createOffsetPage(items.slice(0, 2), 0, 5), clientFake, {prefetch: 2});
+
+			return iterator.next()
+				.then(() => {
+					var state = iterator.serialize();
+
+					assert.equal(getStub.callCount, 2);
+					assert.propertyVal(state, 'pagingMode', 'offset');
+					assert.propertyVal(state, 'nextValue', 2);
+					assert.propertyVal(state, 'totalCount', 5);
+					assert.propertyVal(state, 'done', false);
+					assert.notProperty(state.qs, 'offset');
+
+					return new PagingIterator(state, clientFake).toArray();
+				})
+				.then(result => {
+					assert.deepEqual(result, items.slice(1));
+				});
+		});
+
+		it('should keep the request body without the paging parameter when the collection is fetched with POST', function() {
+
+			var response = {
+				request: {
+					href: 'https://api.box.com/2.0/metadata_queries/execute_read',
+					uri: {query: ''},
+					headers: {},
+					method: 'POST',
+					body: '{"from":"enterprise_123.template","limit":1}'
+				},
+				body: {
+					entries: [items[0]],
+					limit: 1,
+					next_marker: 'page2'
+				}
+			};
+
+			sandbox.mock(clientFake).expects('post')
+				.withArgs('https://api.box.com/2.0/metadata_queries/execute_read', sinon.match({
+					body: {from: 'enterprise_123.template', limit: 1, marker: 'page2'}
+				}))
+				.returns(Promise.resolve(createMarkerPage([items[1]], 'page2', null)));
+
+			var state = new PagingIterator(response, clientFake).serialize();
+
+			assert.propertyVal(state, 'method', 'POST');
+			assert.deepEqual(state.body, {from: 'enterprise_123.template', limit: 1});
+			assert.notProperty(state.headers, 'content-length');
+
+			return new PagingIterator(state, clientFake).toArray()
+				.then(result => {
+					assert.deepEqual(result, items.slice(0, 2));
+				});
+		});
+
+		it('should throw when called while items are being read', function() {
+
+			sandbox.stub(clientFake, 'get').returns(Promise.resolve(createMarkerPage(items.slice(1, 2), 'page2', null)));
+
+			var iterator = new PagingIterator(createMarkerPage([], 'page1', 'page2'), clientFake),
+				reading = iterator.next();
+
+			assert.throws(() => iterator.serialize(), /while items are being read/);
+			return reading;
+		});
+
+		it('should throw when an iterator is created from invalid state', function() {
+
+			var state = new PagingIterator(createMarkerPage(items, 'page1', null), clientFake).serialize();
+			state.version = 2;
+
+			assert.throws(() => new PagingIterator(state, clientFake), /invalid or incompatible state/);
+		});
+	});
+
 	describe('getNextMarker()', function() {
 
 		it('should return the next marker', function() {
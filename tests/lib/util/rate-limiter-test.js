@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Rate Limiter Tests
+ */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	sinon = require('sinon'),
+	EventEmitter = require('events').EventEmitter,
+	Promise = require('bluebird'),
+	RateLimiter = require('../../../lib/util/rate-limiter');
+
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+var clock;
+
+/**
+ * Wait for pending promise callbacks to run
+ * @returns {Promise} A promise resolving once pending callbacks have run
+ */
+function flush() {
+	// eslint-disable-next-line promise/avoid-new
+	return new Promise(resolve => setImmediate(resolve))
+		// eslint-disable-next-line promise/avoid-new
+		.then(() => new Promise(resolve => setImmediate(resolve)));
+}
+
+/**
+ * Minimal AbortSignal, since older Node versions don't provide AbortController
+ * @returns {Object} The signal, with an abort() method to fire it
+ */
+function createAbortSignal() {
+	var emitter = new EventEmitter(),
+		signal = {
+			aborted: false,
+			addEventListener: (type, listener) => emitter.on(type, listener),
+			removeEventListener: (type, listener) => emitter.removeListener(type, listener),
+			listenerCount: type => emitter.listenerCount(type),
+			abort() {
+				signal.aborted = true;
+				emitter.emit('abort');
+			}
+		};
+	return signal;
+}
+
+/**
+ * Acquire a number of requests from the limiter, recording the order they are allowed in
+ * @param {RateLimiter} limiter The limiter to acquire from
+ * @param {Object} headers The request headers
+ * @param {int} count The number of requests to acquire
+ * @param {Array} allowed The array to record allowed requests in
+ * @param {string} [label] The label to record for each request
+ * @returns {void}
+ */
+function acquireMany(limiter, headers, count, allowed, label) {
+	for (let i = 0; i < count; i++) {
+		limiter.acquire(headers)
+			.then(() => allowed.push(label || i))
+			.catch(err => allowed.push(err));
+	}
+}
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('RateLimiter', function() {
+
+	beforeEach(function() {
+		// Leave setImmediate alone, so promise callbacks still run normally
+		clock = sinon.useFakeTimers({
+			toFake: [
+				'setTimeout',
+				'clearTimeout',
+				'Date'
+			]
+		});
+	});
+
+	afterEach(function() {
+		clock.restore();
+	});
+
+	describe('acquire()', function() {
+
+		it('should allow requests up to the burst size immediately when called', function() {
+
+			var limiter = new RateLimiter({ requestsPerSecond: 2, burst: 3 }),
+				allowed = [];
+
+			acquireMany(limiter, {}, 4, allowed);
+
+			return flush()
+				.then(() => {
+					assert.deepEqual(allowed, [
+						0,
+						1,
+						2
+					]);
+				});
+		});
+
+		it('should queue requests over the limit and release them in order at the configured rate when called', function() {
+
+			var limiter = new RateLimiter({ requestsPerSecond: 2, burst: 1 }),
+				allowed = [];
+
+			acquireMany(limiter, {}, 3, allowed);
+
+			return flush()
+				.then(() => {
+					assert.deepEqual(allowed, [0]);
+					clock.tick(499);
+					return flush();
+				})
+				.then(() => {
+					assert.deepEqual(allowed, [0]);
+					clock.tick(1);
+					return flush();
+				})
+				.then(() => {
+					assert.deepEqual(allowed, [
+						0,
+						1
+					]);
+					clock.tick(500);
+					return flush();
+				})
+				.then(() => {
+					assert.deepEqual(allowed, [
+						0,
+						1,
+						2
+					]);
+				});
+		});
+
+		it('should limit each As-User identity separately when a per-user limit is configured', function() {
+
+			var limiter = new RateLimiter({
+					requestsPerSecond: 100,
+					perUser: { requestsPerSecond: 1 }
+				}),
+				allowed = [];
+
+			acquireMany(limiter, { 'As-User': '1' }, 2, allowed, 'user 1');
+			acquireMany(limiter, { 'As-User': '2' }, 1, allowed, 'user 2');
+			acquireMany(limiter, {}, 1, allowed, 'authenticated user');
+
+			return flush()
+				.then(() => {
+					assert.deepEqual(allowed, [
+						'user 1',
+						'user 2',
+						'authenticated user'
+					]);
+					clock.tick(1000);
+					return flush();
+				})
+				.then(() => {
+					assert.deepEqual(allowed, [
+						'user 1',
+						'user 2',
+						'authenticated user',
+						'user 1'
+					]);
+				});
+		});
+
+		it('should apply the SDK instance limit across all identities when called', function() {
+
+			var limiter = new RateLimiter({
+					requestsPerSecond: 1,
+					perUser: { requestsPerSecond: 10 }
+				}),
+				allowed = [];
+
+			acquireMany(limiter, { 'As-User': '1' }, 1, allowed, 'user 1');
+			acquireMany(limiter, { 'As-User': '2' }, 1, allowed, 'user 2');
+
+			return flush()
+				.then(() => {
+					assert.deepEqual(allowed, ['user 1']);
+					clock.tick(1000);
+					return flush();
+				})
+				.then(() => {
+					assert.deepEqual(allowed, [
+						'user 1',
+						'user 2'
+					]);
+				});
+		});
+		it('should reject immediately and leave the queue without taking a token when the signal is aborted while waiting', function() {
+
+			var limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1 }),
+				signal = createAbortSignal(),
+				allowed = [],
+				abortError = null;
+
+			acquireMany(limiter, {}, 1, allowed, 'first');
+			limiter.acquire({}, signal)
+				.then(() => allowed.push('aborted'))
+				.catch(err => {
+					abortError = err;
+				});
+			acquireMany(limiter, {}, 1, allowed, 'third');
+
+			return flush()
+				.then(() => {
+					assert.deepEqual(allowed, ['first']);
+					signal.abort();
+					return flush();
+				})
+				.then(() => {
+					assert.propertyVal(abortError, 'name', 'AbortError');
+					assert.equal(signal.listenerCount('abort'), 0);
+					clock.tick(1000);
+					return flush();
+				})
+				.then(() => {
+					assert.deepEqual(allowed, [
+						'first',
+						'third'
+					]);
+				});
+		});
+
+		it('should reject without queueing when the signal was already aborted', function() {
+
+			var limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1 }),
+				signal = createAbortSignal();
+
+			signal.aborted = true;
+
+			return limiter.acquire({}, signal)
+				.then(() => assert.fail('Expected acquire to be rejected'))
+				.catch(err => {
+					assert.propertyVal(err, 'name', 'AbortError');
+					assert.equal(limiter.instanceBucket.queue.length, 0);
+					assert.equal(limiter.instanceBucket.tokens, 1);
+				});
+		});
+
+		it('should stop listening for abort when the request is allowed', function() {
+
+			var limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1 }),
+				signal = createAbortSignal();
+
+			return limiter.acquire({}, signal)
+				.then(() => {
+					assert.equal(signal.listenerCount('abort'), 0);
+				});
+		});
+	});
+
+	describe('throttle()', function() {
+
+		it('should hold requests until the Retry-After period has passed when called', function() {
+
+			var limiter = new RateLimiter({ requestsPerSecond: 10 }),
+				allowed = [];
+
+			limiter.throttle({}, 2000);
+			acquireMany(limiter, {}, 1, allowed);
+
+			return flush()
+				.then(() => {
+					assert.deepEqual(allowed, []);
+					clock.tick(2000);
+					return flush();
+				})
+				.then(() => {
+					assert.deepEqual(allowed, []);
+					// Rate was halved to 5 requests per second
+					clock.tick(200);
+					return flush();
+				})
+				.then(() => {
+					assert.deepEqual(allowed, [0]);
+				});
+		});
+
+		it('should keep refilling the bucket when called with a delay that is not a number', function() {
+
+			var limiter = new RateLimiter({ requestsPerSecond: 10 }),
+				allowed = [];
+
+			limiter.throttle({}, NaN);
+			acquireMany(limiter, {}, 1, allowed);
+
+			assert.isTrue(Number.isFinite(limiter.instanceBucket.lastRefill));
+			clock.tick(200);
+			return flush()
+				.then(() => {
+					assert.deepEqual(allowed, [0]);
+				});
+		});
+
+		it('should halve the rate down to a minimum when called repeatedly', function() {
+
+			var limiter = new RateLimiter({ requestsPerSecond: 10 });
+
+			limiter.throttle({}, 0);
+			assert.nestedPropertyVal(limiter, 'instanceBucket.rate', 5);
+
+			for (let i = 0; i < 10; i++) {
+				limiter.throttle({}, 0);
+			}
+			assert.nestedPropertyVal(limiter, 'instanceBucket.rate', 1);
+		});
+
+		it('should only throttle the rate limited identity when a per-user limit is configured', function() {
+
+			var limiter = new RateLimiter({
+				requestsPerSecond: 10,
+				perUser: { requestsPerSecond: 4 }
+			});
+
+			limiter.throttle({ 'As-User': '1' }, 1000);
+
+			assert.equal(limiter.userBuckets.get('1').rate, 2);
+			assert.nestedPropertyVal(limiter, 'instanceBucket.rate', 10);
+		});
+	});
+
+	describe('recover()', function() {
+
+		it('should gradually restore the configured rate when called after throttling', function() {
+
+			var limiter = new RateLimiter({ requestsPerSecond: 10 });
+
+			limiter.throttle({}, 0);
+			limiter.recover({});
+			assert.nestedPropertyVal(limiter, 'instanceBucket.rate', 6);
+
+			for (let i = 0; i < 10; i++) {
+				limiter.recover({});
+			}
+			assert.nestedPropertyVal(limiter, 'instanceBucket.rate', 10);
+		});
+	});
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Tests for session lifecycle events
+ */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	sinon = require('sinon'),
+	EventEmitter = require('events').EventEmitter,
+	sessionEvents = require('../../../lib/util/session-events');
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('sessionEvents', function() {
+
+	describe('emit()', function() {
+
+		var clock,
+			eventBus,
+			tokenManager,
+			source = {
+				sessionType: 'appAuth',
+				subjectType: 'user',
+				subjectID: '1234'
+			};
+
+		beforeEach(function() {
+			clock = sinon.useFakeTimers({ now: 5000, toFake: ['Date'] });
+			eventBus = new EventEmitter();
+			tokenManager = { requestManager: { eventBus } };
+		});
+
+		afterEach(function() {
+			clock.restore();
+		});
+
+		it('should emit the event with the token values redacted and the expiry time when called with token info', function() {
+
+			var listener = sinon.spy();
+			eventBus.on('tokenRefreshed', listener);
+
+			sessionEvents.emit(tokenManager, sessionEvents.events.TOKEN_REFRESHED, source, {
+				tokenInfo: {
+					accessToken: 'secretAccessToken',
+					refreshToken: 'secretRefreshToken',
+					accessTokenTTLMS: 3600000,
+					acquiredAtMS: 1000
+				}
+			});
+
+			assert.ok(listener.calledOnce);
+			assert.deepEqual(listener.firstCall.args[0], {
+				event: 'tokenRefreshed',
+				sessionType: 'appAuth',
+				subjectType: 'user',
+				subjectID: '1234',
+				tokenInfo: {
+					accessToken: '[REDACTED]',
+					refreshToken: '[REDACTED]',
+					accessTokenTTLMS: 3600000,
+					acquiredAtMS: 1000
+				},
+				expiresAtMS: 3601000,
+				error: null,
+				timestampMS: 5000
+			});
+		});
+
+		it('should emit a summary of the error without its request when called with an error', function() {
+
+			var listener = sinon.spy(),
+				error = new Error('Auth Error: Refresh token has expired');
+
+			error.statusCode = 400;
+			error.request = { form: { refresh_token: 'secretRefreshToken' } };
+			eventBus.on('tokenRefreshFailed', listener);
+
+			sessionEvents.emit(tokenManager, sessionEvents.events.TOKEN_REFRESH_FAILED, { sessionType: 'persistent' }, { error });
+
+			var event = listener.firstCall.args[0];
+			assert.deepEqual(event.error, {
+				name: 'Error',
+				message: 'Auth Error: Refresh token has expired',
+				statusCode: 400
+			});
+			assert.isNull(event.tokenInfo);
+			assert.isNull(event.expiresAtMS);
+			assert.isNull(event.subjectID);
+			assert.notInclude(JSON.stringify(event), 'secretRefreshToken');
+		});
+
+		it('should not throw when the token manager has no event bus', function() {
+
+			assert.doesNotThrow(() => sessionEvents.emit({}, sessionEvents.events.TOKENS_REVOKED, source));
+		});
+	});
+});
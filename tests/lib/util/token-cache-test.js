@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Tests for the LRU token cache
+ */
+'use strict';
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+var assert = require('chai').assert,
+	sinon = require('sinon'),
+	Promise = require('bluebird'),
+	TokenCache = require('../../../lib/util/token-cache');
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/**
+ * Create token info for a token acquired now
+ * @param {string} accessToken The access token
+ * @param {int} [ttlMS] How long the token lives for
+ * @returns {TokenInfo} The token info
+ */
+function createTokenInfo(accessToken, ttlMS) {
+	return {
+		accessToken,
+		accessTokenTTLMS: ttlMS || 3600000,
+		acquiredAtMS: Date.now()
+	};
+}
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+describe('TokenCache', function() {
+
+	var clock;
+
+	beforeEach(function() {
+		clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+	});
+
+	afterEach(function() {
+		clock.restore();
+	});
+
+	describe('get()', function() {
+
+		it('should return the cached token info when the token is valid', function() {
+
+			var cache = new TokenCache(),
+				tokenInfo = createTokenInfo('at');
+
+			cache.set('key', tokenInfo);
+
+			assert.equal(cache.get('key'), tokenInfo);
+		});
+
+		it('should return null when no token is cached for the key', function() {
+
+			var cache = new TokenCache();
+
+			assert.isNull(cache.get('key'));
+		});
+
+		it('should drop the token and return null when the token expires within the expiry buffer', function() {
+
+			var cache = new TokenCache({ expiryBufferMS: 60000 });
+
+			cache.set('key', createTokenInfo('at', 120000));
+			clock.tick(60000);
+
+			assert.isNull(cache.get('key'));
+			assert.equal(cache.size, 0);
+		});
+	});
+
+	describe('set()', function() {
+
+		it('should drop the least recently used token when the cache is full', function() {
+
+			var cache = new TokenCache({ maxSize: 2 });
+
+			cache.set('a', createTokenInfo('a'));
+			cache.set('b', createTokenInfo('b'));
+			cache.get('a');
+			cache.set('c', createTokenInfo('c'));
+
+			assert.equal(cache.size, 2);
+			assert.isNull(cache.get('b'));
+			assert.propertyVal(cache.get('a'), 'accessToken', 'a');
+			assert.propertyVal(cache.get('c'), 'accessToken', 'c');
+		});
+
+		it('should replace the token when the key is already cached', function() {
+
+			var cache = new TokenCache({ maxSize: 2 });
+
+			cache.set('a', createTokenInfo('a'));
+			cache.set('a', createTokenInfo('newA'));
+
+			assert.equal(cache.size, 1);
+			assert.propertyVal(cache.get('a'), 'accessToken', 'newA');
+		});
+	});
+
+	describe('getPendingGrant()', function() {
+
+		it('should return the grant in progress for the key until the grant succeeds', function() {
+
+			var cache = new TokenCache(),
+				grant = Promise.resolve(createTokenInfo('at'));
+
+			cache.setPendingGrant('key', grant);
+
+			assert.equal(cache.getPendingGrant('key'), grant);
+			assert.isNull(cache.getPendingGrant('other key'));
+			return grant.then(() => {
+				assert.isNull(cache.getPendingGrant('key'));
+			});
+		});
+
+		it('should return null once the grant fails', function() {
+
+			var cache = new TokenCache(),
+				grant = Promise.reject(new Error('Grant failed'));
+
+			cache.setPendingGrant('key', grant);
+
+			return grant.catch(() => {
+				assert.isNull(cache.getPendingGrant('key'));
+			});
+		});
+	});
+
+	describe('delete()', function() {
+
+		it('should remove the token for the key when called', function() {
+
+			var cache = new TokenCache();
+
+			cache.set('a', createTokenInfo('a'));
+			cache.set('b', createTokenInfo('b'));
+			cache.delete('a');
+
+			assert.isNull(cache.get('a'));
+			assert.equal(cache.size, 1);
+		});
+	});
+
+	describe('clear()', function() {
+
+		it('should remove all tokens when called', function() {
+
+			var cache = new TokenCache();
+
+			cache.set('a', createTokenInfo('a'));
+			cache.set('b', createTokenInfo('b'));
+			cache.clear();
+
+			assert.equal(cache.size, 0);
+		});
+	});
+});